@@ -0,0 +1,108 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { useBundledData } from './helpers/bundled-data.js';
+import { eventConfigLoader } from '../web/src/js/data/event-config-loader.js';
+import { ageGradingLoader } from '../web/src/js/data/age-grading-loader.js';
+import {
+  calculateAgeGrade,
+  getAgeGradeLevel,
+  buildAgeFactorsCsv,
+  parseAgeFactorsCsv
+} from '../web/src/js/calculators/age-grading.js';
+
+// Round numbers for checking the arithmetic, not published factors
+const FACTORS = {
+  version: 'Test',
+  men: {
+    '100m': { openStandard: 10, factors: { 50: 0.8, 51: 0.79 } },
+    lj: { openStandard: 8, factors: { 60: 0.75 } }
+  },
+  women: {}
+};
+
+before(async () => {
+  useBundledData();
+  await eventConfigLoader.load();
+});
+
+beforeEach(() => {
+  ageGradingLoader.clear();
+  ageGradingLoader.data = structuredClone(FACTORS);
+});
+
+test('calculateAgeGrade grades a time against the age standard', () => {
+  const result = calculateAgeGrade('men', '100m', 50, '15.625');
+
+  assert.equal(result.ageFactor, 0.8);
+  assert.equal(result.ageStandard, 12.5);
+  assert.equal(result.ageGradedPercentage, 80);
+  assert.equal(result.openEquivalent, 12.5);
+  assert.equal(result.level, 'National Class');
+});
+
+test('calculateAgeGrade grades a distance against the age standard', () => {
+  const result = calculateAgeGrade('men', 'lj', 60, '4.5');
+
+  assert.equal(result.ageStandard, 6);
+  assert.equal(result.ageGradedPercentage, 75);
+  assert.equal(result.openEquivalent, 6);
+  assert.equal(result.level, 'Regional Class');
+});
+
+test('calculateAgeGrade needs a published factor for the exact age', () => {
+  assert.equal(calculateAgeGrade('men', '100m', 52, '12.00'), null);
+  assert.equal(calculateAgeGrade('women', '100m', 50, '12.00'), null);
+});
+
+test('getAgeGradeLevel classifies percentages', () => {
+  assert.equal(getAgeGradeLevel(100), 'World Record Level');
+  assert.equal(getAgeGradeLevel(89.99), 'National Class');
+  assert.equal(getAgeGradeLevel(12), 'Recreational');
+});
+
+test('imported factors replace bundled ones for the same event only', () => {
+  ageGradingLoader.setImported([{ gender: 'men', event: '100m', openStandard: 9.5, factors: { 50: 0.9 } }]);
+
+  assert.deepEqual(ageGradingLoader.getEventData('men', '100m'), { openStandard: 9.5, factors: { 50: 0.9 }, source: 'imported' });
+  assert.equal(ageGradingLoader.getEventData('men', 'lj').source, 'bundled');
+  assert.deepEqual(ageGradingLoader.getSupportedEvents('men'), ['100m', 'lj']);
+});
+
+test('parseAgeFactorsCsv reads a sheet with one column per age', () => {
+  const { records, errors } = parseAgeFactorsCsv('Gender,Event,Open Standard,35,36\nW,800m,1:53.28,0.99,\n');
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(records, [{ key: 'women:800m', gender: 'women', event: '800m', openStandard: 113.28, factors: { 35: 0.99 } }]);
+});
+
+test('parseAgeFactorsCsv reports invalid rows by line', () => {
+  const { records, errors } = parseAgeFactorsCsv([
+    'gender,event,oc,40',
+    'x,100m,10,0.9',
+    'men,nope,10,0.9',
+    'men,100m,fast,0.9',
+    'men,100m,10,1.2',
+    'men,100m,10,'
+  ].join('\n'));
+
+  assert.deepEqual(records, []);
+  assert.deepEqual(errors.map(error => error.line), [2, 3, 4, 5, 6]);
+  assert.equal(errors[3].message, 'Invalid factor "1.2" for age 40');
+});
+
+test('parseAgeFactorsCsv needs a header naming the columns', () => {
+  assert.equal(parseAgeFactorsCsv('men,100m,10,0.9').errors[0].line, 1);
+});
+
+test('buildAgeFactorsCsv writes factors that import unchanged', () => {
+  const { records, errors } = parseAgeFactorsCsv(buildAgeFactorsCsv(['men']));
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(
+    records.map(({ event, openStandard, factors }) => ({ event, openStandard, factors })),
+    [
+      { event: '100m', openStandard: 10, factors: { 50: 0.8, 51: 0.79 } },
+      { event: 'lj', openStandard: 8, factors: { 60: 0.75 } }
+    ]
+  );
+});
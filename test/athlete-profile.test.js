@@ -0,0 +1,89 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { useBundledData } from './helpers/bundled-data.js';
+import { scoringDataLoader } from '../web/src/js/data/scoring-data-loader.js';
+import { eventConfigLoader } from '../web/src/js/data/event-config-loader.js';
+import {
+  createAthlete,
+  createMark,
+  scoreMark,
+  analyzeAthlete,
+  getPointsProgression
+} from '../web/src/js/calculators/athlete-profile.js';
+import { lookupPoints } from '../web/src/js/calculators/performance-lookup.js';
+
+/**
+ * Athlete with a set of marks
+ * @param {Array<Object>} marks - createMark options
+ * @returns {Object}
+ */
+function athleteWith(marks) {
+  const athlete = createAthlete({ name: 'Bob', gender: 'men' });
+  athlete.marks = marks.map(mark => createMark(mark));
+  return athlete;
+}
+
+/**
+ * Performances of the marks in a list
+ * @param {Array<Object>} marks
+ * @returns {string[]}
+ */
+const performances = marks => marks.map(mark => mark.performance);
+
+before(async () => {
+  useBundledData();
+  await Promise.all([scoringDataLoader.load(), eventConfigLoader.load()]);
+});
+
+test('scoreMark scores hand times with the offset and flags wind assisted marks', () => {
+  const hand = scoreMark('men', createMark({ event: '100m', performance: '10.8', date: '2024-05-01', isHandTimed: true }));
+  assert.equal(hand.value, 11.04);
+  assert.equal(hand.points, lookupPoints('men', '100m', '11.04').points);
+
+  const windy = scoreMark('men', createMark({ event: '100m', performance: '10.50', date: '2024-05-01', wind: 2.4 }));
+  assert.equal(windy.isWindAssisted, true);
+  assert.ok(windy.points > 0);
+});
+
+test('analyzeAthlete finds personal and season bests, ignoring wind assisted marks', () => {
+  const analysis = analyzeAthlete(athleteWith([
+    { event: '100m', performance: '10.60', date: '2023-06-01' },
+    { event: '100m', performance: '10.40', date: '2024-05-01', wind: 3.1 },
+    { event: '100m', performance: '10.70', date: '2024-06-01' },
+    { event: 'lj', performance: '7.20', date: '2024-07-01' },
+    { event: 'lj', performance: '7.40', date: '2023-07-01' }
+  ]));
+
+  assert.deepEqual(analysis.seasons, ['2024', '2023']);
+  assert.deepEqual(performances(analysis.marks), ['7.20', '10.70', '10.40', '7.40', '10.60']);
+  assert.deepEqual(performances(analysis.personalBests).sort(), ['10.60', '7.40']);
+  assert.deepEqual(performances(analysis.seasonBests['2024']).sort(), ['10.70', '7.20']);
+
+  const windy = analysis.marks.find(mark => mark.performance === '10.40');
+  assert.equal(windy.isPb, false);
+  assert.equal(windy.isSb, false);
+  assert.equal(analysis.marks.find(mark => mark.performance === '10.60').isPb, true);
+});
+
+test('personal bests are sorted by points', () => {
+  const { personalBests } = analyzeAthlete(athleteWith([
+    { event: '100m', performance: '11.50', date: '2024-05-01' },
+    { event: 'lj', performance: '7.80', date: '2024-05-01' }
+  ]));
+
+  assert.deepEqual(performances(personalBests), ['7.80', '11.50']);
+});
+
+test('getPointsProgression tracks the best score to date, oldest first', () => {
+  const { marks } = analyzeAthlete(athleteWith([
+    { event: '100m', performance: '10.60', date: '2024-06-01' },
+    { event: '100m', performance: '10.80', date: '2024-07-01' },
+    { event: '100m', performance: '11.00', date: '2024-05-01' },
+    { event: 'lj', performance: '7.00', date: '2024-08-01' }
+  ]));
+
+  const progression = getPointsProgression(marks, '100m');
+  assert.deepEqual(progression.map(point => point.date), ['2024-05-01', '2024-06-01', '2024-07-01']);
+  assert.deepEqual(progression.map(point => point.bestPoints), [progression[0].points, progression[1].points, progression[1].points]);
+  assert.equal(getPointsProgression(marks).length, 4);
+});
@@ -0,0 +1,51 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { useBundledData } from './helpers/bundled-data.js';
+import { scoringDataLoader } from '../web/src/js/data/scoring-data-loader.js';
+import { eventConfigLoader } from '../web/src/js/data/event-config-loader.js';
+import { scoreBatch, buildResultsCsv } from '../web/src/js/calculators/batch-scoring.js';
+import { lookupPoints } from '../web/src/js/calculators/performance-lookup.js';
+
+before(async () => {
+  useBundledData();
+  await Promise.all([scoringDataLoader.load(), eventConfigLoader.load()]);
+});
+
+test('scoreBatch scores and ranks rows in the default column order', () => {
+  const results = scoreBatch('Ann,w,100m,12.00\nBob,m,100m,10.00\nCal,m,lj,7.50');
+
+  assert.deepEqual(results.map(result => [result.athlete, result.rank]), [['Bob', 1], ['Cal', 2], ['Ann', 3]]);
+  assert.equal(results[0].points, 1206);
+});
+
+test('scoreBatch reads a header row in any column order', () => {
+  const [result] = scoreBatch('Mark\tEvent\tGender\tName\n10.00\t100m\tmale\tBob');
+
+  assert.equal(result.athlete, 'Bob');
+  assert.equal(result.gender, 'men');
+  assert.equal(result.points, 1206);
+});
+
+test('scoreBatch scores marks ending in "h" as hand times', () => {
+  const [result] = scoreBatch('Bob,m,100m,10.8h');
+
+  assert.equal(result.isHandTimed, true);
+  assert.equal(result.points, lookupPoints('men', '100m', '10.8', true).points);
+});
+
+test('scoreBatch lists rows with errors last without a rank', () => {
+  const results = scoreBatch('A,q,100m,10.00\nB,m,100m,10.00\nC,m,nope,10.00\nD,m,100m,fast');
+
+  assert.equal(results[0].athlete, 'B');
+  assert.deepEqual(results.slice(1).map(result => [result.rank, result.error]), [
+    [null, 'Unknown gender "q"'],
+    [null, 'Unknown event "nope"'],
+    [null, 'Invalid mark "fast"']
+  ]);
+});
+
+test('buildResultsCsv guards athlete names against formula injection', () => {
+  const csv = buildResultsCsv(scoreBatch('=cmd(),m,100m,10.00'));
+
+  assert.equal(csv.split('\r\n')[1], "1,'=cmd(),men,100m,10s,No,1206,");
+});
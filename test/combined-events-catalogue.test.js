@@ -0,0 +1,48 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { useBundledData } from './helpers/bundled-data.js';
+import { combinedEventsConfigLoader } from '../web/src/js/data/combined-events-config-loader.js';
+
+before(() => {
+  useBundledData();
+});
+
+test('the catalogue lists its age groups in display order', async () => {
+  assert.deepEqual(await combinedEventsConfigLoader.getAgeGroups(), ['U18', 'U20', 'Open']);
+});
+
+test('getCombinedEvents only lists events contested in the age group', async () => {
+  const menU18 = Object.keys(await combinedEventsConfigLoader.getCombinedEvents('men', 'U18'));
+  const menOpen = Object.keys(await combinedEventsConfigLoader.getCombinedEvents('men', 'Open'));
+  const womenU18 = Object.keys(await combinedEventsConfigLoader.getCombinedEvents('women', 'U18'));
+  const womenAll = Object.keys(await combinedEventsConfigLoader.getCombinedEvents('women'));
+
+  assert.ok(menU18.includes('octathlon'));
+  assert.ok(!menOpen.includes('octathlon'));
+  assert.ok(!womenU18.includes('decathlon'));
+  assert.ok(womenAll.includes('decathlon'));
+});
+
+test('getSpecifications gives the implements for the age group', async () => {
+  const u18 = await combinedEventsConfigLoader.getSpecifications('men', 'U18');
+  const open = await combinedEventsConfigLoader.getSpecifications('men', 'Open');
+
+  assert.equal(u18.sp, '5kg');
+  assert.equal(open.sp, '7.26kg');
+  assert.equal(open['110m h'], '106.7cm');
+  assert.deepEqual(await combinedEventsConfigLoader.getSpecifications('men', 'M50'), {});
+});
+
+test('every listed event has scoring parameters for its disciplines', async () => {
+  for (const gender of ['men', 'women']) {
+    for (const key of Object.keys(await combinedEventsConfigLoader.getCombinedEvents(gender))) {
+      const { events: days } = await combinedEventsConfigLoader.getCombinedEvent(gender, key);
+      const events = await combinedEventsConfigLoader.getCombinedEventDetails(gender, key);
+
+      assert.equal(events.length, days.flat().length, `${gender} ${key}`);
+      for (const { key: event, parameters: { a, b, c } } of events) {
+        assert.ok([a, b, c].every(Number.isFinite), `${gender} ${key} ${event}`);
+      }
+    }
+  }
+});
@@ -0,0 +1,98 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { useBundledData } from './helpers/bundled-data.js';
+import { combinedEventsConfigLoader } from '../web/src/js/data/combined-events-config-loader.js';
+import {
+  createCompetition,
+  scoreMark,
+  calculateStandings,
+  calculateStandingsWithChanges,
+  isEventComplete
+} from '../web/src/js/calculators/combined-events-competition.js';
+
+let decathlon;
+
+/**
+ * Decathlon competition with three athletes
+ * @returns {Object}
+ */
+function createDecathlon() {
+  return createCompetition({
+    name: 'Club Champs',
+    gender: 'men',
+    combinedEvent: 'decathlon',
+    displayName: 'Decathlon',
+    events: decathlon.map(event => event.key),
+    athleteNames: ['Cal', 'Ann', 'Bob']
+  });
+}
+
+/**
+ * Set an athlete's mark for a discipline
+ * @param {Object} competition
+ * @param {string} name
+ * @param {number} eventIndex
+ * @param {string} inputValue
+ */
+function enterMark(competition, name, eventIndex, inputValue) {
+  const event = decathlon[eventIndex];
+  competition.athletes.find(athlete => athlete.name === name).marks[event.key] = scoreMark(inputValue, event.key, event);
+}
+
+before(async () => {
+  useBundledData();
+  decathlon = await combinedEventsConfigLoader.getCombinedEventDetails('men', 'decathlon');
+});
+
+test('createCompetition starts every athlete without marks', () => {
+  const competition = createDecathlon();
+
+  assert.equal(competition.events.length, 10);
+  assert.deepEqual(competition.athletes.map(athlete => athlete.name), ['Cal', 'Ann', 'Bob']);
+  assert.ok(competition.athletes.every(athlete => Object.keys(athlete.marks).length === 0));
+  assert.equal(new Set(competition.athletes.map(athlete => athlete.id)).size, 3);
+});
+
+test('scoreMark scores marks, hand times and result codes', () => {
+  const [sprint, longJump] = decathlon;
+
+  assert.deepEqual(scoreMark(' 10.40 ', sprint.key, sprint), { inputValue: '10.40', isHandTimed: false, score: 999 });
+  assert.equal(scoreMark('10.4', sprint.key, sprint, true).score, 942);
+  assert.equal(scoreMark('7.50', longJump.key, longJump).score, 935);
+  assert.deepEqual(scoreMark('dnf', sprint.key, sprint), { inputValue: 'DNF', isHandTimed: false, score: 0, code: 'DNF' });
+  assert.equal(scoreMark('fast', sprint.key, sprint), null);
+});
+
+test('calculateStandings ranks by total with shared ranks for ties', () => {
+  const competition = createDecathlon();
+  enterMark(competition, 'Cal', 0, '10.40');
+  enterMark(competition, 'Ann', 0, '10.40');
+  enterMark(competition, 'Bob', 0, 'DNS');
+
+  const standings = calculateStandings(competition, 0);
+  assert.deepEqual(standings.map(standing => [standing.name, standing.total, standing.rank]), [
+    ['Ann', 999, 1],
+    ['Cal', 999, 1],
+    ['Bob', 0, 3]
+  ]);
+  assert.equal(isEventComplete(competition, '100m'), true);
+  assert.equal(isEventComplete(competition, 'lj'), false);
+});
+
+test('calculateStandingsWithChanges shows moves since the previous discipline', () => {
+  const competition = createDecathlon();
+  enterMark(competition, 'Cal', 0, '10.40');
+  enterMark(competition, 'Ann', 0, '10.80');
+  enterMark(competition, 'Cal', 1, '6.50');
+  enterMark(competition, 'Ann', 1, '7.50');
+
+  assert.ok(calculateStandingsWithChanges(competition, 0).every(standing => standing.rankChange === null));
+
+  const standings = calculateStandingsWithChanges(competition, 1);
+  assert.deepEqual(standings.map(standing => [standing.name, standing.rank, standing.rankChange, standing.completed]), [
+    ['Ann', 1, 1, 2],
+    ['Cal', 2, -1, 2],
+    ['Bob', 3, 0, 0]
+  ]);
+  assert.equal(standings[2].eventScore, null);
+});
@@ -0,0 +1,130 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { useBundledData } from './helpers/bundled-data.js';
+import { combinedEventsConfigLoader } from '../web/src/js/data/combined-events-config-loader.js';
+import { findMarkForPoints, solveTargetScore } from '../web/src/js/calculators/combined-events-target.js';
+import { calculateEventScore } from '../web/src/js/utils/combined-events-scorer.js';
+
+let decathlon;
+
+// Ceilings for the second day of the decathlon
+const CEILINGS = { '110m h': 14.5, dt: 45, pv: 480, jt: 60, '1500m': 270 };
+
+/**
+ * Decathlon with the first day done and ceilings set for the second day
+ * @returns {Array<Object>}
+ */
+function secondDay() {
+  return decathlon.map((event, index) => (index < 5
+    ? { ...event, completedScore: 850 }
+    : { ...event, ceilingValue: CEILINGS[event.key] }));
+}
+
+/**
+ * Get the points scored by the ceiling mark of a second day event
+ * @param {string} key
+ * @returns {number}
+ */
+function ceilingPoints(key) {
+  const { parameters, measurement } = decathlon.find(event => event.key === key);
+  return calculateEventScore(CEILINGS[key], parameters, measurement);
+}
+
+/**
+ * Sum the points of a distribution's events
+ * @param {Object} distribution
+ * @param {string} field
+ * @returns {number}
+ */
+function sumOf(distribution, field) {
+  return distribution.events.reduce((sum, event) => sum + event[field], 0);
+}
+
+before(async () => {
+  useBundledData();
+  decathlon = await combinedEventsConfigLoader.getCombinedEventDetails('men', 'decathlon');
+});
+
+test('findMarkForPoints returns the weakest recordable mark that scores enough', () => {
+  for (const event of decathlon) {
+    const found = findMarkForPoints(800, event.key, event);
+    const isTime = event.measurement === 'time';
+    const step = isTime || (event.measurement === 'distance' && event.key !== 'lj') ? 0.01 : 1;
+    const weaker = isTime ? found.value + step : found.value - step;
+
+    assert.ok(found.points >= 800, event.key);
+    assert.ok(calculateEventScore(weaker, event.parameters, event.measurement) < 800, event.key);
+  }
+});
+
+test('findMarkForPoints formats the mark for the event', () => {
+  const [hundred, longJump] = decathlon;
+
+  assert.deepEqual(findMarkForPoints(800, hundred.key, hundred), { value: 11.27, points: 801, mark: '11.27s' });
+  assert.deepEqual(findMarkForPoints(800, longJump.key, longJump), { value: 695, points: 802, mark: '6.95m' });
+});
+
+test('the balanced distribution shares the points needed evenly', () => {
+  const result = solveTargetScore(7001, decathlon);
+  const [balanced] = result.distributions;
+
+  assert.equal(result.distributions.length, 1);
+  assert.equal(balanced.key, 'balanced');
+  assert.deepEqual(balanced.events.map(event => event.targetPoints), [701, 700, 700, 700, 700, 700, 700, 700, 700, 700]);
+  assert.ok(balanced.total >= 7001);
+});
+
+test('completed events count towards the target', () => {
+  const result = solveTargetScore(8000, secondDay());
+
+  assert.equal(result.completedTotal, 4250);
+  assert.equal(result.pointsNeeded, 3750);
+  assert.equal(result.remainingCount, 5);
+  assert.equal(result.feasible, true);
+});
+
+test('every distribution allocates exactly the points needed without passing a ceiling', () => {
+  const result = solveTargetScore(8000, secondDay());
+
+  assert.deepEqual(result.distributions.map(distribution => distribution.key), ['balanced', 'strength', 'shortfall']);
+
+  for (const distribution of result.distributions) {
+    assert.equal(sumOf(distribution, 'targetPoints'), 3750, distribution.key);
+    assert.ok(distribution.total >= 8000, distribution.key);
+
+    for (const event of distribution.events) {
+      assert.ok(event.targetPoints <= ceilingPoints(event.key), `${distribution.key} ${event.key}`);
+    }
+  }
+});
+
+test('the balanced distribution fixes capped events at their ceiling', () => {
+  const [balanced] = solveTargetScore(8000, secondDay()).distributions;
+  const capped = balanced.events.filter(event => event.atCeiling).map(event => event.key);
+
+  assert.deepEqual(capped, ['jt', '1500m']);
+});
+
+test('the equal margin distribution leaves every event the same distance from its ceiling', () => {
+  const result = solveTargetScore(8000, secondDay());
+  const shortfall = result.distributions.find(distribution => distribution.key === 'shortfall');
+  const margins = shortfall.events.map(event => ceilingPoints(event.key) - event.targetPoints);
+
+  assert.ok(Math.max(...margins) - Math.min(...margins) <= 1);
+});
+
+test('a target above the ceilings is not feasible', () => {
+  const result = solveTargetScore(9500, secondDay());
+
+  assert.equal(result.maxPossible, 8263);
+  assert.equal(result.feasible, false);
+  assert.deepEqual(result.distributions, []);
+});
+
+test('a target already reached needs no marks', () => {
+  const result = solveTargetScore(4000, secondDay());
+
+  assert.equal(result.alreadyReached, true);
+  assert.equal(result.pointsNeeded, 0);
+  assert.deepEqual(result.distributions, []);
+});
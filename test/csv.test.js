@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { detectDelimiter, parseDelimited, toCsv } from '../web/src/js/utils/csv.js';
+
+test('detectDelimiter reads the first line', () => {
+  assert.equal(detectDelimiter('a\tb\nc,d'), '\t');
+  assert.equal(detectDelimiter('a;b;c'), ';');
+  assert.equal(detectDelimiter('a;b,c'), ',');
+});
+
+test('parseDelimited handles quoted fields and skips blank lines', () => {
+  const rows = parseDelimited('name,mark\r\n"Smith, J","say ""hi""\nthere"\n\n Jones , 10.5 ');
+
+  assert.deepEqual(rows, [
+    ['name', 'mark'],
+    ['Smith, J', 'say "hi"\nthere'],
+    ['Jones', '10.5']
+  ]);
+});
+
+test('toCsv quotes fields containing commas, quotes or newlines', () => {
+  assert.equal(toCsv([['a,b', 'say "hi"', 'x\ny', null, 3]]), '"a,b","say ""hi""","x\ny",,3');
+});
+
+test('toCsv prefixes formula-like text so spreadsheets show it as text', () => {
+  assert.equal(toCsv([['=SUM(A1:A2)', '+1', '-cmd', '@A1', 'ok']]), "'=SUM(A1:A2),'+1,'-cmd,'@A1,ok");
+  assert.equal(toCsv([['=HYPERLINK("x","y")']]), `"'=HYPERLINK(""x"",""y"")"`);
+});
+
+test('toCsv writes negative numbers as they are', () => {
+  assert.equal(toCsv([[-1.5, 0]]), '-1.5,0');
+});
+
+test('parseDelimited removes the formula guard so exports import unchanged', () => {
+  const rows = [['=SUM(A1:A2)', '-1.5', "'quoted", 'a,b']];
+
+  assert.deepEqual(parseDelimited(toCsv(rows)), rows);
+});
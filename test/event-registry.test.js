@@ -0,0 +1,53 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { useBundledData } from './helpers/bundled-data.js';
+import { scoringDataLoader } from '../web/src/js/data/scoring-data-loader.js';
+import { eventConfigLoader } from '../web/src/js/data/event-config-loader.js';
+import {
+  EVENT_REGISTRY,
+  resolveEventKey,
+  isCanonicalEventKey,
+  getRegisteredEvent,
+  getEventSlug
+} from '../web/src/js/data/event-registry.js';
+
+before(async () => {
+  useBundledData();
+  await Promise.all([scoringDataLoader.load(), eventConfigLoader.load()]);
+});
+
+test('resolveEventKey finds canonical keys from aliases, ignoring case and spacing', () => {
+  assert.equal(resolveEventKey('110m h'), '110m h');
+  assert.equal(resolveEventKey('110mh'), '110m h');
+  assert.equal(resolveEventKey('  110M   H '), '110m h');
+  assert.equal(resolveEventKey('decathlon'), 'dec');
+  assert.equal(resolveEventKey('nope'), null);
+  assert.equal(resolveEventKey(null), null);
+});
+
+test('isCanonicalEventKey rejects aliases', () => {
+  assert.equal(isCanonicalEventKey('110m h'), true);
+  assert.equal(isCanonicalEventKey('110mh'), false);
+});
+
+test('getRegisteredEvent returns the entry with its category', () => {
+  assert.deepEqual(getRegisteredEvent('60mh'), { key: '60m h', category: 'sprints', aliases: ['60mh'] });
+  assert.equal(getRegisteredEvent('nope'), null);
+});
+
+test('getEventSlug makes keys safe for ids', () => {
+  assert.equal(getEventSlug('110mh'), '110m-h');
+  assert.equal(getEventSlug('Some Event'), 'some-event');
+});
+
+test('no alias is shared by two events or shadows a canonical key', () => {
+  const names = Object.values(EVENT_REGISTRY).flatMap(({ key, aliases }) => [key, ...aliases].map(name => name.toLowerCase()));
+
+  assert.equal(new Set(names).size, names.length);
+});
+
+test('data loaders find events by alias', () => {
+  assert.equal(scoringDataLoader.getEventIndex('men', '110mh'), scoringDataLoader.getEventIndex('men', '110m h'));
+  assert.equal(eventConfigLoader.getEventInfo('decathlon'), eventConfigLoader.getEventInfo('dec'));
+  assert.ok(eventConfigLoader.getEventInfo('dec'));
+});
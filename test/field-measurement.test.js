@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFieldMeasurement, metresToFeetAndInches, formatImperial } from '../web/src/js/utils/field-measurement.js';
+
+test('parseFieldMeasurement reads metres and centimetres', () => {
+  assert.equal(parseFieldMeasurement('7.50'), 7.5);
+  assert.equal(parseFieldMeasurement('7.5 metres'), 7.5);
+  assert.equal(parseFieldMeasurement('750cm'), 7.5);
+  assert.equal(parseFieldMeasurement('750.9 cm'), 7.5);
+});
+
+test('parseFieldMeasurement reads feet and inches, rounded down to the centimetre', () => {
+  // 291.5 inches is 7.4041m
+  for (const mark of ['24\' 3.5"', '24\' 3½"', '24’ 3½”', '24-03.50', '24ft 3.5in', '291.5in']) {
+    assert.equal(parseFieldMeasurement(mark), 7.4, mark);
+  }
+  assert.equal(parseFieldMeasurement('6-8'), 2.03);
+  assert.equal(parseFieldMeasurement('24\''), 7.31);
+});
+
+test('parseFieldMeasurement rejects invalid marks', () => {
+  for (const mark of ['', 'far', '0', '6-12', '24\' 13"', null]) {
+    assert.equal(parseFieldMeasurement(mark), null, String(mark));
+  }
+});
+
+test('metresToFeetAndInches rounds down to the quarter inch', () => {
+  assert.deepEqual(metresToFeetAndInches(8.95), { feet: 29, inches: 4.25 });
+  assert.deepEqual(metresToFeetAndInches(2.4384), { feet: 8, inches: 0 });
+});
+
+test('formatImperial writes feet and inches', () => {
+  assert.equal(formatImperial(8.95), '29\' 4.25"');
+  assert.equal(formatImperial('2.00'), '6\' 6.5"');
+  assert.equal(formatImperial('x'), '');
+});
@@ -0,0 +1,55 @@
+/**
+ * Bundled Data
+ * Serves web/public/data to the data loaders in tests, so calculators run
+ * against the same files the app fetches.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { basename } from 'node:path';
+
+const DATA_DIR = new URL('../../web/public/data/', import.meta.url);
+
+/**
+ * In-memory stand-in for the browser's localStorage
+ */
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+
+  clear() {
+    this.items.clear();
+  }
+}
+
+/**
+ * Answer fetch requests for data files from the bundled data directory
+ * Query strings (e.g. the data version) are ignored. Loaders that save choices
+ * (e.g. the scoring tables edition) get an empty localStorage.
+ */
+export function useBundledData() {
+  globalThis.localStorage ??= new MemoryStorage();
+  globalThis.fetch = async url => {
+    const file = basename(String(url).split('?')[0]);
+
+    try {
+      const text = await readFile(fileURLToPath(new URL(file, DATA_DIR)), 'utf8');
+      return { ok: true, status: 200, statusText: 'OK', json: async () => JSON.parse(text) };
+    } catch {
+      return { ok: false, status: 404, statusText: 'Not Found', json: async () => null };
+    }
+  };
+}
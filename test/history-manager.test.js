@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HistoryManager } from '../web/src/js/utils/history-manager.js';
+
+const ENTRIES = [
+  HistoryManager.normalizeEntry({
+    calculator: 'score',
+    timestamp: Date.parse('2024-05-01T10:00:00Z'),
+    athlete: ' Ann ',
+    gender: 'women',
+    event: '100m',
+    eventDisplayName: '100m',
+    performance: '11.20',
+    score: 1150
+  }, 0),
+  HistoryManager.normalizeEntry({
+    calculator: 'pace',
+    timestamp: Date.parse('2024-05-02T10:00:00Z'),
+    distance: '5000m',
+    totalTime: '15:00',
+    pace: '3:00/km'
+  }, 1),
+  HistoryManager.normalizeEntry({
+    calculator: 'combined',
+    timestamp: Date.parse('2024-05-03T10:00:00Z'),
+    event: 'Decathlon',
+    performance: '10 events',
+    total: 7200
+  }, 2)
+];
+
+test('normalizeEntry fills in the id, tag and summary fields', () => {
+  const [score, pace, combined] = ENTRIES;
+
+  assert.match(score.id, /^hist-/);
+  assert.equal(score.athlete, 'Ann');
+  assert.deepEqual([score.event, score.performance, score.result], ['100m (Women)', '11.20', '1150 pts']);
+  assert.deepEqual([pace.event, pace.performance, pace.result], ['5000m', '15:00', '3:00/km']);
+  assert.equal(combined.result, '7200 pts');
+  assert.equal(HistoryManager.normalizeEntry({ calculator: 'nope' }, 3).calculator, 'score');
+  assert.equal(HistoryManager.normalizeEntry({ position: -2 }, 3).position, -2);
+});
+
+test('getSearchText covers the tag, event, result and calculator', () => {
+  const text = HistoryManager.getSearchText(ENTRIES[0]);
+
+  for (const term of ['ann', '100m', '1150 pts', 'score', 'women']) {
+    assert.ok(text.includes(term), term);
+  }
+});
+
+test('entries round-trip through the JSON export without their positions', () => {
+  const entries = HistoryManager.parseJsonExport(HistoryManager.exportJson(ENTRIES));
+
+  assert.deepEqual(entries, ENTRIES.map(({ position, ...entry }) => entry));
+});
+
+test('entries round-trip through the CSV export with their details', () => {
+  const entries = HistoryManager.parseCsvExport(HistoryManager.exportCsv(ENTRIES));
+
+  assert.deepEqual(entries, ENTRIES.map(({ position, ...entry }) => entry));
+});
+
+test('imports reject files that are not history exports', () => {
+  assert.throws(() => HistoryManager.parseJsonExport('{'), /not valid JSON/);
+  assert.throws(() => HistoryManager.parseJsonExport('{"entries": []}'), /not an Athletics Utilities history export/);
+  assert.deepEqual(HistoryManager.parseJsonExport('[{"event": "100m", "position": 4}, 3]'), [{ event: '100m' }]);
+  assert.throws(() => HistoryManager.parseCsvExport('event,performance\n100m,10.00'), /must have the columns/);
+});
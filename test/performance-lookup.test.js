@@ -0,0 +1,94 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { useBundledData } from './helpers/bundled-data.js';
+import { scoringDataLoader } from '../web/src/js/data/scoring-data-loader.js';
+import { eventConfigLoader } from '../web/src/js/data/event-config-loader.js';
+import { lookupPoints, lookupPerformance, interpolatePoints } from '../web/src/js/calculators/performance-lookup.js';
+
+before(async () => {
+  useBundledData();
+  await Promise.all([scoringDataLoader.load(), eventConfigLoader.load()]);
+});
+
+test('lookupPoints finds an exact table entry', () => {
+  const result = lookupPoints('men', '100m', '10.00');
+
+  assert.equal(result.points, 1206);
+  assert.equal(result.exactMatch, true);
+  assert.equal(result.closestPerformance, '10.00');
+});
+
+test('lookupPoints scores a time between entries with the lower row', () => {
+  const result = lookupPoints('men', '100m', '16.68');
+
+  assert.equal(result.points, 2);
+  assert.equal(result.exactMatch, false);
+  assert.equal(result.closestPerformance, '16.71');
+});
+
+test('lookupPoints scores a mark between entries with the lower row when higher is better', () => {
+  const result = lookupPoints('men', 'jt', '100.87');
+
+  assert.equal(result.points, 1399);
+  assert.equal(result.exactMatch, false);
+  assert.equal(result.closestPerformance, '100.83');
+});
+
+test('lookupPoints clamps performances outside the table to the first or last row', () => {
+  assert.equal(lookupPoints('men', '100m', '9.40').points, 1400);
+  assert.equal(lookupPoints('men', '100m', '17.50').points, 1);
+});
+
+test('lookupPoints resolves event aliases', () => {
+  assert.deepEqual(lookupPoints('men', '110mh', '13.50'), lookupPoints('men', '110m h', '13.50'));
+});
+
+test('lookupPoints returns null for an unknown event or an invalid performance', () => {
+  assert.equal(lookupPoints('men', 'not an event', '10.00'), null);
+  assert.equal(lookupPoints('men', '100m', 'fast'), null);
+});
+
+test('lookupPerformance returns the performance for an exact score', () => {
+  assert.deepEqual(lookupPerformance('men', '100m', 1206), { performance: '10.00', exactMatch: true, points: 1206 });
+});
+
+test('lookupPerformance returns the lower score between entries', () => {
+  assert.deepEqual(lookupPerformance('men', '100m', 1205), { performance: '10.01', exactMatch: false, points: 1203 });
+});
+
+test('lookupPerformance clamps scores outside the table', () => {
+  assert.equal(lookupPerformance('men', '100m', 1500).performance, '9.46');
+  assert.equal(lookupPerformance('men', '100m', 0).performance, '16.79');
+});
+
+test('lookupPerformance converts to the equivalent hand time', () => {
+  const result = lookupPerformance('men', '100m', 1206, true);
+
+  assert.equal(result.performance, '9.7');
+  assert.equal(result.appliedOffset, -0.24);
+  assert.equal(result.originalPerformance, '10.00');
+});
+
+test('interpolatePoints interpolates between the surrounding rows', () => {
+  const time = interpolatePoints('men', '100m', '16.68');
+  assert.equal(time.points, 2.5);
+  assert.equal(time.officialPoints, 2);
+  assert.deepEqual(time.lowerEntry, [2, '16.71']);
+  assert.deepEqual(time.upperEntry, [3, '16.65']);
+
+  assert.equal(interpolatePoints('men', 'jt', '100.87').points, 1399.57);
+});
+
+test('interpolatePoints returns the table score for an exact entry', () => {
+  const result = interpolatePoints('men', '100m', '10.00');
+
+  assert.equal(result.points, 1206);
+  assert.equal(result.outOfRange, false);
+});
+
+test('interpolatePoints clamps performances outside the table', () => {
+  const result = interpolatePoints('men', '100m', '9.40');
+
+  assert.equal(result.points, 1400);
+  assert.equal(result.outOfRange, true);
+});
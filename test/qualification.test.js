@@ -0,0 +1,120 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { useBundledData } from './helpers/bundled-data.js';
+import { scoringDataLoader } from '../web/src/js/data/scoring-data-loader.js';
+import { eventConfigLoader } from '../web/src/js/data/event-config-loader.js';
+import { qualificationStandardsLoader } from '../web/src/js/data/qualification-standards-loader.js';
+import {
+  QUALIFICATION_STATUS,
+  getStandardWindow,
+  isInWindow,
+  formatWindow,
+  checkMark,
+  checkMarks,
+  mergeChampionships,
+  buildStandardsCsv,
+  parseStandardsCsv,
+  formatGap
+} from '../web/src/js/calculators/qualification.js';
+
+let olympics;
+
+before(async () => {
+  useBundledData();
+  await Promise.all([scoringDataLoader.load(), eventConfigLoader.load(), qualificationStandardsLoader.load()]);
+  olympics = qualificationStandardsLoader.getChampionships().find(championship => championship.key === 'olympics-2024');
+});
+
+test('events with their own window use it instead of the championship window', () => {
+  assert.deepEqual(getStandardWindow(olympics, '100m'), { start: '2023-07-01', end: '2024-06-30' });
+  assert.deepEqual(getStandardWindow(olympics, 'marathon'), { start: '2022-11-01', end: '2024-04-30' });
+});
+
+test('isInWindow includes both ends and formatWindow describes open ends', () => {
+  const window = { start: '2023-07-01', end: '2024-06-30' };
+
+  assert.equal(isInWindow('2023-07-01', window), true);
+  assert.equal(isInWindow('2024-06-30', window), true);
+  assert.equal(isInWindow('2024-07-01', window), false);
+  assert.equal(isInWindow('1990-01-01', null), true);
+  assert.equal(formatWindow(window), '2023-07-01 to 2024-06-30');
+  assert.equal(formatWindow({ start: null, end: '2024-06-30' }), 'Until 2024-06-30');
+  assert.equal(formatWindow(null), 'Any date');
+});
+
+test('checkMark qualifies a mark that meets the standard in the window', () => {
+  const check = checkMark('men', { event: '100m', performance: '9.98', date: '2024-05-01', wind: null }, olympics);
+
+  assert.equal(check.status, QUALIFICATION_STATUS.qualified);
+  assert.equal(check.gap, 0.02);
+  assert.equal(check.pointsGap, check.markPoints - check.standardPoints);
+  assert.ok(check.pointsGap > 0);
+});
+
+test('checkMark rounds times up before comparing them with the standard', () => {
+  const check = checkMark('men', { event: '100m', performance: '10.001', date: '2024-05-01', wind: null }, olympics);
+
+  assert.equal(check.gap, -0.01);
+  assert.equal(check.status, QUALIFICATION_STATUS.notMet);
+});
+
+test('checkMark flags marks outside the window or with too much wind', () => {
+  const late = checkMark('men', { event: '100m', performance: '9.90', date: '2024-07-15', wind: null }, olympics);
+  const windy = checkMark('men', { event: '100m', performance: '9.90', date: '2024-05-01', wind: 2.5 }, olympics);
+
+  assert.equal(late.status, QUALIFICATION_STATUS.outsideWindow);
+  assert.equal(windy.status, QUALIFICATION_STATUS.windAssisted);
+});
+
+test('checkMark compares field marks with higher being better', () => {
+  const lj = olympics.standards.men.lj;
+  const check = checkMark('men', { event: 'lj', performance: (parseFloat(lj) - 0.1).toFixed(2), date: '2024-05-01', wind: 0 }, olympics);
+
+  assert.equal(check.gap, -0.1);
+  assert.equal(check.status, QUALIFICATION_STATUS.notMet);
+  assert.equal(formatGap(check.gap, 'lj'), '0.10m outside');
+});
+
+test('checkMarks skips championships without a standard for the event', () => {
+  const other = { key: 'club', name: 'Club', level: 'national', window: null, standards: { men: { '400m': '50.00' }, women: {} } };
+  const checks = checkMarks('men', [{ event: '100m', performance: '10.20', date: '2024-05-01', wind: null }], [olympics, other]);
+
+  assert.equal(checks.length, 1);
+  assert.equal(checks[0].championship.key, 'olympics-2024');
+});
+
+test('mergeChampionships lets imported championships replace bundled ones by name', () => {
+  const imported = { key: 'imported-x', name: olympics.name.toUpperCase(), level: 'global', window: null, standards: { men: {}, women: {} } };
+  const national = { key: 'n', name: 'Nationals', level: 'national', window: null, standards: { men: {}, women: {} } };
+  const merged = mergeChampionships([national, olympics], [imported]);
+
+  assert.deepEqual(merged.map(championship => [championship.key, championship.source]), [['imported-x', 'imported'], ['n', 'bundled']]);
+});
+
+test('standards round-trip through the spreadsheet with event windows', () => {
+  const { championships, errors } = parseStandardsCsv(buildStandardsCsv([olympics]));
+
+  assert.deepEqual(errors, []);
+  assert.equal(championships.length, 1);
+  // Standards are written as shown on the page, so compare their values
+  const values = standards => Object.fromEntries(Object.entries(standards).map(([gender, events]) => [
+    gender,
+    Object.fromEntries(Object.entries(events).map(([event, standard]) => [event, parseFloat(standard)]))
+  ]));
+  assert.deepEqual(values(championships[0].standards), values(olympics.standards));
+  assert.deepEqual(championships[0].window, olympics.window);
+  assert.deepEqual(getStandardWindow(championships[0], 'marathon'), olympics.eventWindows.marathon);
+});
+
+test('parseStandardsCsv reports rows it cannot read', () => {
+  const { championships, errors } = parseStandardsCsv([
+    'Championship,Gender,Event,Standard,Window Start',
+    'Nationals,m,100m,10.50,2025-01-01',
+    'Nationals,x,100m,10.50,',
+    'Nationals,m,nope,10.50,',
+    'Nationals,w,800m,2:05.00,01/01/2025'
+  ].join('\n'));
+
+  assert.equal(championships[0].standards.men['100m'], '10.50');
+  assert.deepEqual(errors.map(error => error.line), [3, 4, 5]);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRacePlan, parseCustomSegments, applyRacePlan } from '../web/src/js/calculators/race-plan.js';
+
+const TEN_KM = 10000;
+const GOAL = 2400;
+
+test('every strategy adds up to the goal time', () => {
+  const options = { percent: 4, stepSeconds: 3, customSegments: 'first 5km at 4:10, then 4:00' };
+
+  for (const strategy of ['even', 'negative', 'positive', 'progressive', 'custom']) {
+    const plan = createRacePlan(strategy, options, TEN_KM, GOAL);
+    assert.ok(Math.abs(plan.timeAtDistance(TEN_KM) - GOAL) < 1e-9, strategy);
+  }
+});
+
+test('a negative split runs the second half faster by the percentage', () => {
+  const [first, second] = createRacePlan('negative', { percent: 10 }, TEN_KM, GOAL).segments;
+
+  assert.equal(first.endMetres, 5000);
+  assert.ok(Math.abs(second.pacePerKm / first.pacePerKm - 0.9) < 1e-12);
+});
+
+test('a progressive plan gets faster by the step each km', () => {
+  const { segments } = createRacePlan('progressive', { stepSeconds: 5 }, TEN_KM, GOAL);
+
+  assert.equal(segments.length, 10);
+  assert.equal(segments[0].pacePerKm, 262.5);
+  assert.equal(segments[9].pacePerKm, 217.5);
+});
+
+test('custom paces are scaled to the goal time', () => {
+  const plan = createRacePlan('custom', { customSegments: 'first 5km at 4:10, then 4:00' }, TEN_KM, GOAL);
+
+  assert.ok(Math.abs(plan.scale - 2400 / 2450) < 1e-12);
+  assert.ok(Math.abs(plan.segments[0].pacePerKm - 250 * plan.scale) < 1e-9);
+});
+
+test('invalid options are rejected', () => {
+  assert.throws(() => createRacePlan('negative', { percent: 60 }, TEN_KM, GOAL), /between 0 and 50/);
+  assert.throws(() => createRacePlan('progressive', { stepSeconds: 0 }, TEN_KM, GOAL), /seconds faster/);
+  assert.throws(() => createRacePlan('progressive', { stepSeconds: 60 }, TEN_KM, GOAL), /impossible pace/);
+  assert.throws(() => createRacePlan('even', {}, 0, GOAL), /greater than 0/);
+});
+
+test('parseCustomSegments reads distances, mile paces and the rest of the race', () => {
+  const segments = parseCustomSegments('2 mi @ 7:00/mi\n1000m at 4:00; rest 3:50');
+
+  assert.equal(segments.length, 3);
+  assert.ok(Math.abs(segments[0].distanceMetres - 3218.688) < 1e-9);
+  assert.ok(Math.abs(segments[0].pacePerKm - 420 / 1.609344) < 1e-9);
+  assert.deepEqual(segments[1], { distanceMetres: 1000, pacePerKm: 240 });
+  assert.deepEqual(segments[2], { distanceMetres: null, pacePerKm: 230 });
+});
+
+test('parseCustomSegments rejects unreadable segments', () => {
+  assert.throws(() => parseCustomSegments(''), /at least one segment/);
+  assert.throws(() => parseCustomSegments('4:00, then 5km at 4:10'), /Only the last segment/);
+  assert.throws(() => parseCustomSegments('quickly'), /Could not read segment "quickly"/);
+});
+
+test('applyRacePlan gives split times and paces from the plan', () => {
+  const plan = createRacePlan('negative', { percent: 10 }, TEN_KM, GOAL);
+  const splits = applyRacePlan([{ distanceMetres: 5000 }, { distanceMetres: 10000 }], plan);
+
+  assert.ok(Math.abs(splits[0].time + splits[1].splitTime - GOAL) < 1e-9);
+  assert.ok(Math.abs(splits[1].pacePerKm - plan.segments[1].pacePerKm) < 1e-9);
+});
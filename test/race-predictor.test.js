@@ -0,0 +1,47 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { useBundledData } from './helpers/bundled-data.js';
+import { scoringDataLoader } from '../web/src/js/data/scoring-data-loader.js';
+import { eventConfigLoader } from '../web/src/js/data/event-config-loader.js';
+import { predictRiegelTime, predictRaceTimes } from '../web/src/js/calculators/race-predictor.js';
+import { lookupPoints } from '../web/src/js/calculators/performance-lookup.js';
+
+before(async () => {
+  useBundledData();
+  await Promise.all([scoringDataLoader.load(), eventConfigLoader.load()]);
+});
+
+test('predictRiegelTime scales the time by the distance ratio to the exponent', () => {
+  assert.equal(predictRiegelTime(900, 5000, 10000, 1.06), 900 * Math.pow(2, 1.06));
+  assert.equal(predictRiegelTime(900, 5000, 10000, 1), 1800);
+  assert.equal(predictRiegelTime(900, 5000, 5000), 900);
+});
+
+test('predictRiegelTime rejects distances and times that are not positive', () => {
+  assert.throws(() => predictRiegelTime(0, 5000, 10000), /greater than 0/);
+  assert.throws(() => predictRiegelTime(900, 5000, -1), /greater than 0/);
+});
+
+test('predictRaceTimes predicts every pace calculator distance', () => {
+  const { points, predictions } = predictRaceTimes('men', '5000m', 900);
+  const fiveK = predictions.find(prediction => prediction.event === '5km');
+  const tenK = predictions.find(prediction => prediction.event === '10km');
+
+  assert.equal(points, lookupPoints('men', '5000m', '900.00').points);
+  assert.equal(fiveK.riegelTime, 900);
+  assert.equal(tenK.riegelTime, predictRiegelTime(900, 5000, 10000));
+  assert.equal(tenK.difference, tenK.riegelTime - tenK.tableTime);
+});
+
+test('table equivalents are worth the points of the result', () => {
+  const { points, predictions } = predictRaceTimes('men', '5000m', 900);
+
+  for (const prediction of predictions.filter(p => p.tableTime !== null)) {
+    assert.ok(Math.abs(lookupPoints('men', prediction.event, prediction.tableTime.toFixed(2)).points - points) <= 1,
+      prediction.event);
+  }
+});
+
+test('predictRaceTimes rejects an exponent out of range', () => {
+  assert.throws(() => predictRaceTimes('men', '5000m', 900, 1.5), /between 1 and 1.2/);
+});
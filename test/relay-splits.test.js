@@ -0,0 +1,77 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { useBundledData } from './helpers/bundled-data.js';
+import { scoringDataLoader } from '../web/src/js/data/scoring-data-loader.js';
+import { eventConfigLoader } from '../web/src/js/data/event-config-loader.js';
+import { resolveSplits, analyseRelay, RELAY_LEGS } from '../web/src/js/calculators/relay-splits.js';
+import { lookupPoints } from '../web/src/js/calculators/performance-lookup.js';
+
+const MEN = ['men', 'men', 'men', 'men'];
+
+before(async () => {
+  useBundledData();
+  await Promise.all([scoringDataLoader.load(), eventConfigLoader.load()]);
+});
+
+test('resolveSplits uses the sum of four splits as the team time', () => {
+  assert.deepEqual(resolveSplits(null, [10.5, 9.2, 9.4, 9.1]), {
+    total: 10.5 + 9.2 + 9.4 + 9.1,
+    splits: [10.5, 9.2, 9.4, 9.1],
+    derivedLeg: null,
+    splitSumDifference: 0
+  });
+});
+
+test('resolveSplits works out the missing split from the team time', () => {
+  const result = resolveSplits(38.2, [10.5, null, 9.4, 9.1]);
+
+  assert.equal(result.derivedLeg, 1);
+  assert.equal(result.splits[1], 9.2);
+});
+
+test('resolveSplits needs the team time and three splits at least', () => {
+  assert.throws(() => resolveSplits(null, [10.5, null, 9.4, 9.1]), /team time and three splits/);
+  assert.throws(() => resolveSplits(38.2, [10.5, null, null, 9.1]), /team time and three splits/);
+  assert.throws(() => resolveSplits(20, [10.5, null, 9.4, 9.1]), /more than the team time/);
+});
+
+test('analyseRelay adds the default flying start to legs 2 to 4', () => {
+  const result = analyseRelay('men', '4x100m', { total: null, splits: [10.5, 9.2, 9.4, 9.1], legGenders: MEN });
+
+  assert.deepEqual(result.legs.map(leg => leg.flyingStart), [0, 0.9, 0.9, 0.9]);
+  assert.equal(result.legs[1].openEquivalent, 9.2 + RELAY_LEGS['4x100m'].flyingStart);
+  assert.equal(result.legs[1].points, lookupPoints('men', '100m', '10.10').points);
+  assert.equal(result.teamPoints, lookupPoints('men', '4x100m', '38.20').points);
+});
+
+test('analyseRelay uses the flying start allowance given', () => {
+  const result = analyseRelay('men', '4x400m', { total: null, splits: [46, 45, 45, 44], legGenders: MEN, flyingStart: 0.3 });
+
+  assert.deepEqual(result.legs.map(leg => leg.openEquivalent), [46, 45.3, 45.3, 44.3]);
+});
+
+test('analyseRelay accepts no allowance and rejects one out of range', () => {
+  const options = { total: null, splits: [46, 45, 45, 44], legGenders: MEN };
+
+  assert.equal(analyseRelay('men', '4x400m', { ...options, flyingStart: 0 }).legs[3].openEquivalent, 44);
+  assert.throws(() => analyseRelay('men', '4x400m', { ...options, flyingStart: 3 }), /between 0 and 2 seconds/);
+});
+
+test('mixed relays score the team with the mixed tables and each leg by gender', () => {
+  const result = analyseRelay('mixed', '4x400m', {
+    total: null,
+    splits: [46, 52, 51, 45],
+    legGenders: ['men', 'women', 'women', 'men']
+  });
+
+  assert.ok(result.teamPoints > 0);
+  assert.equal(result.teamPoints, lookupPoints('mixed', '4x400m', '194.00').points);
+  assert.equal(result.legs[1].points, lookupPoints('women', '400m', '52.60').points);
+});
+
+test('analyseRelay flags splits that do not add up to the team time', () => {
+  const result = analyseRelay('men', '4x100m', { total: 38.5, splits: [10.5, 9.2, 9.4, 9.1], legGenders: MEN });
+
+  assert.equal(result.hasSplitMismatch, true);
+  assert.equal(result.total, 38.5);
+});
@@ -0,0 +1,101 @@
+import 'fake-indexeddb/auto';
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ScorecardPanel } from '../web/src/js/components/scorecard-panel.js';
+import { IndexedDbStore } from '../web/src/js/utils/indexed-db-store.js';
+
+// The same database the panel uses
+const store = new IndexedDbStore('athleticsUtils.scorecards', 'scorecards');
+
+/**
+ * Scorecard as the combined events page reports it
+ * @param {Object} marks - Marks by event key
+ * @returns {Object}
+ */
+function scorecardWith(marks) {
+  return {
+    gender: 'men',
+    ageGroup: 'Senior',
+    combinedEvent: 'decathlon',
+    displayName: 'Decathlon',
+    marks,
+    total: 999 * Object.keys(marks).length,
+    completed: Object.keys(marks).length,
+    eventCount: 10
+  };
+}
+
+/**
+ * Panel without its page, recording its status messages
+ * @param {Object} scorecard - Scorecard returned by getScorecard
+ * @returns {ScorecardPanel}
+ */
+function createPanel(scorecard) {
+  const panel = new ScorecardPanel({ getScorecard: () => scorecard });
+  panel.messages = [];
+  panel.showStatus = message => panel.messages.push(message);
+  panel.nameInput = { value: '', classList: { add() {}, remove() {} } };
+  return panel;
+}
+
+/**
+ * Named scorecards in the store, as the panel lists them
+ * @returns {Promise<Array<Object>>}
+ */
+async function savedScorecards() {
+  return (await store.getAll()).filter(record => record.kind === 'saved');
+}
+
+beforeEach(async () => {
+  for (const record of await store.getAll()) {
+    await store.delete(record.id);
+  }
+});
+
+test('the scorecard in progress is kept for its gender and combined event', async () => {
+  const panel = createPanel();
+  await panel.saveDraft(scorecardWith({ '100m': '10.40' }));
+
+  assert.deepEqual((await panel.getDraft('men', 'decathlon')).marks, { '100m': '10.40' });
+  assert.equal(await panel.getDraft('women', 'decathlon'), null);
+  assert.equal(await panel.getDraft('men', 'heptathlon'), null);
+});
+
+test('clearing every mark removes the scorecard in progress', async () => {
+  const panel = createPanel();
+  await panel.saveDraft(scorecardWith({ '100m': '10.40' }));
+  await panel.saveDraft(scorecardWith({}));
+
+  assert.equal(await panel.getDraft('men', 'decathlon'), null);
+});
+
+test('named scorecards need a mark and a name', async () => {
+  const empty = createPanel(scorecardWith({}));
+  empty.nameInput.value = 'Club Champs';
+  await empty.handleSave();
+
+  const unnamed = createPanel(scorecardWith({ '100m': '10.40' }));
+  await unnamed.handleSave();
+
+  assert.match(empty.messages[0], /at least one mark/);
+  assert.match(unnamed.messages[0], /Enter a name/);
+  assert.deepEqual(await savedScorecards(), []);
+});
+
+test('saving under the same name replaces the named scorecard', async () => {
+  const panel = createPanel(scorecardWith({ '100m': '10.40' }));
+  panel.nameInput.value = ' Club Champs ';
+  await panel.handleSave();
+
+  panel.scorecards = await savedScorecards();
+  panel.getScorecard = () => scorecardWith({ '100m': '10.40', lj: '7.50' });
+  panel.nameInput.value = 'club champs';
+  await panel.handleSave();
+
+  const saved = await savedScorecards();
+  assert.equal(saved.length, 1);
+  assert.equal(saved[0].name, 'club champs');
+  assert.deepEqual(saved[0].marks, { '100m': '10.40', lj: '7.50' });
+  assert.deepEqual(panel.messages, ['Saved "Club Champs".', 'Updated "club champs".']);
+  assert.equal(panel.nameInput.value, '');
+});
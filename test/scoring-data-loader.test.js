@@ -0,0 +1,71 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { useBundledData } from './helpers/bundled-data.js';
+import { scoringDataLoader } from '../web/src/js/data/scoring-data-loader.js';
+
+let requests;
+
+beforeEach(() => {
+  useBundledData();
+  localStorage.clear();
+  scoringDataLoader.clear();
+
+  const bundledFetch = globalThis.fetch;
+  requests = [];
+  globalThis.fetch = (url, options) => {
+    requests.push(String(url));
+    return bundledFetch(url, options);
+  };
+});
+
+test('load uses the default edition from the manifest with its data version', async () => {
+  await scoringDataLoader.load();
+
+  assert.equal(scoringDataLoader.getEdition().id, '2025');
+  assert.ok(requests.includes('/data/athletics_scoring_tables.min.json?v=2025.2'));
+  assert.ok(scoringDataLoader.getEventIndex('men', '100m'));
+});
+
+test('getEditions lists the editions that are not available without a file', async () => {
+  await scoringDataLoader.load();
+
+  assert.deepEqual(
+    scoringDataLoader.getEditions().map(edition => [edition.id, Boolean(edition.file)]),
+    [['2025', true], ['2022', false], ['2017', false]]
+  );
+});
+
+test('setEdition saves the choice and clears the loaded data', async () => {
+  await scoringDataLoader.load();
+  scoringDataLoader.setEdition('2025');
+
+  assert.equal(scoringDataLoader.getSelectedEditionId(), '2025');
+  assert.equal(scoringDataLoader.data, null);
+  assert.equal(scoringDataLoader.getEdition(), null);
+});
+
+test('an edition that is not available falls back to the default', async () => {
+  scoringDataLoader.setEdition('2017');
+  await scoringDataLoader.load();
+
+  assert.equal(scoringDataLoader.getSelectedEditionId(), '2017');
+  assert.equal(scoringDataLoader.getEdition().id, '2025');
+});
+
+test('load falls back to the built-in manifest when it cannot be fetched', async () => {
+  const bundledFetch = globalThis.fetch;
+  globalThis.fetch = async (url, options) => String(url).includes('scoring-tables-manifest')
+    ? { ok: false, status: 503, statusText: 'Service Unavailable', json: async () => null }
+    : bundledFetch(url, options);
+
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    await scoringDataLoader.load();
+  } finally {
+    console.warn = warn;
+  }
+
+  assert.equal(scoringDataLoader.getEdition().id, '2025');
+  assert.ok(requests.includes('/data/athletics_scoring_tables.min.json'));
+});
@@ -0,0 +1,56 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { useBundledData } from './helpers/bundled-data.js';
+import { scoringDataLoader } from '../web/src/js/data/scoring-data-loader.js';
+import { eventConfigLoader } from '../web/src/js/data/event-config-loader.js';
+import {
+  resolvePointsBounds,
+  getTableBounds,
+  getTableRows,
+  findRowIndex
+} from '../web/src/js/calculators/scoring-table-explorer.js';
+
+before(async () => {
+  useBundledData();
+  await Promise.all([scoringDataLoader.load(), eventConfigLoader.load()]);
+});
+
+test('resolvePointsBounds orders points bounds and defaults to the whole table', () => {
+  assert.deepEqual(resolvePointsBounds('men', '100m', { mode: 'points', from: 900, to: 1000 }), { minPoints: 900, maxPoints: 1000 });
+  assert.deepEqual(resolvePointsBounds('men', '100m', { mode: 'points', from: '', to: null }), { minPoints: 1, maxPoints: 1400 });
+});
+
+test('resolvePointsBounds clamps bounds outside the table', () => {
+  assert.deepEqual(resolvePointsBounds('men', '100m', { mode: 'points', from: 2000, to: -5 }), { minPoints: 1, maxPoints: 1400 });
+});
+
+test('resolvePointsBounds converts performance bounds to points', () => {
+  assert.deepEqual(resolvePointsBounds('men', '100m', { mode: 'performance', from: '10.01', to: '10.00' }), { minPoints: 1203, maxPoints: 1206 });
+});
+
+test('resolvePointsBounds returns null for an event without a table', () => {
+  assert.equal(resolvePointsBounds('men', 'nope', { mode: 'points' }), null);
+});
+
+test('getTableBounds names the best and worst performances', () => {
+  assert.deepEqual(getTableBounds('men', '100m'), { minPoints: 1, maxPoints: 1400, bestPerformance: '9.46', worstPerformance: '16.79' });
+  assert.equal(getTableBounds('men', 'jt').bestPerformance, '100.90');
+});
+
+test('getTableRows lists rows in range with compared events', () => {
+  const rows = getTableRows('men', '100m', ['200m'], { minPoints: 1203, maxPoints: 1206 });
+
+  assert.deepEqual(rows.map(row => [row.points, row.performance]), [[1206, '10.00'], [1203, '10.01']]);
+  assert.equal(rows[0].comparisons[0].event, '200m');
+  assert.ok(rows[0].comparisons[0].performance);
+});
+
+test('findRowIndex finds the row with the score or the next lower one', () => {
+  const rows = [{ points: 1206 }, { points: 1203 }, { points: 1199 }];
+
+  assert.equal(findRowIndex(rows, 1203), 1);
+  assert.equal(findRowIndex(rows, 1205), 1);
+  assert.equal(findRowIndex(rows, 1300), -1);
+  assert.equal(findRowIndex(rows, 1000), -1);
+  assert.equal(findRowIndex([], 1000), -1);
+});
@@ -0,0 +1,39 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readShareState, buildShareUrl, updateShareUrl } from '../web/src/js/utils/share-link.js';
+
+/**
+ * Point the page at a URL, with replaceState moving it like the browser does
+ * @param {string} url
+ */
+function visit(url) {
+  globalThis.window = {
+    location: new URL(url),
+    history: {
+      replaceState(state, title, next) {
+        window.location = new URL(next);
+      }
+    }
+  };
+}
+
+beforeEach(() => {
+  visit('https://athleticsutils.com/calculators/score.html');
+});
+
+test('readShareState returns null for a URL without state', () => {
+  assert.equal(readShareState(), null);
+});
+
+test('buildShareUrl leaves out empty values and encodes the rest', () => {
+  const url = buildShareUrl({ gender: 'men', event: '110m h', performance: '13.10', wind: '', ageGroup: null, target: undefined });
+
+  assert.equal(url, 'https://athleticsutils.com/calculators/score.html?gender=men&event=110m+h&performance=13.10');
+  assert.equal(buildShareUrl({}), 'https://athleticsutils.com/calculators/score.html');
+});
+
+test('state round-trips through the address bar as strings', () => {
+  updateShareUrl({ mode: 'score', score: 1000, event: '1500m' });
+
+  assert.deepEqual(readShareState(), { mode: 'score', score: '1000', event: '1500m' });
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getTimedRace, DEFAULT_TIMED_RACE } from '../web/src/js/calculators/timed-races.js';
+import {
+  calculateDistance,
+  calculateDistanceFromSpeed,
+  getEquivalentDistances
+} from '../web/src/js/calculators/pace-calculations.js';
+import { createTrack, countLaps } from '../web/src/js/calculators/track-laps.js';
+
+const near = (actual, expected, tolerance = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not close to ${expected}`);
+
+test('getTimedRace returns the race with its key', () => {
+  assert.deepEqual(getTimedRace(DEFAULT_TIMED_RACE), { key: '1h', name: '1 Hour', seconds: 3600 });
+  assert.equal(getTimedRace('24h').seconds, 86400);
+  assert.equal(getTimedRace('2h'), null);
+});
+
+test('calculateDistance covers the distance run at a pace', () => {
+  const { seconds } = getTimedRace('1h');
+
+  near(calculateDistance(seconds, 180, 'km'), 20000);
+  near(calculateDistance(seconds, 72, '400m'), 20000);
+  near(calculateDistance(seconds, 360, 'mile'), 10 * 1609.344);
+});
+
+test('calculateDistanceFromSpeed covers the distance run at a speed', () => {
+  near(calculateDistanceFromSpeed(3600, 12, 'kmh'), 12000);
+  near(calculateDistanceFromSpeed(100, 5, 'ms'), 500);
+});
+
+test('calculateDistance rejects a pace or time that is not positive', () => {
+  assert.throws(() => calculateDistance(0, 180, 'km'), /greater than 0/);
+  assert.throws(() => calculateDistanceFromSpeed(3600, 0, 'kmh'), /greater than 0/);
+});
+
+test('getEquivalentDistances gives the distance in every unit', () => {
+  const distances = getEquivalentDistances(1609.344);
+
+  near(distances.km, 1.609344);
+  near(distances.miles, 1);
+  near(distances.yards, 1760);
+  near(distances.feet, 5280);
+});
+
+test('a one hour distance is counted in laps of the chosen track', () => {
+  const distanceMetres = calculateDistance(3600, 180, 'km');
+
+  assert.deepEqual(countLaps(createTrack('outdoor'), distanceMetres), { laps: 50, extraMetres: 0, lapMetres: 400 });
+  assert.deepEqual(countLaps(createTrack('indoor'), distanceMetres + 150), { laps: 100, extraMetres: 150, lapMetres: 200 });
+});
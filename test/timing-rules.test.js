@@ -0,0 +1,71 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { useBundledData } from './helpers/bundled-data.js';
+import { eventConfigLoader } from '../web/src/js/data/event-config-loader.js';
+import {
+  getHandTimingOffset,
+  supportsHandTiming,
+  getTimePrecision,
+  roundTimeUp,
+  applyTimingRules,
+  toHandTime,
+  TIME_PRECISION
+} from '../web/src/js/utils/timing-rules.js';
+
+before(async () => {
+  useBundledData();
+  await eventConfigLoader.load();
+});
+
+test('hand timing offsets are 0.24s to 200m and 0.14s for 300m and 400m', () => {
+  assert.equal(getHandTimingOffset('100m'), 0.24);
+  assert.equal(getHandTimingOffset('110mh'), 0.24);
+  assert.equal(getHandTimingOffset('400m h'), 0.14);
+  assert.equal(getHandTimingOffset('800m'), null);
+  assert.equal(supportsHandTiming('1500m'), false);
+});
+
+test('times are recorded to hundredths, tenths beyond 10,000m and by hand, and whole seconds on the road', () => {
+  assert.equal(getTimePrecision('100m'), TIME_PRECISION.hundredths);
+  assert.equal(getTimePrecision('10000m'), TIME_PRECISION.hundredths);
+  assert.equal(getTimePrecision('100m', true), TIME_PRECISION.tenths);
+  assert.equal(getTimePrecision('20000m w'), TIME_PRECISION.tenths);
+  assert.equal(getTimePrecision('marathon'), TIME_PRECISION.seconds);
+  assert.equal(getTimePrecision('lj'), null);
+});
+
+test('roundTimeUp rounds to the next longer time without floating point noise', () => {
+  assert.equal(roundTimeUp(10.111, 2), 10.12);
+  assert.equal(roundTimeUp(10.1, 2), 10.1);
+  assert.equal(roundTimeUp(10.11, 1), 10.2);
+  assert.equal(roundTimeUp(0.3 * 3, 1), 0.9);
+});
+
+test('applyTimingRules rounds up and warns when a time is too precise', () => {
+  const result = applyTimingRules(10.111, '100m');
+
+  assert.equal(result.time, 10.12);
+  assert.equal(result.value, 10.12);
+  assert.equal(result.offset, null);
+  assert.match(result.warning, /hundredth/);
+  assert.equal(applyTimingRules(10.12, '100m').warning, null);
+});
+
+test('applyTimingRules rounds a hand time to tenths then adds the offset', () => {
+  const result = applyTimingRules(10.83, '100m', true);
+
+  assert.equal(result.time, 10.9);
+  assert.equal(result.value, 11.14);
+  assert.equal(result.offset, 0.24);
+  assert.match(result.warning, /tenth/);
+});
+
+test('applyTimingRules leaves field marks alone', () => {
+  assert.deepEqual(applyTimingRules(7.456, 'lj'), { time: 7.456, value: 7.456, offset: null, warning: null });
+});
+
+test('toHandTime gives the slowest hand time that scores as well', () => {
+  assert.deepEqual(toHandTime(10.0, '100m'), { time: 9.7, offset: 0.24 });
+  assert.deepEqual(toHandTime(10.04, '100m'), { time: 9.8, offset: 0.24 });
+  assert.equal(toHandTime(120, '800m'), null);
+});
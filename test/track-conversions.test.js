@@ -0,0 +1,91 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { useBundledData } from './helpers/bundled-data.js';
+import { scoringDataLoader } from '../web/src/js/data/scoring-data-loader.js';
+import { eventConfigLoader } from '../web/src/js/data/event-config-loader.js';
+import {
+  getMetricEvent,
+  isYardEvent,
+  supportsTrackType,
+  convertToMetric,
+  convertFromMetric,
+  prepareForScoring
+} from '../web/src/js/calculators/track-conversions.js';
+import { supportsHandTiming, getHandTimingOffset } from '../web/src/js/utils/timing-rules.js';
+import { scoreBatch } from '../web/src/js/calculators/batch-scoring.js';
+import { lookupPoints } from '../web/src/js/calculators/performance-lookup.js';
+
+before(async () => {
+  useBundledData();
+  await Promise.all([scoringDataLoader.load(), eventConfigLoader.load()]);
+});
+
+test('yard events are scored as their metric equivalent', () => {
+  assert.equal(getMetricEvent('100y'), '100m');
+  assert.equal(getMetricEvent('100m'), '100m');
+  assert.equal(isYardEvent('440y'), true);
+  assert.equal(isYardEvent('400m'), false);
+  assert.equal(supportsTrackType('600y'), true);
+  assert.equal(supportsTrackType('100y'), false);
+});
+
+test('convertToMetric scales yard times by the ratio of the distances', () => {
+  const conversion = convertToMetric('100y', 9.4);
+
+  assert.equal(conversion.event, '100m');
+  assert.equal(conversion.steps.length, 1);
+  assert.ok(Math.abs(conversion.performance - 9.4 / 0.9144) < 1e-9);
+  assert.ok(Math.abs(convertFromMetric('100y', conversion.performance).performance - 9.4) < 1e-9);
+});
+
+test('convertToMetric only applies track factors to other track types', () => {
+  assert.equal(convertToMetric('200m sh', 21, 'banked').steps.length, 0);
+  assert.equal(convertToMetric('200m sh', 21, 'flat').factor, 0.9797);
+});
+
+test('prepareForScoring rounds the converted time up to the hundredth', () => {
+  const scoring = prepareForScoring('100y', '9.40');
+
+  assert.equal(scoring.event, '100m');
+  assert.equal(scoring.performance, '10.28');
+  assert.equal(scoring.conversion.input, '9.40');
+  assert.equal(prepareForScoring('200m sh', '21.00', 'flat').performance, '20.58');
+});
+
+test('prepareForScoring leaves times without a conversion to the lookup', () => {
+  assert.deepEqual(prepareForScoring('100m', '10.8', 'banked', true), {
+    event: '100m',
+    performance: '10.8',
+    isHandTimed: true,
+    conversion: null,
+    timing: null
+  });
+});
+
+test('yard races take the hand timing offset of their metric event', () => {
+  assert.equal(getHandTimingOffset('100y'), 0.24);
+  assert.equal(getHandTimingOffset('440y'), 0.14);
+  assert.equal(supportsHandTiming('220y'), true);
+  assert.equal(supportsHandTiming('880y'), false);
+});
+
+test('prepareForScoring applies hand timing to the time as run before converting it', () => {
+  const scoring = prepareForScoring('100y', '9.4', 'banked', true);
+
+  // (9.4 + 0.24) converted is 10.542, rounded up once to 10.55
+  assert.equal(scoring.performance, '10.55');
+  assert.equal(scoring.isHandTimed, false);
+  assert.equal(scoring.conversion.input, '9.64');
+  assert.equal(scoring.timing.offset, 0.24);
+
+  const rounded = prepareForScoring('100y', '9.43', 'banked', true);
+  assert.equal(rounded.timing.time, 9.5);
+  assert.ok(rounded.timing.warning);
+});
+
+test('scoreBatch scores hand timed yard marks like the score calculator', () => {
+  const [result] = scoreBatch('Bob,m,100y,9.4h');
+
+  assert.equal(result.isHandTimed, true);
+  assert.equal(result.points, lookupPoints('men', '100m', '10.55').points);
+});
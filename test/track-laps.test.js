@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createTrack,
+  getLaneLapDistance,
+  getStartPosition,
+  countLaps,
+  calculateLaneStagger,
+  formatTrackMetres
+} from '../web/src/js/calculators/track-laps.js';
+
+const outdoor = createTrack('outdoor');
+const indoor = createTrack('indoor');
+
+/**
+ * Check two distances agree to the millimetre
+ * @param {number} actual
+ * @param {number} expected
+ */
+function assertMetres(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 0.001, `${actual} is not ${expected}`);
+}
+
+test('a lap in lane 2 adds 2π times the extra radius', () => {
+  assertMetres(getLaneLapDistance(outdoor, 1), 400);
+  assertMetres(getLaneLapDistance(outdoor, 2), 400 + 2 * Math.PI * 1.12);
+  assertMetres(getLaneLapDistance(indoor, 2), 200 + 2 * Math.PI * 0.9);
+});
+
+test('createTrack scales custom tracks from the 400m proportions', () => {
+  const track = createTrack('custom', 300);
+
+  assert.equal(track.lapMetres, 300);
+  assertMetres(track.bendMetres, 115.61 * 0.75);
+  assert.throws(() => createTrack('custom', 50), /between 100m and 1000m/);
+});
+
+test('getStartPosition puts partial laps before the finish line', () => {
+  assert.deepEqual(getStartPosition(outdoor, 1500), { startMetres: 100, fullLaps: 3, firstLapMetres: 300 });
+  assert.deepEqual(getStartPosition(outdoor, 800), { startMetres: 0, fullLaps: 2, firstLapMetres: 0 });
+});
+
+test('countLaps counts whole laps and the distance into the next', () => {
+  assert.deepEqual(countLaps(outdoor, 1000), { laps: 2, extraMetres: 200, lapMetres: 400 });
+});
+
+test('outdoor 400m stagger covers both bends in lanes', () => {
+  const stagger = calculateLaneStagger(outdoor, 2, 400);
+
+  assert.equal(stagger.inLanes, 'full');
+  assertMetres(stagger.staggerMetres, 2 * Math.PI * 1.12);
+});
+
+test('outdoor 200m stagger covers one bend', () => {
+  assertMetres(calculateLaneStagger(outdoor, 3, 200).staggerMetres, Math.PI * 2.34);
+});
+
+test('outdoor 800m breaks at the end of the first bend', () => {
+  const stagger = calculateLaneStagger(outdoor, 2, 800);
+
+  assert.equal(stagger.inLanes, 'bends');
+  assert.equal(stagger.bends, 1);
+  assertMetres(stagger.staggerMetres, Math.PI * 1.12);
+});
+
+test('indoor 400m stays in lanes to the end of the second bend', () => {
+  const stagger = calculateLaneStagger(indoor, 2, 400);
+
+  assert.equal(stagger.inLanes, 'bends');
+  assert.equal(stagger.bends, 2);
+  assertMetres(stagger.staggerMetres, 2 * Math.PI * 0.9);
+});
+
+test('indoor 800m breaks at the end of the first bend', () => {
+  const stagger = calculateLaneStagger(indoor, 2, 800);
+
+  assert.equal(stagger.bends, 1);
+  assertMetres(stagger.staggerMetres, Math.PI * 0.9);
+});
+
+test('indoor 200m is run in lanes', () => {
+  const stagger = calculateLaneStagger(indoor, 4, 200);
+
+  assert.equal(stagger.inLanes, 'full');
+  assertMetres(stagger.staggerMetres, 2 * Math.PI * 2.9);
+});
+
+test('straight races and longer races have no stagger', () => {
+  assert.deepEqual(calculateLaneStagger(outdoor, 5, 100), { staggerMetres: 0, inLanes: 'full', bends: null });
+  assert.deepEqual(calculateLaneStagger(indoor, 5, 60), { staggerMetres: 0, inLanes: 'full', bends: null });
+  assert.deepEqual(calculateLaneStagger(outdoor, 5, 1500), { staggerMetres: 0, inLanes: 'none', bends: null });
+  assert.deepEqual(calculateLaneStagger(indoor, 5, 1500), { staggerMetres: 0, inLanes: 'none', bends: null });
+});
+
+test('lane 1 has no stagger', () => {
+  assert.equal(calculateLaneStagger(indoor, 1, 400).staggerMetres, 0);
+});
+
+test('formatTrackMetres keeps decimals only when needed', () => {
+  assert.equal(formatTrackMetres(400), '400m');
+  assert.equal(formatTrackMetres(407.0372), '407.04m');
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateVdot, calculateTrainingZones, TRAINING_ZONES } from '../web/src/js/calculators/training-zones.js';
+
+test('calculateVdot matches the Daniels tables for VDOT 50', () => {
+  // 5000m in 19:57 and the marathon in 3:10:49 are both listed at VDOT 50
+  assert.ok(Math.abs(calculateVdot(5000, 1197) - 50) < 0.1);
+  assert.ok(Math.abs(calculateVdot(42195, 11449) - 50) < 0.1);
+});
+
+test('calculateVdot rejects distances and times that are not positive', () => {
+  assert.throws(() => calculateVdot(0, 1200), /greater than 0/);
+  assert.throws(() => calculateVdot(5000, 0), /greater than 0/);
+});
+
+test('calculateTrainingZones gives the threshold and interval paces of the Daniels tables', () => {
+  const zones = calculateTrainingZones(50);
+  const byKey = Object.fromEntries(zones.map(zone => [zone.key, zone]));
+
+  // Threshold 4:15 per km and interval 3:50 per km at VDOT 50
+  assert.ok(Math.abs(byKey.threshold.fast.paces.km - 255) < 1);
+  assert.ok(Math.abs(byKey.interval.fast.paces.km - 230) < 1);
+});
+
+test('every zone is faster than the one before and slow paces are slower than fast ones', () => {
+  const zones = calculateTrainingZones(50);
+
+  assert.deepEqual(zones.map(zone => zone.key), TRAINING_ZONES.map(zone => zone.key));
+  zones.forEach((zone, index) => {
+    assert.ok(zone.slow.paces.km > zone.fast.paces.km, zone.key);
+    if (index > 0) {
+      assert.ok(zone.fast.paces.km < zones[index - 1].fast.paces.km, zone.key);
+    }
+  });
+});
+
+test('zone paces and speeds describe the same velocity', () => {
+  const [easy] = calculateTrainingZones(50);
+
+  assert.ok(Math.abs(easy.fast.paces['400m'] - easy.fast.paces.km * 0.4) < 1e-9);
+  assert.ok(Math.abs(easy.fast.paces.mile - easy.fast.paces.km * 1.609344) < 1e-9);
+  assert.ok(Math.abs(easy.fast.speeds.kmh - 3600 / easy.fast.paces.km) < 1e-9);
+});
+
+test('calculateTrainingZones rejects a VDOT out of range', () => {
+  assert.throws(() => calculateTrainingZones(95), /between 20 and 90/);
+});
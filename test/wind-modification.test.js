@@ -0,0 +1,60 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { useBundledData } from './helpers/bundled-data.js';
+import { scoringDataLoader } from '../web/src/js/data/scoring-data-loader.js';
+import { eventConfigLoader } from '../web/src/js/data/event-config-loader.js';
+import { lookupPoints, calculateWindModification } from '../web/src/js/calculators/performance-lookup.js';
+
+before(async () => {
+  useBundledData();
+  await Promise.all([scoringDataLoader.load(), eventConfigLoader.load()]);
+});
+
+test('a tailwind reduces and a headwind increases the score', () => {
+  assert.deepEqual(calculateWindModification('100m', 1.5), { modification: -9, isWindAssisted: false, isEligible: true });
+  assert.deepEqual(calculateWindModification('100m', -1.0), { modification: 6, isWindAssisted: false, isEligible: true });
+  assert.equal(calculateWindModification('lj', 2.0).modification, -8);
+});
+
+test('a zero wind reading gives no modification', () => {
+  assert.ok(Object.is(calculateWindModification('200m', 0).modification, 0));
+});
+
+test('headwinds beyond the minimum are treated as the minimum', () => {
+  assert.equal(calculateWindModification('100m', -6).modification, 24);
+});
+
+test('winds above the legal limit are wind assisted, and above the maximum are not eligible', () => {
+  assert.deepEqual(calculateWindModification('100m', 3.0), { modification: -18, isWindAssisted: true, isEligible: true });
+  assert.deepEqual(calculateWindModification('100m', 4.1), { modification: null, isWindAssisted: true, isEligible: false });
+});
+
+test('events that are not wind affected have no modification', () => {
+  assert.equal(calculateWindModification('400m', 1.0), null);
+  assert.equal(calculateWindModification('hj', 1.0), null);
+});
+
+test('lookupPoints adds the wind modified score', () => {
+  const still = lookupPoints('men', '100m', '10.00');
+  const result = lookupPoints('men', '100m', '10.00', false, 1.5);
+
+  assert.equal(result.points, still.points);
+  assert.equal(result.wind, 1.5);
+  assert.equal(result.windModification, -9);
+  assert.equal(result.windModifiedPoints, still.points - 9);
+  assert.equal(result.isWindAssisted, false);
+});
+
+test('lookupPoints has no wind modified score above the maximum wind', () => {
+  const result = lookupPoints('men', '100m', '10.00', false, 5.0);
+
+  assert.equal(result.windModifiedPoints, null);
+  assert.equal(result.isWindAssisted, true);
+});
+
+test('lookupPoints ignores wind for events that are not wind affected', () => {
+  const result = lookupPoints('men', '400m', '45.00', false, 1.5);
+
+  assert.equal(result.wind, undefined);
+  assert.equal(result.windModifiedPoints, undefined);
+});
@@ -0,0 +1,105 @@
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { useBundledData } from './helpers/bundled-data.js';
+import { scoringDataLoader } from '../web/src/js/data/scoring-data-loader.js';
+import { worldRankingsLoader } from '../web/src/js/data/world-rankings-loader.js';
+import {
+  calculateResultScore,
+  calculateRankingScore,
+  formatPlace,
+  buildPlacingScoresCsv,
+  parsePlacingScoresCsv
+} from '../web/src/js/calculators/world-rankings.js';
+import { lookupPoints } from '../web/src/js/calculators/performance-lookup.js';
+
+// Fixture placing scores, not the published tables
+const BUNDLED = [
+  { key: 'standard:OW:final', edition: 'Fixture 2025', table: 'standard', category: 'OW', round: 'final', scores: [350, 290, 250] },
+  { key: 'road:OW:final', edition: 'Fixture 2025', table: 'road', category: 'OW', round: 'final', scores: [375, 330] }
+];
+
+before(async () => {
+  useBundledData();
+  await Promise.all([scoringDataLoader.load(), worldRankingsLoader.load()]);
+});
+
+beforeEach(() => {
+  worldRankingsLoader.data.placingScores = BUNDLED;
+  worldRankingsLoader.setImported([]);
+});
+
+test('the bundled data lists placing scores with the event groups', () => {
+  assert.ok(worldRankingsLoader.getPlacingTables().some(table => table.key === 'standard'));
+  assert.equal(worldRankingsLoader.getEventGroup('60m').key, '100m');
+  assert.equal(worldRankingsLoader.getEventGroup('60m').placingTable, 'standard');
+});
+
+test('bundled placing scores are used for the event group placing table', () => {
+  assert.deepEqual(worldRankingsLoader.getPlacingScores('OW', 'final', '100m'), [350, 290, 250]);
+  assert.equal(worldRankingsLoader.getPlacingScore('OW', 'final', 2, '100m'), 290);
+  assert.equal(worldRankingsLoader.getPlacingScore('OW', 'final', 9, '100m'), 0);
+  assert.equal(worldRankingsLoader.getPlacingScore('OW', 'heat', 1, '100m'), null);
+  assert.deepEqual(worldRankingsLoader.getRounds('OW', '100m').map(round => round.key), ['final']);
+  assert.deepEqual(worldRankingsLoader.getEditions(), ['Fixture 2025']);
+});
+
+test('imported placing scores replace bundled ones for the same table, category and round', () => {
+  worldRankingsLoader.setImported([
+    { key: 'standard:OW:final', edition: 'Imported', table: 'standard', category: 'OW', round: 'final', scores: [300] }
+  ]);
+
+  assert.deepEqual(worldRankingsLoader.getPlacingScores('OW', 'final', '100m'), [300]);
+  assert.deepEqual(worldRankingsLoader.getPlacingScores('OW', 'final', 'marathon'), [375, 330]);
+  assert.deepEqual(
+    worldRankingsLoader.getPlacingScoreRecords().map(record => [record.key, record.source]),
+    [['road:OW:final', 'bundled'], ['standard:OW:final', 'imported']]
+  );
+  assert.deepEqual(worldRankingsLoader.getEditions(), ['Fixture 2025', 'Imported']);
+});
+
+test('calculateResultScore adds the placing score to the performance score', () => {
+  const score = calculateResultScore('men', { event: '100m', performance: '10.00', category: 'OW', round: 'final', place: 1 });
+
+  assert.equal(score.performanceScore, lookupPoints('men', '100m', '10.00').points);
+  assert.equal(score.placingScore, 350);
+  assert.equal(score.resultScore, score.performanceScore + 350);
+  assert.equal(calculateResultScore('men', { event: '100m', performance: '10.00', category: 'C', round: 'final', place: 1 }), null);
+});
+
+test('calculateRankingScore averages the best results', () => {
+  const results = [{ resultScore: 1200 }, { resultScore: 1100 }, { resultScore: null }, { resultScore: 1301 }];
+
+  const ranking = calculateRankingScore(results, 2);
+  assert.equal(ranking.score, 1251);
+  assert.equal(ranking.isComplete, true);
+  assert.equal(ranking.threshold, 1200);
+
+  assert.deepEqual(calculateRankingScore([], 5), { score: null, counted: [], isComplete: false, threshold: 0 });
+});
+
+test('formatPlace gives ordinals', () => {
+  assert.deepEqual([1, 2, 3, 4, 11, 12, 13, 21, 112].map(formatPlace), ['1st', '2nd', '3rd', '4th', '11th', '12th', '13th', '21st', '112th']);
+});
+
+test('placing scores round-trip through the spreadsheet', () => {
+  const { records, errors } = parsePlacingScoresCsv(buildPlacingScoresCsv());
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(records, BUNDLED);
+});
+
+test('parsePlacingScoresCsv accepts names and reports bad rows and gaps', () => {
+  const { records, errors } = parsePlacingScoresCsv([
+    'Table,Category,Round,Place,Score',
+    'Road running,ow,Semi-final,1,200',
+    'nope,OW,final,1,100',
+    'standard,OW,final,1,350',
+    'standard,OW,final,3,250',
+    'standard,OW,heat,x,10'
+  ].join('\n'));
+
+  assert.deepEqual(records.map(record => record.key), ['road:OW:semiFinal']);
+  assert.deepEqual(errors.map(error => error.line), [3, 4, 6]);
+  assert.match(errors[1].message, /gaps/);
+  assert.equal(parsePlacingScoresCsv('Place,Score\n1,100').errors[0].line, 1);
+});
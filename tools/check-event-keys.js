@@ -0,0 +1,188 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { EVENT_REGISTRY, isCanonicalEventKey, resolveEventKey } from '../web/src/js/data/event-registry.js';
+import { HAND_TIMING_OFFSETS } from '../web/src/js/utils/timing-rules.js';
+import { TRACK_CONVERSION_TYPES } from '../web/src/js/calculators/track-conversions.js';
+import { RELAY_LEGS } from '../web/src/js/calculators/relay-splits.js';
+
+// ES module equivalent of __dirname
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = path.join(__dirname, '..', 'web', 'public', 'data');
+
+/**
+ * Check that every event key in the data files and calculators is a canonical key
+ * from the event registry, and that every registered event is described by the event config.
+ * Run before each build: exits with an error listing unknown or orphaned keys.
+ */
+
+const problems = [];
+
+function readData(file) {
+  return JSON.parse(fs.readFileSync(path.join(DATA_DIR, file), 'utf8'));
+}
+
+/**
+ * Record a problem unless the key is a canonical registry key
+ * @param {string} key
+ * @param {string} source - Where the key is used
+ */
+function checkKey(key, source) {
+  if (isCanonicalEventKey(key)) {
+    return;
+  }
+
+  const canonical = resolveEventKey(key);
+  problems.push(canonical
+    ? `${source}: "${key}" is an alias, use the canonical key "${canonical}"`
+    : `${source}: unknown event key "${key}"`);
+}
+
+/**
+ * Record a problem when a key's category differs from its registry category
+ * @param {string} key
+ * @param {string} category
+ * @param {string} source
+ */
+function checkCategory(key, category, source) {
+  const registered = EVENT_REGISTRY[key];
+  if (registered && registered.category !== category) {
+    problems.push(`${source}: "${key}" is in category "${category}" but registered in "${registered.category}"`);
+  }
+}
+
+// Registry: aliases must not be claimed by two events
+const claimed = new Map();
+for (const { key, aliases } of Object.values(EVENT_REGISTRY)) {
+  for (const name of [key, ...aliases]) {
+    const normalized = name.trim().replace(/\s+/g, ' ').toLowerCase();
+    if (claimed.has(normalized) && claimed.get(normalized) !== key) {
+      problems.push(`event registry: "${name}" is claimed by both "${claimed.get(normalized)}" and "${key}"`);
+    }
+    claimed.set(normalized, key);
+  }
+}
+
+// Event config: every event is registered, and every registered event is described
+const eventsConfig = readData('events_config.json');
+for (const [key, event] of Object.entries(eventsConfig.events)) {
+  checkKey(key, 'events_config.json events');
+  checkCategory(key, event.category, 'events_config.json events');
+  if (event.convertsTo) {
+    checkKey(event.convertsTo, `events_config.json "${key}" convertsTo`);
+  }
+}
+for (const key of Object.keys(EVENT_REGISTRY)) {
+  if (!eventsConfig.events[key]) {
+    problems.push(`event registry: "${key}" is orphaned, it has no entry in events_config.json`);
+  }
+}
+for (const key of eventsConfig.primaryEvents) {
+  checkKey(key, 'events_config.json primaryEvents');
+}
+for (const key of eventsConfig.paceCalculatorDistances) {
+  checkKey(key, 'events_config.json paceCalculatorDistances');
+}
+for (const group of eventsConfig.windModification.groups) {
+  group.events.forEach(key => checkKey(key, 'events_config.json windModification'));
+}
+
+// Scoring tables: every published edition
+const manifest = readData('scoring-tables-manifest.json');
+for (const edition of manifest.editions.filter(edition => edition.file)) {
+  const tables = readData(edition.file);
+  for (const [gender, categories] of Object.entries(tables)) {
+    for (const [category, events] of Object.entries(categories)) {
+      for (const key of Object.keys(events)) {
+        const source = `${edition.file} ${gender}`;
+        checkKey(key, source);
+        checkCategory(key, category, source);
+      }
+    }
+  }
+}
+
+// Combined events: parameters, the events of each combined event and specifications
+const combinedConfig = readData('combined-event-config.min.json');
+for (const gender of ['men', 'women']) {
+  const { events = {}, combined = {}, specifications = {} } = combinedConfig[gender] || {};
+  const source = `combined-event-config ${gender}`;
+  const contested = new Set();
+
+  Object.keys(events).forEach(key => checkKey(key, `${source} events`));
+
+  for (const [combinedKey, combinedEvent] of Object.entries(combined)) {
+    for (const key of combinedEvent.events.flat()) {
+      checkKey(key, `${source} ${combinedKey}`);
+      contested.add(key);
+      if (!events[key]) {
+        problems.push(`${source} ${combinedKey}: "${key}" has no scoring parameters`);
+      }
+    }
+  }
+
+  for (const key of Object.keys(events)) {
+    if (!contested.has(key)) {
+      problems.push(`${source} events: "${key}" is orphaned, no combined event includes it`);
+    }
+  }
+
+  for (const [ageGroup, specs] of Object.entries(specifications)) {
+    Object.keys(specs).forEach(key => checkKey(key, `${source} specifications ${ageGroup}`));
+  }
+}
+
+// Age grading factors
+const ageGrading = readData('age_grading_factors.json');
+for (const gender of ['men', 'women']) {
+  Object.keys(ageGrading[gender]).forEach(key => checkKey(key, `age_grading_factors.json ${gender}`));
+}
+
+// World Rankings event groups: each event counts towards one group, and each group uses a known placing table
+const worldRankings = readData('world_rankings.json');
+const grouped = new Map();
+for (const group of worldRankings.eventGroups) {
+  if (!worldRankings.placingTables[group.placingTable]) {
+    problems.push(`world_rankings.json "${group.key}": unknown placing table "${group.placingTable}"`);
+  }
+  for (const key of group.events) {
+    checkKey(key, `world_rankings.json "${group.key}"`);
+    if (grouped.has(key)) {
+      problems.push(`world_rankings.json: "${key}" is in both "${grouped.get(key)}" and "${group.key}"`);
+    }
+    grouped.set(key, group.key);
+  }
+}
+
+// Qualification standards: the standards and event windows of each championship
+const qualificationStandards = readData('qualification_standards.json');
+for (const championship of qualificationStandards.championships) {
+  const source = `qualification_standards.json "${championship.key}"`;
+  for (const [gender, standards] of Object.entries(championship.standards)) {
+    Object.keys(standards).forEach(key => checkKey(key, `${source} ${gender}`));
+  }
+  Object.keys(championship.eventWindows || {}).forEach(key => checkKey(key, `${source} eventWindows`));
+}
+
+// Event keys used by the calculators
+for (const group of HAND_TIMING_OFFSETS) {
+  group.events.forEach(key => checkKey(key, 'timing-rules.js HAND_TIMING_OFFSETS'));
+}
+for (const [type, { factors }] of Object.entries(TRACK_CONVERSION_TYPES)) {
+  Object.keys(factors).forEach(key => checkKey(key, `track-conversions.js TRACK_CONVERSION_TYPES ${type}`));
+}
+for (const [key, { legEvent }] of Object.entries(RELAY_LEGS)) {
+  checkKey(key, 'relay-splits.js RELAY_LEGS');
+  checkKey(legEvent, `relay-splits.js RELAY_LEGS "${key}"`);
+}
+
+if (problems.length > 0) {
+  console.error(`❌ ${problems.length} event key ${problems.length === 1 ? 'problem' : 'problems'}:`);
+  problems.forEach(problem => console.error(`  - ${problem}`));
+  console.error('\nAdd new events and aliases to web/src/js/data/event-registry.js.');
+  process.exit(1);
+}
+
+console.log(`✅ Event keys checked: ${Object.keys(EVENT_REGISTRY).length} registered events`);
@@ -0,0 +1,52 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { eventConfigLoader } from '../web/src/js/data/event-config-loader.js';
+import { parseAgeFactorsCsv } from '../web/src/js/calculators/age-grading.js';
+
+// ES module equivalent of __dirname
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = path.join(__dirname, '..', 'web', 'public', 'data');
+const FACTORS_FILE = path.join(DATA_DIR, 'age_grading_factors.json');
+
+/**
+ * Bundle the WMA age-grading factors from the published spreadsheets.
+ * Each file is a sheet of the tables saved as CSV, in the format the Age Grading page
+ * imports: Gender, Event and Open Standard columns followed by one column per age.
+ * Usage: npm run import:age-factors -- men.csv women.csv
+ * Events in the files replace the bundled ones; other events are kept.
+ */
+
+const files = process.argv.slice(2);
+if (files.length === 0) {
+  console.error('Usage: npm run import:age-factors -- <factors.csv> [...]');
+  process.exit(1);
+}
+
+// Event names in the sheets are matched against the event config display names
+eventConfigLoader.data = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'events_config.json'), 'utf8'));
+
+const bundled = JSON.parse(fs.readFileSync(FACTORS_FILE, 'utf8'));
+const problems = [];
+let count = 0;
+
+for (const file of files) {
+  const { records, errors } = parseAgeFactorsCsv(fs.readFileSync(file, 'utf8'));
+  errors.forEach(({ line, message }) => problems.push(`${file}:${line}: ${message}`));
+
+  for (const { gender, event, openStandard, factors } of records) {
+    bundled[gender][event] = { openStandard, factors };
+    count++;
+  }
+}
+
+if (problems.length > 0) {
+  console.error(`Age factors not written, ${problems.length} problem(s):`);
+  problems.forEach(problem => console.error(`  ${problem}`));
+  process.exit(1);
+}
+
+fs.writeFileSync(FACTORS_FILE, `${JSON.stringify(bundled, null, 2)}\n`);
+console.log(`Wrote ${count} event(s) to ${path.relative(process.cwd(), FACTORS_FILE)}`);
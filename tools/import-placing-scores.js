@@ -0,0 +1,76 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { worldRankingsLoader } from '../web/src/js/data/world-rankings-loader.js';
+import { parsePlacingScoresCsv } from '../web/src/js/calculators/world-rankings.js';
+
+// ES module equivalent of __dirname
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DATA_DIR = path.join(__dirname, '..', 'web', 'public', 'data');
+const RANKINGS_FILE = path.join(DATA_DIR, 'world_rankings.json');
+
+/**
+ * Bundle the World Rankings placing scores from the published placing score tables.
+ * Each file is saved as CSV in the format the Score Calculator page imports: Edition,
+ * Table, Category, Round, Place and Score columns, one row per place.
+ * Usage: npm run import:placing-scores -- placing-scores.csv
+ * Rounds in the files replace the bundled ones for the same table, category and round;
+ * other rounds are kept.
+ */
+
+const files = process.argv.slice(2);
+if (files.length === 0) {
+  console.error('Usage: npm run import:placing-scores -- <placing-scores.csv> [...]');
+  process.exit(1);
+}
+
+// Tables, categories and rounds in the files are matched against the World Rankings data
+const text = fs.readFileSync(RANKINGS_FILE, 'utf8');
+worldRankingsLoader.data = JSON.parse(text);
+
+const bundled = new Map(worldRankingsLoader.data.placingScores.map(record => [record.key, record]));
+const problems = [];
+let count = 0;
+
+for (const file of files) {
+  const { records, errors } = parsePlacingScoresCsv(fs.readFileSync(file, 'utf8'));
+  errors.forEach(({ line, message }) => problems.push(`${file}:${line}: ${message}`));
+
+  for (const record of records) {
+    bundled.set(record.key, record);
+    count++;
+  }
+}
+
+if (problems.length > 0) {
+  console.error(`Placing scores not written, ${problems.length} problem(s):`);
+  problems.forEach(problem => console.error(`  ${problem}`));
+  process.exit(1);
+}
+
+/**
+ * Format a record on one line, in the style of the rest of the file
+ * @param {Object} record
+ * @returns {string}
+ */
+function formatRecord(record) {
+  const fields = Object.entries(record).map(([name, value]) => {
+    const formatted = Array.isArray(value) ? `[${value.join(', ')}]` : JSON.stringify(value);
+    return `${JSON.stringify(name)}: ${formatted}`;
+  });
+  return `    { ${fields.join(', ')} }`;
+}
+
+// placingScores is the last property, so the hand formatted data above it is kept as it is
+const start = text.lastIndexOf('"placingScores"');
+if (start === -1) {
+  console.error('world_rankings.json has no placingScores list');
+  process.exit(1);
+}
+
+const records = [...bundled.values()];
+const list = records.length > 0 ? `[\n${records.map(formatRecord).join(',\n')}\n  ]` : '[]';
+fs.writeFileSync(RANKINGS_FILE, `${text.slice(0, start)}"placingScores": ${list}\n}\n`);
+console.log(`Wrote ${count} round(s) to ${path.relative(process.cwd(), RANKINGS_FILE)}`);
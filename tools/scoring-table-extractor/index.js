@@ -488,12 +488,6 @@ class EnhancedScoringTableExtractor {
 
       if (!performance || !eventName) continue;
 
-      // Validate event is known
-      if (!isKnownEvent(eventName)) {
-        console.warn(`⚠️  Unknown event detected: "${eventName}" (${section.gender}, category: ${section.category})`);
-        // Continue processing to capture all events, even unknown ones
-      }
-
       // Determine gender: mixed relay events go to 'mixed' gender
       let eventGender = section.gender;
       let cleanedEventName = eventName;
@@ -505,13 +499,21 @@ class EnhancedScoringTableExtractor {
         cleanedEventName = eventName.replace(/\s+mix\s*/g, ' ').trim();
       }
 
+      // Validate event is known, and store it under its canonical key (e.g. "10,000mW" -> "10000m w")
+      if (isKnownEvent(cleanedEventName)) {
+        cleanedEventName = getEventInfo(cleanedEventName).key;
+      } else {
+        console.warn(`⚠️  Unknown event detected: "${eventName}" (${section.gender}, category: ${section.category})`);
+        // Continue processing to capture all events, even unknown ones
+      }
+
       // Initialize nested structure
       if (!this.tables[eventGender]) {
         this.tables[eventGender] = {};
       }
 
       // Determine the correct category for this event
-      const eventCategory = this.getCategoryForEvent(eventName) || section.category;
+      const eventCategory = this.getCategoryForEvent(cleanedEventName) || section.category;
 
       if (!eventCategory) {
         console.warn(`⚠️  No category found for event: "${eventName}" (${section.gender})`);
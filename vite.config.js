@@ -1,6 +1,14 @@
 import { defineConfig } from 'vite';
 import { VitePWA } from 'vite-plugin-pwa';
 import { resolve } from 'path';
+import { readFileSync } from 'fs';
+
+// The default edition's scoring tables are precached with the manifest, so the app works
+// offline from the first visit. Other editions are cached at runtime when they are chosen.
+const dataManifest = JSON.parse(readFileSync(resolve(__dirname, 'web/public/data/scoring-tables-manifest.json'), 'utf-8'));
+const otherEditionFiles = dataManifest.editions
+  .filter(edition => edition.file && edition.id !== dataManifest.defaultEdition)
+  .map(edition => `**/data/${edition.file}`);
 
 export default defineConfig({
   base: '/',
@@ -9,7 +17,7 @@ export default defineConfig({
   plugins: [
     VitePWA({
       registerType: 'autoUpdate',
-      includeAssets: ['icons/*.png', 'data/*.json'],
+      includeAssets: ['icons/*.png'],
       manifest: {
         name: 'Athletics Utilities',
         short_name: 'AthleticsUtils',
@@ -35,7 +43,10 @@ export default defineConfig({
       },
       workbox: {
         globPatterns: ['**/*.{js,css,html,ico,png,svg,json}'],
+        globIgnores: otherEditionFiles,
         maximumFileSizeToCacheInBytes: 4 * 1024 * 1024, // 4 MiB for scoring tables JSON
+        // Packages are requested with their data version (?v=), which the precache ignores
+        ignoreURLParametersMatching: [/^utm_/, /^fbclid$/, /^v$/],
         runtimeCaching: [
           {
             urlPattern: /^https:\/\/fonts\.googleapis\.com\/.*/i,
@@ -52,12 +63,25 @@ export default defineConfig({
             }
           },
           {
-            urlPattern: /\/data\/athletics_scoring_tables\.min\.json$/,
+            // Only used if the manifest is missing from the precache
+            urlPattern: /\/data\/scoring-tables-manifest\.json$/,
+            handler: 'NetworkFirst',
+            options: {
+              cacheName: 'data-manifest-cache',
+              networkTimeoutSeconds: 3,
+              expiration: {
+                maxEntries: 1
+              }
+            }
+          },
+          {
+            // Other editions are requested with their data version, so an updated package is a new entry
+            urlPattern: /\/data\/athletics_scoring_tables[\w-]*\.min\.json(\?.*)?$/,
             handler: 'CacheFirst',
             options: {
               cacheName: 'scoring-tables-cache',
               expiration: {
-                maxEntries: 1,
+                maxEntries: 3, // One package per edition
                 maxAgeSeconds: 60 * 60 * 24 * 365 // 1 year
               }
             }
@@ -77,7 +101,13 @@ export default defineConfig({
         main: resolve(__dirname, 'web/index.html'),
         score: resolve(__dirname, 'web/calculators/score.html'),
         pace: resolve(__dirname, 'web/calculators/pace.html'),
-        combinedEvents: resolve(__dirname, 'web/calculators/combined-events.html')
+        combinedEvents: resolve(__dirname, 'web/calculators/combined-events.html'),
+        ageGrading: resolve(__dirname, 'web/calculators/age-grading.html'),
+        racePredictor: resolve(__dirname, 'web/calculators/race-predictor.html'),
+        relay: resolve(__dirname, 'web/calculators/relay.html'),
+        athletes: resolve(__dirname, 'web/calculators/athletes.html'),
+        tables: resolve(__dirname, 'web/calculators/tables.html'),
+        qualification: resolve(__dirname, 'web/calculators/qualification.html')
       }
     }
   }
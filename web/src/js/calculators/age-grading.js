@@ -0,0 +1,198 @@
+/**
+ * Age Grading Calculator
+ * Calculate age-graded percentages and equivalent performances for masters athletes,
+ * and read and write the WMA age factor tables as a spreadsheet (CSV)
+ */
+
+import { ageGradingLoader } from '../data/age-grading-loader.js';
+import { eventConfigLoader } from '../data/event-config-loader.js';
+import { findEventKey, GENDER_ALIASES } from './batch-scoring.js';
+import { parsePerformance } from '../utils/performance-parser.js';
+import { parseDelimited, toCsv } from '../utils/csv.js';
+
+/**
+ * Performance level classifications by age-graded percentage
+ */
+const AGE_GRADE_LEVELS = [
+  { min: 100, label: 'World Record Level' },
+  { min: 90, label: 'World Class' },
+  { min: 80, label: 'National Class' },
+  { min: 70, label: 'Regional Class' },
+  { min: 60, label: 'Local Class' },
+  { min: 0, label: 'Recreational' }
+];
+
+// Header names accepted for the named columns of a factors spreadsheet (underscores read as spaces)
+// Every other column headed by a whole number is the factor for that age.
+const COLUMN_HEADERS = {
+  gender: ['gender', 'sex'],
+  event: ['event', 'discipline'],
+  openStandard: ['open standard', 'oc', 'open class', 'standard']
+};
+
+/**
+ * Calculate the age grade for a performance
+ * @param {string} gender - "men" or "women"
+ * @param {string} event - Event key
+ * @param {number} age - Age in whole years
+ * @param {string} performance - Normalized performance value (seconds or metres)
+ * @returns {Object|null} {ageFactor, openStandard, ageStandard, ageGradedPercentage, openEquivalent, level}
+ */
+export function calculateAgeGrade(gender, event, age, performance) {
+  const ageFactor = ageGradingLoader.getAgeFactor(gender, event, age);
+  const openStandard = ageGradingLoader.getOpenStandard(gender, event);
+  const perfNum = parseFloat(performance);
+
+  if (ageFactor === null || openStandard === null || isNaN(perfNum) || perfNum <= 0) {
+    return null;
+  }
+
+  const isDistance = eventConfigLoader.getEventInfo(event)?.measurementFormat === 'distance';
+
+  // Times get slower with age (divide), distances get shorter (multiply)
+  const ageStandard = isDistance ? openStandard * ageFactor : openStandard / ageFactor;
+  const openEquivalent = isDistance ? perfNum / ageFactor : perfNum * ageFactor;
+  const ageGradedPercentage = isDistance
+    ? (perfNum / ageStandard) * 100
+    : (ageStandard / perfNum) * 100;
+
+  return {
+    ageFactor,
+    openStandard,
+    ageStandard,
+    ageGradedPercentage,
+    openEquivalent,
+    level: getAgeGradeLevel(ageGradedPercentage)
+  };
+}
+
+/**
+ * Get the performance level label for an age-graded percentage
+ * @param {number} percentage
+ * @returns {string}
+ */
+export function getAgeGradeLevel(percentage) {
+  return AGE_GRADE_LEVELS.find(level => percentage >= level.min).label;
+}
+
+/**
+ * Build a factors spreadsheet (CSV) with one row per event and one column per age
+ * @param {string[]} genders - Genders to include, e.g. ["men", "women"]
+ * @returns {string}
+ */
+export function buildAgeFactorsCsv(genders) {
+  const events = genders.flatMap(gender =>
+    ageGradingLoader.getSupportedEvents(gender).map(event => ({
+      gender,
+      event,
+      ...ageGradingLoader.getEventData(gender, event)
+    }))
+  );
+  const ages = [...new Set(events.flatMap(({ factors }) => Object.keys(factors).map(Number)))]
+    .sort((a, b) => a - b);
+
+  const rows = [['Gender', 'Event', 'Open Standard', ...ages]];
+  for (const { gender, event, openStandard, factors } of events) {
+    rows.push([gender, event, openStandard, ...ages.map(age => factors[age])]);
+  }
+
+  return toCsv(rows);
+}
+
+/**
+ * Read age factors from a factors spreadsheet (CSV or TSV), such as a sheet of the published
+ * WMA tables saved as CSV with a gender column added
+ * The first row must be a header naming the gender, event and open standard columns,
+ * followed by one column per age. Blank factors are skipped.
+ * @param {string} text
+ * @returns {Object} { records: [{ key, gender, event, openStandard, factors }], errors: [{ line, message }] }
+ */
+export function parseAgeFactorsCsv(text) {
+  const rows = parseDelimited(text);
+  const columns = rows.length > 0 ? getHeaderColumns(rows[0]) : null;
+
+  if (!columns) {
+    return {
+      records: [],
+      errors: [{ line: 1, message: 'The first row must name the Gender, Event and Open Standard columns and one column per age' }]
+    };
+  }
+
+  const records = [];
+  const errors = [];
+
+  for (let i = 1; i < rows.length; i++) {
+    const line = i + 1;
+    const valueAt = index => rows[i][index] || '';
+
+    const gender = GENDER_ALIASES[valueAt(columns.gender).toLowerCase()];
+    if (gender !== 'men' && gender !== 'women') {
+      errors.push({ line, message: `Unknown gender "${valueAt(columns.gender)}"` });
+      continue;
+    }
+
+    const event = findEventKey(valueAt(columns.event));
+    if (!event) {
+      errors.push({ line, message: `Unknown event "${valueAt(columns.event)}"` });
+      continue;
+    }
+
+    const openStandard = parseFloat(parsePerformance(valueAt(columns.openStandard), event));
+    if (isNaN(openStandard)) {
+      errors.push({ line, message: `Invalid open standard "${valueAt(columns.openStandard)}"` });
+      continue;
+    }
+
+    const factors = {};
+    const invalidAge = columns.ages.find(({ age, index }) => {
+      const value = valueAt(index);
+      if (!value) return false;
+
+      const factor = Number(value);
+      if (!(factor > 0 && factor <= 1)) return true;
+
+      factors[age] = factor;
+      return false;
+    });
+
+    if (invalidAge) {
+      errors.push({ line, message: `Invalid factor "${valueAt(invalidAge.index)}" for age ${invalidAge.age}` });
+      continue;
+    }
+
+    if (Object.keys(factors).length === 0) {
+      errors.push({ line, message: 'No age factors' });
+      continue;
+    }
+
+    records.push({ key: `${gender}:${event}`, gender, event, openStandard, factors });
+  }
+
+  return { records, errors };
+}
+
+/**
+ * Map column names to indexes from the header row
+ * @param {string[]} row
+ * @returns {Object|null} Column indexes and age columns [{ age, index }], or null if a column is missing
+ */
+function getHeaderColumns(row) {
+  const normalized = row.map(value => value.toLowerCase().replace(/_/g, ' '));
+  const columns = { ages: [] };
+
+  for (const [column, names] of Object.entries(COLUMN_HEADERS)) {
+    const index = normalized.findIndex(value => names.includes(value));
+    if (index !== -1) {
+      columns[column] = index;
+    }
+  }
+
+  normalized.forEach((value, index) => {
+    if (/^\d+$/.test(value)) {
+      columns.ages.push({ age: parseInt(value, 10), index });
+    }
+  });
+
+  const required = ['gender', 'event', 'openStandard'];
+  return required.every(column => columns[column] !== undefined) && columns.ages.length > 0 ? columns : null;
+}
@@ -0,0 +1,178 @@
+/**
+ * Athlete Profile Calculations
+ * World Athletics points, personal bests, season bests and points progression
+ * for the marks recorded against an athlete
+ */
+
+import { lookupPoints } from './performance-lookup.js';
+import { scoringDataLoader } from '../data/scoring-data-loader.js';
+import { eventConfigLoader } from '../data/event-config-loader.js';
+import { applyTimingRules } from '../utils/timing-rules.js';
+
+/**
+ * Create an athlete profile
+ * @param {Object} options
+ * @param {string} options.name - Athlete name
+ * @param {string} options.gender - 'men' or 'women'
+ * @returns {Object} Athlete { id, name, gender, marks, createdAt, updatedAt }
+ */
+export function createAthlete({ name, gender }) {
+  const now = new Date().toISOString();
+
+  return {
+    id: `athlete-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    name,
+    gender,
+    marks: [],
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * Create a mark for an athlete
+ * @param {Object} options
+ * @param {string} options.event - Event key
+ * @param {string} options.performance - Normalized performance (seconds, metres or points)
+ * @param {string} options.date - Date of the mark (YYYY-MM-DD)
+ * @param {number|null} options.wind - Wind reading in m/s
+ * @param {boolean} options.isHandTimed - Whether the mark was hand timed
+ * @param {string} options.competition - Competition name
+ * @returns {Object} Mark
+ */
+export function createMark({ event, performance, date, wind = null, isHandTimed = false, competition = '' }) {
+  return {
+    id: `mark-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    event,
+    performance,
+    date,
+    wind,
+    isHandTimed,
+    competition
+  };
+}
+
+/**
+ * Score a mark with the World Athletics scoring tables
+ * Wind assisted marks score but do not count as personal or season bests.
+ * @param {string} gender - 'men' or 'women'
+ * @param {Object} mark - Mark from createMark
+ * @returns {Object} { points (null if outside the tables), value (comparable performance), isWindAssisted }
+ */
+export function scoreMark(gender, mark) {
+  const result = lookupPoints(gender, mark.event, mark.performance, mark.isHandTimed, mark.wind);
+
+  // Times are compared after the same rounding and hand timing offset the scoring tables apply
+  const timing = applyTimingRules(parseFloat(mark.performance), mark.event, mark.isHandTimed);
+
+  return {
+    points: result ? result.points : null,
+    value: timing.value,
+    isWindAssisted: result?.isWindAssisted || false
+  };
+}
+
+/**
+ * Check whether one mark beats another in an event
+ * @param {string} gender
+ * @param {string} event - Event key
+ * @param {number} value - Comparable performance value
+ * @param {number} bestValue - Comparable performance value to beat
+ * @returns {boolean}
+ */
+function isBetter(gender, event, value, bestValue) {
+  const table = scoringDataLoader.getEventIndex(gender, event);
+  const higherIsBetter = table
+    ? table.higherIsBetter
+    : eventConfigLoader.getEventInfo(event)?.measurementFormat !== 'time';
+
+  return higherIsBetter ? value > bestValue : value < bestValue;
+}
+
+/**
+ * Find the best eligible mark per event
+ * @param {string} gender
+ * @param {Array} marks - Scored marks
+ * @returns {Object} { eventKey: mark }
+ */
+function findBests(gender, marks) {
+  const bests = {};
+
+  for (const mark of marks) {
+    if (mark.isWindAssisted) continue;
+
+    const best = bests[mark.event];
+    if (!best || isBetter(gender, mark.event, mark.value, best.value)) {
+      bests[mark.event] = mark;
+    }
+  }
+
+  return bests;
+}
+
+/**
+ * Score an athlete's marks and find their personal and season bests
+ * @param {Object} athlete - Athlete from createAthlete
+ * @returns {Object} {
+ *   marks: scored marks, newest first, each with points, isPb, isSb and season,
+ *   personalBests: [mark] sorted by points,
+ *   seasonBests: { season: [mark] },
+ *   seasons: [season] newest first
+ * }
+ */
+export function analyzeAthlete(athlete) {
+  const marks = athlete.marks
+    .map(mark => ({
+      ...mark,
+      ...scoreMark(athlete.gender, mark),
+      season: mark.date.slice(0, 4)
+    }))
+    .sort((a, b) => b.date.localeCompare(a.date));
+
+  const personalBests = findBests(athlete.gender, marks);
+  const seasons = [...new Set(marks.map(mark => mark.season))].sort((a, b) => b.localeCompare(a));
+
+  const seasonBests = {};
+  for (const season of seasons) {
+    seasonBests[season] = findBests(athlete.gender, marks.filter(mark => mark.season === season));
+  }
+
+  const pbIds = new Set(Object.values(personalBests).map(mark => mark.id));
+  const sbIds = new Set(Object.values(seasonBests).flatMap(bests => Object.values(bests)).map(mark => mark.id));
+
+  const byPoints = (a, b) => (b.points ?? -1) - (a.points ?? -1);
+
+  return {
+    marks: marks.map(mark => ({ ...mark, isPb: pbIds.has(mark.id), isSb: sbIds.has(mark.id) })),
+    personalBests: Object.values(personalBests).sort(byPoints),
+    seasonBests: Object.fromEntries(
+      Object.entries(seasonBests).map(([season, bests]) => [season, Object.values(bests).sort(byPoints)])
+    ),
+    seasons
+  };
+}
+
+/**
+ * Points progression over time
+ * @param {Array} marks - Scored marks from analyzeAthlete
+ * @param {string|null} event - Only include this event (all events if null)
+ * @returns {Array} Points oldest first { date, points, event, performance, bestPoints } where
+ *   bestPoints is the best score up to and including that date
+ */
+export function getPointsProgression(marks, event = null) {
+  let bestPoints = null;
+
+  return marks
+    .filter(mark => mark.points !== null && (!event || mark.event === event))
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(mark => {
+      bestPoints = bestPoints === null ? mark.points : Math.max(bestPoints, mark.points);
+      return {
+        date: mark.date,
+        points: mark.points,
+        event: mark.event,
+        performance: mark.performance,
+        bestPoints
+      };
+    });
+}
@@ -0,0 +1,221 @@
+/**
+ * Batch Scoring Calculator
+ * Score many results at once from CSV or TSV text
+ */
+
+import { lookupPoints } from './performance-lookup.js';
+import { prepareForScoring, DEFAULT_TRACK_TYPE } from './track-conversions.js';
+import { eventConfigLoader } from '../data/event-config-loader.js';
+import { resolveEventKey } from '../data/event-registry.js';
+import { parsePerformance, formatPerformance } from '../utils/performance-parser.js';
+import { parseDelimited, toCsv } from '../utils/csv.js';
+
+export const GENDER_ALIASES = {
+  men: 'men',
+  man: 'men',
+  m: 'men',
+  male: 'men',
+  women: 'women',
+  woman: 'women',
+  w: 'women',
+  f: 'women',
+  female: 'women',
+  mixed: 'mixed',
+  x: 'mixed'
+};
+
+const HAND_TIMED_FLAGS = ['h', 'ht', 'hand', 'hand timed', 'yes', 'y', 'true', '1'];
+
+// Header names accepted for each column
+const COLUMN_HEADERS = {
+  athlete: ['athlete', 'name', 'athlete name'],
+  gender: ['gender', 'sex'],
+  event: ['event', 'discipline'],
+  mark: ['mark', 'performance', 'result', 'time', 'distance'],
+  hand: ['hand', 'hand timed', 'ht', 'timing']
+};
+
+// Column order used when there is no header row
+const DEFAULT_COLUMNS = { athlete: 0, gender: 1, event: 2, mark: 3, hand: 4 };
+
+/**
+ * Score every result in CSV or TSV text
+ * Columns are athlete, gender, event, mark and an optional hand timed flag.
+ * A header row is detected automatically and may list the columns in any order.
+ * Marks ending in "h" (e.g., "10.8h") are treated as hand timed.
+ * @param {string} text - Raw CSV or TSV text
+ * @returns {Array<Object>} Results with {line, athlete, gender, event, eventDisplayName, mark,
+ *   performance, isHandTimed, points, rank, error}, ranked by points
+ */
+export function scoreBatch(text) {
+  const rows = parseDelimited(text);
+
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const headerColumns = getHeaderColumns(rows[0]);
+  const columns = headerColumns || DEFAULT_COLUMNS;
+  const firstDataRow = headerColumns ? 1 : 0;
+
+  const results = [];
+  for (let i = firstDataRow; i < rows.length; i++) {
+    results.push(scoreRow(rows[i], columns, i + 1));
+  }
+
+  return rankResults(results);
+}
+
+/**
+ * Build a CSV of scored results
+ * @param {Array<Object>} results - Results from scoreBatch
+ * @returns {string}
+ */
+export function buildResultsCsv(results) {
+  const rows = [['Rank', 'Athlete', 'Gender', 'Event', 'Mark', 'Hand Timed', 'Points', 'Error']];
+
+  for (const result of results) {
+    rows.push([
+      result.rank,
+      result.athlete,
+      result.gender,
+      result.eventDisplayName || result.event,
+      result.performance || result.mark,
+      result.isHandTimed ? 'Yes' : 'No',
+      result.points,
+      result.error
+    ]);
+  }
+
+  return toCsv(rows);
+}
+
+/**
+ * Map column names to indexes when the first row is a header
+ * @param {string[]} row
+ * @returns {Object|null} Column indexes, or null if the row is not a header
+ */
+function getHeaderColumns(row) {
+  const normalized = row.map(value => value.toLowerCase());
+  const columns = {};
+
+  for (const [column, names] of Object.entries(COLUMN_HEADERS)) {
+    const index = normalized.findIndex(value => names.includes(value));
+    if (index !== -1) {
+      columns[column] = index;
+    }
+  }
+
+  // A header must at least name the event and mark columns
+  if (columns.event === undefined || columns.mark === undefined) {
+    return null;
+  }
+
+  return columns;
+}
+
+/**
+ * Score a single row
+ * @param {string[]} row
+ * @param {Object} columns - Column indexes
+ * @param {number} line - Line number for error reporting
+ * @returns {Object}
+ */
+function scoreRow(row, columns, line) {
+  const valueAt = index => (index === undefined ? '' : row[index] || '');
+
+  const result = {
+    line,
+    athlete: valueAt(columns.athlete),
+    gender: '',
+    event: valueAt(columns.event),
+    eventDisplayName: '',
+    mark: valueAt(columns.mark),
+    performance: '',
+    isHandTimed: HAND_TIMED_FLAGS.includes(valueAt(columns.hand).toLowerCase()),
+    points: null,
+    rank: null,
+    error: null
+  };
+
+  const gender = GENDER_ALIASES[valueAt(columns.gender).toLowerCase()];
+  if (!gender) {
+    result.error = `Unknown gender "${valueAt(columns.gender)}"`;
+    return result;
+  }
+  result.gender = gender;
+
+  const eventKey = findEventKey(result.event);
+  if (!eventKey) {
+    result.error = `Unknown event "${result.event}"`;
+    return result;
+  }
+  result.event = eventKey;
+  result.eventDisplayName = eventConfigLoader.getEventInfo(eventKey)?.displayName || eventKey;
+
+  // A trailing "h" marks a hand timed result (e.g., "10.8h")
+  let mark = result.mark;
+  const handTimedMatch = mark.match(/^(.*\d)\s*h$/i);
+  if (handTimedMatch) {
+    mark = handTimedMatch[1];
+    result.isHandTimed = true;
+  }
+
+  const normalizedPerformance = parsePerformance(mark, eventKey);
+  if (!normalizedPerformance) {
+    result.error = `Invalid mark "${result.mark}"`;
+    return result;
+  }
+  result.performance = formatPerformance(normalizedPerformance, eventKey);
+
+  // Yard times are scored as their metric equivalent, as in the score calculator
+  const scoring = prepareForScoring(eventKey, normalizedPerformance, DEFAULT_TRACK_TYPE, result.isHandTimed);
+
+  const lookup = lookupPoints(gender, scoring.event, scoring.performance, scoring.isHandTimed);
+  if (!lookup) {
+    result.error = `No scoring table for ${result.eventDisplayName} (${gender})`;
+    return result;
+  }
+  result.points = lookup.points;
+
+  return result;
+}
+
+/**
+ * Find an event key from a key, alias or display name (case insensitive)
+ * @param {string} value
+ * @returns {string|null} Canonical event key
+ */
+export function findEventKey(value) {
+  const search = value.trim().toLowerCase();
+  if (!search) {
+    return null;
+  }
+
+  const key = resolveEventKey(search);
+  if (key) {
+    return key;
+  }
+
+  const match = eventConfigLoader.getAllEvents().find(event => event.displayName?.toLowerCase() === search);
+  return match ? match.key : null;
+}
+
+/**
+ * Rank scored results by points, sharing ranks on equal points
+ * Rows with errors are listed last without a rank.
+ * @param {Array<Object>} results
+ * @returns {Array<Object>}
+ */
+function rankResults(results) {
+  const scored = results
+    .filter(result => result.points !== null)
+    .sort((a, b) => b.points - a.points);
+
+  scored.forEach((result, index) => {
+    const previous = scored[index - 1];
+    result.rank = previous && previous.points === result.points ? previous.rank : index + 1;
+  });
+
+  return [...scored, ...results.filter(result => result.points === null)];
+}
@@ -0,0 +1,158 @@
+/**
+ * Combined Events Competition
+ * Scoring and standings for a field of athletes in a combined event
+ */
+
+import { scorePerformance } from '../utils/combined-events-scorer.js';
+
+// Result codes that score zero points (did not start, did not finish, no mark, disqualified)
+const ZERO_SCORE_CODES = ['DNS', 'DNF', 'NM', 'DQ'];
+
+/**
+ * Create a new competition
+ * @param {Object} options
+ * @param {string} options.name - Competition name
+ * @param {string} options.gender - 'men' or 'women'
+ * @param {string} options.combinedEvent - Combined event key (e.g., 'decathlon')
+ * @param {string} options.displayName - Combined event display name
+ * @param {string[]} options.events - Event keys in competition order
+ * @param {string[]} options.athleteNames - Athlete names
+ * @returns {Object} Competition record
+ */
+export function createCompetition({ name, gender, combinedEvent, displayName, events, athleteNames }) {
+  const now = new Date().toISOString();
+
+  return {
+    id: createId(),
+    name,
+    gender,
+    combinedEvent,
+    displayName,
+    events,
+    athletes: athleteNames.map(athleteName => createAthlete(athleteName)),
+    currentEventIndex: 0,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+/**
+ * Create an athlete entry
+ * @param {string} name
+ * @returns {Object} {id, name, marks}
+ */
+export function createAthlete(name) {
+  return {
+    id: createId(),
+    name,
+    marks: {} // { eventKey: { inputValue, isHandTimed, score, code? } }
+  };
+}
+
+/**
+ * Score a mark entered for an athlete
+ * @param {string} inputValue - Mark as entered (or a result code such as DNS)
+ * @param {string} eventKey
+ * @param {Object} eventParams - Event parameters {measurement, parameters}
+ * @param {boolean} isHandTimed
+ * @returns {Object|null} Mark record {inputValue, isHandTimed, score, code?}, or null if invalid
+ */
+export function scoreMark(inputValue, eventKey, eventParams, isHandTimed = false) {
+  const code = inputValue.trim().toUpperCase();
+
+  if (ZERO_SCORE_CODES.includes(code)) {
+    return { inputValue: code, isHandTimed: false, score: 0, code };
+  }
+
+  const scored = scorePerformance(inputValue, eventKey, eventParams, isHandTimed);
+  if (!scored) {
+    return null;
+  }
+
+  return { inputValue: inputValue.trim(), isHandTimed, score: scored.score };
+}
+
+/**
+ * Calculate standings after a discipline
+ * Athletes on equal points share a rank.
+ * @param {Object} competition
+ * @param {number} eventIndex - Index of the last discipline to include
+ * @returns {Array<Object>} Standings sorted by total {athleteId, name, total, eventScore, completed, rank}
+ */
+export function calculateStandings(competition, eventIndex) {
+  const includedEvents = competition.events.slice(0, eventIndex + 1);
+  const lastEvent = competition.events[eventIndex];
+
+  const standings = competition.athletes.map(athlete => {
+    let total = 0;
+    let completed = 0;
+
+    for (const eventKey of includedEvents) {
+      const mark = athlete.marks[eventKey];
+      if (mark) {
+        total += mark.score;
+        completed++;
+      }
+    }
+
+    return {
+      athleteId: athlete.id,
+      name: athlete.name,
+      total,
+      eventScore: athlete.marks[lastEvent]?.score ?? null,
+      completed
+    };
+  });
+
+  standings.sort((a, b) => b.total - a.total || a.name.localeCompare(b.name));
+
+  standings.forEach((standing, index) => {
+    const previous = standings[index - 1];
+    standing.rank = previous && previous.total === standing.total ? previous.rank : index + 1;
+  });
+
+  return standings;
+}
+
+/**
+ * Calculate standings after a discipline with rank changes since the previous discipline
+ * A positive rankChange means the athlete moved up the standings.
+ * @param {Object} competition
+ * @param {number} eventIndex - Index of the last discipline to include
+ * @returns {Array<Object>} Standings with rankChange (null after the first discipline)
+ */
+export function calculateStandingsWithChanges(competition, eventIndex) {
+  const standings = calculateStandings(competition, eventIndex);
+
+  if (eventIndex === 0) {
+    return standings.map(standing => ({ ...standing, rankChange: null }));
+  }
+
+  const previousRanks = new Map(
+    calculateStandings(competition, eventIndex - 1).map(standing => [standing.athleteId, standing.rank])
+  );
+
+  return standings.map(standing => ({
+    ...standing,
+    rankChange: previousRanks.get(standing.athleteId) - standing.rank
+  }));
+}
+
+/**
+ * Check if every athlete has a mark for a discipline
+ * @param {Object} competition
+ * @param {string} eventKey
+ * @returns {boolean}
+ */
+export function isEventComplete(competition, eventKey) {
+  return competition.athletes.length > 0 &&
+    competition.athletes.every(athlete => athlete.marks[eventKey]);
+}
+
+/**
+ * Create a unique id
+ * @returns {string}
+ */
+function createId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
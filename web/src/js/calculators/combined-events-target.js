@@ -0,0 +1,283 @@
+/**
+ * Combined Events Target Score Solver
+ * Works out the marks needed in the remaining events to reach a target total
+ */
+
+import {
+  calculateEventScore,
+  calculatePerformanceForScore,
+  formatPerformanceDisplay
+} from '../utils/combined-events-scorer.js';
+
+/**
+ * Find the weakest recordable mark that scores at least a number of points
+ * Times are recorded to 0.01s, jumps to the whole centimetre and throws to the centimetre.
+ * @param {number} points - Points to score
+ * @param {string} eventKey - Event identifier
+ * @param {Object} eventParams - Event parameters {measurement, parameters}
+ * @returns {Object|null} {value, points, mark} or null if the points cannot be scored
+ */
+export function findMarkForPoints(points, eventKey, eventParams) {
+  const { measurement, parameters } = eventParams;
+  const exact = calculatePerformanceForScore(points, parameters, measurement);
+
+  if (exact === null) {
+    return null;
+  }
+
+  // Step size in the formula's units (long jump and high/pole vault are scored in centimetres)
+  const isTime = measurement === 'time';
+  const step = isTime || (measurement === 'distance' && eventKey !== 'lj') ? 0.01 : 1;
+  const precision = step === 1 ? 1 : 100;
+
+  // Round towards the weaker mark, then step until the mark scores enough
+  let value = isTime
+    ? Math.floor(exact * precision + 1e-9) / precision
+    : Math.ceil(exact * precision - 1e-9) / precision;
+
+  for (let i = 0; i < 3 && calculateEventScore(value, parameters, measurement) < points; i++) {
+    value = Math.round((isTime ? value - step : value + step) * precision) / precision;
+  }
+
+  if (value <= 0) {
+    return null;
+  }
+
+  return {
+    value,
+    points: calculateEventScore(value, parameters, measurement),
+    mark: formatPerformanceDisplay(value, measurement, eventKey)
+  };
+}
+
+/**
+ * Get the most points an event can contribute
+ * @param {Object} event - Remaining event {measurement, parameters, ceilingValue}
+ * @returns {number} Points at the ceiling mark, or the formula's limit for a time of zero
+ */
+function getPointsCap(event) {
+  const { measurement, parameters } = event;
+
+  if (event.ceilingValue !== null && event.ceilingValue !== undefined) {
+    return calculateEventScore(event.ceilingValue, parameters, measurement);
+  }
+
+  if (measurement === 'time') {
+    // Largest score for a time still above zero
+    return Math.floor(parameters.a * Math.pow(parameters.b, parameters.c)) - 1;
+  }
+
+  return Infinity;
+}
+
+/**
+ * Split points across events in proportion to their weights without exceeding any cap
+ * Capped events are fixed at their cap and the rest is shared among the others.
+ * @param {number} needed - Points to share
+ * @param {number[]} weights - Relative share for each event
+ * @param {number[]} caps - Maximum points for each event
+ * @returns {number[]} Real-valued points per event
+ */
+function allocateWeighted(needed, weights, caps) {
+  const allocation = weights.map(() => 0);
+  const open = new Set(weights.map((_, index) => index));
+  let remaining = needed;
+
+  while (open.size > 0 && remaining > 0) {
+    const totalWeight = [...open].reduce((sum, index) => sum + weights[index], 0);
+    const overCap = [...open].filter(index => remaining * weights[index] / totalWeight > caps[index]);
+
+    if (overCap.length === 0) {
+      for (const index of open) {
+        allocation[index] = remaining * weights[index] / totalWeight;
+      }
+      break;
+    }
+
+    for (const index of overCap) {
+      allocation[index] = caps[index];
+      remaining -= caps[index];
+      open.delete(index);
+    }
+  }
+
+  return allocation;
+}
+
+/**
+ * Leave every event the same number of points short of its cap
+ * Events that would drop below zero are set to zero and the rest share the difference.
+ * @param {number} needed - Points to share
+ * @param {number[]} caps - Maximum points for each event
+ * @returns {number[]} Real-valued points per event
+ */
+function allocateEqualShortfall(needed, caps) {
+  const allocation = caps.map(() => 0);
+  const open = new Set(caps.map((_, index) => index));
+
+  while (open.size > 0) {
+    const capTotal = [...open].reduce((sum, index) => sum + caps[index], 0);
+    const shortfall = (capTotal - needed) / open.size;
+    const belowZero = [...open].filter(index => caps[index] - shortfall < 0);
+
+    if (belowZero.length === 0) {
+      for (const index of open) {
+        allocation[index] = caps[index] - shortfall;
+      }
+      break;
+    }
+
+    belowZero.forEach(index => open.delete(index));
+  }
+
+  return allocation;
+}
+
+/**
+ * Round a real-valued allocation to whole points that still add up to the points needed
+ * @param {number[]} allocation - Real-valued points per event
+ * @param {number} needed - Total points needed
+ * @param {number[]} caps - Maximum points for each event
+ * @returns {number[]} Whole points per event
+ */
+function roundAllocation(allocation, needed, caps) {
+  const rounded = allocation.map(points => Math.floor(points + 1e-9));
+  let shortBy = needed - rounded.reduce((sum, points) => sum + points, 0);
+
+  // Give the leftover points to the events with the largest fractional parts
+  const order = allocation
+    .map((points, index) => ({ index, fraction: points - rounded[index] }))
+    .sort((a, b) => b.fraction - a.fraction);
+
+  for (const { index } of order) {
+    if (shortBy <= 0) break;
+    if (rounded[index] < caps[index]) {
+      rounded[index]++;
+      shortBy--;
+    }
+  }
+
+  return rounded;
+}
+
+/**
+ * Build a distribution of marks from whole points per event
+ * @param {Object} definition - {key, label, description}
+ * @param {Array<Object>} remaining - Remaining events
+ * @param {number[]} pointsPerEvent - Whole points per event
+ * @param {number[]} caps - Maximum points for each event
+ * @param {number} completedTotal - Points already scored
+ * @returns {Object|null} Distribution, or null if a mark cannot be found
+ */
+function buildDistribution(definition, remaining, pointsPerEvent, caps, completedTotal) {
+  const events = [];
+
+  for (let i = 0; i < remaining.length; i++) {
+    const event = remaining[i];
+    const found = findMarkForPoints(pointsPerEvent[i], event.key, event);
+
+    if (!found) {
+      return null;
+    }
+
+    events.push({
+      key: event.key,
+      displayName: event.displayName,
+      targetPoints: pointsPerEvent[i],
+      points: found.points,
+      value: found.value,
+      mark: found.mark,
+      atCeiling: Number.isFinite(caps[i]) && pointsPerEvent[i] >= caps[i] && event.ceilingValue != null
+    });
+  }
+
+  const remainingPoints = events.reduce((sum, event) => sum + event.points, 0);
+
+  return {
+    ...definition,
+    events,
+    total: completedTotal + remainingPoints
+  };
+}
+
+/**
+ * Solve for the marks needed in the remaining events of a combined event
+ * @param {number} targetTotal - Target total score
+ * @param {Array<Object>} events - Events in competition order
+ *   {key, displayName, measurement, parameters, completedScore?, ceilingValue?}
+ *   completedScore is set for events already done; ceilingValue is the best mark the athlete can manage
+ * @returns {Object} {targetTotal, completedTotal, pointsNeeded, remainingCount, maxPossible,
+ *   alreadyReached, feasible, distributions}
+ */
+export function solveTargetScore(targetTotal, events) {
+  const completed = events.filter(event => typeof event.completedScore === 'number');
+  const remaining = events.filter(event => typeof event.completedScore !== 'number');
+
+  const completedTotal = completed.reduce((sum, event) => sum + event.completedScore, 0);
+  const pointsNeeded = targetTotal - completedTotal;
+  const caps = remaining.map(event => getPointsCap(event));
+  const maxPossible = completedTotal + caps.reduce((sum, cap) => sum + cap, 0);
+
+  const result = {
+    targetTotal,
+    completedTotal,
+    pointsNeeded: Math.max(0, pointsNeeded),
+    remainingCount: remaining.length,
+    maxPossible: Number.isFinite(maxPossible) ? maxPossible : null,
+    alreadyReached: pointsNeeded <= 0,
+    feasible: pointsNeeded <= 0 || (remaining.length > 0 && maxPossible >= targetTotal),
+    distributions: []
+  };
+
+  if (result.alreadyReached || !result.feasible) {
+    return result;
+  }
+
+  const addDistribution = (definition, allocation) => {
+    const pointsPerEvent = roundAllocation(allocation, pointsNeeded, caps);
+    const distribution = buildDistribution(definition, remaining, pointsPerEvent, caps, completedTotal);
+    if (distribution) {
+      result.distributions.push(distribution);
+    }
+  };
+
+  // Balanced: the same points in every remaining event
+  addDistribution(
+    {
+      key: 'balanced',
+      label: 'Balanced',
+      description: 'The same points in every remaining event.'
+    },
+    allocateWeighted(pointsNeeded, remaining.map(() => 1), caps)
+  );
+
+  // Strength-weighted distributions need the athlete's ceilings to measure strengths
+  const ceilingCaps = caps.filter((cap, index) => remaining[index].ceilingValue != null && cap > 0);
+
+  if (ceilingCaps.length > 0) {
+    const averageCeiling = ceilingCaps.reduce((sum, cap) => sum + cap, 0) / ceilingCaps.length;
+    const weights = remaining.map((event, index) => (event.ceilingValue != null ? caps[index] : averageCeiling));
+
+    addDistribution(
+      {
+        key: 'strength',
+        label: 'Strength-weighted',
+        description: 'Points in proportion to the ceiling in each event, leaning on the strongest events.'
+      },
+      allocateWeighted(pointsNeeded, weights, caps)
+    );
+  }
+
+  if (remaining.every(event => event.ceilingValue != null)) {
+    addDistribution(
+      {
+        key: 'shortfall',
+        label: 'Equal margin',
+        description: 'Every remaining event falls the same number of points short of its ceiling.'
+      },
+      allocateEqualShortfall(pointsNeeded, caps)
+    );
+  }
+
+  return result;
+}
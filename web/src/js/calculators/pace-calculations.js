@@ -97,6 +97,22 @@ export function calculateTotalTime(distanceMetres, paceSecondsPerUnit, paceUnit)
   return paceSecondsPerUnit * adjustedDistance;
 }
 
+/**
+ * Calculate distance covered from total time and pace
+ * @param {number} totalTimeSeconds - Total time in seconds
+ * @param {number} paceSecondsPerUnit - Pace in seconds per unit
+ * @param {string} paceUnit - Unit for pace ('km', 'mile', '400m', '200m', or '100m')
+ * @returns {number} Distance in metres
+ */
+export function calculateDistance(totalTimeSeconds, paceSecondsPerUnit, paceUnit) {
+  if (totalTimeSeconds <= 0 || paceSecondsPerUnit <= 0) {
+    throw new Error('Time and pace must be greater than 0');
+  }
+
+  // Distance = total time / time taken per metre
+  return totalTimeSeconds / calculateTotalTime(1, paceSecondsPerUnit, paceUnit);
+}
+
 /**
  * Convert pace between different units
  * @param {number} paceSeconds - Pace in seconds
@@ -283,6 +299,37 @@ export function calculateTotalTimeFromSpeed(distanceMetres, speed, speedUnit) {
   return distanceMetres / metresPerSecond;
 }
 
+/**
+ * Calculate distance covered from total time and speed
+ * @param {number} totalTimeSeconds - Total time in seconds
+ * @param {number} speed - Speed value
+ * @param {string} speedUnit - Unit for speed ('kmh', 'mph', 'ms', 'fts', 'yds')
+ * @returns {number} Distance in metres
+ */
+export function calculateDistanceFromSpeed(totalTimeSeconds, speed, speedUnit) {
+  if (totalTimeSeconds <= 0 || speed <= 0) {
+    throw new Error('Time and speed must be greater than 0');
+  }
+
+  // Distance = total time / time taken per metre
+  return totalTimeSeconds / calculateTotalTimeFromSpeed(1, speed, speedUnit);
+}
+
+/**
+ * Get a distance in every supported distance unit
+ * @param {number} distanceMetres - Distance in metres
+ * @returns {Object} Distance in km, m, miles, yards and feet
+ */
+export function getEquivalentDistances(distanceMetres) {
+  return {
+    km: convertDistance(distanceMetres, 'metres', 'km'),
+    m: distanceMetres,
+    miles: convertDistance(distanceMetres, 'metres', 'miles'),
+    yards: convertDistance(distanceMetres, 'metres', 'yards'),
+    feet: convertDistance(distanceMetres, 'metres', 'feet')
+  };
+}
+
 /**
  * Convert pace to speed
  * @param {number} paceSecondsPerKm - Pace in seconds per kilometre
@@ -359,9 +406,11 @@ export function getSpeedUnitSplitInterval(speedUnit) {
  * @param {Object} eventConfig - Event configuration
  * @param {number} initialSplitIntervalMetres - Initial split interval in metres
  * @param {Object} splitIntervalInfo - Split interval display info { metres, value, unit }
+ * @param {Object} options - Split options
+ * @param {boolean} options.remainderFirst - Put the partial interval at the start (track laps)
  * @returns {Array} Array of split objects
  */
-export function calculateSmartSplits(distanceMetres, pacePerKm, eventConfig, initialSplitIntervalMetres, splitIntervalInfo) {
+export function calculateSmartSplits(distanceMetres, pacePerKm, eventConfig, initialSplitIntervalMetres, splitIntervalInfo, { remainderFirst = false } = {}) {
   let splitIntervalMetres = initialSplitIntervalMetres;
   let adjustedIntervalInfo = { ...splitIntervalInfo };
 
@@ -388,11 +437,16 @@ export function calculateSmartSplits(distanceMetres, pacePerKm, eventConfig, ini
   let previousDistanceMetres = 0;
   let previousTime = 0;
 
-  while (currentDistanceMetres < distanceMetres) {
-    currentDistanceMetres += splitIntervalMetres;
+  // Track mode: the partial interval comes first so later splits land on the finish line
+  const remainderMetres = distanceMetres - numSplits * splitIntervalMetres;
+  let nextSplitMetres = remainderFirst && remainderMetres > 0.001 ? remainderMetres : splitIntervalMetres;
+
+  while (currentDistanceMetres < distanceMetres - 0.001) {
+    currentDistanceMetres += nextSplitMetres;
+    nextSplitMetres = splitIntervalMetres;
 
     // Don't exceed total distance
-    if (currentDistanceMetres > distanceMetres) {
+    if (currentDistanceMetres > distanceMetres - 0.001) {
       currentDistanceMetres = distanceMetres;
     }
 
@@ -416,6 +470,7 @@ export function calculateSmartSplits(distanceMetres, pacePerKm, eventConfig, ini
     const splitDistanceLabel = `${splitFormattedValue}${adjustedIntervalInfo.unit}`;
 
     splits.push({
+      distanceMetres: currentDistanceMetres,
       distanceLabel,
       splitDistanceLabel,
       splitTime,
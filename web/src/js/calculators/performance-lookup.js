@@ -5,238 +5,198 @@
 
 import { scoringDataLoader } from '../data/scoring-data-loader.js';
 import { eventConfigLoader } from '../data/event-config-loader.js';
+import { applyTimingRules, toHandTime } from '../utils/timing-rules.js';
 
 /**
  * Find points for a given performance in an event
  * Per World Athletics rules: When a performance falls between two table entries,
  * the lower score shall be assigned.
+ * Times are first rounded and converted by the timing rules (see timing-rules.js).
  * @param {string} gender
  * @param {string} event
  * @param {string} performance - Normalized performance value
- * @param {boolean} isHandTimed - Whether to apply hand timing offset
- * @returns {Object|null} {points, exactMatch, closestPerformance, appliedOffset?, originalPerformance?}
+ * @param {boolean} isHandTimed - Whether the time was hand timed
+ * @param {number|null} wind - Wind reading in m/s (wind affected events only)
+ * @returns {Object|null} {points, exactMatch, closestPerformance, appliedOffset?, originalPerformance?,
+ *   timingWarning?, wind?, windModification?, windModifiedPoints?, isWindAssisted?}
  */
-export function lookupPoints(gender, event, performance, isHandTimed = false) {
-  // Find the category for this event
-  const category = scoringDataLoader.findCategory(gender, event);
+export function lookupPoints(gender, event, performance, isHandTimed = false, wind = null) {
+  // Get the indexed scoring table for this event
+  const table = scoringDataLoader.getEventIndex(gender, event);
 
-  if (!category) {
+  if (!table) {
     return null;
   }
 
-  // Get the event data
-  const eventData = scoringDataLoader.getEventData(gender, category, event);
+  // Convert performance to number for comparison
+  const timing = applyTimingRules(parseFloat(performance), event, isHandTimed);
+  const perfNum = timing.value;
 
-  if (!eventData || eventData.length === 0) {
+  if (isNaN(perfNum)) {
     return null;
   }
 
-  // Convert performance to number for comparison
-  let perfNum = parseFloat(performance);
-  let appliedOffset = null;
-  let originalPerformance = null;
+  // Index of the first row that is worse than the user's performance
+  const worseIndex = findFirstWorseIndex(table, perfNum);
 
-  // Apply hand timing offset if applicable
-  if (isHandTimed) {
-    const offset = eventConfigLoader.getHandTimingOffset(event);
-    if (offset) {
-      originalPerformance = perfNum;
-      perfNum += offset;
-      appliedOffset = offset;
-    }
+  // Check for exact match (within small tolerance for floating point) on either side
+  let selectedIndex = [worseIndex - 1, worseIndex].find(i =>
+    i >= 0 && i < table.points.length && Math.abs(table.performances[i] - perfNum) < 0.005
+  );
+  const exactMatch = selectedIndex !== undefined;
+
+  if (!exactMatch) {
+    // Per World Athletics rules, use the closest worse performance (the lower score).
+    // If the user performed worse than all table entries, use the worst entry.
+    selectedIndex = Math.min(worseIndex, table.points.length - 1);
   }
 
-  if (isNaN(perfNum)) {
-    return null;
+  const result = {
+    points: table.points[selectedIndex],
+    exactMatch,
+    closestPerformance: table.rawPerformances[selectedIndex]
+  };
+  if (timing.offset !== null) {
+    result.appliedOffset = timing.offset;
+    result.originalPerformance = timing.time;
   }
+  if (timing.warning) {
+    result.timingWarning = timing.warning;
+  }
+  applyWindToResult(result, event, wind);
+  return result;
+}
 
-  // Determine if this is a "lower is better" event (times) or "higher is better" (distances)
-  const isDistanceEvent = isFieldEvent(event);
-
-  // Find exact match or closest worse performance (per World Athletics rules)
-  let lowerPointsEntry = null;
-
-  for (const [points, perf] of eventData) {
-    const perfValue = parseFloat(perf);
-
-    // Check for exact match (within small tolerance for floating point)
-    if (Math.abs(perfValue - perfNum) < 0.005) {
-      const result = {
-        points,
-        exactMatch: true,
-        closestPerformance: perf
-      };
-      if (appliedOffset !== null) {
-        result.appliedOffset = appliedOffset;
-        result.originalPerformance = originalPerformance;
-      }
-      return result;
-    }
+/**
+ * Calculate fractional points for a performance by interpolating between table rows
+ * For analysis only: official scores always use the lower row (see lookupPoints).
+ * Performances outside the table are clamped to the first or last row.
+ * @param {string} gender
+ * @param {string} event
+ * @param {string} performance - Normalized performance value
+ * @param {boolean} isHandTimed - Whether the time was hand timed
+ * @returns {Object|null} {points, officialPoints, lowerEntry, upperEntry, outOfRange}
+ */
+export function interpolatePoints(gender, event, performance, isHandTimed = false) {
+  const table = scoringDataLoader.getEventIndex(gender, event);
+  const official = lookupPoints(gender, event, performance, isHandTimed);
 
-    // Track the entry that should be used based on World Athletics rules
-    // When performance falls between table entries, use the lower score
-    if (isDistanceEvent) {
-      // For distance events (higher is better):
-      // Find table entries that are worse than user's performance (shorter distance)
-      // Among these, select the one with highest points (closest worse performance)
-      if (perfNum > perfValue) {
-        // Table entry is shorter - user performed better than this entry
-        // This entry represents a worse performance, potentially applicable
-        if (!lowerPointsEntry || points > lowerPointsEntry[0]) {
-          lowerPointsEntry = [points, perf];
-        }
-      }
-    } else {
-      // For time events (lower is better):
-      // Find table entries that are worse than user's performance (slower time)
-      // Among these, select the one with highest points (closest worse performance)
-      if (perfNum < perfValue) {
-        // Table entry is slower - user performed better than this entry
-        // This entry represents a worse performance, potentially applicable
-        if (!lowerPointsEntry || points > lowerPointsEntry[0]) {
-          lowerPointsEntry = [points, perf];
-        }
-      }
-    }
+  if (!table || !official) {
+    return null;
   }
 
-  // If no entry found where table performance is worse than user's,
-  // the user performed worse than all table entries - return the worst (lowest points) entry
-  if (!lowerPointsEntry) {
-    for (const [points, perf] of eventData) {
-      if (!lowerPointsEntry || points < lowerPointsEntry[0]) {
-        lowerPointsEntry = [points, perf];
-      }
-    }
+  if (official.exactMatch) {
+    const entry = [official.points, official.closestPerformance];
+    return {
+      points: official.points,
+      officialPoints: official.points,
+      lowerEntry: entry,
+      upperEntry: entry,
+      outOfRange: false
+    };
   }
 
-  if (lowerPointsEntry) {
-    const result = {
-      points: lowerPointsEntry[0],
-      exactMatch: false,
-      closestPerformance: lowerPointsEntry[1]
+  const perfNum = applyTimingRules(parseFloat(performance), event, isHandTimed).value;
+  const lastIndex = table.points.length - 1;
+  const worseIndex = findFirstWorseIndex(table, perfNum);
+
+  // Better than the best row, or worse than the worst row
+  if (worseIndex === 0 || worseIndex > lastIndex) {
+    const index = worseIndex === 0 ? 0 : lastIndex;
+    return {
+      points: table.points[index],
+      officialPoints: official.points,
+      lowerEntry: [table.points[index], table.rawPerformances[index]],
+      upperEntry: [table.points[index], table.rawPerformances[index]],
+      outOfRange: true
     };
-    if (appliedOffset !== null) {
-      result.appliedOffset = appliedOffset;
-      result.originalPerformance = originalPerformance;
-    }
-    return result;
   }
 
-  return null;
+  const upper = worseIndex - 1;
+  const lower = worseIndex;
+  const ratio = (perfNum - table.performances[lower]) /
+    (table.performances[upper] - table.performances[lower]);
+  const points = table.points[lower] + (table.points[upper] - table.points[lower]) * ratio;
+
+  return {
+    points: Math.round(points * 100) / 100,
+    officialPoints: official.points,
+    lowerEntry: [table.points[lower], table.rawPerformances[lower]],
+    upperEntry: [table.points[upper], table.rawPerformances[upper]],
+    outOfRange: false
+  };
 }
 
 /**
- * Find performance for a given score in an event (reverse lookup)
- * When a score falls between two table entries, returns the performance with LOWER points
- * @param {string} gender
+ * Calculate the wind modification for a wind affected event
+ * A tailwind reduces the score and a headwind increases it. Headwinds beyond the
+ * minimum are treated as the minimum, and winds above the maximum are not eligible.
  * @param {string} event
- * @param {number} points - Score to look up (will be rounded to whole number)
- * @param {boolean} isHandTimed - Whether to subtract hand timing offset from result
- * @returns {Object|null} {performance, exactMatch, points, appliedOffset?, originalPerformance?}
+ * @param {number} wind - Wind reading in m/s
+ * @returns {Object|null} {modification, isWindAssisted, isEligible}, or null if event is not wind affected
  */
-export function lookupPerformance(gender, event, points, isHandTimed = false) {
-  // Round points to whole number
-  const targetPoints = Math.round(points);
-
-  // Find the category for this event
-  const category = scoringDataLoader.findCategory(gender, event);
+export function calculateWindModification(event, wind) {
+  const config = eventConfigLoader.getWindModification(event);
 
-  if (!category) {
+  if (!config || typeof wind !== 'number' || isNaN(wind)) {
     return null;
   }
 
-  // Get the event data
-  const eventData = scoringDataLoader.getEventData(gender, category, event);
+  const isWindAssisted = wind > config.legalLimit;
 
-  if (!eventData || eventData.length === 0) {
-    return null;
+  if (wind > config.maxWind) {
+    return { modification: null, isWindAssisted, isEligible: false };
   }
 
-  // Find exact match or the entry with lower points when between two values
-  let exactMatchEntry = null;
-  let lowerPointsEntry = null;
+  const effectiveWind = Math.max(wind, config.minWind);
+  // Avoid -0 for a zero wind reading
+  const modification = Math.round(-effectiveWind * config.pointsPerMetrePerSecond) || 0;
 
-  for (const [entryPoints, perf] of eventData) {
-    // Check for exact match
-    if (entryPoints === targetPoints) {
-      exactMatchEntry = [entryPoints, perf];
-      break;
-    }
+  return { modification, isWindAssisted, isEligible: true };
+}
 
-    // Track the entry with highest points that is still lower than target
-    // This is the entry we want when score falls between values
-    if (entryPoints < targetPoints) {
-      if (!lowerPointsEntry || entryPoints > lowerPointsEntry[0]) {
-        lowerPointsEntry = [entryPoints, perf];
-      }
-    }
-  }
+/**
+ * Find performance for a given score in an event (reverse lookup)
+ * When a score falls between two table entries, returns the performance with LOWER points
+ * @param {string} gender
+ * @param {string} event
+ * @param {number} points - Score to look up (will be rounded to whole number)
+ * @param {boolean} isHandTimed - Whether to return the hand time that scores the same
+ * @returns {Object|null} {performance, exactMatch, points, appliedOffset?, originalPerformance?}
+ */
+export function lookupPerformance(gender, event, points, isHandTimed = false) {
+  // Round points to whole number
+  const targetPoints = Math.round(points);
 
-  // Use exact match if found, otherwise use lower points entry
-  const selectedEntry = exactMatchEntry || lowerPointsEntry;
+  // Get the indexed scoring table for this event
+  const table = scoringDataLoader.getEventIndex(gender, event);
 
-  // If still no entry found (score is lower than all table entries), use the lowest score entry
-  if (!selectedEntry) {
-    let lowestEntry = null;
-    for (const [entryPoints, perf] of eventData) {
-      if (!lowestEntry || entryPoints < lowestEntry[0]) {
-        lowestEntry = [entryPoints, perf];
-      }
-    }
-    if (lowestEntry) {
-      let performance = lowestEntry[1];
-      let appliedOffset = null;
-      let originalPerformance = null;
-
-      // Apply hand timing adjustment if requested
-      if (isHandTimed) {
-        const offset = eventConfigLoader.getHandTimingOffset(event);
-        if (offset) {
-          originalPerformance = performance;
-          const perfNum = parseFloat(performance);
-          // Subtract offset for hand timing (opposite of adding for FAT)
-          const adjustedPerf = perfNum - offset;
-          performance = adjustedPerf.toFixed(2);
-          appliedOffset = -offset; // Negative to indicate subtraction
-        }
-      }
-
-      const result = {
-        performance,
-        exactMatch: false,
-        points: lowestEntry[0]
-      };
-      if (appliedOffset !== null) {
-        result.appliedOffset = appliedOffset;
-        result.originalPerformance = originalPerformance;
-      }
-      return result;
-    }
+  if (!table) {
     return null;
   }
 
-  let performance = selectedEntry[1];
+  // Find exact match or the entry with lower points when between two values.
+  // If the score is lower than all table entries, use the lowest score entry.
+  const index = findFirstIndexAtOrBelowPoints(table, targetPoints);
+  const exactMatch = index < table.points.length && table.points[index] === targetPoints;
+  const selectedIndex = Math.min(index, table.points.length - 1);
+
+  let performance = table.rawPerformances[selectedIndex];
   let appliedOffset = null;
   let originalPerformance = null;
 
-  // Apply hand timing adjustment if requested
-  if (isHandTimed) {
-    const offset = eventConfigLoader.getHandTimingOffset(event);
-    if (offset) {
-      originalPerformance = performance;
-      const perfNum = parseFloat(performance);
-      // Subtract offset for hand timing (opposite of adding for FAT)
-      const adjustedPerf = perfNum - offset;
-      performance = adjustedPerf.toFixed(2);
-      appliedOffset = -offset; // Negative to indicate subtraction
-    }
+  // Convert to the equivalent hand time if requested
+  const handTime = isHandTimed ? toHandTime(parseFloat(performance), event) : null;
+  if (handTime) {
+    originalPerformance = performance;
+    performance = handTime.time.toFixed(1);
+    appliedOffset = -handTime.offset; // Negative to indicate subtraction
   }
 
   const result = {
     performance,
-    exactMatch: exactMatchEntry !== null,
-    points: selectedEntry[0]
+    exactMatch,
+    points: table.points[selectedIndex]
   };
   if (appliedOffset !== null) {
     result.appliedOffset = appliedOffset;
@@ -249,60 +209,48 @@ export function lookupPerformance(gender, event, points, isHandTimed = false) {
  * Find all equivalent performances across all events for a given point value
  * @param {string} gender
  * @param {number} points
+ * @param {Array<string>|null} events - Event keys to include (defaults to the primary events)
  * @returns {Array<{event, category, performance, points}>}
  */
-export function findEquivalentPerformances(gender, points) {
+export function findEquivalentPerformances(gender, points, events = null) {
   const equivalents = [];
 
   const allEvents = scoringDataLoader.getAllEvents(gender);
 
   for (const { event, category } of allEvents) {
-    const eventData = scoringDataLoader.getEventData(gender, category, event);
+    const table = scoringDataLoader.getEventIndex(gender, event);
 
-    if (!eventData || eventData.length === 0) {
+    if (!table) {
       continue;
     }
 
-    // Find the performance that matches these points (or closest)
-    let closestEntry = null;
-    let exactMatch = false;
-
-    for (const [eventPoints, perf] of eventData) {
-      // Check for exact match
-      if (eventPoints === points) {
-        closestEntry = [eventPoints, perf];
-        exactMatch = true;
-        break;
-      }
-
-      // Track closest entry
-      if (!closestEntry) {
-        closestEntry = [eventPoints, perf];
-      } else {
-        const currentDiff = Math.abs(eventPoints - points);
-        const closestDiff = Math.abs(closestEntry[0] - points);
-
-        if (currentDiff < closestDiff) {
-          closestEntry = [eventPoints, perf];
-        }
-      }
+    // Find the performance that matches these points (or closest).
+    // The neighbouring row with more points wins a tie.
+    const index = findFirstIndexAtOrBelowPoints(table, points);
+    const exactMatch = index < table.points.length && table.points[index] === points;
+    let closestIndex = index;
+
+    if (index >= table.points.length) {
+      closestIndex = table.points.length - 1;
+    } else if (!exactMatch && index > 0) {
+      const aboveDiff = table.points[index - 1] - points;
+      const belowDiff = points - table.points[index];
+      closestIndex = belowDiff < aboveDiff ? index : index - 1;
     }
 
-    if (closestEntry) {
-      equivalents.push({
-        event,
-        category,
-        performance: closestEntry[1],
-        points: closestEntry[0],
-        exactMatch
-      });
-    }
+    equivalents.push({
+      event,
+      category,
+      performance: table.rawPerformances[closestIndex],
+      points: table.points[closestIndex],
+      exactMatch
+    });
   }
 
-  // Filter to only include primary events
-  const primaryEvents = eventConfigLoader.getPrimaryEvents();
+  // Filter to only include the requested events (primary events by default)
+  const includedEvents = events || eventConfigLoader.getPrimaryEvents();
   const filteredEquivalents = equivalents.filter(equiv =>
-    primaryEvents.includes(equiv.event)
+    includedEvents.includes(equiv.event)
   );
 
   // Group by category
@@ -357,27 +305,17 @@ export function findEquivalentPerformances(gender, points) {
  * @returns {Object|null} {min, max}
  */
 export function getPointsRange(gender, event) {
-  const category = scoringDataLoader.findCategory(gender, event);
-
-  if (!category) {
-    return null;
-  }
-
-  const eventData = scoringDataLoader.getEventData(gender, category, event);
+  const table = scoringDataLoader.getEventIndex(gender, event);
 
-  if (!eventData || eventData.length === 0) {
+  if (!table) {
     return null;
   }
 
-  let min = Infinity;
-  let max = -Infinity;
-
-  for (const [points] of eventData) {
-    min = Math.min(min, points);
-    max = Math.max(max, points);
-  }
-
-  return { min, max };
+  // Rows are sorted by points descending
+  return {
+    min: table.points[table.points.length - 1],
+    max: table.points[0]
+  };
 }
 
 /**
@@ -387,46 +325,94 @@ export function getPointsRange(gender, event) {
  * @returns {Object|null} {min, max, minPerformance, maxPerformance}
  */
 export function getPerformanceRange(gender, event) {
-  const category = scoringDataLoader.findCategory(gender, event);
+  const table = scoringDataLoader.getEventIndex(gender, event);
 
-  if (!category) {
+  if (!table) {
     return null;
   }
 
-  const eventData = scoringDataLoader.getEventData(gender, category, event);
+  // Performances are ordered best to worst, so the extremes are the first and last rows
+  const lastIndex = table.performances.length - 1;
+  const [minIndex, maxIndex] = table.performances[0] <= table.performances[lastIndex]
+    ? [0, lastIndex]
+    : [lastIndex, 0];
 
-  if (!eventData || eventData.length === 0) {
-    return null;
+  return {
+    min: table.performances[minIndex],
+    max: table.performances[maxIndex],
+    minPerformance: table.rawPerformances[minIndex],
+    maxPerformance: table.rawPerformances[maxIndex]
+  };
+}
+
+/**
+ * Add wind modification fields to a lookupPoints result
+ * @param {Object} result - Result object to update
+ * @param {string} event
+ * @param {number|null} wind
+ */
+function applyWindToResult(result, event, wind) {
+  if (wind === null || wind === undefined) {
+    return;
   }
 
-  const performances = eventData.map(([_, perf]) => parseFloat(perf));
-  const min = Math.min(...performances);
-  const max = Math.max(...performances);
+  const windResult = calculateWindModification(event, wind);
+  if (!windResult) {
+    return;
+  }
+
+  result.wind = wind;
+  result.windModification = windResult.modification;
+  result.windModifiedPoints = windResult.isEligible
+    ? Math.max(0, result.points + windResult.modification)
+    : null;
+  result.isWindAssisted = windResult.isWindAssisted;
+}
+
+/**
+ * Binary search for the first row with a worse performance than the given value
+ * @param {Object} table - Indexed event table from scoringDataLoader.getEventIndex
+ * @param {number} perfNum - Performance value
+ * @returns {number} Row index, or the row count if no row is worse
+ */
+function findFirstWorseIndex(table, perfNum) {
+  const { performances, higherIsBetter } = table;
+  let low = 0;
+  let high = performances.length;
 
-  // Find the actual performance strings for min and max
-  let minPerformance = null;
-  let maxPerformance = null;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    const isWorse = higherIsBetter ? performances[mid] < perfNum : performances[mid] > perfNum;
 
-  for (const [_, perf] of eventData) {
-    const perfNum = parseFloat(perf);
-    if (perfNum === min) minPerformance = perf;
-    if (perfNum === max) maxPerformance = perf;
+    if (isWorse) {
+      high = mid;
+    } else {
+      low = mid + 1;
+    }
   }
 
-  return {
-    min,
-    max,
-    minPerformance,
-    maxPerformance
-  };
+  return low;
 }
 
 /**
- * Check if an event is a field (distance) event
- * @param {string} event
- * @returns {boolean}
+ * Binary search for the first row with points less than or equal to the given value
+ * @param {Object} table - Indexed event table from scoringDataLoader.getEventIndex
+ * @param {number} points
+ * @returns {number} Row index, or the row count if every row has more points
  */
-function isFieldEvent(event) {
-  const distanceEvents = ['LJ', 'TJ', 'SP', 'DT', 'HT', 'JT', 'PV', 'HJ'];
-  return distanceEvents.some(code => event.toUpperCase().includes(code));
+function findFirstIndexAtOrBelowPoints(table, points) {
+  let low = 0;
+  let high = table.points.length;
+
+  while (low < high) {
+    const mid = (low + high) >> 1;
+
+    if (table.points[mid] <= points) {
+      high = mid;
+    } else {
+      low = mid + 1;
+    }
+  }
+
+  return low;
 }
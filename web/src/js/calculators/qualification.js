@@ -0,0 +1,356 @@
+/**
+ * Qualification Standards Calculations
+ * Check marks against championship entry standards and their qualification windows,
+ * and read and write the standards as a spreadsheet (CSV)
+ */
+
+import { lookupPoints } from './performance-lookup.js';
+import { findEventKey, GENDER_ALIASES } from './batch-scoring.js';
+import { scoringDataLoader } from '../data/scoring-data-loader.js';
+import { eventConfigLoader } from '../data/event-config-loader.js';
+import { parsePerformance, formatPerformance } from '../utils/performance-parser.js';
+import { applyTimingRules } from '../utils/timing-rules.js';
+import { parseDelimited, toCsv } from '../utils/csv.js';
+
+/**
+ * Championship levels, highest first
+ */
+export const CHAMPIONSHIP_LEVELS = {
+  global: 'Global',
+  area: 'Area',
+  national: 'National'
+};
+
+/**
+ * Status of a mark against a standard
+ */
+export const QUALIFICATION_STATUS = {
+  qualified: 'Qualified',
+  outsideWindow: 'Outside window',
+  windAssisted: 'Wind assisted',
+  notMet: 'Not met'
+};
+
+// Header names accepted for each column of a standards spreadsheet (underscores read as spaces)
+const COLUMN_HEADERS = {
+  championship: ['championship', 'competition', 'meet'],
+  level: ['level'],
+  gender: ['gender', 'sex'],
+  event: ['event', 'discipline'],
+  standard: ['standard', 'entry standard'],
+  windowStart: ['window start', 'start', 'from'],
+  windowEnd: ['window end', 'end', 'to']
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Get the qualification window for an event
+ * Some events (e.g., the marathon and combined events) have their own window.
+ * @param {Object} championship
+ * @param {string} event - Event key
+ * @returns {Object|null} { start, end } as YYYY-MM-DD, or null if marks from any date count
+ */
+export function getStandardWindow(championship, event) {
+  return championship.eventWindows?.[event] || championship.window || null;
+}
+
+/**
+ * Check whether a date is inside a qualification window (both ends included)
+ * @param {string} date - YYYY-MM-DD
+ * @param {Object|null} window - { start, end }
+ * @returns {boolean}
+ */
+export function isInWindow(date, window) {
+  if (!window) {
+    return true;
+  }
+  return (!window.start || date >= window.start) && (!window.end || date <= window.end);
+}
+
+/**
+ * Format a qualification window
+ * @param {Object|null} window - { start, end } as YYYY-MM-DD
+ * @returns {string}
+ */
+export function formatWindow(window) {
+  if (!window || (!window.start && !window.end)) {
+    return 'Any date';
+  }
+  if (!window.start) {
+    return `Until ${window.end}`;
+  }
+  if (!window.end) {
+    return `From ${window.start}`;
+  }
+  return `${window.start} to ${window.end}`;
+}
+
+/**
+ * Check a mark against a championship's standard for its event
+ * @param {string} gender - 'men' or 'women'
+ * @param {Object} mark - { event, performance (normalized), date (YYYY-MM-DD), wind }
+ * @param {Object} championship
+ * @returns {Object|null} { championship, standard, window, gap, meetsStandard, inWindow, isWindAssisted,
+ *   status, markPoints, standardPoints, pointsGap }, or null if the championship has no standard for the event.
+ *   gap and pointsGap are positive when the mark is better than the standard.
+ */
+export function checkMark(gender, mark, championship) {
+  const standard = championship.standards[gender]?.[mark.event];
+  if (!standard) {
+    return null;
+  }
+
+  const window = getStandardWindow(championship, mark.event);
+
+  // Times are compared after rounding up to the precision they are recorded to
+  const markValue = applyTimingRules(parseFloat(mark.performance), mark.event).time;
+  const standardValue = parseFloat(standard);
+  const difference = isHigherBetter(gender, mark.event) ? markValue - standardValue : standardValue - markValue;
+  const gap = Math.round(difference * 100) / 100;
+
+  const markLookup = lookupPoints(gender, mark.event, mark.performance, false, mark.wind ?? null);
+  const standardLookup = lookupPoints(gender, mark.event, standard);
+
+  const meetsStandard = gap >= 0;
+  const inWindow = isInWindow(mark.date, window);
+  const isWindAssisted = markLookup?.isWindAssisted || false;
+
+  let status = QUALIFICATION_STATUS.notMet;
+  if (meetsStandard) {
+    if (isWindAssisted) {
+      status = QUALIFICATION_STATUS.windAssisted;
+    } else {
+      status = inWindow ? QUALIFICATION_STATUS.qualified : QUALIFICATION_STATUS.outsideWindow;
+    }
+  }
+
+  return {
+    championship,
+    standard,
+    window,
+    gap,
+    meetsStandard,
+    inWindow,
+    isWindAssisted,
+    status,
+    markPoints: markLookup ? markLookup.points : null,
+    standardPoints: standardLookup ? standardLookup.points : null,
+    pointsGap: markLookup && standardLookup ? markLookup.points - standardLookup.points : null
+  };
+}
+
+/**
+ * Check marks against every championship with a standard for their event
+ * @param {string} gender
+ * @param {Array<Object>} marks
+ * @param {Array<Object>} championships
+ * @returns {Array<Object>} Checks from checkMark with their mark, in championship order
+ */
+export function checkMarks(gender, marks, championships) {
+  const checks = [];
+
+  for (const championship of championships) {
+    for (const mark of marks) {
+      const check = checkMark(gender, mark, championship);
+      if (check) {
+        checks.push({ ...check, mark });
+      }
+    }
+  }
+
+  return checks;
+}
+
+/**
+ * Combine the bundled championships with imported ones
+ * An imported championship replaces a bundled one with the same name.
+ * @param {Array<Object>} bundled
+ * @param {Array<Object>} imported
+ * @returns {Array<Object>} Championships with a source of 'bundled' or 'imported', highest level first
+ */
+export function mergeChampionships(bundled, imported) {
+  const importedNames = new Set(imported.map(championship => championship.name.toLowerCase()));
+  const levels = Object.keys(CHAMPIONSHIP_LEVELS);
+
+  return [
+    ...bundled
+      .filter(championship => !importedNames.has(championship.name.toLowerCase()))
+      .map(championship => ({ ...championship, source: 'bundled' })),
+    ...imported.map(championship => ({ ...championship, source: 'imported' }))
+  ].sort((a, b) => levels.indexOf(a.level) - levels.indexOf(b.level));
+}
+
+/**
+ * Build a standards spreadsheet (CSV) with one row per standard
+ * @param {Array<Object>} championships
+ * @returns {string}
+ */
+export function buildStandardsCsv(championships) {
+  const rows = [['Championship', 'Level', 'Gender', 'Event', 'Standard', 'Window Start', 'Window End']];
+
+  for (const championship of championships) {
+    for (const [gender, standards] of Object.entries(championship.standards)) {
+      for (const [event, standard] of Object.entries(standards)) {
+        const window = getStandardWindow(championship, event);
+        rows.push([
+          championship.name,
+          championship.level,
+          gender,
+          event,
+          formatPerformance(standard, event),
+          window?.start,
+          window?.end
+        ]);
+      }
+    }
+  }
+
+  return toCsv(rows);
+}
+
+/**
+ * Read championships from a standards spreadsheet (CSV or TSV)
+ * The first row must be a header naming at least the championship, gender, event and standard columns.
+ * Standards can be entered as on the page (e.g., "2:06:30" or "8.27") and dates as YYYY-MM-DD.
+ * @param {string} text
+ * @returns {Object} { championships, errors: [{ line, message }] }
+ */
+export function parseStandardsCsv(text) {
+  const rows = parseDelimited(text);
+  const columns = rows.length > 0 ? getHeaderColumns(rows[0]) : null;
+
+  if (!columns) {
+    return {
+      championships: [],
+      errors: [{ line: 1, message: 'The first row must name the Championship, Gender, Event and Standard columns' }]
+    };
+  }
+
+  const championships = new Map();
+  const errors = [];
+
+  for (let i = 1; i < rows.length; i++) {
+    const line = i + 1;
+    const valueAt = index => (index === undefined ? '' : rows[i][index] || '');
+
+    const name = valueAt(columns.championship);
+    if (!name) {
+      errors.push({ line, message: 'Missing championship' });
+      continue;
+    }
+
+    const gender = GENDER_ALIASES[valueAt(columns.gender).toLowerCase()];
+    if (gender !== 'men' && gender !== 'women') {
+      errors.push({ line, message: `Unknown gender "${valueAt(columns.gender)}"` });
+      continue;
+    }
+
+    const event = findEventKey(valueAt(columns.event));
+    if (!event) {
+      errors.push({ line, message: `Unknown event "${valueAt(columns.event)}"` });
+      continue;
+    }
+
+    const standard = parsePerformance(valueAt(columns.standard), event);
+    if (!standard) {
+      errors.push({ line, message: `Invalid standard "${valueAt(columns.standard)}"` });
+      continue;
+    }
+
+    const start = valueAt(columns.windowStart);
+    const end = valueAt(columns.windowEnd);
+    if ((start && !DATE_PATTERN.test(start)) || (end && !DATE_PATTERN.test(end))) {
+      errors.push({ line, message: 'Window dates must be written as YYYY-MM-DD' });
+      continue;
+    }
+
+    const level = valueAt(columns.level).toLowerCase();
+    const window = start || end ? { start: start || null, end: end || null } : null;
+
+    let championship = championships.get(name.toLowerCase());
+    if (!championship) {
+      championship = {
+        key: `imported-${name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`,
+        name,
+        level: CHAMPIONSHIP_LEVELS[level] ? level : 'national',
+        window,
+        eventWindows: {},
+        standards: { men: {}, women: {} }
+      };
+      championships.set(name.toLowerCase(), championship);
+    } else if (!isSameWindow(window, championship.window)) {
+      championship.eventWindows[event] = window;
+    }
+
+    championship.standards[gender][event] = standard;
+  }
+
+  return { championships: [...championships.values()], errors };
+}
+
+/**
+ * Format the gap between a mark and a standard
+ * @param {number} gap - Positive when the mark is better than the standard
+ * @param {string} event - Event key
+ * @returns {string} e.g. "0.12s inside", "1:05 outside" or "0.20m outside"
+ */
+export function formatGap(gap, event) {
+  const measurementFormat = eventConfigLoader.getEventInfo(event)?.measurementFormat || 'time';
+  const amount = Math.abs(gap);
+  const side = gap >= 0 ? 'inside' : 'outside';
+
+  if (measurementFormat === 'time') {
+    const formatted = amount < 60 ? `${amount.toFixed(2)}s` : formatPerformance(amount.toFixed(2), event);
+    return `${formatted} ${side}`;
+  }
+
+  if (measurementFormat === 'points') {
+    return `${Math.round(amount)} pts ${side}`;
+  }
+
+  return `${amount.toFixed(2)}m ${side}`;
+}
+
+/**
+ * Map column names to indexes from the header row
+ * @param {string[]} row
+ * @returns {Object|null} Column indexes, or null if a required column is missing
+ */
+function getHeaderColumns(row) {
+  const normalized = row.map(value => value.toLowerCase().replace(/_/g, ' '));
+  const columns = {};
+
+  for (const [column, names] of Object.entries(COLUMN_HEADERS)) {
+    const index = normalized.findIndex(value => names.includes(value));
+    if (index !== -1) {
+      columns[column] = index;
+    }
+  }
+
+  const required = ['championship', 'gender', 'event', 'standard'];
+  return required.every(column => columns[column] !== undefined) ? columns : null;
+}
+
+/**
+ * Check whether a higher mark is better in an event
+ * @param {string} gender
+ * @param {string} event
+ * @returns {boolean}
+ */
+function isHigherBetter(gender, event) {
+  const table = scoringDataLoader.getEventIndex(gender, event);
+  return table
+    ? table.higherIsBetter
+    : eventConfigLoader.getEventInfo(event)?.measurementFormat !== 'time';
+}
+
+/**
+ * Compare two qualification windows
+ * @param {Object|null} a
+ * @param {Object|null} b
+ * @returns {boolean}
+ */
+function isSameWindow(a, b) {
+  return (a?.start || null) === (b?.start || null) && (a?.end || null) === (b?.end || null);
+}
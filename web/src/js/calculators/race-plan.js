@@ -0,0 +1,251 @@
+/**
+ * Race Plan Calculations
+ * Variable-pace race plans (negative/positive splits, progressive and custom segments)
+ * that always add up to the goal time
+ */
+
+import { parsePaceInput, convertDistance } from '../utils/pace-formatter.js';
+
+/**
+ * Available race plan strategies
+ */
+export const RACE_PLAN_STRATEGIES = {
+  even: 'Even',
+  negative: 'Negative Split',
+  positive: 'Positive Split',
+  progressive: 'Progressive',
+  custom: 'Custom'
+};
+
+// Distance units accepted in custom segments, mapped to pace-formatter units
+const SEGMENT_DISTANCE_UNITS = {
+  km: 'km',
+  k: 'km',
+  m: 'm',
+  mi: 'miles',
+  mile: 'miles',
+  miles: 'miles'
+};
+
+/**
+ * Parse custom race plan segments
+ * Accepts text such as "first 5km at 4:10, then 4:00" or one segment per line.
+ * A segment without a distance covers the rest of the race and must come last.
+ * Paces are per km unless followed by "/mi" or "/mile".
+ * @param {string} text - Custom segments text
+ * @returns {Array<Object>} Segments { distanceMetres (null for the rest of the race), pacePerKm }
+ * @throws {Error} If a segment cannot be parsed
+ */
+export function parseCustomSegments(text) {
+  if (!text || !text.trim()) {
+    throw new Error('Enter at least one segment, e.g. "first 5km at 4:10, then 4:00"');
+  }
+
+  const parts = text
+    .split(/[,;\n]|\bthen\b/i)
+    .map(part => part.trim().replace(/^(first|next|the|rest|remaining|remainder|finish)\b\s*/gi, '').trim())
+    .filter(part => part);
+
+  const segmentPattern = /^(?:(\d+(?:\.\d+)?)\s*(km|k|m|mi|miles?)\s+)?(?:at\s+|@\s*)?(\d+(?::[0-5]?\d)?)\s*(?:\/\s*(km|k|mi|miles?))?$/i;
+
+  return parts.map((part, index) => {
+    const match = part.match(segmentPattern);
+    if (!match) {
+      throw new Error(`Could not read segment "${part}"`);
+    }
+
+    const [, distanceValue, distanceUnit, paceValue, paceUnit] = match;
+    const pace = parsePaceInput(paceValue);
+    if (!pace) {
+      throw new Error(`Invalid pace in segment "${part}"`);
+    }
+
+    const isMilePace = paceUnit && paceUnit.toLowerCase().startsWith('mi');
+    const pacePerKm = isMilePace ? pace / 1.609344 : pace;
+
+    if (!distanceValue) {
+      if (index !== parts.length - 1) {
+        throw new Error('Only the last segment can leave out its distance');
+      }
+      return { distanceMetres: null, pacePerKm };
+    }
+
+    const unit = SEGMENT_DISTANCE_UNITS[distanceUnit.toLowerCase()];
+    const distanceMetres = convertDistance(parseFloat(distanceValue), unit, 'metres');
+    if (!(distanceMetres > 0)) {
+      throw new Error(`Invalid distance in segment "${part}"`);
+    }
+
+    return { distanceMetres, pacePerKm };
+  });
+}
+
+/**
+ * Build contiguous segments from custom segment definitions
+ * The last pace is held to the finish if the segments stop short of the race distance.
+ * @param {Array<Object>} definitions - Parsed custom segments
+ * @param {number} distanceMetres - Race distance in metres
+ * @returns {Array<Object>} Segments { startMetres, endMetres, pacePerKm }
+ */
+function buildCustomSegments(definitions, distanceMetres) {
+  const segments = [];
+  let start = 0;
+
+  for (const definition of definitions) {
+    if (start >= distanceMetres) {
+      throw new Error('The custom segments are longer than the race');
+    }
+
+    const end = definition.distanceMetres === null
+      ? distanceMetres
+      : Math.min(start + definition.distanceMetres, distanceMetres);
+
+    segments.push({ startMetres: start, endMetres: end, pacePerKm: definition.pacePerKm });
+    start = end;
+  }
+
+  if (start < distanceMetres) {
+    segments[segments.length - 1].endMetres = distanceMetres;
+  }
+
+  return segments;
+}
+
+/**
+ * Create a race plan that adds up to the goal time
+ * @param {string} strategy - One of the RACE_PLAN_STRATEGIES keys
+ * @param {Object} options - Strategy options
+ * @param {number} options.percent - Difference between halves for negative/positive splits (%)
+ * @param {number} options.stepSeconds - Seconds faster per km for progressive plans
+ * @param {string} options.customSegments - Custom segments text
+ * @param {number} distanceMetres - Race distance in metres
+ * @param {number} totalTimeSeconds - Goal time in seconds
+ * @returns {Object} Plan { strategy, segments, scale, timeAtDistance(metres) }
+ * @throws {Error} If the options are invalid or give an impossible pace
+ */
+export function createRacePlan(strategy, options, distanceMetres, totalTimeSeconds) {
+  if (distanceMetres <= 0 || totalTimeSeconds <= 0) {
+    throw new Error('Distance and time must be greater than 0');
+  }
+
+  const evenPace = totalTimeSeconds / (distanceMetres / 1000);
+  let segments;
+  let scale = 1;
+
+  switch (strategy) {
+    case 'negative':
+    case 'positive': {
+      const percent = options.percent;
+      if (!(percent > 0 && percent < 50)) {
+        throw new Error('Split percentage must be between 0 and 50');
+      }
+
+      // Second half pace relative to the first half
+      const ratio = strategy === 'negative' ? 1 - percent / 100 : 1 + percent / 100;
+      const firstHalfPace = evenPace * 2 / (1 + ratio);
+      const halfway = distanceMetres / 2;
+
+      segments = [
+        { startMetres: 0, endMetres: halfway, pacePerKm: firstHalfPace },
+        { startMetres: halfway, endMetres: distanceMetres, pacePerKm: firstHalfPace * ratio }
+      ];
+      break;
+    }
+
+    case 'progressive': {
+      const step = options.stepSeconds;
+      if (!(step > 0)) {
+        throw new Error('Enter how many seconds faster each km should be');
+      }
+
+      // One segment per km (the last may be partial), each step seconds faster than the one before
+      segments = [];
+      for (let start = 0, index = 0; start < distanceMetres; start += 1000, index++) {
+        segments.push({ startMetres: start, endMetres: Math.min(start + 1000, distanceMetres), index });
+      }
+
+      // Solve the first km pace so the plan adds up to the goal time
+      const weightedIndex = segments.reduce((sum, s) => sum + (s.endMetres - s.startMetres) * s.index, 0);
+      const firstPace = (totalTimeSeconds * 1000 + step * weightedIndex) / distanceMetres;
+
+      segments = segments.map(({ startMetres, endMetres, index }) => ({
+        startMetres,
+        endMetres,
+        pacePerKm: firstPace - index * step
+      }));
+      break;
+    }
+
+    case 'custom': {
+      segments = buildCustomSegments(parseCustomSegments(options.customSegments), distanceMetres);
+
+      // Scale the custom paces so the plan adds up to the goal time
+      const rawTime = segments.reduce((sum, s) => sum + (s.endMetres - s.startMetres) / 1000 * s.pacePerKm, 0);
+      scale = totalTimeSeconds / rawTime;
+      segments = segments.map(s => ({ ...s, pacePerKm: s.pacePerKm * scale }));
+      break;
+    }
+
+    case 'even':
+    default:
+      segments = [{ startMetres: 0, endMetres: distanceMetres, pacePerKm: evenPace }];
+      break;
+  }
+
+  if (segments.some(s => !(s.pacePerKm > 0))) {
+    throw new Error('This plan needs an impossible pace. Try a smaller change per segment.');
+  }
+
+  return {
+    strategy,
+    segments,
+    scale,
+    timeAtDistance: (metres) => timeAtDistance(segments, metres)
+  };
+}
+
+/**
+ * Calculate elapsed time at a distance for a segmented plan
+ * @param {Array<Object>} segments - Plan segments { startMetres, endMetres, pacePerKm }
+ * @param {number} metres - Distance in metres
+ * @returns {number} Elapsed time in seconds
+ */
+function timeAtDistance(segments, metres) {
+  let time = 0;
+
+  for (const segment of segments) {
+    if (metres <= segment.startMetres) break;
+
+    const covered = Math.min(metres, segment.endMetres) - segment.startMetres;
+    time += covered / 1000 * segment.pacePerKm;
+  }
+
+  return time;
+}
+
+/**
+ * Apply a race plan to a list of splits
+ * @param {Array<Object>} splits - Splits with cumulative distanceMetres
+ * @param {Object} plan - Plan from createRacePlan
+ * @returns {Array<Object>} Splits with plan times and per-split pacePerKm
+ */
+export function applyRacePlan(splits, plan) {
+  let previousMetres = 0;
+  let previousTime = 0;
+
+  return splits.map(split => {
+    const time = plan.timeAtDistance(split.distanceMetres);
+    const splitTime = time - previousTime;
+    const splitMetres = split.distanceMetres - previousMetres;
+
+    previousMetres = split.distanceMetres;
+    previousTime = time;
+
+    return {
+      ...split,
+      time,
+      splitTime,
+      pacePerKm: splitMetres > 0 ? splitTime / (splitMetres / 1000) : 0
+    };
+  });
+}
@@ -0,0 +1,90 @@
+/**
+ * Race Time Predictor
+ * Predict times at other distances from a race result, using Riegel's model
+ * and World Athletics scoring table equivalence
+ */
+
+import { eventConfigLoader } from '../data/event-config-loader.js';
+import { lookupPoints, findEquivalentPerformances } from './performance-lookup.js';
+import { getDistanceInMetres } from './pace-calculations.js';
+
+/**
+ * Riegel fatigue exponent used when none is given
+ */
+export const DEFAULT_RIEGEL_EXPONENT = 1.06;
+
+/**
+ * Range of fatigue exponents accepted by the predictor
+ */
+export const RIEGEL_EXPONENT_RANGE = { min: 1.0, max: 1.2 };
+
+/**
+ * Predict a time at another distance with Riegel's formula: T2 = T1 × (D2 / D1)^k
+ * @param {number} timeSeconds - Known time in seconds
+ * @param {number} fromMetres - Distance of the known time in metres
+ * @param {number} toMetres - Distance to predict in metres
+ * @param {number} exponent - Fatigue exponent (k)
+ * @returns {number} Predicted time in seconds
+ */
+export function predictRiegelTime(timeSeconds, fromMetres, toMetres, exponent = DEFAULT_RIEGEL_EXPONENT) {
+  if (fromMetres <= 0 || toMetres <= 0 || timeSeconds <= 0) {
+    throw new Error('Distance and time must be greater than 0');
+  }
+
+  return timeSeconds * Math.pow(toMetres / fromMetres, exponent);
+}
+
+/**
+ * Predict times at every pace calculator distance from a result
+ * Each distance has a Riegel prediction and, where the scoring tables cover it,
+ * the performance worth the same World Athletics points.
+ * @param {string} gender - 'men' or 'women'
+ * @param {string} eventKey - Event of the known result
+ * @param {number} timeSeconds - Known time in seconds
+ * @param {number} exponent - Riegel fatigue exponent
+ * @returns {Object} {points, predictions: [{event, displayName, distanceMetres, riegelTime,
+ *   tableTime, tablePoints, difference}]}
+ * @throws {Error} If the exponent is out of range
+ */
+export function predictRaceTimes(gender, eventKey, timeSeconds, exponent = DEFAULT_RIEGEL_EXPONENT) {
+  if (!(exponent >= RIEGEL_EXPONENT_RANGE.min && exponent <= RIEGEL_EXPONENT_RANGE.max)) {
+    throw new Error(
+      `Fatigue exponent must be between ${RIEGEL_EXPONENT_RANGE.min} and ${RIEGEL_EXPONENT_RANGE.max}`
+    );
+  }
+
+  const eventsConfig = eventConfigLoader.data;
+  const distances = eventsConfig.paceCalculatorDistances || [];
+  const fromMetres = getDistanceInMetres(eventKey, eventsConfig);
+
+  // Table equivalence starts from the points the result is worth
+  const pointsResult = lookupPoints(gender, eventKey, timeSeconds.toFixed(2));
+  const points = pointsResult ? pointsResult.points : null;
+
+  const equivalents = points !== null
+    ? findEquivalentPerformances(gender, points, distances)
+    : [];
+  const equivalentsByEvent = new Map(equivalents.map(equiv => [equiv.event, equiv]));
+
+  const predictions = distances
+    .filter(key => eventsConfig.events[key])
+    .map(key => {
+      const distanceMetres = getDistanceInMetres(key, eventsConfig);
+      const riegelTime = predictRiegelTime(timeSeconds, fromMetres, distanceMetres, exponent);
+      const equivalent = equivalentsByEvent.get(key);
+      const tableTime = equivalent ? parseFloat(equivalent.performance) : null;
+
+      return {
+        event: key,
+        displayName: eventsConfig.events[key].displayName,
+        distanceMetres,
+        riegelTime,
+        tableTime,
+        tablePoints: equivalent ? equivalent.points : null,
+        // Positive when Riegel predicts a slower time than the tables
+        difference: tableTime !== null ? riegelTime - tableTime : null
+      };
+    });
+
+  return { points, predictions };
+}
@@ -0,0 +1,138 @@
+/**
+ * Relay Split Analyser
+ * Score a relay team time and estimate each leg's open (individual) equivalent
+ */
+
+import { lookupPoints } from './performance-lookup.js';
+
+/**
+ * Individual event and default flying start allowance for each relay
+ * Legs 2 to 4 take the baton at speed, so their splits are quicker than an open race
+ * from blocks. There is no official allowance: these defaults are rough typical values,
+ * and the analyser takes the allowance as an option so it can be changed.
+ */
+export const RELAY_LEGS = {
+  '4x100m': { legEvent: '100m', flyingStart: 0.9 },
+  '4x200m': { legEvent: '200m', flyingStart: 0.6 },
+  '4x200m sh': { legEvent: '200m sh', flyingStart: 0.6 },
+  '4x400m': { legEvent: '400m', flyingStart: 0.6 },
+  '4x400m sh': { legEvent: '400m sh', flyingStart: 0.6 }
+};
+
+export const LEG_COUNT = 4;
+
+/**
+ * Range of flying start allowances accepted, in seconds
+ */
+export const FLYING_START_RANGE = { min: 0, max: 2 };
+
+// Allowed difference between the team time and the sum of the splits before it is flagged
+const SPLIT_SUM_TOLERANCE = 0.05;
+
+/**
+ * Check whether an event can be analysed by leg
+ * @param {string} eventKey
+ * @returns {boolean}
+ */
+export function isSupportedRelay(eventKey) {
+  return Boolean(RELAY_LEGS[eventKey]);
+}
+
+/**
+ * Work out the team time and all four splits
+ * Either all four splits are given (the total is optional) or the total and three splits,
+ * in which case the missing split is the remainder.
+ * @param {number|null} total - Team time in seconds
+ * @param {Array<number|null>} splits - Leg splits in seconds (null if not entered)
+ * @returns {Object} { total, splits, derivedLeg (index or null), splitSumDifference (total minus sum of splits) }
+ * @throws {Error} If there are not enough times or the remainder is not a valid split
+ */
+export function resolveSplits(total, splits) {
+  const missing = splits.map((split, index) => split === null ? index : -1).filter(index => index !== -1);
+
+  if (missing.length === 0) {
+    const sum = splits.reduce((a, b) => a + b, 0);
+    const teamTime = total ?? sum;
+    return {
+      total: teamTime,
+      splits: [...splits],
+      derivedLeg: null,
+      splitSumDifference: teamTime - sum
+    };
+  }
+
+  if (missing.length > 1 || total === null) {
+    throw new Error('Enter all four splits, or the team time and three splits');
+  }
+
+  const [derivedLeg] = missing;
+  const known = splits.reduce((sum, split) => sum + (split ?? 0), 0);
+  const remainder = Math.round((total - known) * 100) / 100;
+
+  if (remainder <= 0) {
+    throw new Error('The three splits add up to more than the team time');
+  }
+
+  const resolved = [...splits];
+  resolved[derivedLeg] = remainder;
+
+  return { total, splits: resolved, derivedLeg, splitSumDifference: 0 };
+}
+
+/**
+ * Analyse a relay: team points and each leg's open equivalent performance and points
+ * @param {string} gender - Gender of the relay tables ('men', 'women' or 'mixed')
+ * @param {string} relayEvent - Relay event key
+ * @param {Object} options
+ * @param {number|null} options.total - Team time in seconds
+ * @param {Array<number|null>} options.splits - Leg splits in seconds
+ * @param {Array<string>} options.legGenders - Gender of each leg's runner ('men' or 'women')
+ * @param {number} options.flyingStart - Seconds added to legs 2 to 4 (defaults to the relay's allowance)
+ * @returns {Object} {
+ *   total, teamPoints, derivedLeg, splitSumDifference, hasSplitMismatch, legEvent,
+ *   legs: [{ leg, gender, split, isFlyingStart, flyingStart, openEquivalent, points }]
+ * }
+ * @throws {Error} If the relay is not supported, the allowance is out of range or the times cannot be resolved
+ */
+export function analyseRelay(gender, relayEvent, { total, splits, legGenders, flyingStart: allowance = null }) {
+  const relay = RELAY_LEGS[relayEvent];
+  if (!relay) {
+    throw new Error(`Leg analysis is not available for ${relayEvent}`);
+  }
+
+  const flyingStartAllowance = allowance ?? relay.flyingStart;
+  if (!(flyingStartAllowance >= FLYING_START_RANGE.min && flyingStartAllowance <= FLYING_START_RANGE.max)) {
+    throw new Error(`The flying start allowance must be between ${FLYING_START_RANGE.min} and ${FLYING_START_RANGE.max} seconds`);
+  }
+
+  const resolved = resolveSplits(total, splits);
+  const teamResult = lookupPoints(gender, relayEvent, resolved.total.toFixed(2));
+
+  const legs = resolved.splits.map((split, index) => {
+    // The first leg starts from blocks like an open race
+    const isFlyingStart = index > 0;
+    const flyingStart = isFlyingStart ? flyingStartAllowance : 0;
+    const openEquivalent = split + flyingStart;
+    const legResult = lookupPoints(legGenders[index], relay.legEvent, openEquivalent.toFixed(2));
+
+    return {
+      leg: index + 1,
+      gender: legGenders[index],
+      split,
+      isFlyingStart,
+      flyingStart,
+      openEquivalent,
+      points: legResult ? legResult.points : null
+    };
+  });
+
+  return {
+    total: resolved.total,
+    teamPoints: teamResult ? teamResult.points : null,
+    derivedLeg: resolved.derivedLeg,
+    splitSumDifference: resolved.splitSumDifference,
+    hasSplitMismatch: Math.abs(resolved.splitSumDifference) > SPLIT_SUM_TOLERANCE,
+    legEvent: relay.legEvent,
+    legs
+  };
+}
@@ -0,0 +1,130 @@
+/**
+ * Scoring Table Explorer
+ * Browse ranges of the World Athletics scoring tables, with other events
+ * compared side by side at matching points
+ */
+
+import {
+  lookupPoints,
+  lookupPerformance,
+  getPointsRange,
+  getPerformanceRange
+} from './performance-lookup.js';
+import { scoringDataLoader } from '../data/scoring-data-loader.js';
+
+/**
+ * Resolve a points range for an event from points or performance bounds
+ * Empty bounds default to the ends of the table and bounds outside the table are clamped.
+ * @param {string} gender
+ * @param {string} event - Event key
+ * @param {Object} options
+ * @param {string} options.mode - 'points' or 'performance'
+ * @param {number|string|null} options.from - First bound (points, or normalized performance)
+ * @param {number|string|null} options.to - Second bound (points, or normalized performance)
+ * @returns {Object|null} { minPoints, maxPoints }, or null if the event has no table
+ */
+export function resolvePointsBounds(gender, event, { mode, from = null, to = null }) {
+  const pointsRange = getPointsRange(gender, event);
+  if (!pointsRange) {
+    return null;
+  }
+
+  const toPoints = (bound, fallback) => {
+    if (bound === null || bound === '') {
+      return fallback;
+    }
+
+    if (mode === 'performance') {
+      return lookupPoints(gender, event, bound)?.points ?? fallback;
+    }
+
+    return Math.round(Number(bound));
+  };
+
+  const first = toPoints(from, pointsRange.max);
+  const second = toPoints(to, pointsRange.min);
+  const clamp = points => Math.min(pointsRange.max, Math.max(pointsRange.min, points));
+
+  return {
+    minPoints: clamp(Math.min(first, second)),
+    maxPoints: clamp(Math.max(first, second))
+  };
+}
+
+/**
+ * Describe the bounds of an event's table for range hints
+ * @param {string} gender
+ * @param {string} event - Event key
+ * @returns {Object|null} { minPoints, maxPoints, bestPerformance, worstPerformance } (raw performances)
+ */
+export function getTableBounds(gender, event) {
+  const pointsRange = getPointsRange(gender, event);
+  const performanceRange = getPerformanceRange(gender, event);
+  const table = scoringDataLoader.getEventIndex(gender, event);
+
+  if (!pointsRange || !performanceRange || !table) {
+    return null;
+  }
+
+  return {
+    minPoints: pointsRange.min,
+    maxPoints: pointsRange.max,
+    bestPerformance: table.higherIsBetter ? performanceRange.maxPerformance : performanceRange.minPerformance,
+    worstPerformance: table.higherIsBetter ? performanceRange.minPerformance : performanceRange.maxPerformance
+  };
+}
+
+/**
+ * Get the rows of an event's table within a points range
+ * Compared events show the performance worth those points, or the next lower score
+ * in their table when the exact score is not listed (flagged with exactMatch false).
+ * @param {string} gender
+ * @param {string} event - Event key
+ * @param {Array<string>} compareEvents - Event keys to show side by side
+ * @param {Object} bounds - { minPoints, maxPoints } from resolvePointsBounds
+ * @returns {Array} Rows, most points first: { points, performance, comparisons: [{ event, performance, exactMatch }] }
+ */
+export function getTableRows(gender, event, compareEvents, { minPoints, maxPoints }) {
+  const table = scoringDataLoader.getEventIndex(gender, event);
+  if (!table) {
+    return [];
+  }
+
+  const rows = [];
+
+  for (let i = 0; i < table.points.length; i++) {
+    const points = table.points[i];
+    if (points > maxPoints) continue;
+    if (points < minPoints) break;
+
+    rows.push({
+      points,
+      performance: table.rawPerformances[i],
+      comparisons: compareEvents.map(compareEvent => {
+        const result = lookupPerformance(gender, compareEvent, points);
+        return {
+          event: compareEvent,
+          performance: result?.performance ?? null,
+          exactMatch: result?.exactMatch ?? false
+        };
+      })
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Find the row to jump to for a points score
+ * @param {Array} rows - Rows from getTableRows, highest score first
+ * @param {number} points
+ * @returns {number} Index of the row with those points or the next lower score,
+ *   or -1 if the score is above the first row or below the last row
+ */
+export function findRowIndex(rows, points) {
+  if (rows.length === 0 || points > rows[0].points || points < rows[rows.length - 1].points) {
+    return -1;
+  }
+
+  return rows.findIndex(row => row.points <= points);
+}
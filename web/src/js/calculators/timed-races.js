@@ -0,0 +1,28 @@
+/**
+ * Timed Races
+ * Race formats run for a fixed time rather than a fixed distance, from the
+ * one hour track race to multi-day ultras. The winner covers the furthest distance.
+ */
+
+/**
+ * Timed race formats
+ */
+export const TIMED_RACES = {
+  '1h': { name: '1 Hour', seconds: 3600 },
+  '6h': { name: '6 Hours', seconds: 6 * 3600 },
+  '12h': { name: '12 Hours', seconds: 12 * 3600 },
+  '24h': { name: '24 Hours', seconds: 24 * 3600 },
+  '48h': { name: '48 Hours', seconds: 48 * 3600 },
+  '6d': { name: '6 Days', seconds: 6 * 24 * 3600 }
+};
+
+export const DEFAULT_TIMED_RACE = '1h';
+
+/**
+ * Get a timed race format by key
+ * @param {string} key - One of the TIMED_RACES keys
+ * @returns {Object|null} Timed race { key, name, seconds }
+ */
+export function getTimedRace(key) {
+  return TIMED_RACES[key] ? { key, ...TIMED_RACES[key] } : null;
+}
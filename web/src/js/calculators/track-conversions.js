@@ -0,0 +1,199 @@
+/**
+ * Track Conversions
+ * Convert yard race times and short track times from flat or oversized tracks to the
+ * metric, 200m banked track equivalents the scoring tables are for
+ * Every conversion is an estimate: neither the yard nor the track factors come from a
+ * published conversion table.
+ */
+
+import { eventConfigLoader } from '../data/event-config-loader.js';
+import { applyTimingRules, roundTimeUp, TIME_PRECISION } from '../utils/timing-rules.js';
+
+const METRES_PER_YARD = 0.9144;
+
+/**
+ * Short track types and the factors that convert a time on them to a 200m banked track
+ * Flat 200m tracks are slower than banked ones, so their times are reduced. Oversized
+ * tracks (over 200m) have fewer bends, so their times are increased. The factors are
+ * approximate and not taken from an official conversion table, so scores for converted
+ * times are shown as estimates.
+ */
+export const TRACK_CONVERSION_TYPES = {
+  banked: {
+    label: '200m banked (standard)',
+    factors: {}
+  },
+  flat: {
+    label: '200m flat',
+    factors: {
+      '200m sh': 0.9797,
+      '300m sh': 0.9822,
+      '400m sh': 0.9835,
+      '500m sh': 0.9850,
+      '600m sh': 0.9869,
+      '800m sh': 0.9890,
+      '1000m sh': 0.9906,
+      '1500m sh': 0.9915,
+      '1mile sh': 0.9918,
+      '3000m sh': 0.9944,
+      '5000m sh': 0.9956
+    }
+  },
+  oversized: {
+    label: 'Oversized (over 200m)',
+    factors: {
+      '200m sh': 1.0080,
+      '300m sh': 1.0070,
+      '400m sh': 1.0060,
+      '500m sh': 1.0055,
+      '600m sh': 1.0050,
+      '800m sh': 1.0045,
+      '1000m sh': 1.0040,
+      '1500m sh': 1.0035,
+      '1mile sh': 1.0035,
+      '3000m sh': 1.0030,
+      '5000m sh': 1.0025
+    }
+  }
+};
+
+export const DEFAULT_TRACK_TYPE = 'banked';
+
+/**
+ * Get the metric event a yard event is scored as
+ * @param {string} eventKey
+ * @returns {string} Metric event key (the event itself if it is not a yard event)
+ */
+export function getMetricEvent(eventKey) {
+  return eventConfigLoader.getEventInfo(eventKey)?.convertsTo || eventKey;
+}
+
+/**
+ * Check whether a yard event can be scored through its metric equivalent
+ * @param {string} eventKey
+ * @returns {boolean}
+ */
+export function isYardEvent(eventKey) {
+  return getMetricEvent(eventKey) !== eventKey;
+}
+
+/**
+ * Check whether times for an event depend on the type of short track
+ * @param {string} eventKey - Event key (yard events use their metric equivalent)
+ * @returns {boolean}
+ */
+export function supportsTrackType(eventKey) {
+  const metricEvent = getMetricEvent(eventKey);
+  return Object.values(TRACK_CONVERSION_TYPES).some(trackType => trackType.factors[metricEvent] !== undefined);
+}
+
+/**
+ * Get the factor that converts a yard time to its metric event
+ * Times are scaled by the ratio of the distances, which ignores the slightly different
+ * speed over the longer or shorter race.
+ * @param {string} eventKey - Yard event key
+ * @returns {number|null} Factor, or null if the event is not a yard event
+ */
+function getYardFactor(eventKey) {
+  const eventInfo = eventConfigLoader.getEventInfo(eventKey);
+  const metricInfo = eventInfo?.convertsTo ? eventConfigLoader.getEventInfo(eventInfo.convertsTo) : null;
+
+  if (!metricInfo || eventInfo.unit !== 'yards') {
+    return null;
+  }
+
+  return metricInfo.distance / (eventInfo.distance * METRES_PER_YARD);
+}
+
+/**
+ * Get the conversions that apply to a time
+ * @param {string} eventKey - Event the time was run in
+ * @param {string} trackType - Key of TRACK_CONVERSION_TYPES
+ * @returns {Object} { event: metric event key, factor: overall factor, steps: [{ description, factor }] }
+ */
+export function getConversion(eventKey, trackType = DEFAULT_TRACK_TYPE) {
+  const metricEvent = getMetricEvent(eventKey);
+  const steps = [];
+
+  const yardFactor = getYardFactor(eventKey);
+  if (yardFactor !== null) {
+    steps.push({
+      description: `${eventConfigLoader.getEventInfo(eventKey).displayName} to ${eventConfigLoader.getEventInfo(metricEvent).displayName}`,
+      factor: yardFactor
+    });
+  }
+
+  const trackFactor = TRACK_CONVERSION_TYPES[trackType]?.factors[metricEvent];
+  if (trackFactor !== undefined) {
+    steps.push({
+      description: `${TRACK_CONVERSION_TYPES[trackType].label} track to 200m banked`,
+      factor: trackFactor
+    });
+  }
+
+  return {
+    event: metricEvent,
+    factor: steps.reduce((factor, step) => factor * step.factor, 1),
+    steps
+  };
+}
+
+/**
+ * Convert a time to its metric, 200m banked equivalent
+ * @param {string} eventKey - Event the time was run in
+ * @param {number} seconds
+ * @param {string} trackType - Key of TRACK_CONVERSION_TYPES
+ * @returns {Object} { event, performance (seconds), factor, steps }
+ */
+export function convertToMetric(eventKey, seconds, trackType = DEFAULT_TRACK_TYPE) {
+  const conversion = getConversion(eventKey, trackType);
+  return { ...conversion, performance: seconds * conversion.factor };
+}
+
+/**
+ * Convert a metric, 200m banked time back to the event and track it would be run on
+ * @param {string} eventKey - Event to convert to
+ * @param {number} seconds - Time in the metric event on a 200m banked track
+ * @param {string} trackType - Key of TRACK_CONVERSION_TYPES
+ * @returns {Object} { event, performance (seconds), factor, steps }
+ */
+export function convertFromMetric(eventKey, seconds, trackType = DEFAULT_TRACK_TYPE) {
+  const conversion = getConversion(eventKey, trackType);
+  return { ...conversion, performance: seconds / conversion.factor };
+}
+
+/**
+ * Prepare a time for scoring with the table of its metric, 200m banked track equivalent
+ * A converted time has the timing rules applied as entered (rounded to the precision it
+ * was recorded to, plus any hand timing offset) and is then converted and rounded up to
+ * the hundredth once, so it is not rounded again when it is scored.
+ * @param {string} eventKey - Event the time was run in
+ * @param {string} performance - Normalized time in seconds
+ * @param {string} trackType - Key of TRACK_CONVERSION_TYPES
+ * @param {boolean} isHandTimed
+ * @returns {Object} {
+ *   event: event to score,
+ *   performance: time to score,
+ *   isHandTimed: whether hand timing still has to be applied when the time is scored,
+ *   conversion: conversion with the time converted (input) and the result (performance), or null if none applies,
+ *   timing: applyTimingRules result for the time as entered, or null if no conversion applies
+ * }
+ */
+export function prepareForScoring(eventKey, performance, trackType = DEFAULT_TRACK_TYPE, isHandTimed = false) {
+  const conversion = getConversion(eventKey, trackType);
+
+  if (conversion.steps.length === 0) {
+    return { event: conversion.event, performance, isHandTimed, conversion: null, timing: null };
+  }
+
+  const timing = applyTimingRules(parseFloat(performance), eventKey, isHandTimed);
+  const converted = roundTimeUp(timing.value * conversion.factor, TIME_PRECISION.hundredths).toFixed(2);
+
+  return {
+    event: conversion.event,
+    performance: converted,
+    isHandTimed: false,
+    conversion: { ...conversion, input: timing.value.toFixed(2), performance: converted },
+    timing
+  };
+}
@@ -0,0 +1,286 @@
+/**
+ * Track Lap Calculations
+ * Lap distances in each lane, lane staggers and start positions
+ * for 400m outdoor, 200m indoor and custom length tracks
+ */
+
+import { calculateSmartSplits } from './pace-calculations.js';
+
+/**
+ * Track types
+ * Lap, straight and bend lengths are measured in lane 1, 0.30m from the inner kerb.
+ * Races up to straightRaceMetres are run on a straight with no bends.
+ * laneRules list how far races started in lanes stay in them, by race length in laps:
+ * bends is the number of bends run in lanes before the break line, or null for the whole race.
+ * Longer races use a curved (waterfall) start.
+ */
+export const TRACK_TYPES = {
+  outdoor: {
+    name: '400m Outdoor',
+    lapMetres: 400,
+    straightMetres: 84.39,
+    bendMetres: 115.61,
+    laneWidth: 1.22,
+    straightRaceMetres: 110,
+    // 400m in lanes, 800m to the end of the first bend
+    laneRules: [{ maxLaps: 1, bends: null }, { maxLaps: 2, bends: 1 }]
+  },
+  indoor: {
+    name: '200m Indoor',
+    lapMetres: 200,
+    straightMetres: 44.08,
+    bendMetres: 55.92,
+    laneWidth: 1.0,
+    straightRaceMetres: 60,
+    // 200m in lanes, 400m to the end of the second bend, 800m to the end of the first bend
+    laneRules: [{ maxLaps: 1, bends: null }, { maxLaps: 2, bends: 2 }, { maxLaps: 4, bends: 1 }]
+  },
+  custom: {
+    name: 'Custom',
+    lapMetres: null,
+    straightMetres: null,
+    bendMetres: null,
+    laneWidth: 1.22,
+    straightRaceMetres: 0,
+    laneRules: [{ maxLaps: 1, bends: null }, { maxLaps: 2, bends: 1 }]
+  }
+};
+
+/**
+ * Range of custom lap lengths accepted
+ */
+export const CUSTOM_LAP_RANGE = { min: 100, max: 1000 };
+
+/**
+ * Number of lanes supported
+ */
+export const TRACK_LANES = 8;
+
+/**
+ * Create a track from its type
+ * Custom tracks keep the proportions of a standard 400m track.
+ * @param {string} type - One of the TRACK_TYPES keys
+ * @param {number} customLapMetres - Lap length for custom tracks
+ * @returns {Object} Track { type, name, lapMetres, straightMetres, bendMetres, laneWidth, straightRaceMetres, laneRules }
+ * @throws {Error} If the custom lap length is out of range
+ */
+export function createTrack(type, customLapMetres = null) {
+  if (type !== 'custom') {
+    return { type, ...(TRACK_TYPES[type] || TRACK_TYPES.outdoor) };
+  }
+
+  if (!(customLapMetres >= CUSTOM_LAP_RANGE.min && customLapMetres <= CUSTOM_LAP_RANGE.max)) {
+    throw new Error(`Lap length must be between ${CUSTOM_LAP_RANGE.min}m and ${CUSTOM_LAP_RANGE.max}m`);
+  }
+
+  const outdoor = TRACK_TYPES.outdoor;
+  const scale = customLapMetres / outdoor.lapMetres;
+
+  return {
+    ...TRACK_TYPES.custom,
+    type,
+    lapMetres: customLapMetres,
+    straightMetres: outdoor.straightMetres * scale,
+    bendMetres: outdoor.bendMetres * scale
+  };
+}
+
+/**
+ * Extra bend radius of the measurement line in a lane compared with lane 1
+ * Lane 1 is measured 0.30m from the kerb, other lanes 0.20m from the inner lane line.
+ * @param {Object} track - Track from createTrack
+ * @param {number} lane - Lane number (1-8)
+ * @returns {number} Radius offset in metres
+ */
+function getLaneRadiusOffset(track, lane) {
+  return lane <= 1 ? 0 : (lane - 1) * track.laneWidth - 0.10;
+}
+
+/**
+ * Distance of one lap in a lane
+ * @param {Object} track - Track from createTrack
+ * @param {number} lane - Lane number (1-8)
+ * @returns {number} Lap distance in metres
+ */
+export function getLaneLapDistance(track, lane) {
+  // Two bends make a full circle, so each lap adds 2πr of extra distance
+  return track.lapMetres + 2 * Math.PI * getLaneRadiusOffset(track, lane);
+}
+
+/**
+ * Bend distance (in lane 1) between two points on the track
+ * Positions are metres run from the finish line: the first bend, the back straight,
+ * the second bend and then the home straight to the finish line.
+ * @param {Object} track - Track from createTrack
+ * @param {number} fromMetres - Start position
+ * @param {number} toMetres - End position (may be more than a lap on)
+ * @returns {number} Bend metres covered
+ */
+function getBendMetresBetween(track, fromMetres, toMetres) {
+  const { lapMetres, bendMetres, straightMetres } = track;
+  const bends = [
+    [0, bendMetres],
+    [bendMetres + straightMetres, 2 * bendMetres + straightMetres]
+  ];
+
+  let total = 0;
+  for (let lapStart = Math.floor(fromMetres / lapMetres) * lapMetres; lapStart < toMetres; lapStart += lapMetres) {
+    for (const [bendStart, bendEnd] of bends) {
+      const start = Math.max(fromMetres, lapStart + bendStart);
+      const end = Math.min(toMetres, lapStart + bendEnd);
+      if (end > start) {
+        total += end - start;
+      }
+    }
+  }
+
+  return total;
+}
+
+/**
+ * Position where a number of bends run from a start position ends
+ * A start inside a bend counts that bend as the first.
+ * @param {Object} track - Track from createTrack
+ * @param {number} fromMetres - Start position
+ * @param {number} bends - Number of bends
+ * @returns {number} Position at the end of the last bend (may be more than a lap on)
+ */
+function getBendEnd(track, fromMetres, bends) {
+  const { lapMetres, bendMetres, straightMetres } = track;
+  const bendEnds = [bendMetres, 2 * bendMetres + straightMetres];
+  let count = 0;
+
+  for (let lapStart = Math.floor(fromMetres / lapMetres) * lapMetres; ; lapStart += lapMetres) {
+    for (const bendEnd of bendEnds) {
+      if (lapStart + bendEnd > fromMetres && ++count === bends) {
+        return lapStart + bendEnd;
+      }
+    }
+  }
+}
+
+/**
+ * Start position of a race that finishes on the finish line
+ * @param {Object} track - Track from createTrack
+ * @param {number} distanceMetres - Race distance in metres
+ * @returns {Object} { startMetres (metres past the finish line), fullLaps, firstLapMetres }
+ */
+export function getStartPosition(track, distanceMetres) {
+  const { lapMetres } = track;
+  const remainder = roundMetres(distanceMetres % lapMetres);
+  const firstLapMetres = remainder >= lapMetres ? 0 : remainder;
+
+  return {
+    startMetres: firstLapMetres > 0 ? lapMetres - firstLapMetres : 0,
+    fullLaps: Math.round((distanceMetres - firstLapMetres) / lapMetres),
+    firstLapMetres
+  };
+}
+
+/**
+ * Count the laps in a distance run from the finish line, as in a timed race
+ * @param {Object} track - Track from createTrack
+ * @param {number} distanceMetres - Distance covered in metres
+ * @param {number} lane - Lane number (1-8)
+ * @returns {Object} { laps (whole laps completed), extraMetres (into the next lap), lapMetres }
+ */
+export function countLaps(track, distanceMetres, lane = 1) {
+  const lapMetres = getLaneLapDistance(track, lane);
+  const laps = Math.floor(roundMetres(distanceMetres / lapMetres));
+
+  return {
+    laps,
+    extraMetres: Math.max(0, roundMetres(distanceMetres - laps * lapMetres)),
+    lapMetres
+  };
+}
+
+/**
+ * Lane stagger for a race started in lanes
+ * The track's lane rules set how many bends are run in lanes (see TRACK_TYPES).
+ * @param {Object} track - Track from createTrack
+ * @param {number} lane - Lane number (1-8)
+ * @param {number} distanceMetres - Race distance in metres
+ * @returns {Object} { staggerMetres, inLanes: 'full'|'bends'|'none', bends (bends run in lanes, or null) }
+ */
+export function calculateLaneStagger(track, lane, distanceMetres) {
+  const { lapMetres, bendMetres } = track;
+
+  if (distanceMetres <= track.straightRaceMetres) {
+    return { staggerMetres: 0, inLanes: 'full', bends: null };
+  }
+
+  const rule = track.laneRules.find(({ maxLaps }) => distanceMetres <= maxLaps * lapMetres);
+  if (!rule) {
+    return { staggerMetres: 0, inLanes: 'none', bends: null };
+  }
+
+  const { startMetres } = getStartPosition(track, distanceMetres);
+  const inLanesTo = rule.bends === null ? startMetres + distanceMetres : getBendEnd(track, startMetres, rule.bends);
+  const bendInLanes = getBendMetresBetween(track, startMetres, inLanesTo);
+
+  // Each full bend in a lane is πr longer than in lane 1
+  const staggerMetres = (bendInLanes / bendMetres) * Math.PI * getLaneRadiusOffset(track, lane);
+
+  return { staggerMetres, inLanes: rule.bends === null ? 'full' : 'bends', bends: rule.bends };
+}
+
+/**
+ * Calculate track splits for a whole race run in one lane
+ * The partial lap comes first so every later split is on the finish line.
+ * @param {number} distanceMetres - Total distance in metres
+ * @param {number} pacePerKm - Pace in seconds per km
+ * @param {Object} eventConfig - Event configuration
+ * @param {Object} track - Track from createTrack
+ * @param {number} lane - Lane number (1-8)
+ * @param {string} interval - 'lap' for per-lap splits or '200m' for per-200m splits
+ * @returns {Array} Array of split objects
+ */
+export function calculateTrackSplits(distanceMetres, pacePerKm, eventConfig, track, lane, interval) {
+  const laneLapMetres = getLaneLapDistance(track, lane);
+  const laneScale = laneLapMetres / track.lapMetres;
+  const intervalMetres = interval === '200m' ? 200 * laneScale : laneLapMetres;
+
+  const splits = calculateSmartSplits(
+    distanceMetres,
+    pacePerKm,
+    eventConfig,
+    intervalMetres,
+    { value: intervalMetres, unit: 'm', metres: intervalMetres },
+    { remainderFirst: true }
+  );
+
+  // Label splits in track terms rather than raw metres
+  const fullLabel = interval === '200m' ? '200m' : '1 lap';
+  let previousMetres = 0;
+
+  return splits.map(split => {
+    const splitMetres = split.distanceMetres - previousMetres;
+    previousMetres = split.distanceMetres;
+
+    const isFull = Math.abs(splitMetres - intervalMetres) < 0.01;
+    return {
+      ...split,
+      distanceLabel: formatTrackMetres(split.distanceMetres),
+      splitDistanceLabel: isFull ? fullLabel : formatTrackMetres(splitMetres)
+    };
+  });
+}
+
+/**
+ * Format a track distance, keeping a decimal only when needed
+ * @param {number} metres
+ * @returns {string}
+ */
+export function formatTrackMetres(metres) {
+  return `${parseFloat(metres.toFixed(2))}m`;
+}
+
+/**
+ * Round metres to hide floating point noise
+ * @param {number} metres
+ * @returns {number}
+ */
+function roundMetres(metres) {
+  return Math.round(metres * 1000) / 1000;
+}
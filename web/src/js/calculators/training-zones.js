@@ -0,0 +1,149 @@
+/**
+ * Training Zones Calculator
+ * Derive training paces from a race result or VDOT fitness estimate
+ * using the Daniels-Gilbert oxygen cost and drop-dead equations
+ */
+
+import { calculatePace, convertPaceUnit, convertPaceToSpeedUnit } from './pace-calculations.js';
+
+/**
+ * Training zones as a range of intensities (fraction of VDOT)
+ */
+export const TRAINING_ZONES = [
+  {
+    key: 'easy',
+    name: 'Easy',
+    description: 'Recovery runs, long runs and warm-ups',
+    minIntensity: 0.59,
+    maxIntensity: 0.7
+  },
+  {
+    key: 'marathon',
+    name: 'Marathon',
+    description: 'Steady running at about marathon race pace',
+    minIntensity: 0.75,
+    maxIntensity: 0.82
+  },
+  {
+    key: 'threshold',
+    name: 'Threshold',
+    description: 'Comfortably hard tempo runs and cruise intervals',
+    minIntensity: 0.83,
+    maxIntensity: 0.88
+  },
+  {
+    key: 'interval',
+    name: 'Interval',
+    description: 'Hard repeats of 3 to 5 minutes at VO2max',
+    minIntensity: 0.95,
+    maxIntensity: 1.0
+  },
+  {
+    key: 'repetition',
+    name: 'Repetition',
+    description: 'Short, fast repeats with full recovery for speed and economy',
+    minIntensity: 1.03,
+    maxIntensity: 1.07
+  }
+];
+
+/**
+ * Pace units supported by the pace calculator
+ */
+export const ZONE_PACE_UNITS = ['km', 'mile', '400m', '200m', '100m'];
+
+/**
+ * Speed units supported by the pace calculator
+ */
+export const ZONE_SPEED_UNITS = ['kmh', 'mph', 'ms', 'fts', 'yds'];
+
+/**
+ * Range of VDOT values accepted by the calculator
+ */
+export const VDOT_RANGE = { min: 20, max: 90 };
+
+/**
+ * Oxygen cost of running at a velocity
+ * @param {number} metresPerMinute - Velocity in metres per minute
+ * @returns {number} VO2 in ml/kg/min
+ */
+function oxygenCost(metresPerMinute) {
+  return -4.6 + 0.182258 * metresPerMinute + 0.000104 * metresPerMinute * metresPerMinute;
+}
+
+/**
+ * Velocity that has a given oxygen cost (inverse of oxygenCost)
+ * @param {number} vo2 - VO2 in ml/kg/min
+ * @returns {number} Velocity in metres per minute
+ */
+function velocityForOxygenCost(vo2) {
+  const a = 0.000104;
+  const b = 0.182258;
+  const c = -4.6 - vo2;
+  return (-b + Math.sqrt(b * b - 4 * a * c)) / (2 * a);
+}
+
+/**
+ * Fraction of VO2max that can be sustained for a race of a given duration
+ * @param {number} minutes - Race duration in minutes
+ * @returns {number} Fraction of VO2max
+ */
+function sustainableFraction(minutes) {
+  return 0.8 + 0.1894393 * Math.exp(-0.012778 * minutes) + 0.2989558 * Math.exp(-0.1932605 * minutes);
+}
+
+/**
+ * Estimate VDOT from a race result
+ * @param {number} distanceMetres - Race distance in metres
+ * @param {number} totalTimeSeconds - Race time in seconds
+ * @returns {number} VDOT
+ * @throws {Error} If the distance or time is not positive
+ */
+export function calculateVdot(distanceMetres, totalTimeSeconds) {
+  if (distanceMetres <= 0 || totalTimeSeconds <= 0) {
+    throw new Error('Distance and time must be greater than 0');
+  }
+
+  const minutes = totalTimeSeconds / 60;
+  return oxygenCost(distanceMetres / minutes) / sustainableFraction(minutes);
+}
+
+/**
+ * Express a velocity in every pace and speed unit
+ * @param {number} metresPerMinute - Velocity in metres per minute
+ * @returns {Object} { paces: {km, mile, 400m, 200m, 100m}, speeds: {kmh, mph, ms, fts, yds} }
+ */
+function describeVelocity(metresPerMinute) {
+  const paces = {};
+  for (const unit of ZONE_PACE_UNITS) {
+    paces[unit] = unit === 'mile'
+      ? convertPaceUnit(paces.km, 'km', 'mile')
+      : calculatePace(metresPerMinute, 60, unit);
+  }
+
+  const speeds = {};
+  for (const unit of ZONE_SPEED_UNITS) {
+    speeds[unit] = convertPaceToSpeedUnit(paces.km, unit);
+  }
+
+  return { paces, speeds };
+}
+
+/**
+ * Calculate training zones for a VDOT
+ * Each zone has its slowest and fastest pace in every unit.
+ * @param {number} vdot - VDOT fitness estimate
+ * @returns {Array<Object>} Zones { key, name, description, minIntensity, maxIntensity, slow, fast }
+ * @throws {Error} If the VDOT is out of range
+ */
+export function calculateTrainingZones(vdot) {
+  if (!(vdot >= VDOT_RANGE.min && vdot <= VDOT_RANGE.max)) {
+    throw new Error(`VDOT must be between ${VDOT_RANGE.min} and ${VDOT_RANGE.max}`);
+  }
+
+  return TRAINING_ZONES.map(zone => ({
+    ...zone,
+    slow: describeVelocity(velocityForOxygenCost(vdot * zone.minIntensity)),
+    fast: describeVelocity(velocityForOxygenCost(vdot * zone.maxIntensity))
+  }));
+}
@@ -0,0 +1,206 @@
+/**
+ * World Rankings Calculations
+ * Result scores (performance score plus placing score) and ranking scores
+ * (the average of an athlete's best result scores in an event group), and read and write
+ * the placing score tables as a spreadsheet (CSV)
+ */
+
+import { worldRankingsLoader } from '../data/world-rankings-loader.js';
+import { lookupPoints } from './performance-lookup.js';
+import { parseDelimited, toCsv } from '../utils/csv.js';
+
+// Header names accepted for each column of a placing scores spreadsheet (underscores read as spaces)
+const COLUMN_HEADERS = {
+  edition: ['edition', 'rules edition'],
+  table: ['table', 'placing table'],
+  category: ['category', 'competition category'],
+  round: ['round'],
+  place: ['place', 'position'],
+  score: ['score', 'placing score', 'points']
+};
+
+/**
+ * Calculate the result score of a performance at a competition
+ * The performance score is the scoring table score, wind modified when a wind reading is given.
+ * @param {string} gender - 'men' or 'women'
+ * @param {Object} result - { event, performance, isHandTimed, wind, category, round, place }
+ * @returns {Object|null} { performanceScore, placingScore, resultScore, lookup }, or null if the
+ *   performance or placing cannot be scored. resultScore is null for marks with too much wind to count.
+ */
+export function calculateResultScore(gender, { event, performance, isHandTimed = false, wind = null, category, round, place }) {
+  const placingScore = worldRankingsLoader.getPlacingScore(category, round, place, event);
+  if (placingScore === null) {
+    return null;
+  }
+
+  const lookup = lookupPoints(gender, event, performance, isHandTimed, wind);
+  if (!lookup) {
+    return null;
+  }
+
+  const performanceScore = lookup.wind !== undefined ? lookup.windModifiedPoints : lookup.points;
+
+  return {
+    performanceScore,
+    placingScore,
+    resultScore: performanceScore === null ? null : performanceScore + placingScore,
+    lookup
+  };
+}
+
+/**
+ * Calculate a ranking score from the result scores in one event group
+ * @param {Array<Object>} results - Results with a resultScore; results scoring null do not count
+ * @param {number} resultsCount - Number of best results averaged
+ * @returns {Object} { score, counted, isComplete, threshold }
+ *   score is null when no results count, counted holds the averaged results best first,
+ *   and threshold is the result score a new result must beat to count (0 until there are resultsCount results)
+ */
+export function calculateRankingScore(results, resultsCount) {
+  const counted = results
+    .filter(result => result.resultScore !== null && result.resultScore !== undefined)
+    .sort((a, b) => b.resultScore - a.resultScore)
+    .slice(0, resultsCount);
+
+  const isComplete = counted.length === resultsCount;
+  const total = counted.reduce((sum, result) => sum + result.resultScore, 0);
+
+  return {
+    score: counted.length > 0 ? Math.round(total / counted.length) : null,
+    counted,
+    isComplete,
+    threshold: isComplete ? counted[counted.length - 1].resultScore : 0
+  };
+}
+
+/**
+ * Format a place as an ordinal
+ * @param {number} place
+ * @returns {string} e.g. "1st", "2nd", "11th"
+ */
+export function formatPlace(place) {
+  const lastTwo = place % 100;
+  const suffix = lastTwo >= 11 && lastTwo <= 13
+    ? 'th'
+    : { 1: 'st', 2: 'nd', 3: 'rd' }[place % 10] || 'th';
+  return `${place}${suffix}`;
+}
+
+/**
+ * Build a placing scores spreadsheet (CSV) with one row per place
+ * @returns {string}
+ */
+export function buildPlacingScoresCsv() {
+  const rows = [['Edition', 'Table', 'Category', 'Round', 'Place', 'Score']];
+
+  for (const record of worldRankingsLoader.getPlacingScoreRecords()) {
+    record.scores.forEach((score, index) => {
+      rows.push([record.edition, record.table, record.category, record.round, index + 1, score]);
+    });
+  }
+
+  return toCsv(rows);
+}
+
+/**
+ * Read placing scores from a placing scores spreadsheet (CSV or TSV)
+ * The first row must be a header naming at least the table, category, round, place and score columns.
+ * Tables, categories and rounds can be given by key or name (e.g., "road" or "Road running", "Semi-final").
+ * The places of each round must run from 1 without gaps.
+ * @param {string} text
+ * @returns {Object} { records: [{ key, edition, table, category, round, scores }], errors: [{ line, message }] }
+ */
+export function parsePlacingScoresCsv(text) {
+  const rows = parseDelimited(text);
+  const columns = rows.length > 0 ? getHeaderColumns(rows[0]) : null;
+
+  if (!columns) {
+    return {
+      records: [],
+      errors: [{ line: 1, message: 'The first row must name the Table, Category, Round, Place and Score columns' }]
+    };
+  }
+
+  const tables = worldRankingsLoader.getPlacingTables();
+  const categories = worldRankingsLoader.getCategories();
+  const rounds = worldRankingsLoader.getAllRounds();
+  const findKey = (options, value) => {
+    const search = value.toLowerCase();
+    return options.find(option => option.key.toLowerCase() === search || option.name.toLowerCase() === search)?.key;
+  };
+
+  const records = new Map();
+  const errors = [];
+
+  for (let i = 1; i < rows.length; i++) {
+    const line = i + 1;
+    const valueAt = index => (index === undefined ? '' : rows[i][index] || '');
+
+    const table = findKey(tables, valueAt(columns.table));
+    if (!table) {
+      errors.push({ line, message: `Unknown placing table "${valueAt(columns.table)}"` });
+      continue;
+    }
+
+    const category = findKey(categories, valueAt(columns.category));
+    if (!category) {
+      errors.push({ line, message: `Unknown category "${valueAt(columns.category)}"` });
+      continue;
+    }
+
+    const round = findKey(rounds, valueAt(columns.round));
+    if (!round) {
+      errors.push({ line, message: `Unknown round "${valueAt(columns.round)}"` });
+      continue;
+    }
+
+    const place = valueAt(columns.place);
+    const score = valueAt(columns.score);
+    if (!/^\d+$/.test(place) || parseInt(place, 10) < 1) {
+      errors.push({ line, message: `Invalid place "${place}"` });
+      continue;
+    }
+    if (!/^\d+$/.test(score)) {
+      errors.push({ line, message: `Invalid score "${score}"` });
+      continue;
+    }
+
+    const key = `${table}:${category}:${round}`;
+    if (!records.has(key)) {
+      records.set(key, { key, edition: valueAt(columns.edition), table, category, round, scores: [], line });
+    }
+    records.get(key).scores[parseInt(place, 10) - 1] = parseInt(score, 10);
+  }
+
+  const complete = [];
+  for (const { line, ...record } of records.values()) {
+    // Missing places leave holes in the scores, which filter() skips
+    if (record.scores.filter(score => score !== undefined).length !== record.scores.length) {
+      errors.push({ line, message: `The places of ${record.category} ${record.round} in the ${record.table} table have gaps` });
+      continue;
+    }
+    complete.push(record);
+  }
+
+  return { records: complete, errors: errors.sort((a, b) => a.line - b.line) };
+}
+
+/**
+ * Map column names to indexes from the header row
+ * @param {string[]} row
+ * @returns {Object|null} Column indexes, or null if a required column is missing
+ */
+function getHeaderColumns(row) {
+  const normalized = row.map(value => value.toLowerCase().replace(/_/g, ' '));
+  const columns = {};
+
+  for (const [column, names] of Object.entries(COLUMN_HEADERS)) {
+    const index = normalized.findIndex(value => names.includes(value));
+    if (index !== -1) {
+      columns[column] = index;
+    }
+  }
+
+  const required = ['table', 'category', 'round', 'place', 'score'];
+  return required.every(column => columns[column] !== undefined) ? columns : null;
+}
@@ -0,0 +1,203 @@
+/**
+ * Batch Scorer Component
+ * Scores pasted or uploaded CSV/TSV results and renders a sortable results table
+ */
+
+import { scoreBatch, buildResultsCsv } from '../calculators/batch-scoring.js';
+import { downloadCsv } from '../utils/csv.js';
+
+export class BatchScorer {
+  constructor() {
+    this.results = [];
+    this.sortColumn = 'rank';
+    this.sortAscending = true;
+    this.setupDOMElements();
+  }
+
+  setupDOMElements() {
+    this.input = document.querySelector('#batch-input');
+    this.fileInput = document.querySelector('#batch-file');
+    this.scoreBtn = document.querySelector('#batch-score-btn');
+    this.resultsContainer = document.querySelector('#batch-results');
+    this.summary = document.querySelector('#batch-summary');
+    this.tableBody = document.querySelector('#batch-table-body');
+    this.tableHeaders = document.querySelectorAll('.batch-table th[data-sort]');
+    this.downloadBtn = document.querySelector('#batch-download-btn');
+    this.errorMessage = document.querySelector('#batch-error');
+  }
+
+  initialize() {
+    if (!this.input) return;
+
+    this.input.addEventListener('input', () => {
+      this.scoreBtn.disabled = !this.input.value.trim();
+      this.hideError();
+    });
+
+    this.fileInput?.addEventListener('change', (e) => this.handleFileUpload(e));
+    this.scoreBtn.addEventListener('click', () => this.handleScore());
+    this.downloadBtn?.addEventListener('click', () => this.handleDownload());
+
+    this.tableHeaders.forEach(header => {
+      header.addEventListener('click', () => this.handleSort(header.dataset.sort));
+    });
+  }
+
+  async handleFileUpload(e) {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    try {
+      this.input.value = await file.text();
+      this.scoreBtn.disabled = !this.input.value.trim();
+      this.handleScore();
+    } catch (error) {
+      console.error('Error reading batch file:', error);
+      this.showError('Could not read the file. Please check it is a CSV or TSV text file.');
+    } finally {
+      // Allow the same file to be uploaded again
+      this.fileInput.value = '';
+    }
+  }
+
+  handleScore() {
+    const text = this.input.value.trim();
+
+    if (!text) {
+      this.showError('Please paste or upload some results.');
+      return;
+    }
+
+    try {
+      this.hideError();
+      this.results = scoreBatch(text);
+
+      if (this.results.length === 0) {
+        this.resultsContainer.classList.add('hidden');
+        this.showError('No results found. Please check the format of your data.');
+        return;
+      }
+
+      this.sortColumn = 'rank';
+      this.sortAscending = true;
+      this.renderResults();
+    } catch (error) {
+      console.error('Batch scoring error:', error);
+      this.showError('An error occurred while scoring results. Please try again.');
+    }
+  }
+
+  handleSort(column) {
+    if (this.sortColumn === column) {
+      this.sortAscending = !this.sortAscending;
+    } else {
+      this.sortColumn = column;
+      // Points read best first, everything else alphabetically or by rank
+      this.sortAscending = column !== 'points';
+    }
+
+    this.renderResults();
+  }
+
+  handleDownload() {
+    if (this.results.length === 0) return;
+
+    const csv = buildResultsCsv(this.getSortedResults());
+    downloadCsv(csv, 'scored-results.csv');
+  }
+
+  /**
+   * Get results sorted by the current column, keeping unscored rows last
+   * @returns {Array<Object>}
+   */
+  getSortedResults() {
+    const column = this.sortColumn;
+    const direction = this.sortAscending ? 1 : -1;
+
+    const valueFor = (result) => {
+      if (column === 'event') return result.eventDisplayName || result.event;
+      return result[column];
+    };
+
+    return [...this.results].sort((a, b) => {
+      const aValue = valueFor(a);
+      const bValue = valueFor(b);
+
+      // Unscored rows have no rank or points and always sort last
+      if (aValue === null || aValue === '') return (bValue === null || bValue === '') ? 0 : 1;
+      if (bValue === null || bValue === '') return -1;
+
+      if (typeof aValue === 'number' && typeof bValue === 'number') {
+        return (aValue - bValue) * direction;
+      }
+
+      return String(aValue).localeCompare(String(bValue), undefined, { numeric: true }) * direction;
+    });
+  }
+
+  renderResults() {
+    const sorted = this.getSortedResults();
+    this.tableBody.innerHTML = '';
+
+    for (const result of sorted) {
+      this.tableBody.appendChild(this.createRow(result));
+    }
+
+    // Update sort indicators
+    this.tableHeaders.forEach(header => {
+      header.classList.remove('batch-table__sort--asc', 'batch-table__sort--desc');
+      if (header.dataset.sort === this.sortColumn) {
+        header.classList.add(this.sortAscending ? 'batch-table__sort--asc' : 'batch-table__sort--desc');
+      }
+    });
+
+    const scoredCount = this.results.filter(result => result.points !== null).length;
+    const errorCount = this.results.length - scoredCount;
+    this.summary.textContent = errorCount > 0
+      ? `${scoredCount} of ${this.results.length} results scored. ${errorCount} could not be scored.`
+      : `${scoredCount} results scored.`;
+
+    this.resultsContainer.classList.remove('hidden');
+  }
+
+  createRow(result) {
+    const row = document.createElement('tr');
+    row.className = 'history-row batch-row';
+
+    if (result.error) {
+      row.classList.add('batch-row--error');
+    }
+
+    const cells = [
+      result.rank ?? '-',
+      result.athlete,
+      result.gender ? result.gender.charAt(0).toUpperCase() + result.gender.slice(1) : '',
+      result.eventDisplayName || result.event,
+      result.performance ? `${result.performance}${result.isHandTimed ? ' (hand timed)' : ''}` : result.mark,
+      result.error ? result.error : result.points
+    ];
+
+    cells.forEach((value, index) => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+
+      if (index === 4) cell.className = 'history-row__performance';
+      if (index === 5) cell.className = result.error ? 'batch-row__error' : 'history-row__score';
+
+      row.appendChild(cell);
+    });
+
+    return row;
+  }
+
+  showError(message) {
+    if (this.errorMessage) {
+      this.errorMessage.textContent = message;
+      this.errorMessage.classList.remove('hidden');
+    }
+  }
+
+  hideError() {
+    this.errorMessage?.classList.add('hidden');
+  }
+}
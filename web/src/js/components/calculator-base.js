@@ -7,6 +7,7 @@ import { scoringDataLoader } from '../data/scoring-data-loader.js';
 import { eventConfigLoader } from '../data/event-config-loader.js';
 import { getPerformancePlaceholder } from '../utils/performance-parser.js';
 import { createIcon } from './icon.js';
+import { setupEditionSelector } from './edition-selector.js';
 
 export class BaseCalculator {
   constructor(selectors) {
@@ -98,6 +99,7 @@ export class BaseCalculator {
         eventConfigLoader.load()
       ]);
       this.allEvents = eventConfigLoader.getAllEvents();
+      setupEditionSelector(document.querySelector('#edition-select'), document.querySelector('#edition-notice'));
       this.initializeGenderToggle();
       this.showLoading(false);
     } catch (error) {
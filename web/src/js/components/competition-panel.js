@@ -0,0 +1,428 @@
+/**
+ * Competition Panel Component
+ * Multi-athlete combined events competition with live standings, persisted in IndexedDB
+ */
+
+import { combinedEventsConfigLoader } from '../data/combined-events-config-loader.js';
+import {
+  createCompetition,
+  createAthlete,
+  scoreMark,
+  calculateStandingsWithChanges,
+  isEventComplete
+} from '../calculators/combined-events-competition.js';
+import { IndexedDbStore } from '../utils/indexed-db-store.js';
+
+const competitionStore = new IndexedDbStore('athleticsUtils.competitions', 'competitions');
+
+export class CompetitionPanel {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getSelection - Returns {gender, combinedEventKey, eventConfig} from the page
+   * @param {Function} options.onActiveChange - Called with true/false when a competition starts or ends
+   */
+  constructor({ getSelection, onActiveChange }) {
+    this.getSelection = getSelection;
+    this.onActiveChange = onActiveChange;
+    this.competition = null;
+    this.eventDetails = {}; // { eventKey: { displayName, measurement, parameters, isHandTimeable } }
+  }
+
+  setupDOMElements() {
+    this.container = document.getElementById('competition-container');
+    this.setupPanel = document.getElementById('competition-setup');
+    this.activePanel = document.getElementById('competition-active');
+    this.nameInput = document.getElementById('competition-name');
+    this.athletesInput = document.getElementById('competition-athletes');
+    this.startBtn = document.getElementById('competition-start-btn');
+    this.endBtn = document.getElementById('competition-end-btn');
+    this.title = document.getElementById('competition-title');
+    this.subtitle = document.getElementById('competition-subtitle');
+    this.prevBtn = document.getElementById('competition-prev-btn');
+    this.nextBtn = document.getElementById('competition-next-btn');
+    this.eventSelect = document.getElementById('competition-event-select');
+    this.marksBody = document.getElementById('competition-marks-body');
+    this.addAthleteInput = document.getElementById('competition-add-athlete-input');
+    this.addAthleteBtn = document.getElementById('competition-add-athlete-btn');
+    this.standingsTitle = document.getElementById('competition-standings-title');
+    this.standingsBody = document.getElementById('competition-standings-body');
+    this.errorMessage = document.getElementById('competition-error');
+  }
+
+  /**
+   * Initialize the panel and restore any competition in progress
+   * @returns {Promise<boolean>} True if a competition was restored
+   */
+  async initialize() {
+    this.setupDOMElements();
+    this.setupEventListeners();
+    return this.restore();
+  }
+
+  setupEventListeners() {
+    this.startBtn?.addEventListener('click', () => this.handleStart());
+    this.endBtn?.addEventListener('click', () => this.handleEnd());
+    this.prevBtn?.addEventListener('click', () => this.selectEvent(this.competition.currentEventIndex - 1));
+    this.nextBtn?.addEventListener('click', () => this.selectEvent(this.competition.currentEventIndex + 1));
+    this.eventSelect?.addEventListener('change', () => this.selectEvent(parseInt(this.eventSelect.value, 10)));
+    this.addAthleteBtn?.addEventListener('click', () => this.handleAddAthlete());
+    this.addAthleteInput?.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') this.handleAddAthlete();
+    });
+  }
+
+  show() {
+    this.container?.classList.remove('hidden');
+  }
+
+  hide() {
+    this.container?.classList.add('hidden');
+  }
+
+  isActive() {
+    return this.competition !== null;
+  }
+
+  /**
+   * Restore the most recently updated competition from IndexedDB
+   * @returns {Promise<boolean>}
+   */
+  async restore() {
+    try {
+      const competitions = await competitionStore.getAll();
+      if (competitions.length === 0) {
+        return false;
+      }
+
+      competitions.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+      await this.activate(competitions[0]);
+      return true;
+    } catch (error) {
+      console.error('Error restoring competition:', error);
+      return false;
+    }
+  }
+
+  async handleStart() {
+    this.hideError();
+
+    const { gender, combinedEventKey, eventConfig } = this.getSelection();
+    if (!gender || !combinedEventKey || !eventConfig) {
+      this.showError('Please select a gender and combined event first.');
+      return;
+    }
+
+    const athleteNames = this.athletesInput.value
+      .split(/\r?\n/)
+      .map(name => name.trim())
+      .filter(name => name);
+
+    if (athleteNames.length === 0) {
+      this.athletesInput.classList.add('input-error');
+      this.showError('Please enter at least one athlete.');
+      return;
+    }
+
+    if (new Set(athleteNames.map(name => name.toLowerCase())).size !== athleteNames.length) {
+      this.athletesInput.classList.add('input-error');
+      this.showError('Athlete names must be unique.');
+      return;
+    }
+
+    this.athletesInput.classList.remove('input-error');
+
+    const competition = createCompetition({
+      name: this.nameInput.value.trim() || `${eventConfig.displayName} Competition`,
+      gender,
+      combinedEvent: combinedEventKey,
+      displayName: eventConfig.displayName,
+      events: eventConfig.events.flat(),
+      athleteNames
+    });
+
+    await this.activate(competition);
+    await this.save();
+  }
+
+  async handleEnd() {
+    if (!this.competition) return;
+
+    const confirmed = window.confirm(`End "${this.competition.name}"? All marks for this competition will be deleted.`);
+    if (!confirmed) return;
+
+    try {
+      await competitionStore.delete(this.competition.id);
+    } catch (error) {
+      console.error('Error deleting competition:', error);
+    }
+
+    this.competition = null;
+    this.nameInput.value = '';
+    this.athletesInput.value = '';
+    this.hideError();
+    this.render();
+    this.onActiveChange?.(false);
+  }
+
+  /**
+   * Make a competition the active one and load its event parameters
+   * @param {Object} competition
+   */
+  async activate(competition) {
+    const details = await combinedEventsConfigLoader.getCombinedEventDetails(
+      competition.gender,
+      competition.combinedEvent
+    );
+
+    this.eventDetails = {};
+    for (const detail of details) {
+      this.eventDetails[detail.key] = detail;
+    }
+
+    this.competition = competition;
+    this.render();
+    this.onActiveChange?.(true);
+  }
+
+  async save() {
+    if (!this.competition) return;
+
+    this.competition.updatedAt = new Date().toISOString();
+
+    try {
+      await competitionStore.put(this.competition);
+    } catch (error) {
+      console.error('Error saving competition:', error);
+      this.showError('Could not save the competition in this browser. Marks will be lost if the page is refreshed.');
+    }
+  }
+
+  selectEvent(index) {
+    if (!this.competition || index < 0 || index >= this.competition.events.length) return;
+
+    this.competition.currentEventIndex = index;
+    this.render();
+    this.save();
+  }
+
+  async handleAddAthlete() {
+    if (!this.competition) return;
+
+    const name = this.addAthleteInput.value.trim();
+    if (!name) return;
+
+    const exists = this.competition.athletes.some(athlete => athlete.name.toLowerCase() === name.toLowerCase());
+    if (exists) {
+      this.addAthleteInput.classList.add('input-error');
+      this.showError(`${name} is already in the competition.`);
+      return;
+    }
+
+    this.addAthleteInput.classList.remove('input-error');
+    this.hideError();
+    this.competition.athletes.push(createAthlete(name));
+    this.addAthleteInput.value = '';
+    this.render();
+    await this.save();
+  }
+
+  /**
+   * Score a mark entered for an athlete in the current discipline
+   * @param {string} athleteId
+   * @param {HTMLInputElement} input
+   * @param {HTMLInputElement|null} handTimingCheckbox
+   */
+  async handleMarkChange(athleteId, input, handTimingCheckbox) {
+    const athlete = this.competition.athletes.find(a => a.id === athleteId);
+    const eventKey = this.getCurrentEventKey();
+    const eventParams = this.eventDetails[eventKey];
+    if (!athlete || !eventParams) return;
+
+    const inputValue = input.value.trim();
+
+    if (!inputValue) {
+      delete athlete.marks[eventKey];
+      input.classList.remove('input-error');
+    } else {
+      const isHandTimed = handTimingCheckbox?.checked || false;
+      const mark = scoreMark(inputValue, eventKey, eventParams, isHandTimed);
+
+      if (!mark) {
+        input.classList.add('input-error');
+        this.showError(`Invalid mark for ${athlete.name}.`);
+        return;
+      }
+
+      input.classList.remove('input-error');
+      this.hideError();
+      athlete.marks[eventKey] = mark;
+    }
+
+    this.renderMarks();
+    this.renderStandings();
+    this.renderEventOptions();
+    await this.save();
+  }
+
+  getCurrentEventKey() {
+    return this.competition.events[this.competition.currentEventIndex];
+  }
+
+  getEventDisplayName(eventKey) {
+    return this.eventDetails[eventKey]?.displayName || eventKey;
+  }
+
+  render() {
+    if (!this.competition) {
+      this.setupPanel.classList.remove('hidden');
+      this.activePanel.classList.add('hidden');
+      return;
+    }
+
+    this.setupPanel.classList.add('hidden');
+    this.activePanel.classList.remove('hidden');
+
+    const genderLabel = this.competition.gender === 'men' ? "Men's" : "Women's";
+    this.title.textContent = this.competition.name;
+    this.subtitle.textContent = `${genderLabel} ${this.competition.displayName} · ${this.competition.athletes.length} athletes`;
+
+    const index = this.competition.currentEventIndex;
+    this.prevBtn.disabled = index === 0;
+    this.nextBtn.disabled = index === this.competition.events.length - 1;
+
+    this.renderEventOptions();
+    this.renderMarks();
+    this.renderStandings();
+  }
+
+  renderEventOptions() {
+    this.eventSelect.innerHTML = '';
+
+    this.competition.events.forEach((eventKey, index) => {
+      const option = document.createElement('option');
+      option.value = index;
+      const complete = isEventComplete(this.competition, eventKey) ? ' ✓' : '';
+      option.textContent = `${index + 1}. ${this.getEventDisplayName(eventKey)}${complete}`;
+      option.selected = index === this.competition.currentEventIndex;
+      this.eventSelect.appendChild(option);
+    });
+  }
+
+  renderMarks() {
+    const eventKey = this.getCurrentEventKey();
+    const eventParams = this.eventDetails[eventKey];
+    this.marksBody.innerHTML = '';
+
+    for (const athlete of this.competition.athletes) {
+      const mark = athlete.marks[eventKey];
+      const row = document.createElement('tr');
+      row.className = 'history-row competition-row';
+
+      const nameCell = document.createElement('td');
+      nameCell.textContent = athlete.name;
+
+      const markCell = document.createElement('td');
+      const markControls = document.createElement('div');
+      markControls.className = 'input-with-controls';
+
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'form-input competition-mark-input';
+      input.value = mark?.inputValue || '';
+      input.placeholder = eventParams?.measurement === 'time' ? 'e.g., 11.20' : 'e.g., 6.50';
+      input.setAttribute('aria-label', `${this.getEventDisplayName(eventKey)} mark for ${athlete.name}`);
+      markControls.appendChild(input);
+
+      let checkbox = null;
+      if (eventParams?.isHandTimeable) {
+        const wrapper = document.createElement('label');
+        wrapper.className = 'hand-timing-wrapper hand-timing-label';
+        checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'hand-timing-checkbox';
+        checkbox.checked = mark?.isHandTimed || false;
+        wrapper.appendChild(checkbox);
+        wrapper.appendChild(document.createTextNode('HT'));
+        wrapper.title = 'Hand timed';
+        markControls.appendChild(wrapper);
+
+        checkbox.addEventListener('change', () => this.handleMarkChange(athlete.id, input, checkbox));
+      }
+
+      input.addEventListener('change', () => this.handleMarkChange(athlete.id, input, checkbox));
+      input.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') input.blur();
+      });
+
+      markCell.appendChild(markControls);
+
+      const pointsCell = document.createElement('td');
+      pointsCell.className = 'history-row__score';
+      pointsCell.textContent = mark ? mark.score : '-';
+
+      row.appendChild(nameCell);
+      row.appendChild(markCell);
+      row.appendChild(pointsCell);
+      this.marksBody.appendChild(row);
+    }
+  }
+
+  renderStandings() {
+    const index = this.competition.currentEventIndex;
+    const eventKey = this.getCurrentEventKey();
+    const standings = calculateStandingsWithChanges(this.competition, index);
+
+    this.standingsTitle.textContent = `Standings after ${this.getEventDisplayName(eventKey)}`;
+    this.standingsBody.innerHTML = '';
+
+    for (const standing of standings) {
+      const row = document.createElement('tr');
+      row.className = 'history-row competition-row';
+
+      const cells = [
+        standing.rank,
+        this.formatRankChange(standing.rankChange),
+        standing.name,
+        standing.eventScore ?? '-',
+        standing.total
+      ];
+
+      cells.forEach((value, cellIndex) => {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+
+        if (cellIndex === 1) {
+          cell.className = 'rank-change';
+          if (standing.rankChange > 0) cell.classList.add('rank-change--up');
+          if (standing.rankChange < 0) cell.classList.add('rank-change--down');
+        }
+        if (cellIndex === 4) cell.className = 'history-row__score';
+
+        row.appendChild(cell);
+      });
+
+      this.standingsBody.appendChild(row);
+    }
+  }
+
+  /**
+   * Format a rank change for display
+   * @param {number|null} change - Positive when the athlete moved up
+   * @returns {string}
+   */
+  formatRankChange(change) {
+    if (change === null || change === 0) return '–';
+    return change > 0 ? `▲${change}` : `▼${Math.abs(change)}`;
+  }
+
+  showError(message) {
+    if (this.errorMessage) {
+      this.errorMessage.textContent = message;
+      this.errorMessage.classList.remove('hidden');
+    }
+  }
+
+  hideError() {
+    this.errorMessage?.classList.add('hidden');
+  }
+}
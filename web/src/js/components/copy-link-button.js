@@ -0,0 +1,38 @@
+/**
+ * Copy Link Button Component
+ * Copies a link that restores the current calculation
+ */
+
+import { createIcon } from './icon.js';
+import { buildShareUrl, updateShareUrl, copyToClipboard } from '../utils/share-link.js';
+
+/**
+ * Turn a button into a "Copy link" action for the current calculation
+ * @param {HTMLElement} button - Button element
+ * @param {Function} getState - Returns the state to encode in the link
+ */
+export function setupCopyLinkButton(button, getState) {
+  if (!button) return;
+
+  const label = document.createElement('span');
+  label.textContent = 'Copy link';
+  button.textContent = '';
+  button.appendChild(createIcon('link', 'icon--sm'));
+  button.appendChild(label);
+
+  let resetTimer = null;
+
+  button.addEventListener('click', async () => {
+    const state = getState();
+    const url = buildShareUrl(state);
+    updateShareUrl(state);
+
+    const copied = await copyToClipboard(url);
+    label.textContent = copied ? 'Link copied' : 'Copy failed';
+
+    clearTimeout(resetTimer);
+    resetTimer = setTimeout(() => {
+      label.textContent = 'Copy link';
+    }, 2000);
+  });
+}
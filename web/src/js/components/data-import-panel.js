@@ -0,0 +1,159 @@
+/**
+ * Data Import Panel Component
+ * Shows which reference data is in use, and imports and exports it as a spreadsheet (CSV).
+ * Imported records are persisted in IndexedDB and replace bundled ones with the same key.
+ * Used for the age factors on the Age Grading page and the placing scores on the Score Calculator page.
+ */
+
+import { downloadCsv } from '../utils/csv.js';
+
+// Import problems listed in the status before the rest are summarised
+const MAX_LISTED_ERRORS = 5;
+
+export class DataImportPanel {
+  /**
+   * @param {Object} options
+   * @param {IndexedDbStore} options.store - Store for the imported records
+   * @param {Function} options.parseCsv - Reads a spreadsheet: text => { records, errors: [{ line, message }] }
+   * @param {Function} options.buildCsv - Builds the spreadsheet of the data in use
+   * @param {Function} options.setImported - Hands the imported records to the data loader
+   * @param {Function} options.describe - Summary of the data in use, given the imported records
+   * @param {string} options.idPrefix - Prefix of the panel's element ids (e.g. "factors" for #factors-import-input)
+   * @param {string} options.fileName - Name of the exported file
+   * @param {Object} options.wording
+   * @param {string} options.wording.data - What is imported (e.g. "age factors")
+   * @param {string[]} options.wording.record - Singular and plural of what a record covers (e.g. ['event', 'events'])
+   * @param {string[]} options.wording.problem - Singular and plural of what an import error is about (e.g. ['row', 'rows'])
+   * @param {Function} options.onChange - Called after an import or removal
+   */
+  constructor({ store, parseCsv, buildCsv, setImported, describe, idPrefix, fileName, wording, onChange }) {
+    this.store = store;
+    this.parseCsv = parseCsv;
+    this.buildCsv = buildCsv;
+    this.setImported = setImported;
+    this.describe = describe;
+    this.idPrefix = idPrefix;
+    this.fileName = fileName;
+    this.wording = wording;
+    this.onChange = onChange;
+    this.imported = [];
+  }
+
+  setupDOMElements() {
+    this.importInput = document.getElementById(`${this.idPrefix}-import-input`);
+    this.exportBtn = document.getElementById(`${this.idPrefix}-export-btn`);
+    this.removeBtn = document.getElementById(`${this.idPrefix}-remove-btn`);
+    this.summary = document.getElementById(`${this.idPrefix}-summary`);
+    this.status = document.getElementById(`${this.idPrefix}-status`);
+  }
+
+  async initialize() {
+    this.setupDOMElements();
+    this.setupEventListeners();
+    await this.load();
+    this.render();
+  }
+
+  setupEventListeners() {
+    this.importInput?.addEventListener('change', () => this.handleImport());
+    this.exportBtn?.addEventListener('click', () => this.handleExport());
+    this.removeBtn?.addEventListener('click', () => this.handleRemove());
+  }
+
+  async load() {
+    try {
+      this.imported = await this.store.getAll();
+    } catch (error) {
+      console.error(`Error loading imported ${this.wording.data}:`, error);
+      this.imported = [];
+    }
+
+    this.setImported(this.imported);
+  }
+
+  async handleImport() {
+    const file = this.importInput.files[0];
+    if (!file) return;
+
+    try {
+      const { records, errors } = this.parseCsv(await file.text());
+
+      for (const record of records) {
+        await this.store.put(record);
+      }
+
+      const messages = [];
+      if (records.length > 0) {
+        messages.push(`Imported ${this.wording.data} for ${records.length} ${this.pluralize(this.wording.record, records.length)}.`);
+      }
+      if (errors.length > 0) {
+        const listed = errors.slice(0, MAX_LISTED_ERRORS).map(error => `line ${error.line}: ${error.message}`);
+        const more = errors.length > MAX_LISTED_ERRORS ? ` and ${errors.length - MAX_LISTED_ERRORS} more` : '';
+        messages.push(`Skipped ${errors.length} ${this.pluralize(this.wording.problem, errors.length)} (${listed.join('; ')}${more}).`);
+      }
+      this.showStatus(messages.join(' '));
+
+      await this.load();
+      this.render();
+      this.onChange?.();
+    } catch (error) {
+      console.error(`Error importing ${this.wording.data}:`, error);
+      this.showStatus(`The ${this.wording.data} could not be imported in this browser.`);
+    } finally {
+      // Allow the same file to be chosen again
+      this.importInput.value = '';
+    }
+  }
+
+  handleExport() {
+    downloadCsv(this.buildCsv(), this.fileName);
+  }
+
+  /**
+   * Remove every imported record (bundled data they replaced is used again)
+   */
+  async handleRemove() {
+    if (this.imported.length === 0) return;
+
+    const confirmed = window.confirm(`Remove all imported ${this.wording.data}?`);
+    if (!confirmed) return;
+
+    try {
+      for (const record of this.imported) {
+        await this.store.delete(record.key);
+      }
+    } catch (error) {
+      console.error(`Error removing ${this.wording.data}:`, error);
+    }
+
+    await this.load();
+    this.render();
+    this.onChange?.();
+  }
+
+  render() {
+    if (!this.summary) return;
+
+    this.summary.textContent = this.describe(this.imported);
+
+    if (this.removeBtn) {
+      this.removeBtn.disabled = this.imported.length === 0;
+    }
+  }
+
+  /**
+   * @param {string[]} forms - Singular and plural
+   * @param {number} count
+   * @returns {string}
+   */
+  pluralize([singular, plural], count) {
+    return count === 1 ? singular : plural;
+  }
+
+  showStatus(message) {
+    if (!this.status) return;
+
+    this.status.textContent = message;
+    this.status.classList.remove('hidden');
+  }
+}
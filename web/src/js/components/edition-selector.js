@@ -0,0 +1,70 @@
+/**
+ * Scoring Tables Edition Selector Component
+ * Choose the edition of the scoring tables to score against, and offer updated packages
+ */
+
+import { scoringDataLoader } from '../data/scoring-data-loader.js';
+
+/**
+ * Fill an edition select and watch for updated scoring table packages
+ * Changing the edition reloads the page so every result uses the chosen tables.
+ * @param {HTMLSelectElement|null} select - Edition select element
+ * @param {HTMLElement|null} notice - Element for the update notice
+ */
+export function setupEditionSelector(select, notice) {
+  if (!select) return;
+
+  const current = scoringDataLoader.getEdition();
+  select.innerHTML = '';
+
+  for (const edition of scoringDataLoader.getEditions()) {
+    const option = document.createElement('option');
+    option.value = edition.id;
+    option.textContent = edition.file ? edition.displayName : `${edition.displayName} (not available)`;
+    option.disabled = !edition.file;
+    select.appendChild(option);
+  }
+
+  if (current) {
+    select.value = current.id;
+  }
+
+  select.addEventListener('change', () => {
+    scoringDataLoader.setEdition(select.value);
+    window.location.reload();
+  });
+
+  if (notice) {
+    const showUpdate = async () => {
+      const update = await scoringDataLoader.checkForUpdates();
+      if (update) {
+        showUpdateNotice(notice, update);
+      }
+    };
+
+    showUpdate();
+    window.addEventListener('online', showUpdate);
+  }
+}
+
+/**
+ * Show that an updated package of the loaded edition is available
+ * @param {HTMLElement} notice
+ * @param {Object} edition - Updated edition
+ */
+function showUpdateNotice(notice, edition) {
+  notice.innerHTML = '';
+
+  const message = document.createElement('span');
+  message.textContent = `Updated ${edition.displayName} scoring tables are available.`;
+
+  const reloadBtn = document.createElement('button');
+  reloadBtn.type = 'button';
+  reloadBtn.className = 'btn btn-secondary';
+  reloadBtn.textContent = 'Reload';
+  reloadBtn.addEventListener('click', () => window.location.reload());
+
+  notice.appendChild(message);
+  notice.appendChild(reloadBtn);
+  notice.classList.remove('hidden');
+}
@@ -0,0 +1,371 @@
+/**
+ * History Panel Component
+ * Calculation history table with athlete tags, search, filters and import/export,
+ * shared by the score, pace and combined events pages
+ */
+
+import { HistoryManager, HISTORY_CALCULATORS } from '../utils/history-manager.js';
+import { downloadCsv } from '../utils/csv.js';
+import { createIcon } from './icon.js';
+
+export class HistoryPanel {
+  /**
+   * @param {Object} options
+   * @param {string} options.calculator - Calculator recording history ('score', 'pace' or 'combined')
+   */
+  constructor({ calculator }) {
+    this.calculator = calculator;
+    this.athleteStorageKey = 'historyAthlete';
+    this.scope = 'page'; // 'page' or 'all'
+    this.athleteFilter = 'all'; // 'all', 'untagged' or 'athlete:<name>'
+    this.query = '';
+    this.entries = [];
+    this.searchTimer = null;
+  }
+
+  setupDOMElements() {
+    this.section = document.getElementById('history-section');
+    this.tableBody = document.getElementById('history-table-body');
+    this.tableContainer = this.section?.querySelector('.history-table-container');
+    this.athleteInput = document.getElementById('history-athlete-input');
+    this.athleteList = document.getElementById('history-athlete-list');
+    this.searchInput = document.getElementById('history-search-input');
+    this.athleteFilterSelect = document.getElementById('history-athlete-filter');
+    this.scopeSelect = document.getElementById('history-scope-select');
+    this.exportJsonBtn = document.getElementById('history-export-json-btn');
+    this.exportCsvBtn = document.getElementById('history-export-csv-btn');
+    this.importInput = document.getElementById('history-import-input');
+    this.status = document.getElementById('history-status');
+    this.emptyMessage = document.getElementById('history-empty');
+  }
+
+  async initialize() {
+    this.setupDOMElements();
+    if (!this.tableBody) return;
+
+    this.athleteInput.value = sessionStorage.getItem(this.athleteStorageKey) || '';
+
+    this.setupEventListeners();
+    await this.render();
+  }
+
+  setupEventListeners() {
+    this.athleteInput.addEventListener('input', () => {
+      sessionStorage.setItem(this.athleteStorageKey, this.athleteInput.value.trim());
+    });
+
+    this.searchInput.addEventListener('input', () => {
+      clearTimeout(this.searchTimer);
+      this.searchTimer = setTimeout(() => {
+        this.query = this.searchInput.value.trim();
+        this.render();
+      }, 200);
+    });
+
+    this.athleteFilterSelect.addEventListener('change', () => {
+      this.athleteFilter = this.athleteFilterSelect.value;
+      this.render();
+    });
+
+    this.scopeSelect.addEventListener('change', () => {
+      this.scope = this.scopeSelect.value;
+      this.render();
+    });
+
+    this.exportJsonBtn.addEventListener('click', () => this.handleExport('json'));
+    this.exportCsvBtn.addEventListener('click', () => this.handleExport('csv'));
+    this.importInput.addEventListener('change', () => this.handleImport());
+
+    this.setupRowEventListeners();
+  }
+
+  /**
+   * Add a calculation to the history, tagged with the current athlete
+   * @param {Object} entry - Calculator specific fields
+   */
+  async addEntry(entry) {
+    try {
+      await HistoryManager.addEntry({
+        ...entry,
+        calculator: this.calculator,
+        athlete: this.athleteInput?.value.trim() || '',
+        timestamp: Date.now()
+      });
+      await this.render();
+    } catch (error) {
+      console.error('Error saving to history:', error);
+      this.showStatus('History is not available in this browser.');
+    }
+  }
+
+  /**
+   * Filters for the current scope, athlete and search
+   * @returns {Object} Filters for HistoryManager.load
+   */
+  getFilters() {
+    let athlete = null;
+    if (this.athleteFilter === 'untagged') {
+      athlete = '';
+    } else if (this.athleteFilter.startsWith('athlete:')) {
+      athlete = this.athleteFilter.slice('athlete:'.length);
+    }
+
+    return {
+      calculator: this.scope === 'all' ? null : this.calculator,
+      athlete,
+      query: this.query
+    };
+  }
+
+  async render() {
+    try {
+      const [entries, athletes] = await Promise.all([
+        HistoryManager.load(this.getFilters()),
+        HistoryManager.getAthletes()
+      ]);
+      this.entries = entries;
+
+      this.renderAthleteOptions(athletes);
+      this.renderRows(entries);
+    } catch (error) {
+      console.error('Error loading history:', error);
+      this.tableContainer?.classList.add('hidden');
+      this.emptyMessage?.classList.add('hidden');
+      this.showStatus('History is not available in this browser.');
+    }
+  }
+
+  /**
+   * Fill the athlete filter and the tag suggestions with the athletes in the history
+   * @param {Array<string>} athletes
+   */
+  renderAthleteOptions(athletes) {
+    const selected = this.athleteFilter;
+
+    this.athleteFilterSelect.innerHTML = '';
+    const options = [
+      ['all', 'All athletes'],
+      ['untagged', 'Untagged'],
+      ...athletes.map(name => [`athlete:${name}`, name])
+    ];
+
+    for (const [value, label] of options) {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      this.athleteFilterSelect.appendChild(option);
+    }
+
+    // Fall back to all athletes if the selected athlete no longer has any entries
+    this.athleteFilter = options.some(([value]) => value === selected) ? selected : 'all';
+    this.athleteFilterSelect.value = this.athleteFilter;
+
+    this.athleteList.innerHTML = '';
+    for (const name of athletes) {
+      const option = document.createElement('option');
+      option.value = name;
+      this.athleteList.appendChild(option);
+    }
+  }
+
+  renderRows(entries) {
+    this.tableBody.innerHTML = '';
+    this.tableContainer?.classList.toggle('hidden', entries.length === 0);
+
+    if (this.emptyMessage) {
+      const isFiltered = this.query || this.athleteFilter !== 'all';
+      this.emptyMessage.textContent = isFiltered
+        ? 'No calculations match the search and filters.'
+        : 'No calculations yet. Results are saved here as you calculate.';
+      this.emptyMessage.classList.toggle('hidden', entries.length > 0);
+    }
+
+    for (const entry of entries) {
+      this.tableBody.appendChild(this.createRow(entry));
+    }
+  }
+
+  createRow(entry) {
+    const row = document.createElement('tr');
+    row.className = 'history-row';
+    row.draggable = true;
+    row.dataset.historyId = entry.id;
+
+    const dateCell = document.createElement('td');
+    dateCell.className = 'history-row__date';
+    dateCell.textContent = new Date(entry.timestamp).toLocaleDateString();
+
+    const athleteCell = document.createElement('td');
+    const athleteInput = document.createElement('input');
+    athleteInput.type = 'text';
+    athleteInput.className = 'history-row__athlete-input';
+    athleteInput.value = entry.athlete;
+    athleteInput.placeholder = 'Add athlete';
+    athleteInput.setAttribute('list', 'history-athlete-list');
+    athleteInput.setAttribute('aria-label', `Athlete for ${entry.event}`);
+    athleteInput.dataset.historyId = entry.id;
+    athleteCell.appendChild(athleteInput);
+
+    const eventCell = document.createElement('td');
+    eventCell.className = 'history-row__event';
+    eventCell.textContent = entry.event;
+    if (this.scope === 'all') {
+      const calculator = document.createElement('span');
+      calculator.className = 'history-row__calculator';
+      calculator.textContent = HISTORY_CALCULATORS[entry.calculator];
+      eventCell.appendChild(calculator);
+    }
+
+    const performanceCell = document.createElement('td');
+    performanceCell.className = 'history-row__performance';
+    performanceCell.textContent = entry.performance;
+
+    const resultCell = document.createElement('td');
+    resultCell.className = 'history-row__score';
+    resultCell.textContent = entry.result;
+
+    const actionsCell = document.createElement('td');
+    actionsCell.className = 'history-row__actions';
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'history-delete-btn';
+    deleteBtn.setAttribute('aria-label', 'Delete');
+    deleteBtn.dataset.historyId = entry.id;
+    deleteBtn.appendChild(createIcon('x', 'icon--sm'));
+    actionsCell.appendChild(deleteBtn);
+
+    row.appendChild(dateCell);
+    row.appendChild(athleteCell);
+    row.appendChild(eventCell);
+    row.appendChild(performanceCell);
+    row.appendChild(resultCell);
+    row.appendChild(actionsCell);
+    return row;
+  }
+
+  setupRowEventListeners() {
+    // Delete button clicks
+    this.tableBody.addEventListener('click', async (e) => {
+      const deleteBtn = e.target.closest('.history-delete-btn');
+      if (!deleteBtn) return;
+
+      const row = deleteBtn.closest('tr');
+      row.classList.add('history-row--removing');
+      await HistoryManager.removeEntry(deleteBtn.dataset.historyId);
+      setTimeout(() => this.render(), 200);
+    });
+
+    // Athlete tags save when the input loses focus or Enter is pressed
+    this.tableBody.addEventListener('change', async (e) => {
+      if (!e.target.classList.contains('history-row__athlete-input')) return;
+
+      await HistoryManager.updateEntry(e.target.dataset.historyId, { athlete: e.target.value });
+      await this.render();
+    });
+
+    // Drag and drop
+    let draggedElement = null;
+
+    this.tableBody.addEventListener('dragstart', (e) => {
+      if (e.target.classList?.contains('history-row')) {
+        draggedElement = e.target;
+        e.target.classList.add('dragging');
+      }
+    });
+
+    this.tableBody.addEventListener('dragend', (e) => {
+      if (e.target.classList?.contains('history-row')) {
+        e.target.classList.remove('dragging');
+        draggedElement = null;
+      }
+    });
+
+    this.tableBody.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      const currentRow = e.target.closest('.history-row');
+
+      if (currentRow && draggedElement && currentRow !== draggedElement) {
+        this.tableBody.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+        currentRow.classList.add('drag-over');
+      }
+    });
+
+    this.tableBody.addEventListener('drop', async (e) => {
+      e.preventDefault();
+      const dropTarget = e.target.closest('.history-row');
+
+      this.tableBody.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+
+      if (dropTarget && draggedElement && dropTarget !== draggedElement) {
+        const allRows = [...this.tableBody.querySelectorAll('.history-row')];
+        if (allRows.indexOf(draggedElement) < allRows.indexOf(dropTarget)) {
+          dropTarget.after(draggedElement);
+        } else {
+          dropTarget.before(draggedElement);
+        }
+
+        const ids = [...this.tableBody.querySelectorAll('.history-row')].map(row => row.dataset.historyId);
+        await HistoryManager.reorder(ids);
+      }
+    });
+  }
+
+  /**
+   * Download the entries currently shown
+   * @param {string} format - 'json' or 'csv'
+   */
+  handleExport(format) {
+    this.hideStatus();
+
+    if (this.entries.length === 0) {
+      this.showStatus('There is no history to export.');
+      return;
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+
+    if (format === 'csv') {
+      downloadCsv(HistoryManager.exportCsv(this.entries), `athletics-history-${date}.csv`);
+      return;
+    }
+
+    const blob = new Blob([HistoryManager.exportJson(this.entries)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `athletics-history-${date}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  async handleImport() {
+    const file = this.importInput.files[0];
+    if (!file) return;
+
+    this.hideStatus();
+
+    try {
+      const count = await HistoryManager.importText(await file.text());
+      this.showStatus(`Imported ${count} ${count === 1 ? 'calculation' : 'calculations'}.`);
+      await this.render();
+    } catch (error) {
+      console.error('Error importing history:', error);
+      this.showStatus(error.message || 'The file could not be imported.');
+    } finally {
+      // Allow the same file to be chosen again
+      this.importInput.value = '';
+    }
+  }
+
+  showStatus(message) {
+    if (this.status) {
+      this.status.textContent = message;
+      this.status.classList.remove('hidden');
+    }
+  }
+
+  hideStatus() {
+    this.status?.classList.add('hidden');
+  }
+}
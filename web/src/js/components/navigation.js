@@ -37,7 +37,13 @@ export class Navigation {
       '/index.html': 'home',
       '/calculators/pace.html': 'timer',
       '/calculators/score.html': 'trophy',
-      '/calculators/combined-events.html': 'layers'
+      '/calculators/combined-events.html': 'layers',
+      '/calculators/age-grading.html': 'hourglass',
+      '/calculators/race-predictor.html': 'trending-up',
+      '/calculators/relay.html': 'repeat',
+      '/calculators/athletes.html': 'users',
+      '/calculators/tables.html': 'table',
+      '/calculators/qualification.html': 'flag'
     };
 
     const links = document.querySelectorAll('.navigation__link');
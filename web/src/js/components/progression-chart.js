@@ -0,0 +1,142 @@
+/**
+ * Progression Chart Component
+ * SVG chart of World Athletics points over time
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+const WIDTH = 640;
+const HEIGHT = 280;
+const PADDING = { top: 16, right: 16, bottom: 36, left: 52 };
+const GRID_LINES = 4;
+
+/**
+ * Create an SVG element with attributes
+ * @param {string} tag
+ * @param {Object} attributes
+ * @returns {SVGElement}
+ */
+function createSvgElement(tag, attributes = {}) {
+  const element = document.createElementNS(SVG_NS, tag);
+  for (const [name, value] of Object.entries(attributes)) {
+    element.setAttribute(name, value);
+  }
+  return element;
+}
+
+/**
+ * Render a points progression chart
+ * Each mark is a dot and the line follows the best score to date.
+ * @param {HTMLElement} container - Element to render into (its content is replaced)
+ * @param {Array} progression - Points from getPointsProgression
+ * @param {Function} describePoint - Returns the tooltip text for a point
+ */
+export function renderProgressionChart(container, progression, describePoint) {
+  container.innerHTML = '';
+
+  if (progression.length === 0) {
+    const message = document.createElement('p');
+    message.className = 'form-help';
+    message.textContent = 'No scored marks to chart yet.';
+    container.appendChild(message);
+    return;
+  }
+
+  const times = progression.map(point => Date.parse(point.date));
+  const points = progression.map(point => point.points);
+
+  // Pad single dates and flat scores so there is always a range to draw
+  let minTime = Math.min(...times);
+  let maxTime = Math.max(...times);
+  if (minTime === maxTime) {
+    minTime -= 15 * 86400000;
+    maxTime += 15 * 86400000;
+  }
+
+  const minPoints = Math.max(0, Math.floor((Math.min(...points) - 50) / 50) * 50);
+  const maxPoints = Math.ceil((Math.max(...points) + 50) / 50) * 50;
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const x = time => PADDING.left + ((time - minTime) / (maxTime - minTime)) * plotWidth;
+  const y = value => PADDING.top + (1 - (value - minPoints) / (maxPoints - minPoints)) * plotHeight;
+
+  const svg = createSvgElement('svg', {
+    class: 'progression-chart',
+    viewBox: `0 0 ${WIDTH} ${HEIGHT}`,
+    role: 'img',
+    'aria-label': 'World Athletics points progression'
+  });
+
+  // Horizontal grid lines with points labels
+  for (let i = 0; i <= GRID_LINES; i++) {
+    const value = minPoints + ((maxPoints - minPoints) * i) / GRID_LINES;
+    const lineY = y(value);
+
+    svg.appendChild(createSvgElement('line', {
+      class: 'progression-chart__grid',
+      x1: PADDING.left,
+      x2: WIDTH - PADDING.right,
+      y1: lineY,
+      y2: lineY
+    }));
+
+    const label = createSvgElement('text', {
+      class: 'progression-chart__label',
+      x: PADDING.left - 8,
+      y: lineY + 4,
+      'text-anchor': 'end'
+    });
+    label.textContent = Math.round(value);
+    svg.appendChild(label);
+  }
+
+  // Date labels at the start and end, and the middle when there is room
+  const dateLabels = [minTime, maxTime];
+  if (progression.length > 2) {
+    dateLabels.splice(1, 0, (minTime + maxTime) / 2);
+  }
+  dateLabels.forEach((time, index) => {
+    const label = createSvgElement('text', {
+      class: 'progression-chart__label',
+      x: x(time),
+      y: HEIGHT - PADDING.bottom + 20,
+      'text-anchor': index === 0 ? 'start' : index === dateLabels.length - 1 ? 'end' : 'middle'
+    });
+    label.textContent = new Date(time).toLocaleDateString(undefined, { year: 'numeric', month: 'short' });
+    svg.appendChild(label);
+  });
+
+  // Best score to date as a step line
+  const stepPoints = [];
+  progression.forEach((point, index) => {
+    const pointX = x(times[index]);
+    if (index > 0) {
+      stepPoints.push(`${pointX},${y(progression[index - 1].bestPoints)}`);
+    }
+    stepPoints.push(`${pointX},${y(point.bestPoints)}`);
+  });
+  svg.appendChild(createSvgElement('polyline', {
+    class: 'progression-chart__best',
+    points: stepPoints.join(' ')
+  }));
+
+  // A dot per mark
+  progression.forEach((point, index) => {
+    const dot = createSvgElement('circle', {
+      class: point.points === point.bestPoints
+        ? 'progression-chart__dot progression-chart__dot--best'
+        : 'progression-chart__dot',
+      cx: x(times[index]),
+      cy: y(point.points),
+      r: 4
+    });
+
+    const title = createSvgElement('title');
+    title.textContent = describePoint(point);
+    dot.appendChild(title);
+    svg.appendChild(dot);
+  });
+
+  container.appendChild(svg);
+}
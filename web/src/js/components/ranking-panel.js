@@ -0,0 +1,292 @@
+/**
+ * Ranking Panel Component
+ * Keeps an athlete's World Rankings results for each event group, persisted in IndexedDB,
+ * and shows the ranking score with and without planned competitions
+ */
+
+import { IndexedDbStore } from '../utils/indexed-db-store.js';
+import { worldRankingsLoader } from '../data/world-rankings-loader.js';
+import { calculateResultScore, calculateRankingScore, formatPlace } from '../calculators/world-rankings.js';
+import { createIcon } from './icon.js';
+
+const rankingStore = new IndexedDbStore('athleticsUtils.rankings', 'results');
+
+export class RankingPanel {
+  constructor() {
+    this.gender = 'men';
+    this.results = [];
+  }
+
+  setupDOMElements() {
+    this.groupSelect = document.getElementById('rankings-group-select');
+    this.summary = document.getElementById('rankings-summary');
+    this.tableContainer = document.getElementById('rankings-table-container');
+    this.tableBody = document.getElementById('rankings-table-body');
+    this.status = document.getElementById('rankings-status');
+    this.emptyMessage = document.getElementById('rankings-empty');
+  }
+
+  async initialize() {
+    this.setupDOMElements();
+    this.populateGroups();
+    this.setupEventListeners();
+    await this.load();
+    this.render();
+  }
+
+  setupEventListeners() {
+    this.groupSelect?.addEventListener('change', () => this.render());
+
+    this.tableBody?.addEventListener('change', async (e) => {
+      const plannedCheckbox = e.target.closest('.rankings-planned-checkbox');
+      if (plannedCheckbox) {
+        await this.handlePlannedToggle(plannedCheckbox.dataset.resultId, plannedCheckbox.checked);
+      }
+    });
+
+    this.tableBody?.addEventListener('click', async (e) => {
+      const deleteBtn = e.target.closest('.history-delete-btn');
+      if (deleteBtn) {
+        await this.handleDelete(deleteBtn.dataset.resultId);
+      }
+    });
+  }
+
+  /**
+   * Fill the event group select
+   */
+  populateGroups() {
+    if (!this.groupSelect) return;
+
+    this.groupSelect.innerHTML = '';
+    for (const group of worldRankingsLoader.getEventGroups()) {
+      const option = document.createElement('option');
+      option.value = group.key;
+      option.textContent = group.name;
+      this.groupSelect.appendChild(option);
+    }
+  }
+
+  /**
+   * Show the results of another gender
+   * @param {string} gender
+   */
+  setGender(gender) {
+    this.gender = gender;
+    this.render();
+  }
+
+  /**
+   * Add a result and show the ranking of its event group
+   * @param {Object} result - { gender, event, eventDisplayName, performance, displayPerformance,
+   *   isHandTimed, wind, category, round, place, competition, planned }
+   */
+  async addResult(result) {
+    const group = worldRankingsLoader.getEventGroup(result.event);
+    if (!group) return;
+
+    const record = {
+      ...result,
+      id: `ranking-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      createdAt: new Date().toISOString()
+    };
+
+    try {
+      await rankingStore.put(record);
+    } catch (error) {
+      console.error('Error saving ranking result:', error);
+      this.showStatus('Could not save the result in this browser. It will be lost if the page is refreshed.');
+    }
+
+    this.results.push(record);
+    this.groupSelect.value = group.key;
+    this.showStatus(`Added ${record.competition || 'the result'} to the ${group.name} ranking.`);
+    this.render();
+  }
+
+  async handlePlannedToggle(id, planned) {
+    const result = this.results.find(r => r.id === id);
+    if (!result) return;
+
+    result.planned = planned;
+
+    try {
+      await rankingStore.put(result);
+    } catch (error) {
+      console.error('Error saving ranking result:', error);
+    }
+
+    this.render();
+  }
+
+  async handleDelete(id) {
+    try {
+      await rankingStore.delete(id);
+    } catch (error) {
+      console.error('Error deleting ranking result:', error);
+    }
+
+    this.results = this.results.filter(result => result.id !== id);
+    this.render();
+  }
+
+  async load() {
+    try {
+      this.results = await rankingStore.getAll();
+    } catch (error) {
+      console.error('Error loading ranking results:', error);
+      this.results = [];
+    }
+  }
+
+  /**
+   * Score the results of the selected event group and show its ranking
+   */
+  render() {
+    if (!this.tableBody || !this.groupSelect) return;
+
+    const group = worldRankingsLoader.getEventGroups().find(g => g.key === this.groupSelect.value);
+    if (!group) return;
+
+    // Results are scored when shown so they follow the selected scoring tables
+    const results = this.results
+      .filter(result => result.gender === this.gender && group.events.includes(result.event))
+      .map(result => ({ ...result, ...calculateResultScore(result.gender, result) }))
+      .sort((a, b) => (b.resultScore ?? -1) - (a.resultScore ?? -1));
+
+    const current = calculateRankingScore(results.filter(result => !result.planned), group.resultsCount);
+    const projected = calculateRankingScore(results, group.resultsCount);
+    const counted = new Set(projected.counted.map(result => result.id));
+
+    this.tableBody.innerHTML = '';
+    this.tableContainer?.classList.toggle('hidden', results.length === 0);
+    this.emptyMessage?.classList.toggle('hidden', results.length > 0);
+
+    for (const result of results) {
+      this.tableBody.appendChild(this.createRow(result, counted.has(result.id)));
+    }
+
+    this.renderSummary(group, current, projected, results.some(result => result.planned));
+  }
+
+  /**
+   * Show the ranking score, the score with planned competitions and what a new result must beat
+   * @param {Object} group - Event group
+   * @param {Object} current - Ranking of contested results
+   * @param {Object} projected - Ranking including planned results
+   * @param {boolean} hasPlanned
+   */
+  renderSummary(group, current, projected, hasPlanned) {
+    if (!this.summary) return;
+
+    this.summary.innerHTML = '';
+
+    const addLine = (text, className = '') => {
+      const line = document.createElement('p');
+      line.className = className;
+      line.textContent = text;
+      this.summary.appendChild(line);
+    };
+
+    if (current.score === null) {
+      addLine(`${group.name} ranking score: no contested results yet`, 'rankings-summary__score');
+    } else {
+      addLine(
+        `${group.name} ranking score: ${current.score} points `
+          + `(average of ${current.counted.length} of ${group.resultsCount} results)`,
+        'rankings-summary__score'
+      );
+    }
+
+    if (!current.isComplete) {
+      const needed = group.resultsCount - current.counted.length;
+      addLine(`${needed} more contested ${needed === 1 ? 'result is' : 'results are'} needed to be ranked.`, 'form-help');
+    }
+
+    if (hasPlanned && projected.score !== null) {
+      const change = current.score === null ? '' : ` (${formatChange(projected.score - current.score)})`;
+      addLine(`With planned competitions: ${projected.score} points${change}`, 'rankings-summary__projected');
+    }
+
+    addLine(projected.isComplete
+      ? `A new result must score more than ${projected.threshold} points to count.`
+      : `Every new result counts until there are ${group.resultsCount} results.`, 'form-help');
+  }
+
+  createRow(result, isCounted) {
+    const row = document.createElement('tr');
+    row.className = isCounted ? 'history-row rankings-row--counted' : 'history-row';
+
+    const competitionCell = document.createElement('td');
+    competitionCell.className = 'history-row__event';
+    competitionCell.textContent = result.competition || '—';
+
+    const eventCell = document.createElement('td');
+    eventCell.textContent = `${result.eventDisplayName}, ${result.displayPerformance}`;
+
+    const category = worldRankingsLoader.getCategory(result.category);
+    const placingCell = document.createElement('td');
+    placingCell.textContent = `${result.category} ${worldRankingsLoader.getRoundName(result.round)}, ${formatPlace(result.place)}`;
+    placingCell.title = category?.name || result.category;
+
+    const scoreCell = document.createElement('td');
+    scoreCell.className = 'history-row__score';
+    if (result.resultScore === null || result.resultScore === undefined) {
+      scoreCell.textContent = 'Not scored';
+    } else {
+      scoreCell.textContent = `${result.resultScore} (${result.performanceScore} + ${result.placingScore})`;
+      if (isCounted) {
+        const flag = document.createElement('span');
+        flag.className = 'rankings-counted-flag';
+        flag.textContent = 'Counts';
+        scoreCell.appendChild(flag);
+      }
+    }
+
+    const plannedCell = document.createElement('td');
+    const plannedLabel = document.createElement('label');
+    plannedLabel.className = 'checkbox-label';
+    const plannedCheckbox = document.createElement('input');
+    plannedCheckbox.type = 'checkbox';
+    plannedCheckbox.className = 'rankings-planned-checkbox';
+    plannedCheckbox.checked = Boolean(result.planned);
+    plannedCheckbox.dataset.resultId = result.id;
+    plannedLabel.appendChild(plannedCheckbox);
+    plannedLabel.appendChild(document.createTextNode('Planned'));
+    plannedCell.appendChild(plannedLabel);
+
+    const actionsCell = document.createElement('td');
+    actionsCell.className = 'history-row__actions';
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'history-delete-btn';
+    deleteBtn.setAttribute('aria-label', `Delete ${result.competition || result.eventDisplayName} result`);
+    deleteBtn.dataset.resultId = result.id;
+    deleteBtn.appendChild(createIcon('x', 'icon--sm'));
+    actionsCell.appendChild(deleteBtn);
+
+    row.appendChild(competitionCell);
+    row.appendChild(eventCell);
+    row.appendChild(placingCell);
+    row.appendChild(scoreCell);
+    row.appendChild(plannedCell);
+    row.appendChild(actionsCell);
+    return row;
+  }
+
+  showStatus(message) {
+    if (!this.status) return;
+
+    this.status.textContent = message;
+    this.status.classList.remove('hidden');
+  }
+}
+
+/**
+ * Format a change in points with its sign
+ * @param {number} change
+ * @returns {string}
+ */
+function formatChange(change) {
+  return `${change >= 0 ? '+' : ''}${change}`;
+}
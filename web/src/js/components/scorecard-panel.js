@@ -0,0 +1,249 @@
+/**
+ * Scorecard Panel Component
+ * Saves the combined events scorecard in progress for each gender and combined event,
+ * and keeps named scorecards that can be loaded again, persisted in IndexedDB
+ */
+
+import { IndexedDbStore } from '../utils/indexed-db-store.js';
+import { createIcon } from './icon.js';
+
+const scorecardStore = new IndexedDbStore('athleticsUtils.scorecards', 'scorecards');
+
+export class ScorecardPanel {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getScorecard - Returns the page's scorecard
+   *   { gender, ageGroup, combinedEvent, displayName, marks, total, completed, eventCount }
+   * @param {Function} options.onLoad - Called with a saved scorecard to load it into the page
+   */
+  constructor({ getScorecard, onLoad }) {
+    this.getScorecard = getScorecard;
+    this.onLoad = onLoad;
+    this.scorecards = [];
+  }
+
+  setupDOMElements() {
+    this.nameInput = document.getElementById('scorecard-name-input');
+    this.saveBtn = document.getElementById('scorecard-save-btn');
+    this.tableContainer = document.getElementById('scorecards-table-container');
+    this.tableBody = document.getElementById('scorecards-table-body');
+    this.status = document.getElementById('scorecards-status');
+    this.emptyMessage = document.getElementById('scorecards-empty');
+  }
+
+  async initialize() {
+    this.setupDOMElements();
+    this.setupEventListeners();
+    await this.render();
+  }
+
+  setupEventListeners() {
+    this.saveBtn?.addEventListener('click', () => this.handleSave());
+    this.nameInput?.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') this.handleSave();
+    });
+
+    this.tableBody?.addEventListener('click', async (e) => {
+      const loadBtn = e.target.closest('.scorecard-load-btn');
+      if (loadBtn) {
+        const scorecard = this.scorecards.find(card => card.id === loadBtn.dataset.scorecardId);
+        if (scorecard) {
+          await this.onLoad?.(scorecard);
+          this.showStatus(`Loaded "${scorecard.name}".`);
+        }
+        return;
+      }
+
+      const deleteBtn = e.target.closest('.history-delete-btn');
+      if (deleteBtn) {
+        await this.handleDelete(deleteBtn.dataset.scorecardId);
+      }
+    });
+  }
+
+  /**
+   * Get the scorecard in progress for a gender and combined event
+   * @param {string} gender
+   * @param {string} combinedEvent
+   * @returns {Promise<Object|null>} Draft scorecard, or null if none is saved
+   */
+  async getDraft(gender, combinedEvent) {
+    try {
+      return (await scorecardStore.get(getDraftId(gender, combinedEvent))) || null;
+    } catch (error) {
+      console.error('Error loading scorecard:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Save the scorecard in progress, or remove it once every mark is cleared
+   * @param {Object} scorecard - Scorecard from getScorecard
+   */
+  async saveDraft(scorecard) {
+    if (!scorecard?.gender || !scorecard.combinedEvent) return;
+
+    const id = getDraftId(scorecard.gender, scorecard.combinedEvent);
+
+    try {
+      if (Object.keys(scorecard.marks).length === 0) {
+        await scorecardStore.delete(id);
+      } else {
+        await scorecardStore.put({ ...scorecard, id, kind: 'draft', updatedAt: new Date().toISOString() });
+      }
+    } catch (error) {
+      console.error('Error saving scorecard:', error);
+      this.showStatus('Could not save the scorecard in this browser. Marks will be lost if the page is refreshed.');
+    }
+  }
+
+  /**
+   * Save the current scorecard under a name
+   * A scorecard with the same name for the same gender and combined event is replaced.
+   */
+  async handleSave() {
+    const scorecard = this.getScorecard();
+    const name = this.nameInput.value.trim();
+
+    if (!scorecard?.combinedEvent || scorecard.completed === 0) {
+      this.showStatus('Enter at least one mark before saving a scorecard.');
+      return;
+    }
+
+    if (!name) {
+      this.nameInput.classList.add('input-error');
+      this.showStatus('Enter a name for the scorecard, such as the athlete or competition.');
+      return;
+    }
+
+    this.nameInput.classList.remove('input-error');
+
+    const existing = this.scorecards.find(card =>
+      card.name.toLowerCase() === name.toLowerCase()
+      && card.gender === scorecard.gender
+      && card.combinedEvent === scorecard.combinedEvent
+    );
+
+    try {
+      await scorecardStore.put({
+        ...scorecard,
+        id: existing?.id || `scorecard-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        kind: 'saved',
+        name,
+        updatedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('Error saving scorecard:', error);
+      this.showStatus('Could not save the scorecard in this browser.');
+      return;
+    }
+
+    this.nameInput.value = '';
+    this.showStatus(existing ? `Updated "${name}".` : `Saved "${name}".`);
+    await this.render();
+  }
+
+  async handleDelete(id) {
+    const scorecard = this.scorecards.find(card => card.id === id);
+    if (!scorecard) return;
+
+    const confirmed = window.confirm(`Delete the saved scorecard "${scorecard.name}"?`);
+    if (!confirmed) return;
+
+    try {
+      await scorecardStore.delete(id);
+    } catch (error) {
+      console.error('Error deleting scorecard:', error);
+    }
+
+    await this.render();
+  }
+
+  /**
+   * List the named scorecards, most recently saved first
+   */
+  async render() {
+    if (!this.tableBody) return;
+
+    try {
+      const records = await scorecardStore.getAll();
+      this.scorecards = records
+        .filter(record => record.kind === 'saved')
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    } catch (error) {
+      console.error('Error loading scorecards:', error);
+      this.scorecards = [];
+    }
+
+    this.tableBody.innerHTML = '';
+    this.tableContainer?.classList.toggle('hidden', this.scorecards.length === 0);
+    this.emptyMessage?.classList.toggle('hidden', this.scorecards.length > 0);
+
+    for (const scorecard of this.scorecards) {
+      this.tableBody.appendChild(this.createRow(scorecard));
+    }
+  }
+
+  createRow(scorecard) {
+    const row = document.createElement('tr');
+    row.className = 'history-row';
+
+    const nameCell = document.createElement('td');
+    nameCell.className = 'history-row__event';
+    nameCell.textContent = scorecard.name;
+
+    const gender = scorecard.gender.charAt(0).toUpperCase() + scorecard.gender.slice(1);
+    const eventCell = document.createElement('td');
+    eventCell.textContent = `${scorecard.displayName} (${gender}, ${scorecard.ageGroup})`;
+
+    const totalCell = document.createElement('td');
+    totalCell.className = 'history-row__score';
+    totalCell.textContent = `${scorecard.total} pts (${scorecard.completed}/${scorecard.eventCount})`;
+
+    const dateCell = document.createElement('td');
+    dateCell.className = 'history-row__date';
+    dateCell.textContent = new Date(scorecard.updatedAt).toLocaleDateString();
+
+    const actionsCell = document.createElement('td');
+    actionsCell.className = 'history-row__actions';
+
+    const loadBtn = document.createElement('button');
+    loadBtn.className = 'btn btn-secondary scorecard-load-btn';
+    loadBtn.textContent = 'Load';
+    loadBtn.dataset.scorecardId = scorecard.id;
+    loadBtn.setAttribute('aria-label', `Load ${scorecard.name}`);
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'history-delete-btn';
+    deleteBtn.setAttribute('aria-label', `Delete ${scorecard.name}`);
+    deleteBtn.dataset.scorecardId = scorecard.id;
+    deleteBtn.appendChild(createIcon('x', 'icon--sm'));
+
+    actionsCell.appendChild(loadBtn);
+    actionsCell.appendChild(deleteBtn);
+
+    row.appendChild(nameCell);
+    row.appendChild(eventCell);
+    row.appendChild(totalCell);
+    row.appendChild(dateCell);
+    row.appendChild(actionsCell);
+    return row;
+  }
+
+  showStatus(message) {
+    if (!this.status) return;
+
+    this.status.textContent = message;
+    this.status.classList.remove('hidden');
+  }
+}
+
+/**
+ * Key of the scorecard in progress for a gender and combined event
+ * @param {string} gender
+ * @param {string} combinedEvent
+ * @returns {string}
+ */
+function getDraftId(gender, combinedEvent) {
+  return `draft:${gender}:${combinedEvent}`;
+}
@@ -0,0 +1,199 @@
+/**
+ * Standards Panel Component
+ * Lists the championship entry standards in use, and imports and exports them as a spreadsheet (CSV).
+ * Imported championships are persisted in IndexedDB and replace bundled ones with the same name.
+ */
+
+import { IndexedDbStore } from '../utils/indexed-db-store.js';
+import { downloadCsv } from '../utils/csv.js';
+import { qualificationStandardsLoader } from '../data/qualification-standards-loader.js';
+import {
+  CHAMPIONSHIP_LEVELS,
+  mergeChampionships,
+  parseStandardsCsv,
+  buildStandardsCsv,
+  formatWindow
+} from '../calculators/qualification.js';
+import { createIcon } from './icon.js';
+
+const standardsStore = new IndexedDbStore('athleticsUtils.qualification', 'championships', 'key');
+
+// Import problems listed in the status before the rest are summarised
+const MAX_LISTED_ERRORS = 5;
+
+export class StandardsPanel {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onChange - Called with the championships in use after an import or removal
+   */
+  constructor({ onChange }) {
+    this.onChange = onChange;
+    this.imported = [];
+  }
+
+  setupDOMElements() {
+    this.importInput = document.getElementById('standards-import-input');
+    this.exportBtn = document.getElementById('standards-export-btn');
+    this.tableBody = document.getElementById('standards-table-body');
+    this.status = document.getElementById('standards-status');
+  }
+
+  async initialize() {
+    this.setupDOMElements();
+    this.setupEventListeners();
+    await this.load();
+    this.render();
+  }
+
+  setupEventListeners() {
+    this.importInput?.addEventListener('change', () => this.handleImport());
+    this.exportBtn?.addEventListener('click', () => this.handleExport());
+
+    this.tableBody?.addEventListener('click', async (e) => {
+      const deleteBtn = e.target.closest('.history-delete-btn');
+      if (deleteBtn) {
+        await this.handleDelete(deleteBtn.dataset.championshipKey);
+      }
+    });
+  }
+
+  /**
+   * Get the championships in use: the bundled ones and any imported
+   * @returns {Array<Object>}
+   */
+  getChampionships() {
+    return mergeChampionships(qualificationStandardsLoader.getChampionships(), this.imported);
+  }
+
+  async load() {
+    try {
+      this.imported = await standardsStore.getAll();
+    } catch (error) {
+      console.error('Error loading imported standards:', error);
+      this.imported = [];
+    }
+  }
+
+  async handleImport() {
+    const file = this.importInput.files[0];
+    if (!file) return;
+
+    try {
+      const { championships, errors } = parseStandardsCsv(await file.text());
+
+      for (const championship of championships) {
+        await standardsStore.put(championship);
+      }
+
+      const messages = [];
+      if (championships.length > 0) {
+        const names = championships.map(championship => championship.name).join(', ');
+        messages.push(`Imported ${championships.length} ${championships.length === 1 ? 'championship' : 'championships'}: ${names}.`);
+      }
+      if (errors.length > 0) {
+        const listed = errors.slice(0, MAX_LISTED_ERRORS).map(error => `line ${error.line}: ${error.message}`);
+        const more = errors.length > MAX_LISTED_ERRORS ? ` and ${errors.length - MAX_LISTED_ERRORS} more` : '';
+        messages.push(`Skipped ${errors.length} ${errors.length === 1 ? 'row' : 'rows'} (${listed.join('; ')}${more}).`);
+      }
+      this.showStatus(messages.join(' '));
+
+      await this.load();
+      this.render();
+      this.onChange?.(this.getChampionships());
+    } catch (error) {
+      console.error('Error importing standards:', error);
+      this.showStatus('The standards could not be imported in this browser.');
+    } finally {
+      // Allow the same file to be chosen again
+      this.importInput.value = '';
+    }
+  }
+
+  handleExport() {
+    downloadCsv(buildStandardsCsv(this.getChampionships()), 'qualification-standards.csv');
+  }
+
+  /**
+   * Remove an imported championship (a bundled championship it replaced is used again)
+   * @param {string} key
+   */
+  async handleDelete(key) {
+    const championship = this.imported.find(imported => imported.key === key);
+    if (!championship) return;
+
+    const confirmed = window.confirm(`Remove the imported standards for "${championship.name}"?`);
+    if (!confirmed) return;
+
+    try {
+      await standardsStore.delete(key);
+    } catch (error) {
+      console.error('Error removing standards:', error);
+    }
+
+    await this.load();
+    this.render();
+    this.onChange?.(this.getChampionships());
+  }
+
+  render() {
+    if (!this.tableBody) return;
+
+    this.tableBody.innerHTML = '';
+    for (const championship of this.getChampionships()) {
+      this.tableBody.appendChild(this.createRow(championship));
+    }
+  }
+
+  createRow(championship) {
+    const row = document.createElement('tr');
+    row.className = 'history-row';
+
+    const nameCell = document.createElement('td');
+    nameCell.className = 'history-row__event';
+    nameCell.textContent = championship.name;
+
+    const levelCell = document.createElement('td');
+    levelCell.textContent = CHAMPIONSHIP_LEVELS[championship.level] || championship.level;
+
+    const windowCell = document.createElement('td');
+    windowCell.textContent = formatWindow(championship.window);
+    if (Object.keys(championship.eventWindows || {}).length > 0) {
+      windowCell.textContent += ' (some events differ)';
+    }
+
+    const count = Object.values(championship.standards)
+      .reduce((total, standards) => total + Object.keys(standards).length, 0);
+    const countCell = document.createElement('td');
+    countCell.textContent = count;
+
+    const sourceCell = document.createElement('td');
+    sourceCell.textContent = championship.source === 'imported' ? 'Imported' : 'Bundled';
+
+    const actionsCell = document.createElement('td');
+    actionsCell.className = 'history-row__actions';
+
+    if (championship.source === 'imported') {
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'history-delete-btn';
+      deleteBtn.setAttribute('aria-label', `Remove ${championship.name}`);
+      deleteBtn.dataset.championshipKey = championship.key;
+      deleteBtn.appendChild(createIcon('x', 'icon--sm'));
+      actionsCell.appendChild(deleteBtn);
+    }
+
+    row.appendChild(nameCell);
+    row.appendChild(levelCell);
+    row.appendChild(windowCell);
+    row.appendChild(countCell);
+    row.appendChild(sourceCell);
+    row.appendChild(actionsCell);
+    return row;
+  }
+
+  showStatus(message) {
+    if (!this.status) return;
+
+    this.status.textContent = message;
+    this.status.classList.remove('hidden');
+  }
+}
@@ -0,0 +1,284 @@
+/**
+ * Target Score Panel Component
+ * Shows the marks needed in the remaining events to reach a target total
+ */
+
+import { combinedEventsConfigLoader } from '../data/combined-events-config-loader.js';
+import { getEventSlug } from '../data/event-registry.js';
+import { solveTargetScore } from '../calculators/combined-events-target.js';
+import { convertPerformanceToValue, validatePerformance } from '../utils/combined-events-scorer.js';
+
+export class TargetScorePanel {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getSelection - Returns {gender, combinedEventKey, eventConfig, performances} from the page
+   * @param {Function} [options.onChange] - Called after the target or a ceiling is edited
+   */
+  constructor({ getSelection, onChange = null }) {
+    this.getSelection = getSelection;
+    this.onChange = onChange;
+    this.ceilings = {}; // { eventKey: inputValue }
+    this.combinedEventKey = null;
+    this.debounceTimer = null;
+  }
+
+  setupDOMElements() {
+    this.container = document.getElementById('target-container');
+    this.targetInput = document.getElementById('target-total-input');
+    this.ceilingsContainer = document.getElementById('target-ceilings');
+    this.summary = document.getElementById('target-summary');
+    this.distributionsContainer = document.getElementById('target-distributions');
+  }
+
+  initialize() {
+    this.setupDOMElements();
+
+    this.targetInput?.addEventListener('input', () => this.scheduleUpdate());
+  }
+
+  show() {
+    this.container?.classList.remove('hidden');
+    this.update();
+  }
+
+  hide() {
+    this.container?.classList.add('hidden');
+  }
+
+  scheduleUpdate() {
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = setTimeout(() => {
+      this.update();
+      this.onChange?.();
+    }, 300);
+  }
+
+  /**
+   * Target and ceilings entered for the current combined event
+   * @returns {Object} { target, ceilings: { eventKey: inputValue } }
+   */
+  getState() {
+    return {
+      target: this.targetInput?.value.trim() || '',
+      ceilings: { ...this.ceilings }
+    };
+  }
+
+  /**
+   * Restore the target and ceilings for the current combined event
+   * @param {Object} state - { target, ceilings: { eventKey: inputValue } }
+   */
+  setState({ target = '', ceilings = {} }) {
+    const { gender, combinedEventKey } = this.getSelection();
+    this.combinedEventKey = `${gender}:${combinedEventKey}`;
+    this.ceilings = { ...ceilings };
+
+    if (this.targetInput) {
+      this.targetInput.value = target;
+    }
+
+    // Rebuild the ceiling inputs so they show the restored values
+    delete this.ceilingsContainer.dataset.events;
+    this.update();
+  }
+
+  /**
+   * Re-render the ceilings and distributions for the page's current marks
+   */
+  async update() {
+    if (!this.container || this.container.classList.contains('hidden')) return;
+
+    const { gender, combinedEventKey, eventConfig, performances } = this.getSelection();
+
+    if (!eventConfig) {
+      this.ceilingsContainer.innerHTML = '';
+      this.renderMessage('Select a combined event to plan a target score.');
+      return;
+    }
+
+    // Ceilings belong to one combined event
+    const selectionKey = `${gender}:${combinedEventKey}`;
+    if (this.combinedEventKey !== selectionKey) {
+      this.combinedEventKey = selectionKey;
+      this.ceilings = {};
+    }
+
+    const details = await combinedEventsConfigLoader.getCombinedEventDetails(gender, combinedEventKey);
+    const remaining = details.filter(detail => performances[detail.key]?.score === undefined);
+
+    this.renderCeilingInputs(remaining);
+
+    const target = parseInt(this.targetInput.value, 10);
+    if (isNaN(target) || target <= 0) {
+      this.renderMessage('Enter a target score to see the marks needed.');
+      return;
+    }
+
+    const events = details.map(detail => {
+      const performance = performances[detail.key];
+      const ceilingValue = this.parseCeiling(detail);
+
+      return {
+        ...detail,
+        completedScore: performance?.score,
+        ceilingValue: ceilingValue ?? null
+      };
+    });
+
+    this.renderResult(solveTargetScore(target, events));
+  }
+
+  /**
+   * Parse the ceiling entered for an event
+   * @param {Object} detail - Event details {key, measurement}
+   * @returns {number|null|undefined} Value in the formula's units, null if empty, undefined if invalid
+   */
+  parseCeiling(detail) {
+    const inputValue = this.ceilings[detail.key];
+    if (!inputValue) return null;
+
+    const value = convertPerformanceToValue(inputValue, detail.measurement, detail.key);
+    return value !== null && validatePerformance(value) ? value : undefined;
+  }
+
+  renderCeilingInputs(remaining) {
+    const keys = remaining.map(detail => detail.key).join(',');
+
+    // Keep focus in the inputs while typing by only rebuilding when the remaining events change
+    if (this.ceilingsContainer.dataset.events === keys) return;
+    this.ceilingsContainer.dataset.events = keys;
+    this.ceilingsContainer.innerHTML = '';
+
+    if (remaining.length === 0) return;
+
+    const heading = document.createElement('h4');
+    heading.className = 'target-score__heading';
+    heading.textContent = 'Ceilings (optional)';
+    this.ceilingsContainer.appendChild(heading);
+
+    for (const detail of remaining) {
+      const group = document.createElement('div');
+      group.className = 'event-input-group';
+
+      const label = document.createElement('label');
+      label.htmlFor = `ceiling-${getEventSlug(detail.key)}`;
+      label.textContent = detail.displayName;
+
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.id = `ceiling-${getEventSlug(detail.key)}`;
+      input.className = 'form-input event-performance-input';
+      input.value = this.ceilings[detail.key] || '';
+      input.placeholder = 'Best possible mark';
+      input.setAttribute('aria-label', `Ceiling for ${detail.displayName}`);
+
+      input.addEventListener('input', () => {
+        this.ceilings[detail.key] = input.value.trim();
+        input.classList.toggle('input-error', this.parseCeiling(detail) === undefined);
+        this.scheduleUpdate();
+      });
+
+      group.appendChild(label);
+      group.appendChild(input);
+      this.ceilingsContainer.appendChild(group);
+    }
+  }
+
+  renderMessage(message) {
+    const paragraph = document.createElement('p');
+    paragraph.className = 'form-help';
+    paragraph.textContent = message;
+    this.summary.innerHTML = '';
+    this.summary.appendChild(paragraph);
+    this.distributionsContainer.innerHTML = '';
+  }
+
+  renderResult(result) {
+    if (result.alreadyReached) {
+      this.renderMessage(`Target reached: ${result.completedTotal} points already scored.`);
+      return;
+    }
+
+    if (result.remainingCount === 0) {
+      this.renderMessage(`All events completed with ${result.completedTotal} points.`);
+      return;
+    }
+
+    if (!result.feasible) {
+      this.renderMessage(
+        `The target is out of reach: the ceilings allow at most ${result.maxPossible} points.`
+      );
+      return;
+    }
+
+    const perEvent = Math.ceil(result.pointsNeeded / result.remainingCount);
+    const pointsNeeded = document.createElement('strong');
+    pointsNeeded.textContent = result.pointsNeeded;
+
+    const paragraph = document.createElement('p');
+    paragraph.appendChild(pointsNeeded);
+    paragraph.appendChild(document.createTextNode(
+      ` points needed from ${result.remainingCount} remaining event${result.remainingCount === 1 ? '' : 's'}`
+        + ` (about ${perEvent} per event).`
+    ));
+    this.summary.innerHTML = '';
+    this.summary.appendChild(paragraph);
+
+    this.distributionsContainer.innerHTML = '';
+
+    for (const distribution of result.distributions) {
+      this.distributionsContainer.appendChild(this.createDistributionCard(distribution));
+    }
+
+    if (result.distributions.length === 1) {
+      const hint = document.createElement('p');
+      hint.className = 'form-help';
+      hint.textContent = 'Enter ceilings for the remaining events to see strength-weighted plans.';
+      this.distributionsContainer.appendChild(hint);
+    }
+  }
+
+  createDistributionCard(distribution) {
+    const card = document.createElement('div');
+    card.className = 'result-card target-score__card';
+
+    const title = document.createElement('h3');
+    title.className = 'result-card__title';
+    title.textContent = distribution.label;
+    card.appendChild(title);
+
+    const description = document.createElement('p');
+    description.className = 'form-help';
+    description.textContent = distribution.description;
+    card.appendChild(description);
+
+    const list = document.createElement('div');
+    list.className = 'event-scores-list';
+
+    for (const event of distribution.events) {
+      const item = document.createElement('div');
+      item.className = 'event-score-item';
+
+      const name = document.createElement('span');
+      name.className = 'event-score-name';
+      name.textContent = event.atCeiling ? `${event.displayName} (ceiling)` : event.displayName;
+
+      const mark = document.createElement('span');
+      mark.className = 'event-score-points';
+      mark.textContent = `${event.mark} · ${event.points} pts`;
+
+      item.appendChild(name);
+      item.appendChild(mark);
+      list.appendChild(item);
+    }
+
+    card.appendChild(list);
+
+    const total = document.createElement('p');
+    total.className = 'target-score__total';
+    total.textContent = `Projected total: ${distribution.total} points`;
+    card.appendChild(total);
+
+    return card;
+  }
+}
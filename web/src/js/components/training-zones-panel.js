@@ -0,0 +1,254 @@
+/**
+ * Training Zones Panel Component
+ * Shows easy, marathon, threshold, interval and repetition paces
+ * from a race result or a VDOT fitness estimate
+ */
+
+import { getDistanceInMetres } from '../calculators/pace-calculations.js';
+import {
+  calculateVdot,
+  calculateTrainingZones,
+  ZONE_PACE_UNITS,
+  ZONE_SPEED_UNITS,
+  VDOT_RANGE
+} from '../calculators/training-zones.js';
+import {
+  parseTimeInput,
+  formatPaceTime,
+  formatSpeedValue,
+  getSpeedUnitDisplay
+} from '../utils/pace-formatter.js';
+
+export class TrainingZonesPanel {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getPaceDistances - Returns the pace calculator distances [{key, displayName}]
+   * @param {Object} options.eventsConfig - Events configuration object
+   */
+  constructor({ getPaceDistances, eventsConfig }) {
+    this.getPaceDistances = getPaceDistances;
+    this.eventsConfig = eventsConfig;
+    this.storageKey = 'paceCalculatorTrainingZones';
+    this.source = 'race'; // 'race' or 'vdot'
+  }
+
+  setupDOMElements() {
+    this.sourceRaceBtn = document.getElementById('training-zones-source-race');
+    this.sourceVdotBtn = document.getElementById('training-zones-source-vdot');
+    this.raceControls = document.getElementById('training-zones-race-controls');
+    this.vdotControls = document.getElementById('training-zones-vdot-controls');
+    this.distanceSelect = document.getElementById('training-zones-distance');
+    this.timeInput = document.getElementById('training-zones-time');
+    this.vdotInput = document.getElementById('training-zones-vdot');
+    this.calculateBtn = document.getElementById('training-zones-calculate-btn');
+    this.errorMessage = document.getElementById('training-zones-error');
+    this.content = document.getElementById('training-zones-content');
+  }
+
+  initialize() {
+    this.setupDOMElements();
+    if (!this.calculateBtn) return;
+
+    this.populateDistances();
+    this.restoreState();
+
+    this.sourceRaceBtn.addEventListener('click', () => this.switchSource('race'));
+    this.sourceVdotBtn.addEventListener('click', () => this.switchSource('vdot'));
+    this.calculateBtn.addEventListener('click', () => this.handleCalculate());
+
+    [this.timeInput, this.vdotInput].forEach(input => {
+      input.addEventListener('input', () => input.classList.remove('input-error'));
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          e.preventDefault();
+          this.handleCalculate();
+        }
+      });
+    });
+  }
+
+  populateDistances() {
+    for (const event of this.getPaceDistances()) {
+      const option = document.createElement('option');
+      option.value = event.key;
+      option.textContent = event.displayName;
+      this.distanceSelect.appendChild(option);
+    }
+    this.distanceSelect.value = '5km';
+  }
+
+  restoreState() {
+    try {
+      const stored = JSON.parse(sessionStorage.getItem(this.storageKey));
+      if (stored) {
+        if (stored.distance && this.eventsConfig.events[stored.distance]) {
+          this.distanceSelect.value = stored.distance;
+        }
+        this.timeInput.value = stored.time || '';
+        this.vdotInput.value = stored.vdot || '';
+        this.source = stored.source === 'vdot' ? 'vdot' : 'race';
+      }
+    } catch (error) {
+      // Ignore malformed state and start fresh
+    }
+
+    this.switchSource(this.source);
+  }
+
+  saveState() {
+    sessionStorage.setItem(this.storageKey, JSON.stringify({
+      source: this.source,
+      distance: this.distanceSelect.value,
+      time: this.timeInput.value.trim(),
+      vdot: this.vdotInput.value.trim()
+    }));
+  }
+
+  /**
+   * Switch between a race result and a VDOT as the reference
+   * @param {string} source - 'race' or 'vdot'
+   */
+  switchSource(source) {
+    this.source = source;
+    this.sourceRaceBtn.classList.toggle('mode-toggle__option--active', source === 'race');
+    this.sourceVdotBtn.classList.toggle('mode-toggle__option--active', source === 'vdot');
+    this.raceControls.classList.toggle('hidden', source !== 'race');
+    this.vdotControls.classList.toggle('hidden', source !== 'vdot');
+    this.hideError();
+  }
+
+  handleCalculate() {
+    this.hideError();
+    this.saveState();
+
+    let vdot;
+    let reference;
+
+    if (this.source === 'race') {
+      const distanceKey = this.distanceSelect.value;
+      const totalTimeSeconds = parseTimeInput(this.timeInput.value);
+
+      if (!distanceKey) {
+        this.showError('Please select a race distance.');
+        return;
+      }
+      if (!totalTimeSeconds) {
+        this.timeInput.classList.add('input-error');
+        this.showError('Invalid time format. Use HH:MM:SS or MM:SS (e.g., 20:00).');
+        return;
+      }
+
+      vdot = calculateVdot(getDistanceInMetres(distanceKey, this.eventsConfig), totalTimeSeconds);
+      reference = `${this.eventsConfig.events[distanceKey].displayName} in ${this.timeInput.value.trim()}`;
+    } else {
+      vdot = parseFloat(this.vdotInput.value);
+      reference = null;
+    }
+
+    if (isNaN(vdot) || vdot < VDOT_RANGE.min || vdot > VDOT_RANGE.max) {
+      const input = this.source === 'race' ? this.timeInput : this.vdotInput;
+      input.classList.add('input-error');
+      this.showError(
+        this.source === 'race'
+          ? `This result gives a VDOT outside ${VDOT_RANGE.min} to ${VDOT_RANGE.max}. Please check the time.`
+          : `VDOT must be a number between ${VDOT_RANGE.min} and ${VDOT_RANGE.max}.`
+      );
+      return;
+    }
+
+    this.render(vdot, calculateTrainingZones(vdot), reference);
+  }
+
+  render(vdot, zones, reference) {
+    this.content.innerHTML = '';
+
+    const summary = document.createElement('p');
+    summary.className = 'training-zones__summary';
+    const vdotText = document.createElement('strong');
+    vdotText.textContent = `VDOT ${vdot.toFixed(1)}`;
+    summary.appendChild(vdotText);
+    if (reference) {
+      // The reference includes the time as entered
+      summary.appendChild(document.createTextNode(` from ${reference}`));
+    }
+    this.content.appendChild(summary);
+
+    for (const zone of zones) {
+      this.content.appendChild(this.createZoneCard(zone));
+    }
+  }
+
+  createZoneCard(zone) {
+    const card = document.createElement('div');
+    card.className = 'result-card training-zones__card';
+
+    const title = document.createElement('h3');
+    title.className = 'result-card__title';
+    title.textContent = `${zone.name} · ${this.formatPaceRange(zone, 'km')}`;
+
+    const description = document.createElement('p');
+    description.className = 'form-help';
+    description.textContent = `${zone.description} (${Math.round(zone.minIntensity * 100)}-${Math.round(zone.maxIntensity * 100)}% of VDOT)`;
+
+    const grid = document.createElement('div');
+    grid.className = 'equivalencies-grid';
+
+    const items = [
+      ...ZONE_PACE_UNITS.map(unit => [`Pace per ${unit}`, this.formatPaceRange(zone, unit)]),
+      ...ZONE_SPEED_UNITS.map(unit => [`Speed (${getSpeedUnitDisplay(unit)})`, this.formatSpeedRange(zone, unit)])
+    ];
+
+    for (const [label, value] of items) {
+      const item = document.createElement('div');
+      item.className = 'equivalency-item';
+
+      const itemLabel = document.createElement('div');
+      itemLabel.className = 'equivalency-item__event';
+      itemLabel.textContent = label;
+
+      const itemValue = document.createElement('div');
+      itemValue.className = 'equivalency-item__performance';
+      itemValue.textContent = value;
+
+      item.appendChild(itemLabel);
+      item.appendChild(itemValue);
+      grid.appendChild(item);
+    }
+
+    card.appendChild(title);
+    card.appendChild(description);
+    card.appendChild(grid);
+    return card;
+  }
+
+  /**
+   * Format a zone's pace range, fastest first (e.g., "4:16-4:28/km")
+   * @param {Object} zone - Zone from calculateTrainingZones
+   * @param {string} unit - Pace unit
+   * @returns {string}
+   */
+  formatPaceRange(zone, unit) {
+    return `${formatPaceTime(zone.fast.paces[unit])}-${formatPaceTime(zone.slow.paces[unit])}/${unit}`;
+  }
+
+  /**
+   * Format a zone's speed range, slowest first (e.g., "13.5-14.1 km/h")
+   * @param {Object} zone - Zone from calculateTrainingZones
+   * @param {string} unit - Speed unit
+   * @returns {string}
+   */
+  formatSpeedRange(zone, unit) {
+    const slow = formatSpeedValue(zone.slow.speeds[unit], unit);
+    const fast = formatSpeedValue(zone.fast.speeds[unit], unit);
+    return `${slow}-${fast} ${getSpeedUnitDisplay(unit)}`;
+  }
+
+  showError(message) {
+    this.errorMessage.textContent = message;
+    this.errorMessage.classList.remove('hidden');
+  }
+
+  hideError() {
+    this.errorMessage.classList.add('hidden');
+  }
+}
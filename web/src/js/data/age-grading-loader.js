@@ -0,0 +1,195 @@
+/**
+ * Age Grading Loader
+ * Handles loading and caching of the age grading factors JSON
+ * The factors are the World Masters Athletics (WMA) 2023 Age-Grading Factors: an open standard
+ * and a factor for every single year of age per event. Factors imported on the Age Grading page
+ * replace bundled ones for the same event.
+ * Event keys are resolved through the event registry, so aliases find the same factors.
+ */
+
+import { resolveEventKey } from './event-registry.js';
+
+class AgeGradingLoader {
+  constructor() {
+    this.data = null;
+    this.imported = { men: {}, women: {} };
+    this.isLoading = false;
+    this.loadPromise = null;
+  }
+
+  /**
+   * Load the age grading data
+   * @returns {Promise<Object>} The age grading data
+   */
+  async load() {
+    // Return cached data if available
+    if (this.data) {
+      return this.data;
+    }
+
+    // Return existing load promise if already loading
+    if (this.isLoading) {
+      return this.loadPromise;
+    }
+
+    this.isLoading = true;
+
+    this.loadPromise = this.fetchData()
+      .then(data => {
+        this.data = data;
+        this.isLoading = false;
+        return data;
+      })
+      .catch(error => {
+        this.isLoading = false;
+        throw error;
+      });
+
+    return this.loadPromise;
+  }
+
+  /**
+   * Fetch the age grading factors JSON
+   * @returns {Promise<Object>}
+   */
+  async fetchData() {
+    try {
+      // Use import.meta.env.BASE_URL to respect Vite's base configuration
+      const baseUrl = import.meta.env?.BASE_URL || '/';
+      const response = await fetch(`${baseUrl}data/age_grading_factors.json`);
+
+      if (!response.ok) {
+        throw new Error(`Failed to load age grading factors: ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+
+      // Validate data structure
+      if (!data || !data.men || !data.women) {
+        throw new Error('Invalid data format: expected object with men and women properties');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error loading age grading factors:', error);
+      throw new Error(`Could not load age grading factors: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the edition of the bundled factors
+   * @returns {string|null} e.g. "WMA 2023"
+   */
+  getVersion() {
+    return this.data?.version || null;
+  }
+
+  /**
+   * Use imported factors in place of bundled ones for the same events
+   * @param {Array<Object>} records - {gender, event, openStandard, factors}
+   */
+  setImported(records) {
+    this.imported = { men: {}, women: {} };
+    for (const { gender, event, openStandard, factors } of records) {
+      this.imported[gender][event] = { openStandard, factors, source: 'imported' };
+    }
+  }
+
+  /**
+   * Get all event keys with age factors for a gender
+   * @param {string} gender - "men" or "women"
+   * @returns {string[]}
+   */
+  getSupportedEvents(gender) {
+    if (!this.data || !this.data[gender]) {
+      return [];
+    }
+
+    return [...new Set([...Object.keys(this.data[gender]), ...Object.keys(this.imported[gender])])];
+  }
+
+  /**
+   * Check if an event has age factors for a gender
+   * @param {string} gender
+   * @param {string} eventKey
+   * @returns {boolean}
+   */
+  supportsEvent(gender, eventKey) {
+    return Boolean(this.getEventData(gender, eventKey));
+  }
+
+  /**
+   * Get the open standard and factors for an event
+   * @param {string} gender
+   * @param {string} eventKey
+   * @returns {Object|null} {openStandard, factors, source} with factors keyed by age
+   */
+  getEventData(gender, eventKey) {
+    const key = resolveEventKey(eventKey) || eventKey;
+    const imported = this.imported[gender]?.[key];
+    if (imported) {
+      return imported;
+    }
+
+    const bundled = this.data?.[gender]?.[key];
+    return bundled ? { ...bundled, source: 'bundled' } : null;
+  }
+
+  /**
+   * Get the youngest and oldest ages with a factor for an event
+   * @param {string} gender
+   * @param {string} eventKey
+   * @returns {Object|null} {min, max}
+   */
+  getAgeRange(gender, eventKey) {
+    const eventData = this.getEventData(gender, eventKey);
+    if (!eventData) {
+      return null;
+    }
+
+    const ages = Object.keys(eventData.factors).map(Number);
+    return { min: Math.min(...ages), max: Math.max(...ages) };
+  }
+
+  /**
+   * Get the open standard (best performance at any age) for an event
+   * @param {string} gender
+   * @param {string} eventKey
+   * @returns {number|null} Seconds for time events, metres for distance events
+   */
+  getOpenStandard(gender, eventKey) {
+    return this.getEventData(gender, eventKey)?.openStandard ?? null;
+  }
+
+  /**
+   * Get the published age factor for an event
+   * @param {string} gender
+   * @param {string} eventKey
+   * @param {number} age - Age in whole years
+   * @returns {number|null} Factor between 0 and 1, or null if not published for this age
+   */
+  getAgeFactor(gender, eventKey, age) {
+    return this.getEventData(gender, eventKey)?.factors[age] ?? null;
+  }
+
+  /**
+   * Check if data is loaded
+   * @returns {boolean}
+   */
+  isDataLoaded() {
+    return this.data !== null;
+  }
+
+  /**
+   * Clear cached data
+   */
+  clear() {
+    this.data = null;
+    this.imported = { men: {}, women: {} };
+    this.isLoading = false;
+    this.loadPromise = null;
+  }
+}
+
+// Export singleton instance
+export const ageGradingLoader = new AgeGradingLoader();
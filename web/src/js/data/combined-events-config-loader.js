@@ -2,11 +2,17 @@
  * Combined Events Config Loader
  *
  * Loads and provides access to combined events configuration data including:
- * - Combined event definitions (pentathlon, heptathlon, decathlon)
+ * - Combined event definitions (pentathlon, heptathlon, decathlon) and the age groups they are contested in
+ * - Implement and hurdle specifications per age group
  * - Individual event parameters for scoring formulas
- * - Hand timing offsets for track events
+ *
+ * Individual event keys are resolved through the event registry, so aliases
+ * (e.g. '110mh' for '110m h') find the same parameters.
  */
 
+import { resolveEventKey } from './event-registry.js';
+import { supportsHandTiming } from '../utils/timing-rules.js';
+
 class CombinedEventsConfigLoader {
     constructor() {
         this.config = null;
@@ -46,14 +52,43 @@ class CombinedEventsConfigLoader {
         return this.loading;
     }
 
+    /**
+     * Get the age groups combined events are defined for, in display order
+     * @returns {Promise<Array<string>>} Age groups (e.g., ['U18', 'U20', 'Open'])
+     */
+    async getAgeGroups() {
+        const config = await this.loadConfig();
+        return config.ageGroups || [];
+    }
+
     /**
      * Get all combined events for a specific gender
      * @param {string} gender - 'men' or 'women'
+     * @param {string|null} ageGroup - Only include events contested in this age group (all if null)
      * @returns {Promise<Object>} Combined events for the gender
      */
-    async getCombinedEvents(gender) {
+    async getCombinedEvents(gender, ageGroup = null) {
         const config = await this.loadConfig();
-        return config[gender]?.combined || {};
+        const combined = config[gender]?.combined || {};
+
+        if (!ageGroup) {
+            return combined;
+        }
+
+        return Object.fromEntries(
+            Object.entries(combined).filter(([, event]) => event.ageGroups?.includes(ageGroup))
+        );
+    }
+
+    /**
+     * Get implement weights and hurdle heights for an age group
+     * @param {string} gender - 'men' or 'women'
+     * @param {string} ageGroup - Age group (e.g., 'U18')
+     * @returns {Promise<Object>} Specifications keyed by event (e.g., { sp: '5kg' }), empty if none
+     */
+    async getSpecifications(gender, ageGroup) {
+        const config = await this.loadConfig();
+        return config[gender]?.specifications?.[ageGroup] || {};
     }
 
     /**
@@ -70,40 +105,12 @@ class CombinedEventsConfigLoader {
     /**
      * Get scoring parameters for a specific event
      * @param {string} gender - 'men' or 'women'
-     * @param {string} eventKey - Event key (e.g., '100m', 'lj')
+     * @param {string} eventKey - Event key (e.g., '100m', '110m h', 'lj')
      * @returns {Promise<Object|null>} Event parameters {a, b, c, measurement, displayName}
      */
     async getEventParameters(gender, eventKey) {
         const config = await this.loadConfig();
-        return config[gender]?.events?.[eventKey] || null;
-    }
-
-    /**
-     * Get hand timing offset for an event
-     * @param {string} eventKey - Event key (e.g., '100m')
-     * @returns {Promise<number>} Offset in seconds (0 if not applicable)
-     */
-    async getHandTimingOffset(eventKey) {
-        const config = await this.loadConfig();
-        const offsets = config.handTimingOffsets || [];
-
-        for (const offsetGroup of offsets) {
-            if (offsetGroup.events.includes(eventKey)) {
-                return offsetGroup.offset;
-            }
-        }
-
-        return 0;
-    }
-
-    /**
-     * Check if an event supports hand timing
-     * @param {string} eventKey - Event key (e.g., '100m')
-     * @returns {Promise<boolean>} True if hand timing is applicable
-     */
-    async isHandTimeable(eventKey) {
-        const offset = await this.getHandTimingOffset(eventKey);
-        return offset > 0;
+        return config[gender]?.events?.[resolveEventKey(eventKey) || eventKey] || null;
     }
 
     /**
@@ -123,13 +130,12 @@ class CombinedEventsConfigLoader {
 
         for (const eventKey of events) {
             const params = await this.getEventParameters(gender, eventKey);
-            const isHandTimeable = await this.isHandTimeable(eventKey);
 
             if (params) {
                 eventDetails.push({
                     key: eventKey,
                     ...params,
-                    isHandTimeable
+                    isHandTimeable: supportsHandTiming(eventKey)
                 });
             }
         }
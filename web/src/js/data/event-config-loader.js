@@ -1,8 +1,11 @@
 /**
  * Event Config Loader
  * Handles loading and caching of the events configuration JSON
+ * Event keys are resolved through the event registry, so aliases find the same event.
  */
 
+import { resolveEventKey } from './event-registry.js';
+
 class EventConfigLoader {
   constructor() {
     this.data = null;
@@ -71,14 +74,14 @@ class EventConfigLoader {
 
   /**
    * Get event information by event key
-   * @param {string} eventKey - The event key (e.g., "100m", "lj")
+   * @param {string} eventKey - The event key or an alias (e.g., "100m", "lj", "110mh")
    * @returns {Object|null} The event configuration
    */
   getEventInfo(eventKey) {
     if (!this.data || !this.data.events) {
       return null;
     }
-    return this.data.events[eventKey] || null;
+    return this.data.events[resolveEventKey(eventKey)] || null;
   }
 
   /**
@@ -114,7 +117,7 @@ class EventConfigLoader {
    */
   isPrimaryEvent(eventKey) {
     const primaryEvents = this.getPrimaryEvents();
-    return primaryEvents.includes(eventKey);
+    return primaryEvents.includes(resolveEventKey(eventKey));
   }
 
   /**
@@ -183,24 +186,34 @@ class EventConfigLoader {
         return distance * 1000;
       case 'miles':
         return distance * 1609.34;
+      case 'yards':
+        return distance * 0.9144;
       default:
         return distance;
     }
   }
 
   /**
-   * Get hand timing offset for an event
+   * Get wind modification settings for an event
    * @param {string} eventKey - The event key (e.g., "100m")
-   * @returns {number|null} The offset in seconds, or null if not applicable
+   * @returns {Object|null} {pointsPerMetrePerSecond, legalLimit, maxWind, minWind}, or null if not applicable
    */
-  getHandTimingOffset(eventKey) {
-    if (!this.data || !this.data.handTimingOffsets) {
+  getWindModification(eventKey) {
+    if (!this.data || !this.data.windModification) {
       return null;
     }
 
-    for (const offsetGroup of this.data.handTimingOffsets) {
-      if (offsetGroup.events.includes(eventKey)) {
-        return offsetGroup.offset;
+    const { legalLimit, maxWind, minWind, groups } = this.data.windModification;
+    const key = resolveEventKey(eventKey);
+
+    for (const group of groups) {
+      if (group.events.includes(key)) {
+        return {
+          pointsPerMetrePerSecond: group.pointsPerMetrePerSecond,
+          legalLimit,
+          maxWind,
+          minWind
+        };
       }
     }
 
@@ -208,12 +221,12 @@ class EventConfigLoader {
   }
 
   /**
-   * Check if an event supports hand timing
+   * Check if an event is wind affected
    * @param {string} eventKey - The event key to check
-   * @returns {boolean} True if event has a hand timing offset
+   * @returns {boolean} True if event has a wind modification
    */
-  supportsHandTiming(eventKey) {
-    return this.getHandTimingOffset(eventKey) !== null;
+  supportsWind(eventKey) {
+    return this.getWindModification(eventKey) !== null;
   }
 
   /**
@@ -0,0 +1,192 @@
+/**
+ * Event Registry
+ * The single source of event keys. Every event has one canonical key, grouped by category,
+ * and the other keys it has been known by (aliases). The event config, scoring tables,
+ * combined events config, age grading factors and the scoring table extractor all resolve
+ * their keys through this registry, and `npm run check:events` fails the build on keys
+ * it does not know.
+ *
+ * This module has no browser dependencies so the Node tools can import it too.
+ */
+
+/**
+ * Canonical event keys and their aliases, by category
+ */
+const EVENTS_BY_CATEGORY = {
+  sprints: {
+    '50m': [],
+    '50m h': [],
+    '55m': [],
+    '55m h': [],
+    '60m': [],
+    '60m h': ['60mh'],
+    '100m': [],
+    '100m h': ['100mh'],
+    '110m h': ['110mh'],
+    '200m': [],
+    '200m sh': [],
+    '200m h': [],
+    '300m': [],
+    '300m sh': [],
+    '300m h': [],
+    '400m': [],
+    '400m sh': [],
+    '400m h': [],
+    '500m': [],
+    '500m sh': [],
+    '100y': [],
+    '220y': [],
+    '300y': [],
+    '440y': []
+  },
+  middle_distance: {
+    '600m': [],
+    '600m sh': [],
+    '800m': [],
+    '800m sh': [],
+    '1000m': [],
+    '1000m sh': [],
+    '1500m': [],
+    '1500m sh': [],
+    '1mile': ['mile'],
+    '1mile sh': ['mile sh'],
+    '2000m': [],
+    '2000m sh': [],
+    '2000m sc': [],
+    '600y': [],
+    '880y': [],
+    '1000y': []
+  },
+  long_distance: {
+    '2mile': [],
+    '2mile sh': [],
+    '3000m': [],
+    '3000m sh': [],
+    '3000m sc': [],
+    '5000m': [],
+    '5000m sh': [],
+    '10000m': [],
+    '5km': [],
+    '10km': [],
+    '10mile': [],
+    '15km': [],
+    '20km': [],
+    '25km': [],
+    '30km': [],
+    'hm': [],
+    'marathon': [],
+    '100km': []
+  },
+  race_walk: {
+    '3km w': [],
+    '3000m w': ['3,000mW'],
+    '5km w': [],
+    '5000m w': ['5,000mW'],
+    '10km w': [],
+    '10000m w': ['10,000mW'],
+    '15km w': [],
+    '15000m w': ['15,000mW'],
+    '20km w': [],
+    '20000m w': ['20,000mW'],
+    '30km w': [],
+    '30000m w': ['30,000mW'],
+    '35km w': [],
+    '35000m w': ['35,000mW'],
+    '50km w': [],
+    '50000m w': ['50,000mW'],
+    'hmw': [],
+    'marw': []
+  },
+  jumps: {
+    'hj': [],
+    'pv': [],
+    'lj': [],
+    'tj': []
+  },
+  throws: {
+    'sp': [],
+    'dt': [],
+    'ht': [],
+    'jt': [],
+    'wt': []
+  },
+  relays: {
+    '4x100m': [],
+    '4x200m': [],
+    '4x200m sh': [],
+    '4x400m': [],
+    '4x400m sh': []
+  },
+  combined: {
+    'dec': ['decathlon'],
+    'hept': ['heptathlon'],
+    'hept sh': ['heptathlon sh'],
+    'pent sh': ['pentathlon sh']
+  }
+};
+
+/**
+ * Registry entries by canonical key: { key, category, aliases }
+ */
+export const EVENT_REGISTRY = Object.freeze(Object.fromEntries(
+  Object.entries(EVENTS_BY_CATEGORY).flatMap(([category, events]) =>
+    Object.entries(events).map(([key, aliases]) => [key, Object.freeze({ key, category, aliases })])
+  )
+));
+
+// Canonical keys and aliases (normalized) to the canonical key
+const KEY_INDEX = new Map();
+for (const { key, aliases } of Object.values(EVENT_REGISTRY)) {
+  for (const name of [key, ...aliases]) {
+    KEY_INDEX.set(normalizeName(name), key);
+  }
+}
+
+/**
+ * Normalize a key for lookup: case and repeated whitespace are ignored
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+  return String(name).trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+/**
+ * Resolve an event key or alias to its canonical key
+ * @param {string} eventKey - Event key (e.g. "110mh", "10,000mW" or "110m h")
+ * @returns {string|null} Canonical key, or null if the event is unknown
+ */
+export function resolveEventKey(eventKey) {
+  if (eventKey === null || eventKey === undefined) {
+    return null;
+  }
+  return KEY_INDEX.get(normalizeName(eventKey)) || null;
+}
+
+/**
+ * Check whether a key is an event's canonical key (not an alias)
+ * @param {string} eventKey
+ * @returns {boolean}
+ */
+export function isCanonicalEventKey(eventKey) {
+  return Object.prototype.hasOwnProperty.call(EVENT_REGISTRY, eventKey);
+}
+
+/**
+ * Get the registry entry for an event key or alias
+ * @param {string} eventKey
+ * @returns {Object|null} { key, category, aliases }
+ */
+export function getRegisteredEvent(eventKey) {
+  const key = resolveEventKey(eventKey);
+  return key ? EVENT_REGISTRY[key] : null;
+}
+
+/**
+ * Get a form of an event key that is safe in element ids and file names
+ * @param {string} eventKey - e.g. "110m h"
+ * @returns {string} e.g. "110m-h"
+ */
+export function getEventSlug(eventKey) {
+  return (resolveEventKey(eventKey) || normalizeName(eventKey)).replace(/[^a-z0-9]+/g, '-');
+}
@@ -0,0 +1,99 @@
+/**
+ * Qualification Standards Loader
+ * Handles loading and caching of the bundled championship entry standards JSON
+ */
+
+class QualificationStandardsLoader {
+  constructor() {
+    this.data = null;
+    this.isLoading = false;
+    this.loadPromise = null;
+  }
+
+  /**
+   * Load the qualification standards
+   * @returns {Promise<Object>} The qualification standards data
+   */
+  async load() {
+    // Return cached data if available
+    if (this.data) {
+      return this.data;
+    }
+
+    // Return existing load promise if already loading
+    if (this.isLoading) {
+      return this.loadPromise;
+    }
+
+    this.isLoading = true;
+
+    this.loadPromise = this.fetchData()
+      .then(data => {
+        this.data = data;
+        this.isLoading = false;
+        return data;
+      })
+      .catch(error => {
+        this.isLoading = false;
+        throw error;
+      });
+
+    return this.loadPromise;
+  }
+
+  /**
+   * Fetch the qualification standards JSON
+   * @returns {Promise<Object>}
+   */
+  async fetchData() {
+    try {
+      // Use import.meta.env.BASE_URL to respect Vite's base configuration
+      const baseUrl = import.meta.env?.BASE_URL || '/';
+      const response = await fetch(`${baseUrl}data/qualification_standards.json`);
+
+      if (!response.ok) {
+        throw new Error(`Failed to load qualification standards: ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+
+      // Validate data structure
+      if (!data || !Array.isArray(data.championships)) {
+        throw new Error('Invalid data format: expected object with championships property');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error loading qualification standards:', error);
+      throw new Error(`Could not load qualification standards: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the bundled championships
+   * @returns {Array<Object>} Championships {key, name, level, window, eventWindows, standards}
+   */
+  getChampionships() {
+    return this.data ? this.data.championships : [];
+  }
+
+  /**
+   * Check if data is loaded
+   * @returns {boolean}
+   */
+  isDataLoaded() {
+    return this.data !== null;
+  }
+
+  /**
+   * Clear cached data
+   */
+  clear() {
+    this.data = null;
+    this.isLoading = false;
+    this.loadPromise = null;
+  }
+}
+
+// Export singleton instance
+export const qualificationStandardsLoader = new QualificationStandardsLoader();
@@ -1,13 +1,32 @@
 /**
  * Scoring Data Loader
  * Handles loading and caching of the athletics scoring tables JSON
+ * Each edition of the tables is a versioned package listed in the data manifest.
+ * Event keys are resolved through the event registry, so aliases find the same table.
  */
 
+import { resolveEventKey } from './event-registry.js';
+
+const MANIFEST_FILE = 'scoring-tables-manifest.json';
+const EDITION_STORAGE_KEY = 'athleticsUtils.scoringEdition';
+
+// Used when the manifest cannot be loaded (e.g., offline before it was ever cached)
+const FALLBACK_MANIFEST = {
+  manifestVersion: 1,
+  defaultEdition: '2025',
+  editions: [
+    { id: '2025', displayName: '2025 Edition', dataVersion: null, file: 'athletics_scoring_tables.min.json' }
+  ]
+};
+
 class ScoringDataLoader {
   constructor() {
     this.data = null;
+    this.eventIndex = null;
     this.isLoading = false;
     this.loadPromise = null;
+    this.manifest = null;
+    this.edition = null;
   }
 
   /**
@@ -42,14 +61,20 @@ class ScoringDataLoader {
   }
 
   /**
-   * Fetch the scoring tables JSON
+   * Fetch the scoring tables JSON for the selected edition
    * @returns {Promise<Object>}
    */
   async fetchData() {
     try {
-      // Use import.meta.env.BASE_URL to respect Vite's base configuration
-      const baseUrl = import.meta.env?.BASE_URL || '/';
-      const response = await fetch(`${baseUrl}data/athletics_scoring_tables.min.json`);
+      this.manifest = await this.fetchManifest().catch(error => {
+        console.warn('Using the default scoring tables edition:', error);
+        return FALLBACK_MANIFEST;
+      });
+      this.edition = this.resolveEdition(this.getSelectedEditionId());
+
+      // The data version in the URL makes a new package a new cache entry
+      const version = this.edition.dataVersion ? `?v=${encodeURIComponent(this.edition.dataVersion)}` : '';
+      const response = await fetch(`${this.getDataUrl(this.edition.file)}${version}`);
 
       if (!response.ok) {
         throw new Error(`Failed to load scoring tables: ${response.status} ${response.statusText}`);
@@ -69,6 +94,103 @@ class ScoringDataLoader {
     }
   }
 
+  /**
+   * Fetch the data manifest listing the scoring table editions
+   * @param {RequestCache} cache - Fetch cache mode
+   * @returns {Promise<Object>} Manifest {manifestVersion, defaultEdition, editions}
+   */
+  async fetchManifest(cache = 'default') {
+    const response = await fetch(this.getDataUrl(MANIFEST_FILE), { cache });
+
+    if (!response.ok) {
+      throw new Error(`Failed to load data manifest: ${response.status} ${response.statusText}`);
+    }
+
+    const manifest = await response.json();
+    if (!manifest || !Array.isArray(manifest.editions)) {
+      throw new Error('Invalid data manifest: expected an editions list');
+    }
+
+    return manifest;
+  }
+
+  /**
+   * Get the URL of a file in the data directory
+   * @param {string} file
+   * @returns {string}
+   */
+  getDataUrl(file) {
+    // Use import.meta.env.BASE_URL to respect Vite's base configuration
+    const baseUrl = import.meta.env?.BASE_URL || '/';
+    return `${baseUrl}data/${file}`;
+  }
+
+  /**
+   * Get the edition to load, falling back to the default when it has not been published
+   * @param {string|null} editionId
+   * @returns {Object} Edition {id, displayName, dataVersion, file}
+   */
+  resolveEdition(editionId) {
+    const published = this.manifest.editions.filter(edition => edition.file);
+    return published.find(edition => edition.id === editionId)
+      || published.find(edition => edition.id === this.manifest.defaultEdition)
+      || published[0];
+  }
+
+  /**
+   * Get all editions in the manifest
+   * Editions without a file are listed but have not been published yet.
+   * @returns {Array<Object>} Editions {id, displayName, dataVersion, file}
+   */
+  getEditions() {
+    return this.manifest ? this.manifest.editions : [];
+  }
+
+  /**
+   * Get the edition the loaded data belongs to
+   * @returns {Object|null} Edition {id, displayName, dataVersion, file}
+   */
+  getEdition() {
+    return this.edition;
+  }
+
+  /**
+   * Get the edition chosen by the user
+   * @returns {string|null} Edition id, or null to use the default
+   */
+  getSelectedEditionId() {
+    return localStorage.getItem(EDITION_STORAGE_KEY);
+  }
+
+  /**
+   * Choose the edition to score against
+   * The choice is saved for every page. Loaded data is cleared, so call load() again.
+   * @param {string} editionId
+   */
+  setEdition(editionId) {
+    localStorage.setItem(EDITION_STORAGE_KEY, editionId);
+    this.clear();
+  }
+
+  /**
+   * Check the network for a newer package of the loaded edition
+   * @returns {Promise<Object|null>} Updated edition, or null if the loaded data is current or the check failed
+   */
+  async checkForUpdates() {
+    if (!this.edition || !this.edition.dataVersion) {
+      return null;
+    }
+
+    try {
+      const manifest = await this.fetchManifest('no-cache');
+      const latest = manifest.editions.find(edition => edition.id === this.edition.id);
+      return latest?.file && latest.dataVersion !== this.edition.dataVersion ? latest : null;
+    } catch (error) {
+      console.warn('Could not check for scoring table updates:', error);
+      return null;
+    }
+  }
+
   /**
    * Get all available genders
    * @returns {string[]}
@@ -136,10 +258,11 @@ class ScoringDataLoader {
    * @returns {Array<[number, string]>} Array of [points, performance] pairs
    */
   getEventData(gender, category, event) {
-    if (!this.data || !this.data[gender] || !this.data[gender][category] || !this.data[gender][category][event]) {
+    const key = resolveEventKey(event) || event;
+    if (!this.data || !this.data[gender] || !this.data[gender][category] || !this.data[gender][category][key]) {
       return null;
     }
-    return this.data[gender][category][event];
+    return this.data[gender][category][key];
   }
 
   /**
@@ -149,19 +272,62 @@ class ScoringDataLoader {
    * @returns {string|null}
    */
   findCategory(gender, eventName) {
-    if (!this.data || !this.data[gender]) {
+    return this.getEventIndex(gender, eventName)?.category ?? null;
+  }
+
+  /**
+   * Get the indexed scoring table for an event
+   * Rows are sorted by points descending (best performance first) so lookups
+   * can binary search either the points or the performances.
+   * @param {string} gender
+   * @param {string} event
+   * @returns {Object|null} {category, points, performances, rawPerformances, higherIsBetter}
+   */
+  getEventIndex(gender, event) {
+    if (!this.data) {
       return null;
     }
 
-    const categories = this.getCategories(gender);
-    for (const category of categories) {
-      const events = this.getEvents(gender, category);
-      if (events.includes(eventName)) {
-        return category;
+    if (!this.eventIndex) {
+      this.eventIndex = this.buildEventIndex(this.data);
+    }
+
+    return this.eventIndex[gender]?.[resolveEventKey(event) || event] ?? null;
+  }
+
+  /**
+   * Build the per-event index for all genders and categories
+   * @param {Object} data - Scoring tables data
+   * @returns {Object} Index keyed by gender then event
+   */
+  buildEventIndex(data) {
+    const index = {};
+
+    for (const gender of Object.keys(data)) {
+      index[gender] = {};
+
+      for (const category of Object.keys(data[gender])) {
+        for (const [event, rows] of Object.entries(data[gender][category])) {
+          if (!Array.isArray(rows) || rows.length === 0) {
+            continue;
+          }
+
+          const sortedRows = [...rows].sort((a, b) => b[0] - a[0]);
+          const performances = sortedRows.map(([, perf]) => parseFloat(perf));
+
+          index[gender][event] = {
+            category,
+            points: sortedRows.map(([points]) => points),
+            performances,
+            rawPerformances: sortedRows.map(([, perf]) => perf),
+            // The best performance has the most points, so compare it with the worst
+            higherIsBetter: performances[0] > performances[performances.length - 1]
+          };
+        }
       }
     }
 
-    return null;
+    return index;
   }
 
   /**
@@ -177,8 +343,10 @@ class ScoringDataLoader {
    */
   clear() {
     this.data = null;
+    this.eventIndex = null;
     this.isLoading = false;
     this.loadPromise = null;
+    this.edition = null;
   }
 }
 
@@ -0,0 +1,251 @@
+/**
+ * World Rankings Loader
+ * Handles loading and caching of the World Rankings categories, placing tables and event groups JSON
+ * Placing scores of the World Athletics Rankings Rules edition in force are bundled, and placing
+ * scores imported on the Score Calculator page replace them for the same table, category and round.
+ */
+
+import { resolveEventKey } from './event-registry.js';
+
+class WorldRankingsLoader {
+  constructor() {
+    this.data = null;
+    this.imported = [];
+    this.isLoading = false;
+    this.loadPromise = null;
+  }
+
+  /**
+   * Load the World Rankings data
+   * @returns {Promise<Object>} The World Rankings data
+   */
+  async load() {
+    // Return cached data if available
+    if (this.data) {
+      return this.data;
+    }
+
+    // Return existing load promise if already loading
+    if (this.isLoading) {
+      return this.loadPromise;
+    }
+
+    this.isLoading = true;
+
+    this.loadPromise = this.fetchData()
+      .then(data => {
+        this.data = data;
+        this.isLoading = false;
+        return data;
+      })
+      .catch(error => {
+        this.isLoading = false;
+        throw error;
+      });
+
+    return this.loadPromise;
+  }
+
+  /**
+   * Fetch the World Rankings JSON
+   * @returns {Promise<Object>}
+   */
+  async fetchData() {
+    try {
+      // Use import.meta.env.BASE_URL to respect Vite's base configuration
+      const baseUrl = import.meta.env?.BASE_URL || '/';
+      const response = await fetch(`${baseUrl}data/world_rankings.json`);
+
+      if (!response.ok) {
+        throw new Error(`Failed to load World Rankings data: ${response.status} ${response.statusText}`);
+      }
+
+      const data = await response.json();
+
+      // Validate data structure
+      if (!data || !data.rounds || !data.categories || !data.placingTables || !Array.isArray(data.eventGroups)
+        || !Array.isArray(data.placingScores)) {
+        throw new Error('Invalid data format: expected object with rounds, categories, placingTables, eventGroups and placingScores properties');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error loading World Rankings data:', error);
+      throw new Error(`Could not load World Rankings data: ${error.message}`);
+    }
+  }
+
+  /**
+   * Use imported placing scores in place of bundled ones for the same table, category and round
+   * @param {Array<Object>} records - {key, table, category, round, scores, edition}
+   */
+  setImported(records) {
+    this.imported = records;
+  }
+
+  /**
+   * Get the placing scores in use, bundled and imported
+   * @returns {Array<Object>} Records {key, table, category, round, scores, edition, source}
+   */
+  getPlacingScoreRecords() {
+    const importedKeys = new Set(this.imported.map(record => record.key));
+    const bundled = (this.data?.placingScores || [])
+      .filter(record => !importedKeys.has(record.key))
+      .map(record => ({ ...record, source: 'bundled' }));
+
+    return [...bundled, ...this.imported.map(record => ({ ...record, source: 'imported' }))];
+  }
+
+  /**
+   * Get the editions of the World Athletics Rankings Rules the placing scores in use come from
+   * @returns {string[]}
+   */
+  getEditions() {
+    return [...new Set(this.getPlacingScoreRecords().map(record => record.edition).filter(Boolean))];
+  }
+
+  /**
+   * Get the placing tables
+   * @returns {Array<Object>} Tables {key, name}
+   */
+  getPlacingTables() {
+    if (!this.data) {
+      return [];
+    }
+
+    return Object.entries(this.data.placingTables).map(([key, name]) => ({ key, name }));
+  }
+
+  /**
+   * Get the competition categories, highest first
+   * @returns {Array<Object>} Categories {key, name}
+   */
+  getCategories() {
+    if (!this.data) {
+      return [];
+    }
+
+    return Object.entries(this.data.categories).map(([key, category]) => ({
+      key,
+      name: category.name
+    }));
+  }
+
+  /**
+   * Get a competition category
+   * @param {string} categoryKey - e.g. "OW", "GL" or "C"
+   * @returns {Object|null} Category {key, name}
+   */
+  getCategory(categoryKey) {
+    return this.getCategories().find(category => category.key === categoryKey) || null;
+  }
+
+  /**
+   * Get the rounds of a category with placing scores for an event
+   * @param {string} categoryKey - e.g. "OW", "GL" or "C"
+   * @param {string} eventKey
+   * @returns {Array<Object>} Rounds {key, name}, final first
+   */
+  getRounds(categoryKey, eventKey) {
+    if (!this.data) {
+      return [];
+    }
+
+    return Object.keys(this.data.rounds)
+      .filter(round => this.getPlacingScores(categoryKey, round, eventKey))
+      .map(round => ({ key: round, name: this.data.rounds[round] }));
+  }
+
+  /**
+   * Get every round
+   * @returns {Array<Object>} Rounds {key, name}, final first
+   */
+  getAllRounds() {
+    if (!this.data) {
+      return [];
+    }
+
+    return Object.entries(this.data.rounds).map(([key, name]) => ({ key, name }));
+  }
+
+  /**
+   * Get the name of a round
+   * @param {string} roundKey
+   * @returns {string}
+   */
+  getRoundName(roundKey) {
+    return this.data?.rounds[roundKey] || roundKey;
+  }
+
+  /**
+   * Get the placing scores of a round, from the placing table of the event's group
+   * @param {string} categoryKey
+   * @param {string} roundKey
+   * @param {string} eventKey
+   * @returns {number[]|null} Scores by place (first place first), or null if none are loaded
+   */
+  getPlacingScores(categoryKey, roundKey, eventKey) {
+    const table = this.getEventGroup(eventKey)?.placingTable;
+    const record = this.getPlacingScoreRecords().find(placing =>
+      placing.table === table && placing.category === categoryKey && placing.round === roundKey
+    );
+    return record ? record.scores : null;
+  }
+
+  /**
+   * Get the placing score for a place in a round
+   * Places beyond the end of the table score nothing.
+   * @param {string} categoryKey
+   * @param {string} roundKey
+   * @param {number} place - Place in the round (1 = first)
+   * @param {string} eventKey
+   * @returns {number|null} Placing score, or null if the round has no placing scores for the event
+   */
+  getPlacingScore(categoryKey, roundKey, place, eventKey) {
+    const scores = this.getPlacingScores(categoryKey, roundKey, eventKey);
+    if (!scores) {
+      return null;
+    }
+
+    return scores[place - 1] ?? 0;
+  }
+
+  /**
+   * Get all ranking event groups
+   * @returns {Array<Object>} Event groups {key, name, placingTable, resultsCount, events}
+   */
+  getEventGroups() {
+    return this.data ? this.data.eventGroups : [];
+  }
+
+  /**
+   * Get the event group an event's results count towards
+   * @param {string} eventKey
+   * @returns {Object|null} Event group {key, name, placingTable, resultsCount, events}
+   */
+  getEventGroup(eventKey) {
+    const key = resolveEventKey(eventKey);
+    return this.getEventGroups().find(group => group.events.includes(key)) || null;
+  }
+
+  /**
+   * Check if data is loaded
+   * @returns {boolean}
+   */
+  isDataLoaded() {
+    return this.data !== null;
+  }
+
+  /**
+   * Clear cached data
+   */
+  clear() {
+    this.data = null;
+    this.imported = [];
+    this.isLoading = false;
+    this.loadPromise = null;
+  }
+}
+
+// Export singleton instance
+export const worldRankingsLoader = new WorldRankingsLoader();
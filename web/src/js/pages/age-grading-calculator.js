@@ -0,0 +1,335 @@
+/**
+ * Age Grading Calculator Page
+ */
+
+import { Navigation } from '../components/navigation.js';
+import { BaseCalculator } from '../components/calculator-base.js';
+import { DataImportPanel } from '../components/data-import-panel.js';
+import { calculateAgeGrade, buildAgeFactorsCsv, parseAgeFactorsCsv } from '../calculators/age-grading.js';
+import { lookupPoints } from '../calculators/performance-lookup.js';
+import { parsePerformance, formatPerformance } from '../utils/performance-parser.js';
+import { scoringDataLoader } from '../data/scoring-data-loader.js';
+import { eventConfigLoader } from '../data/event-config-loader.js';
+import { ageGradingLoader } from '../data/age-grading-loader.js';
+import { IndexedDbStore } from '../utils/indexed-db-store.js';
+
+// Imported age factors, which replace bundled ones for the same event
+const factorsStore = new IndexedDbStore('athleticsUtils.ageGrading', 'factors', 'key');
+
+const GENDERS = ['men', 'women'];
+
+class AgeGradingCalculator extends BaseCalculator {
+  setupDOMElements() {
+    super.setupDOMElements();
+    this.ageInput = document.querySelector('#age-input');
+    this.ageHelp = document.querySelector('#age-help');
+  }
+
+  setupEventListeners() {
+    super.setupEventListeners();
+
+    this.ageInput?.addEventListener('input', () => {
+      this.ageInput.classList.remove('input-error');
+      this.hideError();
+      sessionStorage.setItem('ageGradingAge', this.ageInput.value.trim());
+    });
+    this.ageInput?.addEventListener('keypress', (e) => this.handleKeyPress(e));
+  }
+
+  async initialize() {
+    await super.initialize();
+    Navigation.initialize();
+
+    // Restore age from session storage
+    const savedAge = sessionStorage.getItem('ageGradingAge');
+    if (savedAge) {
+      this.ageInput.value = savedAge;
+    }
+
+    this.factorsPanel = new DataImportPanel({
+      store: factorsStore,
+      parseCsv: parseAgeFactorsCsv,
+      buildCsv: () => buildAgeFactorsCsv(GENDERS),
+      setImported: records => ageGradingLoader.setImported(records),
+      describe: () => this.describeAgeFactors(),
+      idPrefix: 'factors',
+      fileName: 'age-grading-factors.csv',
+      wording: { data: 'age factors', record: ['event', 'events'], problem: ['row', 'rows'] },
+      onChange: () => this.refreshEvents()
+    });
+    await this.factorsPanel.initialize();
+    this.refreshEvents();
+  }
+
+  handleGenderToggle(gender) {
+    if (this.currentGender === gender) return;
+
+    super.handleGenderToggle(gender);
+    this.refreshEvents();
+  }
+
+  /**
+   * Summarise the bundled and imported age factors in use
+   * @returns {string}
+   */
+  describeAgeFactors() {
+    const events = GENDERS.flatMap(gender =>
+      ageGradingLoader.getSupportedEvents(gender).map(event => ageGradingLoader.getEventData(gender, event))
+    );
+    const importedCount = events.filter(event => event.source === 'imported').length;
+    const bundledCount = events.length - importedCount;
+    const version = ageGradingLoader.getVersion() || 'WMA';
+
+    if (events.length === 0) {
+      return `No age factors are loaded. Import the ${version} age-grading factors to grade performances.`;
+    }
+
+    const parts = [];
+    if (bundledCount > 0) parts.push(`${version} factors for ${bundledCount} bundled ${bundledCount === 1 ? 'event' : 'events'}`);
+    if (importedCount > 0) parts.push(`imported factors for ${importedCount} ${importedCount === 1 ? 'event' : 'events'}`);
+    return `Using ${parts.join(' and ')}.`;
+  }
+
+  /**
+   * Update the events offered after age factors are imported or removed
+   */
+  refreshEvents() {
+    if (!this.currentGender) return;
+
+    this.filterAvailableEvents(this.currentGender);
+    this.currentEvent = null;
+    this.eventTrigger.disabled = this.availableEvents.length === 0;
+    this.eventTriggerText.textContent = this.availableEvents.length > 0 ? 'Select event...' : 'No age factors loaded';
+    this.performanceInput.disabled = true;
+    this.calculateBtn.disabled = true;
+    this.hideResults();
+  }
+
+  async loadScoringData() {
+    try {
+      this.showLoading(true);
+      this.hideError();
+      await Promise.all([
+        scoringDataLoader.load(),
+        eventConfigLoader.load(),
+        ageGradingLoader.load()
+      ]);
+      this.allEvents = eventConfigLoader.getAllEvents();
+      this.initializeGenderToggle();
+      this.showLoading(false);
+    } catch (error) {
+      console.error('Error loading age grading data:', error);
+      this.showError('Failed to load age grading data. Please refresh the page.');
+      this.showLoading(false);
+    }
+  }
+
+  initializeGenderToggle() {
+    // Age factors are only available for men and women
+    const savedGender = sessionStorage.getItem('selectedGender');
+    this.handleGenderToggle(savedGender === 'women' ? 'women' : 'men');
+  }
+
+  filterAvailableEvents(gender) {
+    // Only include events with age factors for this gender
+    this.availableEvents = this.allEvents.filter(event =>
+      ageGradingLoader.supportsEvent(gender, event.key)
+    );
+  }
+
+  selectEvent(eventKey, displayName) {
+    super.selectEvent(eventKey, displayName);
+    this.updateAgeRange();
+  }
+
+  /**
+   * Show the ages the selected event has factors for
+   */
+  updateAgeRange() {
+    const range = ageGradingLoader.getAgeRange(this.currentGender, this.currentEvent);
+    if (!range) return;
+
+    this.ageInput.min = range.min;
+    this.ageInput.max = range.max;
+    this.ageHelp.textContent = `Age on the day of competition (${range.min} to ${range.max})`;
+  }
+
+  handleCalculate() {
+    const inputValue = this.performanceInput.value.trim();
+
+    if (!this.currentGender || !this.currentEvent || !inputValue) {
+      if (!inputValue) {
+        this.performanceInput.classList.add('input-error');
+        this.showError('Please enter a performance value.');
+      }
+      return;
+    }
+
+    try {
+      this.hideError();
+      this.performanceInput.classList.remove('input-error');
+
+      const age = this.parseAge();
+      if (age === null) {
+        const range = ageGradingLoader.getAgeRange(this.currentGender, this.currentEvent);
+        this.ageInput.classList.add('input-error');
+        this.showError(`Invalid age. Please enter a whole number between ${range.min} and ${range.max}.`);
+        return;
+      }
+
+      const normalizedPerformance = parsePerformance(inputValue, this.currentEvent);
+
+      if (!normalizedPerformance) {
+        this.performanceInput.classList.add('input-error');
+        this.showError('Invalid performance format. Please enter a valid number (e.g., 10.5 or 1:30.5)');
+        return;
+      }
+
+      const result = calculateAgeGrade(this.currentGender, this.currentEvent, age, normalizedPerformance);
+
+      if (!result) {
+        this.performanceInput.classList.add('input-error');
+        this.showError('Could not calculate an age grade for this performance. Please check your input.');
+        return;
+      }
+
+      this.displayResults(result, age, normalizedPerformance);
+    } catch (error) {
+      console.error('Calculation error:', error);
+      this.performanceInput.classList.add('input-error');
+      this.showError('An error occurred during calculation. Please try again.');
+    }
+  }
+
+  /**
+   * Parse and validate the age input
+   * @returns {number|null} Age in whole years, or null if invalid
+   */
+  parseAge() {
+    const value = this.ageInput.value.trim();
+    const range = ageGradingLoader.getAgeRange(this.currentGender, this.currentEvent);
+
+    if (!/^\d+$/.test(value)) {
+      return null;
+    }
+
+    const age = parseInt(value, 10);
+    if (!range || age < range.min || age > range.max) {
+      return null;
+    }
+
+    return age;
+  }
+
+  displayResults(result, age, performance) {
+    this.resultsContent.innerHTML = '';
+
+    const eventDisplayName = eventConfigLoader.getEventInfo(this.currentEvent)?.displayName || this.currentEvent;
+
+    // Main result card
+    const mainCard = document.createElement('div');
+    mainCard.className = 'result-card';
+
+    const title = document.createElement('div');
+    title.className = 'result-card__title';
+    title.textContent = `${eventDisplayName} - ${this.capitalizeFirst(this.currentGender)} Age ${age}`;
+
+    const percentage = document.createElement('div');
+    percentage.className = 'result-card__points';
+    percentage.textContent = `${result.ageGradedPercentage.toFixed(2)}%`;
+
+    const content = document.createElement('div');
+    content.className = 'result-card__content';
+    content.innerHTML = `
+      ${result.level}<br>
+      Performance: ${this.formatValue(performance)}
+    `;
+
+    mainCard.appendChild(title);
+    mainCard.appendChild(percentage);
+    mainCard.appendChild(content);
+    this.resultsContent.appendChild(mainCard);
+
+    // Breakdown card
+    const detailsCard = document.createElement('div');
+    detailsCard.className = 'result-card';
+
+    const detailsTitle = document.createElement('div');
+    detailsTitle.className = 'result-card__title';
+    detailsTitle.textContent = 'Age Grading Details';
+
+    const detailsGrid = document.createElement('div');
+    detailsGrid.className = 'equivalencies-grid';
+
+    const openEquivalent = this.roundPerformance(result.openEquivalent);
+    const pointsResult = lookupPoints(this.currentGender, this.currentEvent, openEquivalent);
+
+    const details = [
+      ['Age Factor', result.ageFactor.toFixed(4)],
+      ['Age Standard', this.formatValue(this.roundPerformance(result.ageStandard))],
+      ['Open Standard', this.formatValue(this.roundPerformance(result.openStandard))],
+      ['Open Equivalent', this.formatValue(openEquivalent)],
+      ['Factors', ageGradingLoader.getEventData(this.currentGender, this.currentEvent).source === 'imported'
+        ? 'Imported'
+        : ageGradingLoader.getVersion()]
+    ];
+
+    if (pointsResult) {
+      details.push(['Open Equivalent Score', `${pointsResult.points} points`]);
+    }
+
+    for (const [label, value] of details) {
+      const item = document.createElement('div');
+      item.className = 'equivalency-item';
+
+      const itemLabel = document.createElement('div');
+      itemLabel.className = 'equivalency-item__event';
+      itemLabel.textContent = label;
+
+      const itemValue = document.createElement('div');
+      itemValue.className = 'equivalency-item__performance';
+      itemValue.textContent = value;
+
+      item.appendChild(itemLabel);
+      item.appendChild(itemValue);
+      detailsGrid.appendChild(item);
+    }
+
+    detailsCard.appendChild(detailsTitle);
+    detailsCard.appendChild(detailsGrid);
+    this.resultsContent.appendChild(detailsCard);
+
+    this.showResults();
+  }
+
+  /**
+   * Round a calculated performance to hundredths for display and lookup
+   * @param {number} value
+   * @returns {string}
+   */
+  roundPerformance(value) {
+    return value.toFixed(2);
+  }
+
+  formatValue(performance) {
+    return formatPerformance(performance, this.currentEvent);
+  }
+}
+
+// Initialize when DOM is ready
+const calculator = new AgeGradingCalculator({
+  eventInput: '#event-input',
+  eventDropdown: '#event-dropdown',
+  performanceInput: '#performance-input',
+  calculateBtn: '#calculate-btn',
+  resultsContainer: '#results-container',
+  resultsContent: '#results-content',
+  loadingIndicator: '#loading-indicator',
+  errorMessage: '#error-message'
+});
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => calculator.initialize());
+} else {
+  calculator.initialize();
+}
@@ -0,0 +1,753 @@
+/**
+ * Athlete Profiles Page
+ * Marks, personal bests, season bests and points progression per athlete, persisted in IndexedDB
+ */
+
+import { Navigation } from '../components/navigation.js';
+import { renderProgressionChart } from '../components/progression-chart.js';
+import { createIcon } from '../components/icon.js';
+import { setupEditionSelector } from '../components/edition-selector.js';
+import {
+  createAthlete,
+  createMark,
+  analyzeAthlete,
+  getPointsProgression
+} from '../calculators/athlete-profile.js';
+import { parsePerformance, formatPerformance } from '../utils/performance-parser.js';
+import { IndexedDbStore } from '../utils/indexed-db-store.js';
+import { toCsv, downloadCsv } from '../utils/csv.js';
+import { scoringDataLoader } from '../data/scoring-data-loader.js';
+import { eventConfigLoader } from '../data/event-config-loader.js';
+import { resolveEventKey } from '../data/event-registry.js';
+import { supportsHandTiming } from '../utils/timing-rules.js';
+
+const athleteStore = new IndexedDbStore('athleticsUtils.athletes', 'athletes');
+
+const EXPORT_FORMAT = 'athleticsUtils.athletes';
+const EXPORT_VERSION = 1;
+
+const CATEGORY_ORDER = ['sprints', 'middle_distance', 'long_distance', 'race_walk', 'jumps', 'throws', 'relays', 'combined'];
+
+class AthleteProfilesPage {
+  constructor() {
+    this.athletes = [];
+    this.currentAthlete = null;
+    this.analysis = null;
+    this.selectedSeason = null;
+    this.progressionEvent = '';
+  }
+
+  setupDOMElements() {
+    this.athleteSelect = document.getElementById('athlete-select');
+    this.newAthleteDetails = document.getElementById('new-athlete');
+    this.athleteNameInput = document.getElementById('athlete-name-input');
+    this.athleteGenderSelect = document.getElementById('athlete-gender-select');
+    this.athleteCreateBtn = document.getElementById('athlete-create-btn');
+
+    this.markForm = document.getElementById('mark-form');
+    this.markEventSelect = document.getElementById('mark-event-select');
+    this.markPerformanceInput = document.getElementById('mark-performance-input');
+    this.markPerformanceHelp = document.getElementById('mark-performance-help');
+    this.markHandTimingContainer = document.getElementById('mark-hand-timing-container');
+    this.markHandTimingCheckbox = document.getElementById('mark-hand-timing-checkbox');
+    this.markWindContainer = document.getElementById('mark-wind-container');
+    this.markWindInput = document.getElementById('mark-wind-input');
+    this.markDateInput = document.getElementById('mark-date-input');
+    this.markCompetitionInput = document.getElementById('mark-competition-input');
+    this.markAddBtn = document.getElementById('mark-add-btn');
+
+    this.profileContainer = document.getElementById('profile-container');
+    this.profileTitle = document.getElementById('profile-title');
+    this.athleteDeleteBtn = document.getElementById('athlete-delete-btn');
+    this.personalBests = document.getElementById('personal-bests');
+    this.seasonSelect = document.getElementById('season-select');
+    this.seasonBests = document.getElementById('season-bests');
+    this.progressionEventSelect = document.getElementById('progression-event-select');
+    this.progressionChart = document.getElementById('progression-chart');
+    this.allMarks = document.getElementById('all-marks');
+
+    this.exportJsonBtn = document.getElementById('athletes-export-json-btn');
+    this.exportCsvBtn = document.getElementById('athletes-export-csv-btn');
+    this.importInput = document.getElementById('athletes-import-input');
+    this.status = document.getElementById('athletes-status');
+
+    this.loadingIndicator = document.getElementById('loading-indicator');
+    this.errorMessage = document.getElementById('error-message');
+  }
+
+  setupEventListeners() {
+    this.athleteSelect.addEventListener('change', () => this.selectAthlete(this.athleteSelect.value));
+    this.athleteCreateBtn.addEventListener('click', () => this.handleCreateAthlete());
+    this.athleteNameInput.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') this.handleCreateAthlete();
+    });
+    this.athleteDeleteBtn.addEventListener('click', () => this.handleDeleteAthlete());
+
+    this.markEventSelect.addEventListener('change', () => this.updateMarkInputs());
+    this.markAddBtn.addEventListener('click', () => this.handleAddMark());
+    for (const input of [this.markPerformanceInput, this.markWindInput, this.markCompetitionInput]) {
+      input.addEventListener('input', () => {
+        input.classList.remove('input-error');
+        this.hideError();
+      });
+      input.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') this.handleAddMark();
+      });
+    }
+
+    this.seasonSelect.addEventListener('change', () => {
+      this.selectedSeason = this.seasonSelect.value;
+      this.renderSeasonBests();
+    });
+    this.progressionEventSelect.addEventListener('change', () => {
+      this.progressionEvent = this.progressionEventSelect.value;
+      this.renderProgression();
+    });
+
+    // Mark deletion
+    this.allMarks.addEventListener('click', (e) => {
+      const deleteBtn = e.target.closest('.history-delete-btn');
+      if (deleteBtn) this.handleDeleteMark(deleteBtn.dataset.markId);
+    });
+
+    this.exportJsonBtn.addEventListener('click', () => this.handleExportJson());
+    this.exportCsvBtn.addEventListener('click', () => this.handleExportCsv());
+    this.importInput.addEventListener('change', () => this.handleImport());
+  }
+
+  async initialize() {
+    this.setupDOMElements();
+    this.setupEventListeners();
+    Navigation.initialize();
+
+    try {
+      this.showLoading(true);
+      await Promise.all([
+        scoringDataLoader.load(),
+        eventConfigLoader.load()
+      ]);
+      setupEditionSelector(document.querySelector('#edition-select'), document.querySelector('#edition-notice'));
+      this.showLoading(false);
+    } catch (error) {
+      console.error('Error loading scoring data:', error);
+      this.showError('Failed to load scoring data. Please refresh the page.');
+      this.showLoading(false);
+      return;
+    }
+
+    this.markDateInput.value = new Date().toISOString().slice(0, 10);
+
+    try {
+      await this.loadAthletes();
+    } catch (error) {
+      console.error('Error loading athletes:', error);
+      this.showStatus('Athlete profiles are not available in this browser.');
+      return;
+    }
+
+    // Start with the add form open when there are no athletes yet
+    this.newAthleteDetails.open = this.athletes.length === 0;
+    if (this.athletes.length > 0) {
+      this.selectAthlete(this.athletes[0].id);
+    }
+  }
+
+  /**
+   * Load all athletes from the store and refresh the athlete select
+   */
+  async loadAthletes() {
+    // Marks recorded under an alias (e.g. "10,000mW") are grouped under the event's canonical key
+    this.athletes = (await athleteStore.getAll())
+      .map(athlete => ({
+        ...athlete,
+        marks: athlete.marks.map(mark => ({ ...mark, event: resolveEventKey(mark.event) || mark.event }))
+      }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    this.renderAthleteOptions();
+  }
+
+  renderAthleteOptions() {
+    this.athleteSelect.innerHTML = '<option value="">Select an athlete...</option>';
+
+    for (const athlete of this.athletes) {
+      const option = document.createElement('option');
+      option.value = athlete.id;
+      option.textContent = `${athlete.name} (${this.capitalizeFirst(athlete.gender)})`;
+      this.athleteSelect.appendChild(option);
+    }
+
+    this.athleteSelect.value = this.currentAthlete?.id || '';
+  }
+
+  /**
+   * Show an athlete's profile and mark form
+   * @param {string} id - Athlete ID ('' to clear the selection)
+   */
+  selectAthlete(id) {
+    const previousGender = this.currentAthlete?.gender;
+    this.currentAthlete = this.athletes.find(athlete => athlete.id === id) || null;
+    this.athleteSelect.value = this.currentAthlete?.id || '';
+    this.hideError();
+
+    if (!this.currentAthlete) {
+      this.markForm.classList.add('hidden');
+      this.profileContainer.classList.add('hidden');
+      return;
+    }
+
+    if (this.currentAthlete.gender !== previousGender) {
+      this.populateEventOptions();
+    }
+
+    this.selectedSeason = null;
+    this.progressionEvent = '';
+    this.markForm.classList.remove('hidden');
+    this.renderProfile();
+  }
+
+  /**
+   * Fill the mark event select with the events in the athlete's scoring tables
+   */
+  populateEventOptions() {
+    const previousEvent = this.markEventSelect.value;
+    const scoringEventNames = new Set(
+      scoringDataLoader.getAllEvents(this.currentAthlete.gender).map(e => e.event)
+    );
+
+    const eventsByCategory = {};
+    for (const event of eventConfigLoader.getAllEvents()) {
+      if (!scoringEventNames.has(event.key)) continue;
+
+      const category = event.category || 'other';
+      if (!eventsByCategory[category]) {
+        eventsByCategory[category] = [];
+      }
+      eventsByCategory[category].push(event);
+    }
+
+    const categories = Object.keys(eventsByCategory).sort((a, b) => {
+      const indexA = CATEGORY_ORDER.indexOf(a);
+      const indexB = CATEGORY_ORDER.indexOf(b);
+      if (indexA === -1) return 1;
+      if (indexB === -1) return -1;
+      return indexA - indexB;
+    });
+
+    this.markEventSelect.innerHTML = '';
+    for (const category of categories) {
+      const optgroup = document.createElement('optgroup');
+      optgroup.label = this.formatCategoryName(category);
+
+      for (const event of eventConfigLoader.sortEventsByDistance(eventsByCategory[category])) {
+        const option = document.createElement('option');
+        option.value = event.key;
+        option.textContent = event.displayName || event.key;
+        optgroup.appendChild(option);
+      }
+
+      this.markEventSelect.appendChild(optgroup);
+    }
+
+    if (previousEvent && scoringEventNames.has(previousEvent)) {
+      this.markEventSelect.value = previousEvent;
+    }
+    this.updateMarkInputs();
+  }
+
+  /**
+   * Update the performance hints, wind and hand timing inputs for the selected event
+   */
+  updateMarkInputs() {
+    const eventKey = this.markEventSelect.value;
+    const eventInfo = eventConfigLoader.getEventInfo(eventKey);
+
+    this.markPerformanceInput.placeholder = eventInfo?.placeholder || 'e.g., 10.5';
+    this.markPerformanceHelp.textContent = eventInfo?.format || 'Enter performance value';
+
+    const isHandTimeable = supportsHandTiming(eventKey);
+    this.markHandTimingContainer.style.display = isHandTimeable ? 'block' : 'none';
+    if (!isHandTimeable) {
+      this.markHandTimingCheckbox.checked = false;
+    }
+
+    const supportsWind = eventConfigLoader.supportsWind(eventKey);
+    this.markWindContainer.style.display = supportsWind ? 'flex' : 'none';
+    if (!supportsWind) {
+      this.markWindInput.value = '';
+      this.markWindInput.classList.remove('input-error');
+    }
+  }
+
+  /**
+   * Parse the optional wind reading
+   * @returns {number|null|undefined} Wind in m/s, null if empty, undefined if invalid
+   */
+  parseWindInput() {
+    if (this.markWindContainer.style.display === 'none') {
+      return null;
+    }
+
+    const value = this.markWindInput.value.trim().replace(',', '.');
+    if (!value) {
+      return null;
+    }
+
+    if (!/^[+-]?\d+(\.\d+)?$/.test(value)) {
+      return undefined;
+    }
+
+    return parseFloat(value);
+  }
+
+  async handleCreateAthlete() {
+    const name = this.athleteNameInput.value.trim();
+    if (!name) {
+      this.athleteNameInput.classList.add('input-error');
+      this.showError('Please enter a name for the athlete.');
+      return;
+    }
+
+    this.athleteNameInput.classList.remove('input-error');
+    this.hideError();
+
+    const athlete = createAthlete({ name, gender: this.athleteGenderSelect.value });
+
+    try {
+      await athleteStore.put(athlete);
+    } catch (error) {
+      console.error('Error saving athlete:', error);
+      this.showError('The athlete could not be saved in this browser.');
+      return;
+    }
+
+    this.athleteNameInput.value = '';
+    this.newAthleteDetails.open = false;
+    await this.loadAthletes();
+    this.selectAthlete(athlete.id);
+  }
+
+  async handleDeleteAthlete() {
+    if (!this.currentAthlete) return;
+    if (!confirm(`Delete ${this.currentAthlete.name} and all of their marks?`)) return;
+
+    await athleteStore.delete(this.currentAthlete.id);
+    this.currentAthlete = null;
+    await this.loadAthletes();
+    this.selectAthlete(this.athletes[0]?.id || '');
+  }
+
+  async handleAddMark() {
+    if (!this.currentAthlete) return;
+
+    const event = this.markEventSelect.value;
+    const input = this.markPerformanceInput.value.trim();
+    const date = this.markDateInput.value;
+
+    if (!input) {
+      this.markPerformanceInput.classList.add('input-error');
+      this.showError('Please enter a performance value.');
+      return;
+    }
+
+    const performance = parsePerformance(input, event);
+    if (!performance) {
+      this.markPerformanceInput.classList.add('input-error');
+      this.showError('Invalid performance format. Please enter a valid number (e.g., 10.5 or 1:30.5)');
+      return;
+    }
+
+    const wind = this.parseWindInput();
+    if (wind === undefined) {
+      this.markWindInput.classList.add('input-error');
+      this.showError('Invalid wind reading. Please enter a value in m/s (e.g., +1.2 or -0.8)');
+      return;
+    }
+
+    if (!date) {
+      this.markDateInput.classList.add('input-error');
+      this.showError('Please enter the date of the mark.');
+      return;
+    }
+
+    this.markDateInput.classList.remove('input-error');
+    this.hideError();
+
+    const mark = createMark({
+      event,
+      performance,
+      date,
+      wind,
+      isHandTimed: this.markHandTimingCheckbox.checked,
+      competition: this.markCompetitionInput.value.trim()
+    });
+
+    await this.saveAthlete({
+      ...this.currentAthlete,
+      marks: [...this.currentAthlete.marks, mark]
+    });
+
+    this.markPerformanceInput.value = '';
+    this.markWindInput.value = '';
+    this.markPerformanceInput.focus();
+  }
+
+  async handleDeleteMark(markId) {
+    await this.saveAthlete({
+      ...this.currentAthlete,
+      marks: this.currentAthlete.marks.filter(mark => mark.id !== markId)
+    });
+  }
+
+  /**
+   * Store changes to the current athlete and refresh the profile
+   * @param {Object} athlete - Updated athlete
+   */
+  async saveAthlete(athlete) {
+    const updated = { ...athlete, updatedAt: new Date().toISOString() };
+
+    try {
+      await athleteStore.put(updated);
+    } catch (error) {
+      console.error('Error saving athlete:', error);
+      this.showError('The athlete could not be saved in this browser.');
+      return;
+    }
+
+    this.athletes = this.athletes.map(a => a.id === updated.id ? updated : a);
+    this.currentAthlete = updated;
+    this.renderProfile();
+  }
+
+  renderProfile() {
+    this.analysis = analyzeAthlete(this.currentAthlete);
+    this.profileTitle.textContent = `${this.currentAthlete.name} (${this.capitalizeFirst(this.currentAthlete.gender)})`;
+
+    this.renderPersonalBests();
+    this.renderSeasonOptions();
+    this.renderSeasonBests();
+    this.renderProgressionOptions();
+    this.renderProgression();
+    this.renderAllMarks();
+
+    this.profileContainer.classList.remove('hidden');
+  }
+
+  renderPersonalBests() {
+    this.renderBestsTable(this.personalBests, this.analysis.personalBests, 'No marks recorded yet.');
+  }
+
+  renderSeasonOptions() {
+    const { seasons } = this.analysis;
+    if (!seasons.includes(this.selectedSeason)) {
+      this.selectedSeason = seasons[0] || null;
+    }
+
+    this.seasonSelect.innerHTML = '';
+    for (const season of seasons) {
+      const option = document.createElement('option');
+      option.value = season;
+      option.textContent = season;
+      this.seasonSelect.appendChild(option);
+    }
+
+    this.seasonSelect.disabled = seasons.length === 0;
+    this.seasonSelect.value = this.selectedSeason || '';
+  }
+
+  renderSeasonBests() {
+    const bests = this.selectedSeason ? this.analysis.seasonBests[this.selectedSeason] : [];
+    this.renderBestsTable(this.seasonBests, bests, 'No marks recorded yet.');
+  }
+
+  renderProgressionOptions() {
+    const events = [...new Set(this.analysis.marks.map(mark => mark.event))];
+    if (!events.includes(this.progressionEvent)) {
+      this.progressionEvent = '';
+    }
+
+    this.progressionEventSelect.innerHTML = '<option value="">All events</option>';
+    for (const event of events.sort((a, b) => this.getEventName(a).localeCompare(this.getEventName(b)))) {
+      const option = document.createElement('option');
+      option.value = event;
+      option.textContent = this.getEventName(event);
+      this.progressionEventSelect.appendChild(option);
+    }
+
+    this.progressionEventSelect.value = this.progressionEvent;
+  }
+
+  renderProgression() {
+    const progression = getPointsProgression(this.analysis.marks, this.progressionEvent || null);
+
+    renderProgressionChart(this.progressionChart, progression, point =>
+      `${point.date}: ${this.getEventName(point.event)} ${formatPerformance(point.performance, point.event)} (${point.points} points)`
+    );
+  }
+
+  /**
+   * Render a table of best marks
+   * @param {HTMLElement} container
+   * @param {Array} marks - Scored marks
+   * @param {string} emptyText - Shown when there are no marks
+   */
+  renderBestsTable(container, marks, emptyText) {
+    container.innerHTML = '';
+
+    if (marks.length === 0) {
+      const message = document.createElement('p');
+      message.className = 'form-help';
+      message.textContent = emptyText;
+      container.appendChild(message);
+      return;
+    }
+
+    const { table, tbody } = this.createTable(['Event', 'Mark', 'Points', 'Date'], 'history-table--splits');
+
+    for (const mark of marks) {
+      const row = document.createElement('tr');
+      row.appendChild(this.createCell(this.getEventName(mark.event)));
+      row.appendChild(this.createCell(this.formatMark(mark)));
+      row.appendChild(this.createCell(mark.points ?? '-'));
+      row.appendChild(this.createCell(mark.date, 'history-row__date'));
+      tbody.appendChild(row);
+    }
+
+    container.appendChild(table);
+  }
+
+  renderAllMarks() {
+    this.allMarks.innerHTML = '';
+
+    if (this.analysis.marks.length === 0) {
+      const message = document.createElement('p');
+      message.className = 'form-help';
+      message.textContent = 'Record a mark above to start the profile.';
+      this.allMarks.appendChild(message);
+      return;
+    }
+
+    const { table, tbody } = this.createTable(['Date', 'Event', 'Mark', 'Points', 'Competition', '']);
+
+    for (const mark of this.analysis.marks) {
+      const row = document.createElement('tr');
+      row.appendChild(this.createCell(mark.date, 'history-row__date'));
+      row.appendChild(this.createCell(this.getEventName(mark.event)));
+
+      const markCell = this.createCell(this.formatMark(mark));
+      if (mark.isPb || mark.isSb) {
+        const badge = document.createElement('span');
+        badge.className = 'athlete-profiles__badge';
+        badge.textContent = mark.isPb ? 'PB' : 'SB';
+        markCell.appendChild(badge);
+      }
+      row.appendChild(markCell);
+
+      row.appendChild(this.createCell(mark.points ?? 'Outside tables'));
+      row.appendChild(this.createCell(mark.competition || ''));
+
+      const actionsCell = this.createCell('', 'history-row__actions');
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'history-delete-btn';
+      deleteBtn.setAttribute('aria-label', 'Delete mark');
+      deleteBtn.dataset.markId = mark.id;
+      deleteBtn.appendChild(createIcon('x', 'icon--sm'));
+      actionsCell.appendChild(deleteBtn);
+      row.appendChild(actionsCell);
+
+      tbody.appendChild(row);
+    }
+
+    this.allMarks.appendChild(table);
+  }
+
+  createTable(headings, modifier = '') {
+    const table = document.createElement('table');
+    table.className = modifier ? `history-table ${modifier}` : 'history-table';
+
+    const thead = document.createElement('thead');
+    const headerRow = document.createElement('tr');
+    for (const heading of headings) {
+      const th = document.createElement('th');
+      th.textContent = heading;
+      headerRow.appendChild(th);
+    }
+    thead.appendChild(headerRow);
+
+    const tbody = document.createElement('tbody');
+    table.appendChild(thead);
+    table.appendChild(tbody);
+    return { table, tbody };
+  }
+
+  createCell(text, className = '') {
+    const cell = document.createElement('td');
+    if (className) cell.className = className;
+    cell.textContent = text;
+    return cell;
+  }
+
+  /**
+   * Format a mark with its hand timing and wind reading
+   * @param {Object} mark
+   * @returns {string}
+   */
+  formatMark(mark) {
+    let text = formatPerformance(mark.performance, mark.event);
+    if (mark.isHandTimed) {
+      text += 'h';
+    }
+    if (mark.wind !== null && mark.wind !== undefined) {
+      text += ` (${mark.wind >= 0 ? '+' : ''}${mark.wind.toFixed(1)})`;
+    }
+    return text;
+  }
+
+  getEventName(eventKey) {
+    return eventConfigLoader.getEventInfo(eventKey)?.displayName || eventKey;
+  }
+
+  downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  handleExportJson() {
+    this.hideStatus();
+
+    if (this.athletes.length === 0) {
+      this.showStatus('There are no athletes to export.');
+      return;
+    }
+
+    const json = JSON.stringify({
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      athletes: this.athletes
+    }, null, 2);
+
+    this.downloadFile(json, `athlete-profiles-${new Date().toISOString().slice(0, 10)}.json`, 'application/json');
+  }
+
+  handleExportCsv() {
+    this.hideStatus();
+
+    if (!this.currentAthlete || this.analysis.marks.length === 0) {
+      this.showStatus('Select an athlete with marks to export.');
+      return;
+    }
+
+    const rows = this.analysis.marks.map(mark => [
+      mark.date,
+      this.getEventName(mark.event),
+      formatPerformance(mark.performance, mark.event),
+      mark.isHandTimed ? 'yes' : '',
+      mark.wind ?? '',
+      mark.points ?? '',
+      mark.isPb ? 'PB' : mark.isSb ? 'SB' : '',
+      mark.competition || ''
+    ]);
+
+    const csv = toCsv([
+      ['date', 'event', 'mark', 'hand_timed', 'wind', 'points', 'best', 'competition'],
+      ...rows
+    ]);
+    const slug = this.currentAthlete.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    downloadCsv(csv, `${slug || 'athlete'}-marks.csv`);
+  }
+
+  async handleImport() {
+    const file = this.importInput.files[0];
+    if (!file) return;
+
+    this.hideStatus();
+
+    try {
+      let data;
+      try {
+        data = JSON.parse(await file.text());
+      } catch (error) {
+        throw new Error('The file is not valid JSON.');
+      }
+
+      if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.athletes)) {
+        throw new Error('The file is not an Athletics Utilities athlete profiles export.');
+      }
+
+      // Athletes already stored (same ID) are replaced by the imported copy
+      const athletes = data.athletes.filter(athlete =>
+        athlete && athlete.id && athlete.name && Array.isArray(athlete.marks)
+      );
+      for (const athlete of athletes) {
+        await athleteStore.put(athlete);
+      }
+
+      const selectedId = this.currentAthlete?.id || athletes[0]?.id || '';
+      this.currentAthlete = null;
+      await this.loadAthletes();
+      this.selectAthlete(selectedId);
+
+      this.showStatus(`Imported ${athletes.length} ${athletes.length === 1 ? 'athlete' : 'athletes'}.`);
+    } catch (error) {
+      console.error('Error importing athletes:', error);
+      this.showStatus(error.message || 'The file could not be imported.');
+    } finally {
+      // Allow the same file to be chosen again
+      this.importInput.value = '';
+    }
+  }
+
+  showLoading(show) {
+    this.loadingIndicator?.classList.toggle('hidden', !show);
+  }
+
+  showError(message) {
+    if (this.errorMessage) {
+      this.errorMessage.textContent = message;
+      this.errorMessage.classList.remove('hidden');
+    }
+  }
+
+  hideError() {
+    this.errorMessage?.classList.add('hidden');
+  }
+
+  showStatus(message) {
+    if (this.status) {
+      this.status.textContent = message;
+      this.status.classList.remove('hidden');
+    }
+  }
+
+  hideStatus() {
+    this.status?.classList.add('hidden');
+  }
+
+  capitalizeFirst(str) {
+    return str.charAt(0).toUpperCase() + str.slice(1);
+  }
+
+  formatCategoryName(category) {
+    return category
+      .replace(/[-_]/g, ' ')
+      .split(' ')
+      .map(word => this.capitalizeFirst(word))
+      .join(' ');
+  }
+}
+
+// Initialize when DOM is ready
+const page = new AthleteProfilesPage();
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => page.initialize());
+} else {
+  page.initialize();
+}
@@ -5,12 +5,15 @@
 
 import { Navigation } from '../components/navigation.js';
 import { combinedEventsConfigLoader } from '../data/combined-events-config-loader.js';
-import {
-  calculateEventScore,
-  applyHandTimingOffset,
-  validatePerformance,
-  convertPerformanceToValue
-} from '../utils/combined-events-scorer.js';
+import { getEventSlug, resolveEventKey } from '../data/event-registry.js';
+import { scorePerformance } from '../utils/combined-events-scorer.js';
+import { supportsHandTiming } from '../utils/timing-rules.js';
+import { CompetitionPanel } from '../components/competition-panel.js';
+import { TargetScorePanel } from '../components/target-score-panel.js';
+import { setupCopyLinkButton } from '../components/copy-link-button.js';
+import { HistoryPanel } from '../components/history-panel.js';
+import { ScorecardPanel } from '../components/scorecard-panel.js';
+import { readShareState, updateShareUrl } from '../utils/share-link.js';
 
 /**
  * Combined Events Calculator
@@ -20,19 +23,32 @@ class CombinedEventsCalculator {
     // State
     this.currentGender = null;
     this.currentCombinedEvent = null;
+    this.currentAgeGroup = sessionStorage.getItem('combinedEventsAgeGroup') || 'Open';
+    this.specifications = {}; // { eventKey: '5kg' } for the current gender and age group
     this.performances = {}; // { eventKey: { value, isHandTimed, score, inputValue } }
     this.totalScore = 0;
     this.completedCount = 0;
     this.eventConfig = null;
+    this.mode = sessionStorage.getItem('combinedEventsMode') || 'single'; // 'single', 'target' or 'competition'
+    this.competitionPanel = null;
+    this.targetScorePanel = null;
+    this.historyPanel = null;
+    this.scorecardPanel = null;
+    this.lastCleared = null; // { gender, combinedEvent, marks } of the last cleared scorecard, for undo
 
     // Debounce timer
     this.debounceTimers = {};
 
     // DOM elements (will be initialized)
+    this.modeToggleSingle = null;
+    this.modeToggleTarget = null;
+    this.modeToggleCompetition = null;
     this.genderToggleMen = null;
     this.genderToggleWomen = null;
+    this.ageGroupSelect = null;
     this.combinedEventSelect = null;
     this.clearAllBtn = null;
+    this.undoClearBtn = null;
     this.calculatorForm = null;
     this.progressIndicator = null;
     this.progressText = null;
@@ -42,6 +58,8 @@ class CombinedEventsCalculator {
     this.resultsContainer = null;
     this.finalScore = null;
     this.eventScoresSummary = null;
+    this.copyLinkBtn = null;
+    this.saveHistoryBtn = null;
     this.loadingIndicator = null;
     this.errorMessage = null;
   }
@@ -53,6 +71,9 @@ class CombinedEventsCalculator {
     try {
       Navigation.initialize();
 
+      // Read any share link before the page starts keeping the URL in step
+      const shareState = readShareState();
+
       this.showLoading();
 
       // Load combined events config
@@ -64,8 +85,49 @@ class CombinedEventsCalculator {
       // Setup event listeners
       this.setupEventListeners();
 
+      // Populate age groups before the gender toggle loads the combined events
+      await this.populateAgeGroupSelector();
+
+      // Scorecards in progress are restored as each combined event loads
+      this.scorecardPanel = new ScorecardPanel({
+        getScorecard: () => this.getScorecard(),
+        onLoad: (scorecard) => this.loadScorecard(scorecard)
+      });
+      await this.scorecardPanel.initialize();
+
       // Initialize gender toggle from session storage
-      this.initializeGenderToggle();
+      await this.initializeGenderToggle();
+
+      this.targetScorePanel = new TargetScorePanel({
+        getSelection: () => ({
+          gender: this.currentGender,
+          combinedEventKey: this.currentCombinedEvent,
+          eventConfig: this.eventConfig,
+          performances: this.performances
+        }),
+        onChange: () => this.updateShareLink()
+      });
+      this.targetScorePanel.initialize();
+
+      // Restore any competition in progress
+      this.competitionPanel = new CompetitionPanel({
+        getSelection: () => ({
+          gender: this.currentGender,
+          combinedEventKey: this.currentCombinedEvent,
+          eventConfig: this.eventConfig
+        }),
+        onActiveChange: (isActive) => this.setSelectionLocked(isActive && this.mode === 'competition')
+      });
+      const restored = await this.competitionPanel.initialize();
+
+      this.historyPanel = new HistoryPanel({ calculator: 'combined' });
+      await this.historyPanel.initialize();
+
+      this.handleModeToggle(restored ? 'competition' : this.mode);
+
+      // A share link replaces the saved selection with the linked scorecard
+      await this.restoreShareState(shareState);
+      setupCopyLinkButton(this.copyLinkBtn, () => this.getShareState());
 
       this.hideLoading();
     } catch (error) {
@@ -78,22 +140,27 @@ class CombinedEventsCalculator {
   /**
    * Initialize gender toggle from session storage
    */
-  initializeGenderToggle() {
+  async initializeGenderToggle() {
     // Load saved gender from session storage, default to 'men'
     const savedGender = sessionStorage.getItem('selectedGender') || 'men';
 
     // Set the initial gender and trigger UI update
-    this.handleGenderToggle(savedGender);
+    await this.handleGenderToggle(savedGender);
   }
 
   /**
    * Initialize DOM elements
    */
   initializeElements() {
+    this.modeToggleSingle = document.getElementById('mode-toggle-single');
+    this.modeToggleTarget = document.getElementById('mode-toggle-target');
+    this.modeToggleCompetition = document.getElementById('mode-toggle-competition');
     this.genderToggleMen = document.getElementById('gender-toggle-men');
     this.genderToggleWomen = document.getElementById('gender-toggle-women');
+    this.ageGroupSelect = document.getElementById('age-group-select');
     this.combinedEventSelect = document.getElementById('combined-event-select');
     this.clearAllBtn = document.getElementById('clear-all-btn');
+    this.undoClearBtn = document.getElementById('undo-clear-btn');
     this.calculatorForm = document.getElementById('calculator-form');
     this.progressIndicator = document.getElementById('progress-indicator');
     this.progressText = document.getElementById('progress-text');
@@ -103,6 +170,8 @@ class CombinedEventsCalculator {
     this.resultsContainer = document.getElementById('results-container');
     this.finalScore = document.getElementById('final-score');
     this.eventScoresSummary = document.getElementById('event-scores-summary');
+    this.copyLinkBtn = document.getElementById('copy-link-btn');
+    this.saveHistoryBtn = document.getElementById('save-history-btn');
     this.loadingIndicator = document.getElementById('loading-indicator');
     this.errorMessage = document.getElementById('error-message');
   }
@@ -111,43 +180,148 @@ class CombinedEventsCalculator {
    * Setup event listeners
    */
   setupEventListeners() {
+    // Mode toggle buttons
+    this.modeToggleSingle?.addEventListener('click', () => this.handleModeToggle('single'));
+    this.modeToggleTarget?.addEventListener('click', () => this.handleModeToggle('target'));
+    this.modeToggleCompetition?.addEventListener('click', () => this.handleModeToggle('competition'));
+
     // Gender toggle buttons
     this.genderToggleMen?.addEventListener('click', () => this.handleGenderToggle('men'));
     this.genderToggleWomen?.addEventListener('click', () => this.handleGenderToggle('women'));
 
+    // Age group selection change
+    this.ageGroupSelect?.addEventListener('change', () => this.handleAgeGroupChange());
+
     // Combined event selection change
     this.combinedEventSelect?.addEventListener('change', () => this.handleCombinedEventChange());
 
     // Clear all button
     this.clearAllBtn?.addEventListener('click', () => this.handleClearAll());
+    this.undoClearBtn?.addEventListener('click', () => this.handleUndoClear());
+
+    // Save scorecard to history
+    this.saveHistoryBtn?.addEventListener('click', () => this.handleSaveToHistory());
+  }
+
+  /**
+   * Handle mode toggle between single athlete, target score and competition
+   * @param {string} mode - 'single', 'target' or 'competition'
+   */
+  handleModeToggle(mode) {
+    this.mode = mode;
+    sessionStorage.setItem('combinedEventsMode', mode);
+
+    const isCompetition = mode === 'competition';
+    this.modeToggleSingle?.classList.toggle('mode-toggle__option--active', mode === 'single');
+    this.modeToggleTarget?.classList.toggle('mode-toggle__option--active', mode === 'target');
+    this.modeToggleCompetition?.classList.toggle('mode-toggle__option--active', isCompetition);
+
+    // The gender and combined event only stay locked while a competition is in view
+    this.setSelectionLocked(isCompetition && (this.competitionPanel?.isActive() || false));
+
+    if (isCompetition) {
+      this.hideForm();
+      this.hideResults();
+      this.clearAllBtn?.classList.add('hidden');
+      this.undoClearBtn?.classList.add('hidden');
+      this.targetScorePanel?.hide();
+      this.competitionPanel?.show();
+    } else {
+      this.competitionPanel?.hide();
+      if (this.eventConfig) {
+        this.calculatorForm?.classList.remove('hidden');
+        this.resultsContainer?.classList.remove('hidden');
+        this.clearAllBtn?.classList.remove('hidden');
+        this.updateUndoButton();
+      }
+
+      if (mode === 'target') {
+        this.targetScorePanel?.show();
+      } else {
+        this.targetScorePanel?.hide();
+      }
+    }
+
+    this.updateShareLink();
+  }
+
+  /**
+   * Lock the gender and combined event selection while a competition is active
+   * @param {boolean} isLocked
+   */
+  setSelectionLocked(isLocked) {
+    if (this.genderToggleMen) this.genderToggleMen.disabled = isLocked;
+    if (this.genderToggleWomen) this.genderToggleWomen.disabled = isLocked;
+    if (this.ageGroupSelect) this.ageGroupSelect.disabled = isLocked;
+    if (this.combinedEventSelect) this.combinedEventSelect.disabled = isLocked;
+  }
+
+  /**
+   * Populate age group selector from the combined events config
+   */
+  async populateAgeGroupSelector() {
+    const ageGroups = await combinedEventsConfigLoader.getAgeGroups();
+
+    if (!ageGroups.includes(this.currentAgeGroup)) {
+      this.currentAgeGroup = ageGroups.includes('Open') ? 'Open' : ageGroups[0];
+    }
+
+    this.ageGroupSelect.innerHTML = '';
+
+    for (const ageGroup of ageGroups) {
+      const option = document.createElement('option');
+      option.value = ageGroup;
+      option.textContent = ageGroup;
+      option.selected = ageGroup === this.currentAgeGroup;
+      this.ageGroupSelect.appendChild(option);
+    }
+  }
+
+  /**
+   * Handle age group selection change
+   */
+  async handleAgeGroupChange() {
+    this.currentAgeGroup = this.ageGroupSelect.value;
+    sessionStorage.setItem('combinedEventsAgeGroup', this.currentAgeGroup);
+
+    await this.populateCombinedEventSelector(this.currentGender);
   }
 
   /**
-   * Populate combined event selector based on gender
+   * Populate combined event selector based on gender and age group
    */
   async populateCombinedEventSelector(gender) {
     try {
-      const combinedEvents = await combinedEventsConfigLoader.getCombinedEvents(gender);
+      const combinedEvents = await combinedEventsConfigLoader.getCombinedEvents(gender, this.currentAgeGroup);
+      this.specifications = await combinedEventsConfigLoader.getSpecifications(gender, this.currentAgeGroup);
 
       // Clear existing options
       this.combinedEventSelect.innerHTML = '';
 
       const entries = Object.entries(combinedEvents);
 
+      // Keep the current combined event if it is contested in this age group
+      const selectedKey = combinedEvents[this.currentCombinedEvent] ? this.currentCombinedEvent : entries[0]?.[0];
+
       // Add options for each combined event
-      entries.forEach(([key, event], index) => {
+      entries.forEach(([key, event]) => {
         const option = document.createElement('option');
         option.value = key;
         option.textContent = event.displayName;
-        if (index === 0) {
+        if (key === selectedKey) {
           option.selected = true;
         }
         this.combinedEventSelect.appendChild(option);
       });
 
-      // Trigger change event to load the first event automatically
+      // Trigger change event to load the selected event automatically
       if (entries.length > 0) {
         await this.handleCombinedEventChange();
+      } else {
+        this.currentCombinedEvent = null;
+        this.eventConfig = null;
+        this.hideForm();
+        this.hideResults();
       }
     } catch (error) {
       console.error('Error populating combined event selector:', error);
@@ -219,13 +393,23 @@ class CombinedEventsCalculator {
     // Generate event input fields
     await this.generateEventInputs();
 
-    // Show form and clear button
-    this.calculatorForm.classList.remove('hidden');
-    this.clearAllBtn.classList.remove('hidden');
-    this.resultsContainer.classList.remove('hidden');
+    // Restore the scorecard in progress for this gender and combined event
+    const draft = await this.scorecardPanel?.getDraft(this.currentGender, this.currentCombinedEvent);
+    if (draft) {
+      await this.applyMarks(draft.marks);
+    }
+    this.updateUndoButton();
+
+    // Show form and clear button (competition mode uses its own panel)
+    if (this.mode !== 'competition') {
+      this.calculatorForm.classList.remove('hidden');
+      this.clearAllBtn.classList.remove('hidden');
+      this.resultsContainer.classList.remove('hidden');
+    }
 
     // Update progress
     this.updateProgress();
+    this.targetScorePanel?.update();
   }
 
   /**
@@ -269,7 +453,7 @@ class CombinedEventsCalculator {
             this.currentGender,
             eventKey
           );
-          const isHandTimeable = await combinedEventsConfigLoader.isHandTimeable(eventKey);
+          const isHandTimeable = supportsHandTiming(eventKey);
 
           if (eventParams) {
             const inputGroup = this.createEventInputGroup(eventKey, eventParams, isHandTimeable);
@@ -292,7 +476,7 @@ class CombinedEventsCalculator {
             this.currentGender,
             eventKey
           );
-          const isHandTimeable = await combinedEventsConfigLoader.isHandTimeable(eventKey);
+          const isHandTimeable = supportsHandTiming(eventKey);
 
           if (eventParams) {
             const inputGroup = this.createEventInputGroup(eventKey, eventParams, isHandTimeable);
@@ -315,8 +499,9 @@ class CombinedEventsCalculator {
 
     // Label
     const label = document.createElement('label');
-    label.htmlFor = `input-${eventKey}`;
-    label.textContent = eventParams.displayName;
+    label.htmlFor = `input-${getEventSlug(eventKey)}`;
+    const specification = this.specifications[eventKey];
+    label.textContent = specification ? `${eventParams.displayName} (${specification})` : eventParams.displayName;
     group.appendChild(label);
 
     // Input container
@@ -326,7 +511,7 @@ class CombinedEventsCalculator {
     // Text input
     const input = document.createElement('input');
     input.type = 'text';
-    input.id = `input-${eventKey}`;
+    input.id = `input-${getEventSlug(eventKey)}`;
     input.className = 'form-input event-performance-input';
     input.setAttribute('data-event', eventKey);
     input.setAttribute('aria-label', `Performance for ${eventParams.displayName}`);
@@ -344,13 +529,13 @@ class CombinedEventsCalculator {
 
       const checkbox = document.createElement('input');
       checkbox.type = 'checkbox';
-      checkbox.id = `hand-timing-${eventKey}`;
+      checkbox.id = `hand-timing-${getEventSlug(eventKey)}`;
       checkbox.className = 'hand-timing-checkbox';
       checkbox.setAttribute('data-event', eventKey);
       checkbox.setAttribute('aria-label', `Hand timed for ${eventParams.displayName}`);
 
       const checkboxLabel = document.createElement('label');
-      checkboxLabel.htmlFor = `hand-timing-${eventKey}`;
+      checkboxLabel.htmlFor = `hand-timing-${getEventSlug(eventKey)}`;
       checkboxLabel.textContent = 'Hand Timed';
       checkboxLabel.className = 'hand-timing-label';
 
@@ -367,7 +552,7 @@ class CombinedEventsCalculator {
     // Score display
     const scoreDisplay = document.createElement('div');
     scoreDisplay.className = 'event-score';
-    scoreDisplay.id = `score-${eventKey}`;
+    scoreDisplay.id = `score-${getEventSlug(eventKey)}`;
     scoreDisplay.setAttribute('aria-live', 'polite');
     scoreDisplay.textContent = '';
     group.appendChild(scoreDisplay);
@@ -383,9 +568,9 @@ class CombinedEventsCalculator {
       case 'time':
         return 'e.g., 10.5 or 1:23.4';
       case 'distance':
-        return 'e.g., 7.50';
+        return 'e.g., 7.50 or 24-07.25';
       case 'height':
-        return 'e.g., 2.10';
+        return 'e.g., 2.10 or 6-10.75';
       default:
         return '';
     }
@@ -401,8 +586,13 @@ class CombinedEventsCalculator {
     }
 
     // Set new timer
-    this.debounceTimers[eventKey] = setTimeout(() => {
-      this.processPerformanceInput(eventKey);
+    this.debounceTimers[eventKey] = setTimeout(async () => {
+      await this.processPerformanceInput(eventKey);
+
+      // A new mark replaces the cleared scorecard that could be brought back
+      this.lastCleared = null;
+      this.updateUndoButton();
+      this.saveDraft();
     }, 300);
   }
 
@@ -410,9 +600,9 @@ class CombinedEventsCalculator {
    * Process performance input and calculate score
    */
   async processPerformanceInput(eventKey) {
-    const input = document.getElementById(`input-${eventKey}`);
-    const scoreDisplay = document.getElementById(`score-${eventKey}`);
-    const handTimingCheckbox = document.getElementById(`hand-timing-${eventKey}`);
+    const input = document.getElementById(`input-${getEventSlug(eventKey)}`);
+    const scoreDisplay = document.getElementById(`score-${getEventSlug(eventKey)}`);
+    const handTimingCheckbox = document.getElementById(`hand-timing-${getEventSlug(eventKey)}`);
 
     if (!input) return;
 
@@ -437,14 +627,11 @@ class CombinedEventsCalculator {
 
       if (!eventParams) return;
 
-      // Convert performance to numeric value
-      let performanceValue = convertPerformanceToValue(
-        inputValue,
-        eventParams.measurement,
-        eventKey
-      );
+      // Convert performance to numeric value, applying the timing rules for track events
+      const isHandTimed = handTimingCheckbox?.checked || false;
+      const scored = scorePerformance(inputValue, eventKey, eventParams, isHandTimed);
 
-      if (performanceValue === null || !validatePerformance(performanceValue)) {
+      if (!scored) {
         input.classList.add('input-error');
         scoreDisplay.textContent = 'Invalid input';
         scoreDisplay.classList.remove('has-value');
@@ -453,19 +640,7 @@ class CombinedEventsCalculator {
         return;
       }
 
-      // Apply hand timing offset if applicable
-      const isHandTimed = handTimingCheckbox?.checked || false;
-      if (isHandTimed && eventParams.measurement === 'time') {
-        const offset = await combinedEventsConfigLoader.getHandTimingOffset(eventKey);
-        performanceValue = applyHandTimingOffset(performanceValue, offset);
-      }
-
-      // Calculate score
-      const score = calculateEventScore(
-        performanceValue,
-        eventParams.parameters,
-        eventParams.measurement
-      );
+      const { value: performanceValue, score, warning } = scored;
 
       // Update performance state
       this.performances[eventKey] = {
@@ -480,6 +655,15 @@ class CombinedEventsCalculator {
       scoreDisplay.textContent = `${score} points`;
       scoreDisplay.classList.add('has-value');
 
+      // Time entered more precisely than the timing rules allow
+      if (warning) {
+        const warningNote = document.createElement('span');
+        warningNote.className = 'event-score__warning';
+        warningNote.textContent = ' (rounded up)';
+        warningNote.title = warning;
+        scoreDisplay.appendChild(warningNote);
+      }
+
       // Recalculate totals
       this.calculateTotals();
     } catch (error) {
@@ -513,6 +697,247 @@ class CombinedEventsCalculator {
 
     // Update final score
     this.updateFinalScore();
+
+    // Update marks needed for the target score
+    this.targetScorePanel?.update();
+
+    this.updateShareLink();
+  }
+
+  /**
+   * Selection, marks and target of the current scorecard for a share link
+   * Marks are stored as entered (m.<event>) so invalid entries are shared as typed.
+   * @returns {Object}
+   */
+  getShareState() {
+    const state = {
+      mode: this.mode === 'target' ? 'target' : 'single',
+      gender: this.currentGender,
+      age: this.currentAgeGroup,
+      event: this.currentCombinedEvent
+    };
+
+    const handTimed = [];
+    this.daysContainer.querySelectorAll('.event-performance-input').forEach(input => {
+      const eventKey = input.dataset.event;
+      state[`m.${eventKey}`] = input.value.trim();
+
+      if (document.getElementById(`hand-timing-${getEventSlug(eventKey)}`)?.checked) {
+        handTimed.push(eventKey);
+      }
+    });
+    state.hand = handTimed.join(',');
+
+    if (state.mode === 'target' && this.targetScorePanel) {
+      const { target, ceilings } = this.targetScorePanel.getState();
+      state.target = target;
+      for (const [eventKey, value] of Object.entries(ceilings)) {
+        state[`c.${eventKey}`] = value;
+      }
+    }
+
+    return state;
+  }
+
+  /**
+   * Keep the address bar in step with the scorecard
+   * Competitions are stored on the device and are not shared by link.
+   */
+  updateShareLink() {
+    if (this.mode === 'competition') {
+      updateShareUrl({});
+    } else if (this.currentCombinedEvent) {
+      updateShareUrl(this.getShareState());
+    }
+  }
+
+  /**
+   * Select a gender, age group and combined event
+   * @param {string} gender - 'men' or 'women' (other values keep the current gender)
+   * @param {string} ageGroup - Age group (kept if not available)
+   * @param {string} combinedEvent - Combined event key
+   * @returns {Promise<boolean>} True if the combined event is selected
+   */
+  async selectCombinedEvent(gender, ageGroup, combinedEvent) {
+    if (gender === 'men' || gender === 'women') {
+      await this.handleGenderToggle(gender);
+    }
+
+    if (ageGroup && ageGroup !== this.currentAgeGroup
+      && [...this.ageGroupSelect.options].some(option => option.value === ageGroup)) {
+      this.ageGroupSelect.value = ageGroup;
+      await this.handleAgeGroupChange();
+    }
+
+    if (combinedEvent !== this.currentCombinedEvent) {
+      if (![...this.combinedEventSelect.options].some(option => option.value === combinedEvent)) return false;
+      this.combinedEventSelect.value = combinedEvent;
+      await this.handleCombinedEventChange();
+    }
+
+    return true;
+  }
+
+  /**
+   * Marks entered on the scorecard, as typed
+   * @returns {Object} { eventKey: { inputValue, isHandTimed } } for each event with a mark
+   */
+  getMarks() {
+    const marks = {};
+
+    this.daysContainer.querySelectorAll('.event-performance-input').forEach(input => {
+      const inputValue = input.value.trim();
+      if (inputValue) {
+        marks[input.dataset.event] = {
+          inputValue,
+          isHandTimed: document.getElementById(`hand-timing-${getEventSlug(input.dataset.event)}`)?.checked || false
+        };
+      }
+    });
+
+    return marks;
+  }
+
+  /**
+   * Fill the scorecard with marks and score them
+   * Events without a mark are cleared.
+   * @param {Object} marks - { eventKey: { inputValue, isHandTimed } }
+   */
+  async applyMarks(marks) {
+    // Marks saved under an alias (e.g. "110mh") are matched to the event's canonical key
+    const marksByEvent = Object.fromEntries(
+      Object.entries(marks).map(([key, mark]) => [resolveEventKey(key) || key, mark])
+    );
+
+    const inputs = [...this.daysContainer.querySelectorAll('.event-performance-input')];
+    for (const input of inputs) {
+      const eventKey = input.dataset.event;
+      input.value = marksByEvent[eventKey]?.inputValue || '';
+
+      const checkbox = document.getElementById(`hand-timing-${getEventSlug(eventKey)}`);
+      if (checkbox) {
+        checkbox.checked = marksByEvent[eventKey]?.isHandTimed || false;
+      }
+
+      await this.processPerformanceInput(eventKey);
+    }
+  }
+
+  /**
+   * The current scorecard for saving
+   * @returns {Object|null} { gender, ageGroup, combinedEvent, displayName, marks, total, completed, eventCount }
+   */
+  getScorecard() {
+    if (!this.eventConfig || !this.currentCombinedEvent) return null;
+
+    return {
+      gender: this.currentGender,
+      ageGroup: this.currentAgeGroup,
+      combinedEvent: this.currentCombinedEvent,
+      displayName: this.eventConfig.displayName,
+      marks: this.getMarks(),
+      total: this.totalScore,
+      completed: this.completedCount,
+      eventCount: this.eventConfig.events.flat().length
+    };
+  }
+
+  /**
+   * Save the scorecard in progress (competitions are saved by their own panel)
+   */
+  saveDraft() {
+    if (this.mode === 'competition') return;
+    this.scorecardPanel?.saveDraft(this.getScorecard());
+  }
+
+  /**
+   * Load a saved scorecard, keeping any marks it replaces for undo
+   * @param {Object} scorecard - Saved scorecard from the scorecard panel
+   */
+  async loadScorecard(scorecard) {
+    if (!await this.selectCombinedEvent(scorecard.gender, scorecard.ageGroup, scorecard.combinedEvent)) {
+      this.showError(`${scorecard.displayName} is not available for the selected age group.`);
+      return;
+    }
+
+    this.hideError();
+    this.rememberCleared();
+    await this.applyMarks(scorecard.marks);
+    this.saveDraft();
+    this.updateUndoButton();
+  }
+
+  /**
+   * Keep the marks on the scorecard so they can be brought back with undo
+   */
+  rememberCleared() {
+    const marks = this.getMarks();
+    if (Object.keys(marks).length === 0) return;
+
+    this.lastCleared = {
+      gender: this.currentGender,
+      combinedEvent: this.currentCombinedEvent,
+      marks
+    };
+  }
+
+  /**
+   * Show the undo button while the last cleared scorecard is the one in view
+   */
+  updateUndoButton() {
+    const canUndo = this.lastCleared !== null
+      && this.mode !== 'competition'
+      && this.lastCleared.gender === this.currentGender
+      && this.lastCleared.combinedEvent === this.currentCombinedEvent;
+
+    this.undoClearBtn?.classList.toggle('hidden', !canUndo);
+  }
+
+  /**
+   * Bring back the marks of the last cleared scorecard
+   */
+  async handleUndoClear() {
+    if (!this.lastCleared) return;
+
+    const { marks } = this.lastCleared;
+    this.lastCleared = null;
+
+    await this.applyMarks(marks);
+    this.saveDraft();
+    this.updateUndoButton();
+  }
+
+  /**
+   * Restore a scorecard from a share link
+   * @param {Object|null} state - State from readShareState
+   */
+  async restoreShareState(state) {
+    if (!state || !state.event) return;
+
+    if (!await this.selectCombinedEvent(state.gender, state.age, state.event)) return;
+
+    this.handleModeToggle(state.mode === 'target' ? 'target' : 'single');
+
+    const handTimed = (state.hand || '').split(',');
+    const marks = {};
+    for (const [key, value] of Object.entries(state)) {
+      if (key.startsWith('m.') && value) {
+        const eventKey = key.slice(2);
+        marks[eventKey] = { inputValue: value, isHandTimed: handTimed.includes(eventKey) };
+      }
+    }
+    await this.applyMarks(marks);
+
+    if (this.mode === 'target') {
+      const ceilings = {};
+      for (const [key, value] of Object.entries(state)) {
+        if (key.startsWith('c.')) {
+          ceilings[resolveEventKey(key.slice(2)) || key.slice(2)] = value;
+        }
+      }
+      this.targetScorePanel.setState({ target: state.target || '', ceilings });
+      this.updateShareLink();
+    }
   }
 
   /**
@@ -630,6 +1055,9 @@ class CombinedEventsCalculator {
    * Handle clear all button
    */
   handleClearAll() {
+    // Keep the marks for undo
+    this.rememberCleared();
+
     // Clear all input fields
     const inputs = this.daysContainer.querySelectorAll('.event-performance-input');
     inputs.forEach(input => {
@@ -657,6 +1085,47 @@ class CombinedEventsCalculator {
 
     // Update displays
     this.calculateTotals();
+
+    this.saveDraft();
+    this.updateUndoButton();
+  }
+
+  /**
+   * Save the current scorecard to the calculation history
+   */
+  async handleSaveToHistory() {
+    this.hideError();
+
+    if (!this.eventConfig || this.completedCount === 0) {
+      this.showError('Enter at least one mark before saving to history.');
+      return;
+    }
+
+    const allEvents = this.eventConfig.events.flat();
+    const marks = {};
+    for (const eventKey of allEvents) {
+      const perf = this.performances[eventKey];
+      if (perf) {
+        marks[eventKey] = perf.isHandTimed ? `${perf.inputValue} (hand timed)` : perf.inputValue;
+      }
+    }
+
+    const gender = this.currentGender.charAt(0).toUpperCase() + this.currentGender.slice(1);
+
+    await this.historyPanel.addEntry({
+      gender: this.currentGender,
+      ageGroup: this.currentAgeGroup,
+      combinedEvent: this.currentCombinedEvent,
+      event: `${this.eventConfig.displayName} (${gender}, ${this.currentAgeGroup})`,
+      performance: `${this.completedCount}/${allEvents.length} events`,
+      total: this.totalScore,
+      marks
+    });
+
+    this.saveHistoryBtn.textContent = 'Saved';
+    setTimeout(() => {
+      this.saveHistoryBtn.textContent = 'Save to history';
+    }, 2000);
   }
 
   /**
@@ -13,7 +13,13 @@ function addToolCardIcons() {
   const iconMap = {
     'Pace & Speed Calculator': 'timer',
     'World Athletics Score Calculator': 'trophy',
-    'Combined Event Score Calculator': 'layers'
+    'Combined Event Score Calculator': 'layers',
+    'Age Grading Calculator': 'hourglass',
+    'Race Time Predictor': 'trending-up',
+    'Relay Split Analyser': 'repeat',
+    'Athlete Profiles': 'users',
+    'Scoring Table Explorer': 'table',
+    'Qualification Standards Checker': 'flag'
   };
 
   const titles = document.querySelectorAll('.tool-card__title');
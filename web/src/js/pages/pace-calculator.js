@@ -5,19 +5,38 @@
 
 import { Navigation } from '../components/navigation.js';
 import { PaceCalculatorBase } from '../components/pace-calculator-base.js';
-import { createIcon } from '../components/icon.js';
+import { TrainingZonesPanel } from '../components/training-zones-panel.js';
+import { HistoryPanel } from '../components/history-panel.js';
+import { setupCopyLinkButton } from '../components/copy-link-button.js';
 import {
   calculatePace,
   calculateTotalTime,
   calculateSpeed,
   calculateTotalTimeFromSpeed,
+  calculateDistance,
+  calculateDistanceFromSpeed,
+  getEquivalentDistances,
   convertPaceToSpeedUnit,
   convertSpeedToPace,
   getSpeedUnitSplitInterval,
   calculateSmartSplits,
   getDistanceInMetres,
-  getEquivalentPaces
+  getEquivalentPaces,
+  convertPaceUnit
 } from '../calculators/pace-calculations.js';
+import { TIMED_RACES, DEFAULT_TIMED_RACE, getTimedRace } from '../calculators/timed-races.js';
+import { RACE_PLAN_STRATEGIES, createRacePlan, applyRacePlan } from '../calculators/race-plan.js';
+import {
+  TRACK_TYPES,
+  TRACK_LANES,
+  createTrack,
+  getLaneLapDistance,
+  getStartPosition,
+  calculateLaneStagger,
+  calculateTrackSplits,
+  countLaps,
+  formatTrackMetres
+} from '../calculators/track-laps.js';
 import {
   parseTimeInput,
   parsePaceInput,
@@ -35,6 +54,7 @@ import {
   formatDistanceWithUnit
 } from '../utils/pace-formatter.js';
 import { makeCollapsible } from '../utils/collapsible-section.js';
+import { readShareState, updateShareUrl } from '../utils/share-link.js';
 
 class PaceCalculator extends PaceCalculatorBase {
   constructor() {
@@ -43,12 +63,18 @@ class PaceCalculator extends PaceCalculatorBase {
       results: '#results-container'
     });
 
-    // History storage key
-    this.historyStorageKey = 'athleticsUtils.paceHistory';
-    this.maxHistoryEntries = 10;
 
     // Split format storage key
     this.splitFormatStorageKey = 'paceCalculatorSplitFormat';
+
+    // Race plan storage key
+    this.racePlanStorageKey = 'paceCalculatorRacePlan';
+    this.activeRacePlan = null;
+    this.racePlanError = null;
+
+    // Track settings storage key
+    this.trackStorageKey = 'paceCalculatorTrack';
+    this.trackError = null;
   }
 
   /**
@@ -64,6 +90,7 @@ class PaceCalculator extends PaceCalculatorBase {
     this.timeModeBtn = document.getElementById('mode-toggle-time');
     this.calculateLabel = document.getElementById('calculate-label');
     this.timeLabel = document.getElementById('time-label');
+    this.distanceModeBtn = document.getElementById('mode-toggle-distance');
 
     // Tertiary toggle buttons (Standard / Advanced)
     this.standardModeBtn = document.getElementById('mode-toggle-standard');
@@ -139,18 +166,45 @@ class PaceCalculator extends PaceCalculatorBase {
     this.distanceEquivalentSpeedTimeAdvanced = document.getElementById('distance-equivalent-speed-time-advanced');
     this.calculateBtnSpeedTimeAdvanced = document.getElementById('calculate-btn-speed-time-advanced');
 
+    // Pace Distance Standard mode elements (timed race + pace → distance)
+    this.paceDistanceStandardControls = document.getElementById('pace-distance-standard-controls');
+    this.raceSelectPaceDistanceStandard = document.getElementById('race-select-pace-distance-standard');
+    this.paceInputDistanceStandard = document.getElementById('pace-input-distance-standard');
+    this.paceUnitSelectDistanceStandard = document.getElementById('pace-unit-select-distance-standard');
+    this.calculateBtnPaceDistanceStandard = document.getElementById('calculate-btn-pace-distance-standard');
+
+    // Pace Distance Advanced mode elements (time + custom pace → distance)
+    this.paceDistanceAdvancedControls = document.getElementById('pace-distance-advanced-controls');
+    this.timeInputPaceDistanceAdvanced = document.getElementById('time-input-pace-distance-advanced');
+    this.paceInputDistanceAdvanced = document.getElementById('pace-input-distance-advanced');
+    this.paceIntervalInputDistanceAdvanced = document.getElementById('pace-interval-input-distance-advanced');
+    this.paceIntervalUnitSelectDistanceAdvanced = document.getElementById('pace-interval-unit-select-distance-advanced');
+    this.calculateBtnPaceDistanceAdvanced = document.getElementById('calculate-btn-pace-distance-advanced');
+
+    // Speed Distance Standard mode elements (timed race + speed → distance)
+    this.speedDistanceStandardControls = document.getElementById('speed-distance-standard-controls');
+    this.raceSelectSpeedDistanceStandard = document.getElementById('race-select-speed-distance-standard');
+    this.speedInputDistanceStandard = document.getElementById('speed-input-distance-standard');
+    this.speedUnitSelectDistanceStandard = document.getElementById('speed-unit-select-distance-standard');
+    this.calculateBtnSpeedDistanceStandard = document.getElementById('calculate-btn-speed-distance-standard');
+
+    // Speed Distance Advanced mode elements (time + speed → distance)
+    this.speedDistanceAdvancedControls = document.getElementById('speed-distance-advanced-controls');
+    this.timeInputSpeedDistanceAdvanced = document.getElementById('time-input-speed-distance-advanced');
+    this.speedInputDistanceAdvanced = document.getElementById('speed-input-distance-advanced');
+    this.speedUnitSelectDistanceAdvanced = document.getElementById('speed-unit-select-distance-advanced');
+    this.calculateBtnSpeedDistanceAdvanced = document.getElementById('calculate-btn-speed-distance-advanced');
+
     // Results
     this.resultsContent = document.getElementById('results-content');
-
-    // History
-    this.historySection = document.getElementById('history-section');
-    this.historyTableBody = document.getElementById('history-table-body');
+    this.copyLinkBtn = document.getElementById('copy-link-btn');
 
     // Initialize state from sessionStorage
     this.initializeState();
 
-    // Populate distance dropdowns
+    // Populate distance and timed race dropdowns
     this.populateDistanceDropdowns();
+    this.populateTimedRaceDropdowns();
 
     // Set default distance to 5km
     this.setDefaultDistance();
@@ -158,8 +212,20 @@ class PaceCalculator extends PaceCalculatorBase {
     // Setup event listeners
     this.setupEventListeners();
 
-    // Load and display history
-    this.loadHistory();
+    // Calculation history
+    this.historyPanel = new HistoryPanel({ calculator: 'pace' });
+    this.historyPanel.initialize();
+
+    // Training zones
+    this.trainingZonesPanel = new TrainingZonesPanel({
+      getPaceDistances: () => this.getPaceDistances(),
+      eventsConfig: this.eventsConfig
+    });
+    this.trainingZonesPanel.initialize();
+
+    // Share links
+    setupCopyLinkButton(this.copyLinkBtn, () => this.getShareState());
+    this.restoreShareState();
   }
 
   /**
@@ -169,7 +235,7 @@ class PaceCalculator extends PaceCalculatorBase {
     // Load measurement mode (pace vs speed)
     this.currentMeasurementMode = sessionStorage.getItem('paceCalculatorMeasurementMode') || 'pace';
 
-    // Load calculate mode (calculate vs totalTime)
+    // Load calculate mode (calculate vs totalTime vs distance)
     this.currentMode = sessionStorage.getItem('paceCalculatorCalculateMode') || 'calculate';
 
     // Load sub-modes for each combination
@@ -177,9 +243,19 @@ class PaceCalculator extends PaceCalculatorBase {
     this.currentTimeMode = sessionStorage.getItem('paceCalculatorTimeSubMode') || 'standard';
     this.currentSpeedMode = sessionStorage.getItem('paceCalculatorSpeedSubMode') || 'standard';
     this.currentSpeedTimeMode = sessionStorage.getItem('paceCalculatorSpeedTimeSubMode') || 'standard';
+    this.currentPaceDistanceMode = sessionStorage.getItem('paceCalculatorPaceDistanceSubMode') || 'standard';
+    this.currentSpeedDistanceMode = sessionStorage.getItem('paceCalculatorSpeedDistanceSubMode') || 'standard';
+
+    // Load split format (the old fixed track formats are now track laps on a 400m track)
+    const legacyTrackFormats = { '400m-track': 'track-lap', '200m-track': 'track-200m' };
+    const storedSplitFormat = sessionStorage.getItem(this.splitFormatStorageKey) || 'default';
+    this.currentSplitFormat = legacyTrackFormats[storedSplitFormat] || storedSplitFormat;
+
+    // Load track settings
+    this.trackSettings = this.loadTrackSettings();
 
-    // Load split format
-    this.currentSplitFormat = sessionStorage.getItem(this.splitFormatStorageKey) || 'default';
+    // Load race plan
+    this.racePlan = this.loadRacePlan();
 
     // Apply initial mode state
     this.applyModeState();
@@ -195,7 +271,41 @@ class PaceCalculator extends PaceCalculatorBase {
     sessionStorage.setItem('paceCalculatorTimeSubMode', this.currentTimeMode);
     sessionStorage.setItem('paceCalculatorSpeedSubMode', this.currentSpeedMode);
     sessionStorage.setItem('paceCalculatorSpeedTimeSubMode', this.currentSpeedTimeMode);
+    sessionStorage.setItem('paceCalculatorPaceDistanceSubMode', this.currentPaceDistanceMode);
+    sessionStorage.setItem('paceCalculatorSpeedDistanceSubMode', this.currentSpeedDistanceMode);
     sessionStorage.setItem(this.splitFormatStorageKey, this.currentSplitFormat);
+    sessionStorage.setItem(this.racePlanStorageKey, JSON.stringify(this.racePlan));
+    sessionStorage.setItem(this.trackStorageKey, JSON.stringify(this.trackSettings));
+  }
+
+  /**
+   * Load race plan options from sessionStorage
+   * @returns {Object} Race plan { strategy, percent, stepSeconds, customSegments }
+   */
+  loadRacePlan() {
+    const defaults = { strategy: 'even', percent: 2, stepSeconds: 2, customSegments: '' };
+
+    try {
+      const stored = JSON.parse(sessionStorage.getItem(this.racePlanStorageKey));
+      return { ...defaults, ...stored };
+    } catch (error) {
+      return defaults;
+    }
+  }
+
+  /**
+   * Load track settings from sessionStorage
+   * @returns {Object} Track settings { type, customLapMetres, lane }
+   */
+  loadTrackSettings() {
+    const defaults = { type: 'outdoor', customLapMetres: 400, lane: 1 };
+
+    try {
+      const stored = JSON.parse(sessionStorage.getItem(this.trackStorageKey));
+      return { ...defaults, ...stored };
+    } catch (error) {
+      return defaults;
+    }
   }
 
   /**
@@ -214,14 +324,8 @@ class PaceCalculator extends PaceCalculatorBase {
     // Update dynamic labels based on measurement mode
     this.updateDynamicLabels();
 
-    // Update calculate mode buttons (Calculate / Total Time)
-    if (this.currentMode === 'calculate') {
-      this.calculateModeBtn.classList.add('mode-toggle__option--active');
-      this.timeModeBtn.classList.remove('mode-toggle__option--active');
-    } else {
-      this.timeModeBtn.classList.add('mode-toggle__option--active');
-      this.calculateModeBtn.classList.remove('mode-toggle__option--active');
-    }
+    // Update calculate mode buttons (Calculate / Total Time / Distance)
+    this.updateCalculateModeButtons();
 
     // Update Standard/Advanced buttons based on current sub-mode
     const currentSubMode = this.getCurrentSubMode();
@@ -237,6 +341,15 @@ class PaceCalculator extends PaceCalculatorBase {
     this.updateControlVisibility();
   }
 
+  /**
+   * Highlight the button for the current calculate mode
+   */
+  updateCalculateModeButtons() {
+    this.calculateModeBtn.classList.toggle('mode-toggle__option--active', this.currentMode === 'calculate');
+    this.timeModeBtn.classList.toggle('mode-toggle__option--active', this.currentMode === 'totalTime');
+    this.distanceModeBtn.classList.toggle('mode-toggle__option--active', this.currentMode === 'distance');
+  }
+
   /**
    * Update dynamic labels based on measurement mode
    */
@@ -255,8 +368,10 @@ class PaceCalculator extends PaceCalculatorBase {
    */
   getCurrentSubMode() {
     if (this.currentMeasurementMode === 'pace') {
+      if (this.currentMode === 'distance') return this.currentPaceDistanceMode;
       return this.currentMode === 'calculate' ? this.currentPaceMode : this.currentTimeMode;
     } else {
+      if (this.currentMode === 'distance') return this.currentSpeedDistanceMode;
       return this.currentMode === 'calculate' ? this.currentSpeedMode : this.currentSpeedTimeMode;
     }
   }
@@ -275,7 +390,11 @@ class PaceCalculator extends PaceCalculatorBase {
       'speed-calculate-standard': this.speedStandardControls,
       'speed-calculate-advanced': this.speedAdvancedControls,
       'speed-totalTime-standard': this.speedTimeStandardControls,
-      'speed-totalTime-advanced': this.speedTimeAdvancedControls
+      'speed-totalTime-advanced': this.speedTimeAdvancedControls,
+      'pace-distance-standard': this.paceDistanceStandardControls,
+      'pace-distance-advanced': this.paceDistanceAdvancedControls,
+      'speed-distance-standard': this.speedDistanceStandardControls,
+      'speed-distance-advanced': this.speedDistanceAdvancedControls
     };
     return groups[key];
   }
@@ -284,7 +403,7 @@ class PaceCalculator extends PaceCalculatorBase {
    * Update which control group is visible
    */
   updateControlVisibility() {
-    // Hide all 8 control groups
+    // Hide all 12 control groups
     this.paceStandardControls.classList.add('hidden');
     this.paceAdvancedControls.classList.add('hidden');
     this.timeStandardControls.classList.add('hidden');
@@ -293,6 +412,10 @@ class PaceCalculator extends PaceCalculatorBase {
     this.speedAdvancedControls.classList.add('hidden');
     this.speedTimeStandardControls.classList.add('hidden');
     this.speedTimeAdvancedControls.classList.add('hidden');
+    this.paceDistanceStandardControls.classList.add('hidden');
+    this.paceDistanceAdvancedControls.classList.add('hidden');
+    this.speedDistanceStandardControls.classList.add('hidden');
+    this.speedDistanceAdvancedControls.classList.add('hidden');
 
     // Show the active control group
     const activeGroup = this.getActiveControlGroup();
@@ -357,6 +480,21 @@ class PaceCalculator extends PaceCalculatorBase {
     });
   }
 
+  /**
+   * Populate timed race select dropdowns (Distance Standard mode)
+   */
+  populateTimedRaceDropdowns() {
+    [this.raceSelectPaceDistanceStandard, this.raceSelectSpeedDistanceStandard].forEach(select => {
+      Object.entries(TIMED_RACES).forEach(([key, race]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = race.name;
+        select.appendChild(option);
+      });
+      select.value = DEFAULT_TIMED_RACE;
+    });
+  }
+
   /**
    * Set default distance to 5km
    */
@@ -413,28 +551,137 @@ class PaceCalculator extends PaceCalculatorBase {
   handleEnterKeyPress(event) {
     if (event.key === 'Enter') {
       event.preventDefault();
+      this.calculateCurrentMode();
+    }
+  }
 
-      // Determine which calculate handler to call based on current mode
-      const key = `${this.currentMeasurementMode}-${this.currentMode}`;
-      const subMode = this.getCurrentSubMode();
-
-      switch (key) {
-        case 'pace-calculate':
-          this.handlePaceModeCalculate(subMode);
-          break;
-        case 'pace-totalTime':
-          this.handleTimeModeCalculate(subMode);
-          break;
-        case 'speed-calculate':
-          this.handleSpeedModeCalculate(subMode);
-          break;
-        case 'speed-totalTime':
-          this.handleSpeedTimeModeCalculate(subMode);
-          break;
-      }
+  /**
+   * Run the calculate handler for the current mode
+   */
+  calculateCurrentMode() {
+    const key = `${this.currentMeasurementMode}-${this.currentMode}`;
+    const subMode = this.getCurrentSubMode();
+
+    switch (key) {
+      case 'pace-calculate':
+        this.handlePaceModeCalculate(subMode);
+        break;
+      case 'pace-totalTime':
+        this.handleTimeModeCalculate(subMode);
+        break;
+      case 'speed-calculate':
+        this.handleSpeedModeCalculate(subMode);
+        break;
+      case 'speed-totalTime':
+        this.handleSpeedTimeModeCalculate(subMode);
+        break;
+      case 'pace-distance':
+        this.handlePaceDistanceModeCalculate(subMode);
+        break;
+      case 'speed-distance':
+        this.handleSpeedDistanceModeCalculate(subMode);
+        break;
     }
   }
 
+  /**
+   * Modes, inputs and split options of the current calculation for a share link
+   * Inputs are keyed by element id so each mode's fields restore directly.
+   * @returns {Object}
+   */
+  getShareState() {
+    const state = {
+      measure: this.currentMeasurementMode,
+      calc: this.currentMode,
+      sub: this.getCurrentSubMode(),
+      split: this.currentSplitFormat
+    };
+
+    this.getActiveControlGroup()?.querySelectorAll('input, select').forEach(field => {
+      state[field.id] = field.value.trim();
+    });
+
+    if (this.racePlan.strategy !== 'even') {
+      state.plan = this.racePlan.strategy;
+      state.planPercent = this.racePlan.percent;
+      state.planStep = this.racePlan.stepSeconds;
+      state.planSegments = this.racePlan.strategy === 'custom' ? this.racePlan.customSegments : '';
+    }
+
+    // Distance mode counts laps of the chosen track
+    if (this.currentSplitFormat.startsWith('track-') || this.currentMode === 'distance') {
+      state.track = this.trackSettings.type;
+      state.lap = this.trackSettings.type === 'custom' ? this.trackSettings.customLapMetres : '';
+      state.lane = this.trackSettings.lane;
+    }
+
+    return state;
+  }
+
+  /**
+   * Restore a calculation from a share link and show its results
+   */
+  restoreShareState() {
+    const state = readShareState();
+    if (!state) return;
+
+    if (state.measure === 'pace' || state.measure === 'speed') {
+      this.currentMeasurementMode = state.measure;
+    }
+    if (['calculate', 'totalTime', 'distance'].includes(state.calc)) {
+      this.currentMode = state.calc;
+    }
+    this.applyModeState();
+    this.switchSubMode(state.sub === 'advanced' ? 'advanced' : 'standard');
+
+    if (['default', '1km', '5km', 'track-lap', 'track-200m'].includes(state.split)) {
+      this.currentSplitFormat = state.split;
+    }
+
+    if (RACE_PLAN_STRATEGIES[state.plan]) {
+      this.racePlan = {
+        ...this.racePlan,
+        strategy: state.plan,
+        percent: parseFloat(state.planPercent) || this.racePlan.percent,
+        stepSeconds: parseFloat(state.planStep) || this.racePlan.stepSeconds,
+        customSegments: state.planSegments || ''
+      };
+    } else {
+      this.racePlan = { ...this.racePlan, strategy: 'even' };
+    }
+
+    if (TRACK_TYPES[state.track]) {
+      const lane = parseInt(state.lane, 10);
+      this.trackSettings = {
+        type: state.track,
+        customLapMetres: parseFloat(state.lap) || this.trackSettings.customLapMetres,
+        lane: lane >= 1 && lane <= TRACK_LANES ? lane : 1
+      };
+    }
+
+    this.saveState();
+
+    // Selects first so unit changes are in place before the values they describe
+    const group = this.getActiveControlGroup();
+    if (!group) return;
+
+    const fields = [...group.querySelectorAll('select'), ...group.querySelectorAll('input')]
+      .filter(field => state[field.id] !== undefined);
+    if (fields.length === 0) return;
+
+    for (const field of fields) {
+      field.value = state[field.id];
+      field.dispatchEvent(new Event(field.tagName === 'SELECT' ? 'change' : 'input'));
+    }
+
+    this.calculateCurrentMode();
+  }
+
+  showResults() {
+    super.showResults();
+    updateShareUrl(this.getShareState());
+  }
+
   /**
    * Setup event listeners
    */
@@ -443,9 +690,10 @@ class PaceCalculator extends PaceCalculatorBase {
     this.measurementPaceBtn.addEventListener('click', () => this.handleMeasurementModeSwitch('pace'));
     this.measurementSpeedBtn.addEventListener('click', () => this.handleMeasurementModeSwitch('speed'));
 
-    // Secondary toggle: Calculation mode (Calculate / Total Time)
+    // Secondary toggle: Calculation mode (Calculate / Total Time / Distance)
     this.calculateModeBtn.addEventListener('click', () => this.switchMode('calculate'));
     this.timeModeBtn.addEventListener('click', () => this.switchMode('totalTime'));
+    this.distanceModeBtn.addEventListener('click', () => this.switchMode('distance'));
 
     // Tertiary toggle: Standard/Advanced mode
     this.standardModeBtn.addEventListener('click', () => this.switchSubMode('standard'));
@@ -570,6 +818,46 @@ class PaceCalculator extends PaceCalculatorBase {
     });
     this.distanceInputSpeedTimeAdvanced.addEventListener('keydown', (e) => this.handleEnterKeyPress(e));
     this.speedInputTimeAdvanced.addEventListener('keydown', (e) => this.handleEnterKeyPress(e));
+
+    // Pace Distance Standard mode
+    this.calculateBtnPaceDistanceStandard.addEventListener('click', () => this.handlePaceDistanceModeCalculate('standard'));
+    this.paceInputDistanceStandard.addEventListener('input', () => {
+      this.clearInputError(this.paceInputDistanceStandard);
+    });
+    this.paceInputDistanceStandard.addEventListener('keydown', (e) => this.handleEnterKeyPress(e));
+
+    // Pace Distance Advanced mode
+    this.calculateBtnPaceDistanceAdvanced.addEventListener('click', () => this.handlePaceDistanceModeCalculate('advanced'));
+    this.timeInputPaceDistanceAdvanced.addEventListener('input', () => {
+      this.clearInputError(this.timeInputPaceDistanceAdvanced);
+    });
+    this.paceInputDistanceAdvanced.addEventListener('input', () => {
+      this.clearInputError(this.paceInputDistanceAdvanced);
+    });
+    this.paceIntervalInputDistanceAdvanced.addEventListener('input', () => {
+      this.clearInputError(this.paceIntervalInputDistanceAdvanced);
+    });
+    this.timeInputPaceDistanceAdvanced.addEventListener('keydown', (e) => this.handleEnterKeyPress(e));
+    this.paceInputDistanceAdvanced.addEventListener('keydown', (e) => this.handleEnterKeyPress(e));
+    this.paceIntervalInputDistanceAdvanced.addEventListener('keydown', (e) => this.handleEnterKeyPress(e));
+
+    // Speed Distance Standard mode
+    this.calculateBtnSpeedDistanceStandard.addEventListener('click', () => this.handleSpeedDistanceModeCalculate('standard'));
+    this.speedInputDistanceStandard.addEventListener('input', () => {
+      this.clearInputError(this.speedInputDistanceStandard);
+    });
+    this.speedInputDistanceStandard.addEventListener('keydown', (e) => this.handleEnterKeyPress(e));
+
+    // Speed Distance Advanced mode
+    this.calculateBtnSpeedDistanceAdvanced.addEventListener('click', () => this.handleSpeedDistanceModeCalculate('advanced'));
+    this.timeInputSpeedDistanceAdvanced.addEventListener('input', () => {
+      this.clearInputError(this.timeInputSpeedDistanceAdvanced);
+    });
+    this.speedInputDistanceAdvanced.addEventListener('input', () => {
+      this.clearInputError(this.speedInputDistanceAdvanced);
+    });
+    this.timeInputSpeedDistanceAdvanced.addEventListener('keydown', (e) => this.handleEnterKeyPress(e));
+    this.speedInputDistanceAdvanced.addEventListener('keydown', (e) => this.handleEnterKeyPress(e));
   }
 
   /**
@@ -598,19 +886,13 @@ class PaceCalculator extends PaceCalculatorBase {
    * Switch between calculation modes (Pace / Total Time)
    */
   /**
-   * Switch between Calculate and Total Time modes (secondary toggle)
+   * Switch between Calculate, Total Time and Distance modes (secondary toggle)
    */
   switchMode(mode) {
     this.currentMode = mode;
 
     // Update calculation mode buttons
-    if (mode === 'calculate') {
-      this.calculateModeBtn.classList.add('mode-toggle__option--active');
-      this.timeModeBtn.classList.remove('mode-toggle__option--active');
-    } else {
-      this.timeModeBtn.classList.add('mode-toggle__option--active');
-      this.calculateModeBtn.classList.remove('mode-toggle__option--active');
-    }
+    this.updateCalculateModeButtons();
 
     // Update Standard/Advanced toggle to reflect the sub-mode for this combination
     const currentSubMode = this.getCurrentSubMode();
@@ -638,12 +920,16 @@ class PaceCalculator extends PaceCalculatorBase {
     if (this.currentMeasurementMode === 'pace') {
       if (this.currentMode === 'calculate') {
         this.currentPaceMode = subMode;
+      } else if (this.currentMode === 'distance') {
+        this.currentPaceDistanceMode = subMode;
       } else {
         this.currentTimeMode = subMode;
       }
     } else {
       if (this.currentMode === 'calculate') {
         this.currentSpeedMode = subMode;
+      } else if (this.currentMode === 'distance') {
+        this.currentSpeedDistanceMode = subMode;
       } else {
         this.currentSpeedTimeMode = subMode;
       }
@@ -699,7 +985,7 @@ class PaceCalculator extends PaceCalculatorBase {
           this.paceUnitSelectStandard.value = paceUnit;
         }
       }
-    } else {
+    } else if (this.currentMode === 'totalTime') {
       // We're in "calculate time from distance+pace/speed" mode
       // Need to convert the pace/speed input value
 
@@ -749,6 +1035,39 @@ class PaceCalculator extends PaceCalculatorBase {
           }
         }
       }
+    } else {
+      // We're in "calculate distance from time+pace/speed" mode
+      // The timed race stays the same, and the pace/speed input value is converted
+
+      if (newMode === 'speed') {
+        if (this.currentPaceDistanceMode === 'standard') {
+          this.raceSelectSpeedDistanceStandard.value = this.raceSelectPaceDistanceStandard.value;
+
+          const paceSeconds = parsePaceInput(this.paceInputDistanceStandard.value.trim());
+          if (paceSeconds) {
+            const paceUnit = this.paceUnitSelectDistanceStandard.value;
+            const speedUnit = this.getEquivalentSpeedUnit(paceUnit);
+            const speed = convertPaceToSpeedUnit(this.convertPaceToPerKm(paceSeconds, paceUnit), speedUnit);
+
+            this.speedInputDistanceStandard.value = speed.toFixed(2);
+            this.speedUnitSelectDistanceStandard.value = speedUnit;
+          }
+        }
+      } else {
+        if (this.currentSpeedDistanceMode === 'standard') {
+          this.raceSelectPaceDistanceStandard.value = this.raceSelectSpeedDistanceStandard.value;
+
+          const speed = parseFloat(this.speedInputDistanceStandard.value.trim());
+          if (!isNaN(speed) && speed > 0) {
+            const speedUnit = this.speedUnitSelectDistanceStandard.value;
+            const paceUnit = this.getEquivalentPaceUnit(speedUnit);
+            const pacePerKm = convertSpeedToPace(speed, speedUnit);
+
+            this.paceInputDistanceStandard.value = formatPaceTime(this.convertPaceFromPerKm(pacePerKm, paceUnit));
+            this.paceUnitSelectDistanceStandard.value = paceUnit;
+          }
+        }
+      }
     }
 
     // Update state
@@ -1004,7 +1323,7 @@ class PaceCalculator extends PaceCalculatorBase {
         // Convert custom distance and pace interval to metres
         distanceMetres = this.convertDistanceToMetres(parseFloat(distanceValue), distanceUnit);
         const paceIntervalMetres = this.convertDistanceToMetres(parseFloat(paceIntervalValue), paceIntervalUnit);
-        distanceDisplayName = `${distanceValue}${distanceUnit}`;
+        distanceDisplayName = `${parseFloat(distanceValue)}${distanceUnit}`;
 
         // Calculate pace over the custom interval
         // Formula: pace = totalTime / (distance / paceInterval)
@@ -1133,7 +1452,7 @@ class PaceCalculator extends PaceCalculatorBase {
         // Convert custom distance and pace interval to metres
         distanceMetres = this.convertDistanceToMetres(parseFloat(distanceValue), distanceUnit);
         const paceIntervalMetres = this.convertDistanceToMetres(parseFloat(paceIntervalValue), paceIntervalUnit);
-        distanceDisplayName = `${distanceValue}${distanceUnit}`;
+        distanceDisplayName = `${parseFloat(distanceValue)}${distanceUnit}`;
 
         // Calculate total time using custom pace interval
         // Formula: totalTime = pace * (distance / paceInterval)
@@ -1248,7 +1567,7 @@ class PaceCalculator extends PaceCalculatorBase {
 
         // Convert custom distance to metres
         distanceMetres = this.convertDistanceToMetres(parseFloat(distanceValue), distanceUnit);
-        distanceDisplayName = `${distanceValue}${distanceUnit}`;
+        distanceDisplayName = `${parseFloat(distanceValue)}${distanceUnit}`;
 
         const speed = calculateSpeed(distanceMetres, totalTimeSeconds, speedUnit);
 
@@ -1355,7 +1674,7 @@ class PaceCalculator extends PaceCalculatorBase {
 
         // Convert custom distance to metres
         distanceMetres = this.convertDistanceToMetres(parseFloat(distanceValue), distanceUnit);
-        distanceDisplayName = `${distanceValue}${distanceUnit}`;
+        distanceDisplayName = `${parseFloat(distanceValue)}${distanceUnit}`;
 
         const totalTimeSeconds = calculateTotalTimeFromSpeed(distanceMetres, speed, speedUnit);
 
@@ -1384,6 +1703,167 @@ class PaceCalculator extends PaceCalculatorBase {
     }
   }
 
+  /**
+   * Handle pace distance mode calculation (Time + Pace → Distance)
+   */
+  handlePaceDistanceModeCalculate(subMode) {
+    try {
+      if (subMode === 'standard') {
+        // Standard mode: use the timed race duration
+        const paceInput = this.paceInputDistanceStandard;
+        const race = getTimedRace(this.raceSelectPaceDistanceStandard.value);
+
+        if (!race) {
+          this.hideResults();
+          return;
+        }
+
+        const paceSeconds = parsePaceInput(paceInput.value.trim());
+        if (!this.validatePace(paceSeconds)) {
+          this.setInputError(paceInput);
+          this.hideResults();
+          return;
+        }
+
+        const paceUnit = this.paceUnitSelectDistanceStandard.value;
+        const paceText = `${formatPaceTime(paceSeconds)}/${paceUnit}`;
+        const distanceMetres = calculateDistance(race.seconds, paceSeconds, paceUnit);
+
+        this.displayDistanceResults(distanceMetres, race.seconds, this.convertPaceToPerKm(paceSeconds, paceUnit), paceText, race);
+
+        this.saveToHistory({
+          mode: 'distance',
+          distance: `${formatDistance(distanceMetres / 1000, 'km')} (${race.name})`,
+          totalTime: formatTotalTime(race.seconds),
+          pace: paceText,
+          timestamp: Date.now()
+        });
+
+      } else {
+        // Advanced mode: use custom total time and pace interval
+        const timeInput = this.timeInputPaceDistanceAdvanced;
+        const paceInput = this.paceInputDistanceAdvanced;
+        const paceIntervalInput = this.paceIntervalInputDistanceAdvanced;
+
+        const paceIntervalValue = paceIntervalInput.value.trim();
+        const paceIntervalUnit = this.paceIntervalUnitSelectDistanceAdvanced.value;
+
+        let error = false;
+
+        // Validate time
+        const totalTimeSeconds = parseTimeInput(timeInput.value.trim());
+        if (!this.validateTime(totalTimeSeconds)) {
+          this.setInputError(timeInput);
+          this.hideResults();
+          error = true;
+        }
+
+        // Validate pace
+        const paceSeconds = parsePaceInput(paceInput.value.trim());
+        if (!this.validatePace(paceSeconds)) {
+          this.setInputError(paceInput);
+          this.hideResults();
+          error = true;
+        }
+
+        // Validate pace interval
+        if (!this.validateDistance(paceIntervalValue)) {
+          this.setInputError(paceIntervalInput);
+          this.hideResults();
+          error = true;
+        }
+
+        if (error) return;
+
+        // Formula: distance = (totalTime / pace) * paceInterval
+        const paceIntervalMetres = this.convertDistanceToMetres(parseFloat(paceIntervalValue), paceIntervalUnit);
+        const distanceMetres = (totalTimeSeconds / paceSeconds) * paceIntervalMetres;
+        const pacePerKm = paceSeconds / (paceIntervalMetres / 1000);
+        const paceText = `${formatPaceTime(paceSeconds)}${formatPaceInterval(parseFloat(paceIntervalValue), paceIntervalUnit)}`;
+
+        this.displayDistanceResults(distanceMetres, totalTimeSeconds, pacePerKm, paceText);
+
+        this.saveToHistory({
+          mode: 'distance',
+          distance: formatDistance(distanceMetres / 1000, 'km'),
+          totalTime: formatTotalTime(totalTimeSeconds),
+          pace: paceText,
+          timestamp: Date.now()
+        });
+      }
+
+    } catch (error) {
+      console.error('Calculation error:', error);
+      this.hideResults();
+    }
+  }
+
+  /**
+   * Handle speed distance mode calculation (Time + Speed → Distance)
+   */
+  handleSpeedDistanceModeCalculate(subMode) {
+    try {
+      let totalTimeSeconds, speedInput, speedUnit, race = null;
+      let error = false;
+
+      if (subMode === 'standard') {
+        // Standard mode: use the timed race duration
+        speedInput = this.speedInputDistanceStandard;
+        speedUnit = this.speedUnitSelectDistanceStandard.value;
+        race = getTimedRace(this.raceSelectSpeedDistanceStandard.value);
+
+        if (!race) {
+          this.hideResults();
+          return;
+        }
+        totalTimeSeconds = race.seconds;
+      } else {
+        // Advanced mode: use custom total time
+        const timeInput = this.timeInputSpeedDistanceAdvanced;
+        speedInput = this.speedInputDistanceAdvanced;
+        speedUnit = this.speedUnitSelectDistanceAdvanced.value;
+
+        // Validate time
+        totalTimeSeconds = parseTimeInput(timeInput.value.trim());
+        if (!this.validateTime(totalTimeSeconds)) {
+          this.setInputError(timeInput);
+          this.hideResults();
+          error = true;
+        }
+      }
+
+      // Validate speed
+      const speed = parseSpeedInput(speedInput.value);
+      if (speed === null || speed <= 0) {
+        this.setInputError(speedInput);
+        this.hideResults();
+        error = true;
+      }
+
+      if (error) return;
+
+      const speedText = formatSpeedWithUnit(speed, speedUnit);
+      const distanceMetres = calculateDistanceFromSpeed(totalTimeSeconds, speed, speedUnit);
+
+      this.displayDistanceResults(distanceMetres, totalTimeSeconds, convertSpeedToPace(speed, speedUnit), speedText, race);
+
+      this.saveToHistory({
+        measurementMode: 'speed',
+        mode: 'distance',
+        distance: race
+          ? `${formatDistance(distanceMetres / 1000, 'km')} (${race.name})`
+          : formatDistance(distanceMetres / 1000, 'km'),
+        totalTime: formatTotalTime(totalTimeSeconds),
+        speed: speedText,
+        timestamp: Date.now()
+      });
+
+    } catch (error) {
+      console.error('Calculation error:', error);
+      this.hideResults();
+    }
+  }
+
   /**
    * Display pace calculation results
    */
@@ -1418,13 +1898,11 @@ class PaceCalculator extends PaceCalculatorBase {
     }
 
     // Main result card
-    const mainCard = document.createElement('div');
-    mainCard.className = 'result-card';
-    mainCard.innerHTML = `
-      <h3 class="result-card__title">Your Pace</h3>
-      <div class="result-card__points">${paceDisplayText}</div>
-      <p class="result-card__content">To complete ${eventConfig.displayName} in ${formatTotalTime(totalTimeSeconds)}</p>
-    `;
+    const mainCard = this.createMainResultCard(
+      'Your Pace',
+      paceDisplayText,
+      `To complete ${eventConfig.displayName} in ${formatTotalTime(totalTimeSeconds)}`
+    );
     this.resultsContent.appendChild(mainCard);
 
     // Equivalent paces (always show standard per km and per mile)
@@ -1565,13 +2043,11 @@ class PaceCalculator extends PaceCalculatorBase {
     }
 
     // Main result card
-    const mainCard = document.createElement('div');
-    mainCard.className = 'result-card';
-    mainCard.innerHTML = `
-      <h3 class="result-card__title">Projected Finish Time</h3>
-      <div class="result-card__points">${formatTotalTime(totalTimeSeconds)}</div>
-      <p class="result-card__content">For ${eventConfig.displayName} at ${paceDisplayText} pace</p>
-    `;
+    const mainCard = this.createMainResultCard(
+      'Projected Finish Time',
+      formatTotalTime(totalTimeSeconds),
+      `For ${eventConfig.displayName} at ${paceDisplayText} pace`
+    );
     this.resultsContent.appendChild(mainCard);
 
     // Equivalent paces (always show standard per km and per mile)
@@ -1690,13 +2166,11 @@ class PaceCalculator extends PaceCalculatorBase {
     const pacePerKm = convertSpeedToPace(speed, speedUnit);
 
     // Main result card
-    const mainCard = document.createElement('div');
-    mainCard.className = 'result-card';
-    mainCard.innerHTML = `
-      <h3 class="result-card__title">Your Speed</h3>
-      <div class="result-card__points">${speedDisplayText}</div>
-      <p class="result-card__content">To complete ${eventConfig.displayName} in ${formatTotalTime(totalTimeSeconds)}</p>
-    `;
+    const mainCard = this.createMainResultCard(
+      'Your Speed',
+      speedDisplayText,
+      `To complete ${eventConfig.displayName} in ${formatTotalTime(totalTimeSeconds)}`
+    );
     this.resultsContent.appendChild(mainCard);
 
     // Equivalent paces & speeds (all 10 conversions)
@@ -1790,13 +2264,11 @@ class PaceCalculator extends PaceCalculatorBase {
     const pacePerKm = convertSpeedToPace(speed, speedUnit);
 
     // Main result card
-    const mainCard = document.createElement('div');
-    mainCard.className = 'result-card';
-    mainCard.innerHTML = `
-      <h3 class="result-card__title">Projected Finish Time</h3>
-      <div class="result-card__points">${formatTotalTime(totalTimeSeconds)}</div>
-      <p class="result-card__content">For ${eventConfig.displayName} at ${speedDisplayText}</p>
-    `;
+    const mainCard = this.createMainResultCard(
+      'Projected Finish Time',
+      formatTotalTime(totalTimeSeconds),
+      `For ${eventConfig.displayName} at ${speedDisplayText}`
+    );
     this.resultsContent.appendChild(mainCard);
 
     // Equivalent paces & speeds (all 10 conversions)
@@ -1878,6 +2350,159 @@ class PaceCalculator extends PaceCalculatorBase {
     this.showResults();
   }
 
+  /**
+   * Build the main result card
+   * Text is set as text, not HTML, as it can include values from the inputs or a share link.
+   * @param {string} title
+   * @param {string} points - Headline result
+   * @param {string} content - Description of the calculation
+   * @returns {HTMLElement}
+   */
+  createMainResultCard(title, points, content) {
+    const card = document.createElement('div');
+    card.className = 'result-card';
+
+    const titleElement = document.createElement('h3');
+    titleElement.className = 'result-card__title';
+    titleElement.textContent = title;
+
+    const pointsElement = document.createElement('div');
+    pointsElement.className = 'result-card__points';
+    pointsElement.textContent = points;
+
+    const contentElement = document.createElement('p');
+    contentElement.className = 'result-card__content';
+    contentElement.textContent = content;
+
+    card.appendChild(titleElement);
+    card.appendChild(pointsElement);
+    card.appendChild(contentElement);
+    return card;
+  }
+
+  /**
+   * Display distance calculation results
+   * @param {number} distanceMetres - Distance covered in metres
+   * @param {number} totalTimeSeconds - Time run in seconds
+   * @param {number} pacePerKm - Pace in seconds per km
+   * @param {string} paceText - Pace or speed as entered (e.g., "5:00/km", "12 km/h")
+   * @param {Object|null} race - Timed race from getTimedRace, or null for a custom time
+   */
+  displayDistanceResults(distanceMetres, totalTimeSeconds, pacePerKm, paceText, race = null) {
+    this.resultsContent.innerHTML = '';
+
+    const equivalents = getEquivalentDistances(distanceMetres);
+    const timeText = race ? `Over ${race.name}` : `In ${formatTotalTime(totalTimeSeconds)}`;
+
+    // Main result card
+    const mainCard = this.createMainResultCard(
+      'Distance Covered',
+      formatDistance(equivalents.km, 'km'),
+      `${timeText} at ${paceText}`
+    );
+    this.resultsContent.appendChild(mainCard);
+
+    // Distance in every unit
+    const unitsCard = document.createElement('div');
+    unitsCard.className = 'result-card';
+
+    const unitsTitle = document.createElement('h3');
+    unitsTitle.className = 'result-card__title';
+    unitsTitle.textContent = 'Equivalent Distances';
+
+    const unitsGrid = document.createElement('div');
+    unitsGrid.className = 'equivalencies-grid';
+    unitsGrid.innerHTML = [
+      ['Kilometres', formatDistance(equivalents.km, 'km')],
+      ['Metres', formatDistance(equivalents.m, 'm')],
+      ['Miles', formatDistance(equivalents.miles, 'miles')],
+      ['Yards', formatDistance(equivalents.yards, 'yards')],
+      ['Feet', formatDistance(equivalents.feet, 'feet')]
+    ].map(([label, value]) => `
+      <div class="equivalency-item">
+        <div class="equivalency-item__event">${label}</div>
+        <div class="equivalency-item__performance">${value}</div>
+      </div>
+    `).join('');
+
+    unitsCard.appendChild(unitsTitle);
+    unitsCard.appendChild(unitsGrid);
+    this.resultsContent.appendChild(unitsCard);
+
+    makeCollapsible(unitsTitle, unitsGrid, 'paceCalculator.equivalentDistances.collapsed', false);
+
+    // No split times in distance mode; lap counts are redrawn when the track changes
+    this.lastCalculation = null;
+    this.lastDistanceCalculation = { distanceMetres, pacePerKm };
+    this.displayLapCounts();
+
+    this.showResults();
+  }
+
+  /**
+   * Display (or redraw) the lap counts for the last distance calculation on the chosen track
+   * Laps are counted on the lane 1 measurement line, as in timed track races.
+   */
+  displayLapCounts() {
+    if (!this.lastDistanceCalculation) return;
+
+    const { distanceMetres, pacePerKm } = this.lastDistanceCalculation;
+    const track = this.getTrack();
+    const { laps, extraMetres, lapMetres } = countLaps(track, distanceMetres);
+    const lapTimeSeconds = (lapMetres / 1000) * pacePerKm;
+
+    const lapsCard = document.createElement('div');
+    lapsCard.className = 'result-card lap-count-card';
+    lapsCard.innerHTML = `
+      <h3 class="result-card__title">Track Laps</h3>
+      <div class="equivalencies-grid">
+        <div class="equivalency-item">
+          <div class="equivalency-item__event">Laps completed</div>
+          <div class="equivalency-item__performance">${laps}</div>
+        </div>
+        <div class="equivalency-item">
+          <div class="equivalency-item__event">Into the next lap</div>
+          <div class="equivalency-item__performance">${formatTrackMetres(extraMetres)}</div>
+        </div>
+        <div class="equivalency-item">
+          <div class="equivalency-item__event">Lap time</div>
+          <div class="equivalency-item__performance">${formatTotalTime(lapTimeSeconds)}</div>
+        </div>
+        <div class="equivalency-item">
+          <div class="equivalency-item__event">Laps per hour</div>
+          <div class="equivalency-item__performance">${(3600 / lapTimeSeconds).toFixed(1)}</div>
+        </div>
+      </div>
+    `;
+
+    // Laps are counted in lane 1, so there is no lane to choose
+    const trackControls = this.createTrackControls({
+      idPrefix: 'lap-count',
+      showLane: false,
+      summary: `Laps of ${formatTrackMetres(track.lapMetres)}, counted on the lane 1 measurement line from the finish line.`,
+      onChange: changes => this.handleLapTrackChange(changes)
+    });
+    lapsCard.querySelector('.result-card__title').after(trackControls);
+
+    const existingLapsCard = this.resultsContent.querySelector('.lap-count-card');
+    if (existingLapsCard) {
+      existingLapsCard.replaceWith(lapsCard);
+    } else {
+      this.resultsContent.appendChild(lapsCard);
+    }
+  }
+
+  /**
+   * Handle track type or custom lap change for the lap counts
+   * @param {Object} changes - Track settings to update
+   */
+  handleLapTrackChange(changes) {
+    this.trackSettings = { ...this.trackSettings, ...changes };
+    this.saveState();
+    this.displayLapCounts();
+    updateShareUrl(this.getShareState());
+  }
+
   /**
    * Calculate splits based on selected format
    * @param {number} distanceMetres - Total distance in metres
@@ -1888,27 +2513,74 @@ class PaceCalculator extends PaceCalculatorBase {
    * @returns {Array} Array of split objects
    */
   calculateSplitsWithFormat(distanceMetres, pacePerKm, eventConfig, defaultIntervalMetres, defaultIntervalInfo) {
+    let splits;
+
     switch (this.currentSplitFormat) {
       case '1km':
-        return this.calculateFixedSplits(distanceMetres, pacePerKm, 1000,
-          { value: 1, unit: 'km', metres: 1000 }, false);
+        splits = this.calculateFixedSplits(distanceMetres, pacePerKm, 1000,
+          { value: 1, unit: 'km', metres: 1000 });
+        break;
 
       case '5km':
-        return this.calculateFixedSplits(distanceMetres, pacePerKm, 5000,
-          { value: 5, unit: 'km', metres: 5000 }, false);
-
-      case '400m-track':
-        return this.calculateFixedSplits(distanceMetres, pacePerKm, 400,
-          { value: 400, unit: 'm', metres: 400 }, true);
+        splits = this.calculateFixedSplits(distanceMetres, pacePerKm, 5000,
+          { value: 5, unit: 'km', metres: 5000 });
+        break;
 
-      case '200m-track':
-        return this.calculateFixedSplits(distanceMetres, pacePerKm, 200,
-          { value: 200, unit: 'm', metres: 200 }, true);
+      case 'track-lap':
+      case 'track-200m':
+        splits = calculateTrackSplits(distanceMetres, pacePerKm, eventConfig, this.getTrack(),
+          this.trackSettings.lane, this.currentSplitFormat === 'track-200m' ? '200m' : 'lap');
+        break;
 
       case 'default':
       default:
-        return this.calculateCustomSplits(distanceMetres, pacePerKm, eventConfig,
+        splits = this.calculateCustomSplits(distanceMetres, pacePerKm, eventConfig,
           defaultIntervalMetres, defaultIntervalInfo);
+        break;
+    }
+
+    return this.applyRacePlanToSplits(splits, distanceMetres, pacePerKm);
+  }
+
+  /**
+   * Get the track for the current track settings
+   * Falls back to a 400m outdoor track (and records the error) if the custom lap is invalid.
+   * @returns {Object} Track from createTrack
+   */
+  getTrack() {
+    this.trackError = null;
+
+    try {
+      return createTrack(this.trackSettings.type, this.trackSettings.customLapMetres);
+    } catch (error) {
+      this.trackError = error.message;
+      return createTrack('outdoor');
+    }
+  }
+
+  /**
+   * Apply the selected race plan to even-paced splits
+   * Falls back to even splits (and records the error) if the plan options are invalid.
+   * @param {Array} splits - Even-paced splits with cumulative distanceMetres
+   * @param {number} distanceMetres - Total distance in metres
+   * @param {number} pacePerKm - Average pace in seconds per km
+   * @returns {Array} Splits following the race plan
+   */
+  applyRacePlanToSplits(splits, distanceMetres, pacePerKm) {
+    this.activeRacePlan = null;
+    this.racePlanError = null;
+
+    if (this.racePlan.strategy === 'even') {
+      return splits;
+    }
+
+    try {
+      const totalTimeSeconds = (distanceMetres / 1000) * pacePerKm;
+      this.activeRacePlan = createRacePlan(this.racePlan.strategy, this.racePlan, distanceMetres, totalTimeSeconds);
+      return applyRacePlan(splits, this.activeRacePlan);
+    } catch (error) {
+      this.racePlanError = error.message;
+      return splits;
     }
   }
 
@@ -1918,10 +2590,9 @@ class PaceCalculator extends PaceCalculatorBase {
    * @param {number} pacePerKm - Pace in seconds per km
    * @param {number} intervalMetres - Fixed interval in metres
    * @param {Object} intervalInfo - Interval display info { value, unit, metres }
-   * @param {boolean} remainderFirst - If true, put remainder at start (track mode)
    * @returns {Array} Array of split objects
    */
-  calculateFixedSplits(distanceMetres, pacePerKm, intervalMetres, intervalInfo, remainderFirst) {
+  calculateFixedSplits(distanceMetres, pacePerKm, intervalMetres, intervalInfo) {
     const splits = [];
 
     // Calculate remainder
@@ -1931,22 +2602,6 @@ class PaceCalculator extends PaceCalculatorBase {
     let currentDistanceMetres = 0;
     let previousTime = 0;
 
-    // Track mode: Remainder first
-    if (remainderFirst && remainderMetres > 0) {
-      currentDistanceMetres = remainderMetres;
-      const cumulativeTime = (currentDistanceMetres / 1000) * pacePerKm;
-      const splitTime = cumulativeTime;
-
-      splits.push({
-        distanceLabel: `${remainderMetres.toFixed(0)}m`,
-        splitDistanceLabel: `${remainderMetres.toFixed(0)}m`,
-        splitTime: splitTime,
-        time: cumulativeTime
-      });
-
-      previousTime = cumulativeTime;
-    }
-
     // Add full intervals
     for (let i = 0; i < numFullIntervals; i++) {
       currentDistanceMetres += intervalMetres;
@@ -1960,6 +2615,7 @@ class PaceCalculator extends PaceCalculatorBase {
       const splitDistanceLabel = formatDistanceWithUnit(intervalInfo.value, intervalInfo.unit);
 
       splits.push({
+        distanceMetres: currentDistanceMetres,
         distanceLabel,
         splitDistanceLabel,
         splitTime,
@@ -1969,13 +2625,14 @@ class PaceCalculator extends PaceCalculatorBase {
       previousTime = cumulativeTime;
     }
 
-    // Non-track mode: Remainder last
-    if (!remainderFirst && remainderMetres > 0) {
+    // Remainder last
+    if (remainderMetres > 0) {
       currentDistanceMetres += remainderMetres;
       const cumulativeTime = (currentDistanceMetres / 1000) * pacePerKm;
       const splitTime = cumulativeTime - previousTime;
 
       splits.push({
+        distanceMetres: currentDistanceMetres,
         distanceLabel: `${currentDistanceMetres.toFixed(0)}m`,
         splitDistanceLabel: `${remainderMetres.toFixed(0)}m`,
         splitTime: splitTime,
@@ -2040,6 +2697,7 @@ class PaceCalculator extends PaceCalculatorBase {
       }
 
       splits.push({
+        distanceMetres: currentDistanceMetres,
         distanceLabel: distanceLabel,
         splitDistanceLabel: splitDistanceLabel,
         splitTime: splitTime,
@@ -2078,8 +2736,8 @@ class PaceCalculator extends PaceCalculatorBase {
         <button type="button" class="mode-toggle__option" data-format="default">Default</button>
         <button type="button" class="mode-toggle__option" data-format="1km">1km</button>
         <button type="button" class="mode-toggle__option" data-format="5km">5km</button>
-        <button type="button" class="mode-toggle__option" data-format="400m-track">400m Track</button>
-        <button type="button" class="mode-toggle__option" data-format="200m-track">200m Track</button>
+        <button type="button" class="mode-toggle__option" data-format="track-lap">Track Laps</button>
+        <button type="button" class="mode-toggle__option" data-format="track-200m">Track 200m</button>
       </div>
     `;
 
@@ -2098,9 +2756,15 @@ class PaceCalculator extends PaceCalculatorBase {
       }
     });
 
+    const racePlanContainer = this.createRacePlanControls();
+
     const splitsContent = document.createElement('div');
     splitsContent.className = 'history-table-container';
 
+    // Per-split pace is only shown when the plan varies the pace
+    const showPace = this.activeRacePlan !== null;
+    const splitPaceUnit = this.lastCalculation?.intervalInfo?.unit === 'miles' ? 'mile' : 'km';
+
     let tableHTML = `
       <table class="history-table history-table--splits">
         <thead>
@@ -2108,6 +2772,7 @@ class PaceCalculator extends PaceCalculatorBase {
             <th>Distance</th>
             <th>Split Distance</th>
             <th>Split Time</th>
+            ${showPace ? '<th>Pace</th>' : ''}
             <th>Cumulative Time</th>
           </tr>
         </thead>
@@ -2115,11 +2780,16 @@ class PaceCalculator extends PaceCalculatorBase {
     `;
 
     splits.forEach(split => {
+      const paceCell = showPace
+        ? `<td class="history-row__performance">${formatPaceTime(convertPaceUnit(split.pacePerKm, 'km', splitPaceUnit))}/${splitPaceUnit}</td>`
+        : '';
+
       tableHTML += `
         <tr class="history-row">
           <td>${split.distanceLabel}</td>
           <td>${split.splitDistanceLabel}</td>
           <td class="history-row__performance">${formatTotalTime(split.splitTime)}</td>
+          ${paceCell}
           <td class="history-row__performance">${formatTotalTime(split.time)}</td>
         </tr>
       `;
@@ -2135,6 +2805,10 @@ class PaceCalculator extends PaceCalculatorBase {
     // Wrap toggle and table together for collapsing
     const collapsibleWrapper = document.createElement('div');
     collapsibleWrapper.appendChild(toggleContainer);
+    if (this.currentSplitFormat.startsWith('track-')) {
+      collapsibleWrapper.appendChild(this.createTrackControls());
+    }
+    collapsibleWrapper.appendChild(racePlanContainer);
     collapsibleWrapper.appendChild(splitsContent);
 
     splitsCard.appendChild(splitsTitle);
@@ -2146,235 +2820,321 @@ class PaceCalculator extends PaceCalculatorBase {
   }
 
   /**
-   * Handle split format toggle change
-   * @param {string} format - New format value
+   * Create the track type, custom lap and lane controls
+   * Used for the track splits and, without the lane, for the lap counts of timed races.
+   * @param {Object} options
+   * @param {string} options.idPrefix - Prefix for the input ids, so both sets of controls can be on the page
+   * @param {boolean} options.showLane - Whether to show the lane select
+   * @param {string} options.summary - Text shown under the controls (replaced by the track error, if any)
+   * @param {Function} options.onChange - Called with the changed track settings
+   * @returns {HTMLElement} Track controls
    */
-  handleSplitFormatChange(format) {
-    if (format === this.currentSplitFormat) return;
-
-    this.currentSplitFormat = format;
-    this.saveState();
+  createTrackControls({
+    idPrefix = 'track',
+    showLane = true,
+    summary = this.getTrackSummary(),
+    onChange = changes => this.handleTrackChange(changes)
+  } = {}) {
+    const container = document.createElement('div');
+    container.className = 'track-settings';
+
+    const typeButtons = Object.entries(TRACK_TYPES)
+      .map(([key, type]) => `<button type="button" class="mode-toggle__option" data-track="${key}">${type.name}</button>`)
+      .join('');
+
+    const laneOptions = Array.from({ length: TRACK_LANES }, (_, index) => index + 1)
+      .map(lane => `<option value="${lane}">Lane ${lane}</option>`)
+      .join('');
+    const laneControl = showLane
+      ? `<div class="form-group">
+            <label for="${idPrefix}-lane">Lane</label>
+            <select id="${idPrefix}-lane" class="form-select">${laneOptions}</select>
+          </div>`
+      : '';
+
+    container.innerHTML = `
+      <div class="split-format-toggle-container">
+        <label class="split-format-toggle-label">Track:</label>
+        <div class="mode-toggle split-format-toggle track-type-toggle">${typeButtons}</div>
+        <div class="track-settings__options">
+          <div class="form-group ${this.trackSettings.type === 'custom' ? '' : 'hidden'}">
+            <label for="${idPrefix}-lap-length">Lap length (m)</label>
+            <input type="number" id="${idPrefix}-lap-length" class="form-input" min="0" step="any" lang="en">
+          </div>
+          ${laneControl}
+        </div>
+      </div>
+    `;
 
-    // Update toggle button states
-    const buttons = document.querySelectorAll('.split-format-toggle .mode-toggle__option');
-    buttons.forEach(btn => {
-      if (btn.dataset.format === format) {
+    container.querySelectorAll('.mode-toggle__option').forEach(btn => {
+      if (btn.dataset.track === this.trackSettings.type) {
         btn.classList.add('mode-toggle__option--active');
-      } else {
-        btn.classList.remove('mode-toggle__option--active');
       }
+      btn.addEventListener('click', () => onChange({ type: btn.dataset.track }));
     });
 
-    // Recalculate and redisplay splits
-    this.recalculateSplits();
+    const lapInput = container.querySelector(`#${idPrefix}-lap-length`);
+    lapInput.value = this.trackSettings.customLapMetres;
+    lapInput.addEventListener('change', () => onChange({ customLapMetres: parseFloat(lapInput.value) }));
+
+    const laneSelect = container.querySelector(`#${idPrefix}-lane`);
+    if (laneSelect) {
+      laneSelect.value = this.trackSettings.lane;
+      laneSelect.addEventListener('change', () => onChange({ lane: parseInt(laneSelect.value, 10) }));
+    }
+
+    const summaryElement = document.createElement('p');
+    summaryElement.className = this.trackError ? 'race-plan__summary race-plan__summary--error' : 'race-plan__summary';
+    summaryElement.textContent = this.trackError || summary;
+    container.querySelector('.split-format-toggle-container').appendChild(summaryElement);
+
+    return container;
   }
 
   /**
-   * Recalculate and redisplay splits with current format
+   * Describe the lane lap distance, start position and stagger for the current race
+   * @returns {string} Summary text
    */
-  recalculateSplits() {
-    if (!this.lastCalculation) return;
-
-    const { distanceMetres, pacePerKm, eventConfig, intervalMetres, intervalInfo } = this.lastCalculation;
-
-    const splits = this.calculateSplitsWithFormat(
-      distanceMetres, pacePerKm, eventConfig, intervalMetres, intervalInfo
-    );
+  getTrackSummary() {
+    const track = this.getTrack();
+    const { lane } = this.trackSettings;
+    const distanceMetres = this.lastCalculation?.distanceMetres;
+    const parts = [];
+
+    if (lane > 1) {
+      const laneLapMetres = getLaneLapDistance(track, lane);
+      parts.push(`A lap in lane ${lane} is ${laneLapMetres.toFixed(2)}m (+${(laneLapMetres - track.lapMetres).toFixed(2)}m), and the splits assume the whole race is run in this lane.`);
+    }
 
-    // Remove existing splits card
-    const existingSplitsCard = this.resultsContent.querySelector('.result-card:has(.split-format-toggle)');
-    if (existingSplitsCard) {
-      existingSplitsCard.remove();
+    if (distanceMetres) {
+      const start = getStartPosition(track, distanceMetres);
+      const laps = `${start.fullLaps} full lap${start.fullLaps === 1 ? '' : 's'}`;
+      parts.push(start.firstLapMetres > 0
+        ? `Start ${formatTrackMetres(start.startMetres)} past the finish line: ${formatTrackMetres(start.firstLapMetres)} to the line, then ${laps}.`
+        : `Start on the finish line and run ${laps}.`);
+
+      const stagger = calculateLaneStagger(track, lane, distanceMetres);
+      if (lane > 1 && stagger.staggerMetres > 0) {
+        const where = stagger.inLanes === 'bends'
+          ? `, in lanes to the end of the ${stagger.bends === 1 ? 'first' : 'second'} bend`
+          : '';
+        parts.push(`Lane ${lane} stagger: ${stagger.staggerMetres.toFixed(2)}m ahead of lane 1 when started in lanes${where}.`);
+      }
     }
 
-    this.displaySplits(splits);
+    return parts.join(' ');
   }
 
   /**
-   * Save calculation to history
+   * Handle track type, custom lap or lane change
+   * @param {Object} changes - Track settings to update
    */
-  saveToHistory(entry) {
-    try {
-      let history = this.getHistory();
-
-      // Add unique ID
-      entry.id = `pace-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  handleTrackChange(changes) {
+    this.trackSettings = { ...this.trackSettings, ...changes };
+    this.saveState();
+    this.recalculateSplits();
+  }
 
-      // Add to beginning of array
-      history.unshift(entry);
+  /**
+   * Create the race plan strategy toggle and its options
+   * @returns {HTMLElement} Race plan controls
+   */
+  createRacePlanControls() {
+    const container = document.createElement('div');
+    container.className = 'race-plan';
+
+    const strategyButtons = Object.entries(RACE_PLAN_STRATEGIES)
+      .map(([key, label]) => `<button type="button" class="mode-toggle__option" data-strategy="${key}">${label}</button>`)
+      .join('');
+
+    container.innerHTML = `
+      <div class="split-format-toggle-container">
+        <label class="split-format-toggle-label">Race Plan:</label>
+        <div class="mode-toggle split-format-toggle race-plan-toggle">${strategyButtons}</div>
+      </div>
+    `;
 
-      // Limit to max entries
-      if (history.length > this.maxHistoryEntries) {
-        history = history.slice(0, this.maxHistoryEntries);
+    container.querySelectorAll('.mode-toggle__option').forEach(btn => {
+      if (btn.dataset.strategy === this.racePlan.strategy) {
+        btn.classList.add('mode-toggle__option--active');
       }
+      btn.addEventListener('click', () => this.handleRacePlanChange({ strategy: btn.dataset.strategy }));
+    });
 
-      // Save to localStorage
-      localStorage.setItem(this.historyStorageKey, JSON.stringify(history));
+    const toggleGroup = container.querySelector('.split-format-toggle-container');
 
-      // Re-render history
-      this.renderHistory();
-    } catch (error) {
-      console.error('Error saving to history:', error);
+    const options = this.createRacePlanOptions();
+    if (options) {
+      toggleGroup.appendChild(options);
+    }
+
+    const summary = document.createElement('p');
+    summary.className = this.racePlanError ? 'race-plan__summary race-plan__summary--error' : 'race-plan__summary';
+    summary.textContent = this.racePlanError || this.getRacePlanSummary();
+    if (summary.textContent) {
+      toggleGroup.appendChild(summary);
     }
+
+    return container;
   }
 
   /**
-   * Get history from localStorage
+   * Create the option input for the selected race plan strategy
+   * @returns {HTMLElement|null} Option form group, or null for even pacing
    */
-  getHistory() {
-    try {
-      const data = localStorage.getItem(this.historyStorageKey);
-      let history = data ? JSON.parse(data) : [];
-
-      // Migrate old entries without measurementMode
-      history = history.map(entry => {
-        if (!entry.measurementMode) {
-          entry.measurementMode = 'pace'; // Default old entries to pace mode
-        }
-        return entry;
-      });
+  createRacePlanOptions() {
+    const { strategy } = this.racePlan;
+    const fields = {
+      negative: { option: 'percent', label: 'Second half faster by (%)', type: 'number', step: '0.1' },
+      positive: { option: 'percent', label: 'Second half slower by (%)', type: 'number', step: '0.1' },
+      progressive: { option: 'stepSeconds', label: 'Faster each km by (seconds)', type: 'number', step: '0.1' },
+      custom: {
+        option: 'customSegments',
+        label: 'Segments',
+        type: 'text',
+        placeholder: 'e.g., first 5km at 4:10, then 4:00',
+        help: 'Paces are per km (add /mi for per mile). They are scaled together so the plan finishes in the goal time.'
+      }
+    };
 
-      return history;
-    } catch (error) {
-      console.error('Error loading history:', error);
-      return [];
+    const field = fields[strategy];
+    if (!field) return null;
+
+    const group = document.createElement('div');
+    group.className = 'form-group race-plan__options';
+
+    const label = document.createElement('label');
+    label.htmlFor = 'race-plan-option';
+    label.textContent = field.label;
+
+    const input = document.createElement('input');
+    input.id = 'race-plan-option';
+    input.type = field.type;
+    input.className = 'form-input';
+    input.value = this.racePlan[field.option];
+    if (field.step) {
+      input.step = field.step;
+      input.min = '0';
+      input.lang = 'en';
+    }
+    if (field.placeholder) {
+      input.placeholder = field.placeholder;
     }
-  }
 
-  /**
-   * Load and display history
-   */
-  loadHistory() {
-    this.renderHistory();
-  }
+    input.addEventListener('change', () => {
+      const value = field.type === 'number' ? parseFloat(input.value) : input.value.trim();
+      this.handleRacePlanChange({ [field.option]: value });
+    });
 
-  /**
-   * Render history table
-   */
-  renderHistory() {
-    const history = this.getHistory();
+    group.appendChild(label);
+    group.appendChild(input);
 
-    if (history.length === 0) {
-      this.historySection.classList.add('hidden');
-      return;
+    if (field.help) {
+      const help = document.createElement('small');
+      help.className = 'form-help';
+      help.textContent = field.help;
+      group.appendChild(help);
     }
 
-    this.historySection.classList.remove('hidden');
-    this.historyTableBody.innerHTML = '';
-
-    history.forEach((entry, index) => {
-      const row = document.createElement('tr');
-      row.className = 'history-row history-row--adding';
-      row.draggable = true;
-      row.dataset.id = entry.id;
-      row.dataset.index = index;
-
-      // Show speed if speed mode entry, else show pace
-      const paceOrSpeed = (entry.measurementMode === 'speed' && entry.speed)
-        ? entry.speed
-        : entry.pace;
-
-      row.innerHTML = `
-        <td>${entry.distance}</td>
-        <td class="history-row__performance">${entry.totalTime}</td>
-        <td class="history-row__performance">${paceOrSpeed}</td>
-        <td>
-          <button class="history-delete-btn" data-id="${entry.id}" aria-label="Delete"></button>
-        </td>
-      `;
+    return group;
+  }
 
-      // Add delete icon to button
-      const deleteBtn = row.querySelector('.history-delete-btn');
-      if (deleteBtn) {
-        const deleteIcon = createIcon('x', 'icon--sm');
-        deleteBtn.appendChild(deleteIcon);
+  /**
+   * Describe the active race plan
+   * @returns {string} Summary text, empty for even pacing
+   */
+  getRacePlanSummary() {
+    const plan = this.activeRacePlan;
+    if (!plan) return '';
+
+    const { segments } = plan;
+    const first = segments[0];
+    const last = segments[segments.length - 1];
+
+    switch (plan.strategy) {
+      case 'negative':
+      case 'positive': {
+        const halfTime = (segment) => (segment.endMetres - segment.startMetres) / 1000 * segment.pacePerKm;
+        return `First half ${formatTotalTime(halfTime(first))}, second half ${formatTotalTime(halfTime(last))}`;
       }
 
-      // Add drag and drop listeners
-      row.addEventListener('dragstart', (e) => this.handleDragStart(e));
-      row.addEventListener('dragover', (e) => this.handleDragOver(e));
-      row.addEventListener('drop', (e) => this.handleDrop(e));
-      row.addEventListener('dragend', (e) => this.handleDragEnd(e));
+      case 'progressive':
+        return `From ${formatPaceTime(first.pacePerKm)}/km for the first km to ${formatPaceTime(last.pacePerKm)}/km for the last`;
 
-      // Add delete listener
-      deleteBtn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        this.deleteHistoryEntry(entry.id);
-      });
+      case 'custom': {
+        const change = (plan.scale - 1) * 100;
+        if (Math.abs(change) < 0.05) {
+          return 'Custom paces finish exactly in the goal time';
+        }
+        return `Custom paces ${change > 0 ? 'slowed' : 'sped up'} by ${Math.abs(change).toFixed(1)}% to finish in the goal time`;
+      }
 
-      this.historyTableBody.appendChild(row);
-    });
+      default:
+        return '';
+    }
   }
 
   /**
-   * Delete history entry
+   * Handle race plan strategy or option change
+   * @param {Object} changes - Race plan properties to update
    */
-  deleteHistoryEntry(id) {
-    const history = this.getHistory();
-    const filtered = history.filter(entry => entry.id !== id);
-    localStorage.setItem(this.historyStorageKey, JSON.stringify(filtered));
-    this.renderHistory();
+  handleRacePlanChange(changes) {
+    this.racePlan = { ...this.racePlan, ...changes };
+    this.saveState();
+    this.recalculateSplits();
   }
 
   /**
-   * Drag and drop handlers
+   * Handle split format toggle change
+   * @param {string} format - New format value
    */
-  handleDragStart(e) {
-    e.target.classList.add('dragging');
-    e.dataTransfer.effectAllowed = 'move';
-    e.dataTransfer.setData('text/html', e.target.innerHTML);
-    e.dataTransfer.setData('text/plain', e.target.dataset.index);
-  }
+  handleSplitFormatChange(format) {
+    if (format === this.currentSplitFormat) return;
 
-  handleDragOver(e) {
-    if (e.preventDefault) {
-      e.preventDefault();
-    }
-    e.dataTransfer.dropEffect = 'move';
+    this.currentSplitFormat = format;
+    this.saveState();
 
-    const row = e.target.closest('.history-row');
-    if (row && !row.classList.contains('dragging')) {
-      row.classList.add('drag-over');
-    }
+    // Update toggle button states
+    const buttons = document.querySelectorAll('.split-format-toggle .mode-toggle__option[data-format]');
+    buttons.forEach(btn => {
+      if (btn.dataset.format === format) {
+        btn.classList.add('mode-toggle__option--active');
+      } else {
+        btn.classList.remove('mode-toggle__option--active');
+      }
+    });
 
-    return false;
+    // Recalculate and redisplay splits
+    this.recalculateSplits();
   }
 
-  handleDrop(e) {
-    if (e.stopPropagation) {
-      e.stopPropagation();
-    }
+  /**
+   * Recalculate and redisplay splits with current format
+   */
+  recalculateSplits() {
+    if (!this.lastCalculation) return;
 
-    const draggedIndex = parseInt(e.dataTransfer.getData('text/plain'));
-    const targetRow = e.target.closest('.history-row');
+    const { distanceMetres, pacePerKm, eventConfig, intervalMetres, intervalInfo } = this.lastCalculation;
 
-    if (targetRow) {
-      const targetIndex = parseInt(targetRow.dataset.index);
+    const splits = this.calculateSplitsWithFormat(
+      distanceMetres, pacePerKm, eventConfig, intervalMetres, intervalInfo
+    );
 
-      if (draggedIndex !== targetIndex) {
-        this.reorderHistory(draggedIndex, targetIndex);
-      }
+    // Remove existing splits card
+    const existingSplitsCard = this.resultsContent.querySelector('.result-card:has(.split-format-toggle)');
+    if (existingSplitsCard) {
+      existingSplitsCard.remove();
     }
 
-    return false;
-  }
-
-  handleDragEnd(e) {
-    e.target.classList.remove('dragging');
-    document.querySelectorAll('.history-row').forEach(row => {
-      row.classList.remove('drag-over');
-    });
+    this.displaySplits(splits);
+    updateShareUrl(this.getShareState());
   }
 
   /**
-   * Reorder history array
+   * Save calculation to history
    */
-  reorderHistory(fromIndex, toIndex) {
-    const history = this.getHistory();
-    const [movedItem] = history.splice(fromIndex, 1);
-    history.splice(toIndex, 0, movedItem);
-    localStorage.setItem(this.historyStorageKey, JSON.stringify(history));
-    this.renderHistory();
+  saveToHistory(entry) {
+    this.historyPanel.addEntry(entry);
   }
 }
 
@@ -0,0 +1,492 @@
+/**
+ * Qualification Standards Checker Page
+ */
+
+import { Navigation } from '../components/navigation.js';
+import { BaseCalculator } from '../components/calculator-base.js';
+import { StandardsPanel } from '../components/standards-panel.js';
+import { checkMark, checkMarks, formatGap, formatWindow, QUALIFICATION_STATUS } from '../calculators/qualification.js';
+import { parsePerformance, formatPerformance } from '../utils/performance-parser.js';
+import { scoringDataLoader } from '../data/scoring-data-loader.js';
+import { eventConfigLoader } from '../data/event-config-loader.js';
+import { qualificationStandardsLoader } from '../data/qualification-standards-loader.js';
+import { createIcon } from '../components/icon.js';
+
+const MARKS_STORAGE_KEY = 'qualification.marks';
+
+class QualificationChecker extends BaseCalculator {
+  constructor(selectors) {
+    super(selectors);
+    this.championships = [];
+    this.marks = loadMarks();
+  }
+
+  setupDOMElements() {
+    super.setupDOMElements();
+    this.dateInput = document.querySelector('#mark-date-input');
+    this.windContainer = document.querySelector('#wind-container');
+    this.windInput = document.querySelector('#wind-input');
+    this.marksTableBody = document.querySelector('#marks-table-body');
+    this.checksTableBody = document.querySelector('#checks-table-body');
+    this.marksEmpty = document.querySelector('#marks-empty');
+    this.marksContent = document.querySelector('#marks-content');
+    this.clearMarksBtn = document.querySelector('#clear-marks-btn');
+  }
+
+  setupEventListeners() {
+    super.setupEventListeners();
+
+    this.dateInput?.addEventListener('input', () => {
+      this.dateInput.classList.remove('input-error');
+      this.hideError();
+    });
+
+    this.windInput?.addEventListener('input', () => {
+      this.windInput.classList.remove('input-error');
+      this.hideError();
+    });
+    this.windInput?.addEventListener('keypress', (e) => this.handleKeyPress(e));
+
+    this.marksTableBody?.addEventListener('click', (e) => {
+      const deleteBtn = e.target.closest('.history-delete-btn');
+      if (deleteBtn) {
+        this.removeMark(deleteBtn.dataset.markId);
+      }
+    });
+
+    this.clearMarksBtn?.addEventListener('click', () => this.clearMarks());
+  }
+
+  async initialize() {
+    if (this.dateInput && !this.dateInput.value) {
+      this.dateInput.value = getToday();
+    }
+
+    await super.initialize();
+    Navigation.initialize();
+
+    this.standardsPanel = new StandardsPanel({
+      onChange: (championships) => this.setChampionships(championships)
+    });
+    await this.standardsPanel.initialize();
+    this.setChampionships(this.standardsPanel.getChampionships());
+  }
+
+  async loadScoringData() {
+    try {
+      this.showLoading(true);
+      this.hideError();
+      await Promise.all([
+        scoringDataLoader.load(),
+        eventConfigLoader.load(),
+        qualificationStandardsLoader.load()
+      ]);
+      this.allEvents = eventConfigLoader.getAllEvents();
+      this.showLoading(false);
+    } catch (error) {
+      console.error('Error loading qualification standards:', error);
+      this.showError('Failed to load qualification standards. Please refresh the page.');
+      this.showLoading(false);
+    }
+  }
+
+  /**
+   * Use a new set of championships, keeping the selected event if it still has a standard
+   * @param {Array<Object>} championships
+   */
+  setChampionships(championships) {
+    this.championships = championships;
+
+    if (!this.currentGender) {
+      this.initializeGenderToggle();
+      return;
+    }
+
+    this.filterAvailableEvents(this.currentGender);
+    this.renderMarks();
+  }
+
+  initializeGenderToggle() {
+    // Entry standards are only set for men and women
+    const savedGender = sessionStorage.getItem('selectedGender');
+    this.handleGenderToggle(savedGender === 'women' ? 'women' : 'men');
+  }
+
+  handleGenderToggle(gender) {
+    super.handleGenderToggle(gender);
+    this.updateWindInputVisibility();
+    this.renderMarks();
+  }
+
+  filterAvailableEvents(gender) {
+    // Only include events with a standard at one of the championships
+    const standardEvents = new Set(
+      this.championships.flatMap(championship => Object.keys(championship.standards[gender] || {}))
+    );
+    this.availableEvents = this.allEvents.filter(event => standardEvents.has(event.key));
+  }
+
+  selectEvent(eventKey, displayName) {
+    super.selectEvent(eventKey, displayName);
+    this.updateWindInputVisibility();
+  }
+
+  /**
+   * Show the wind input for wind affected events
+   */
+  updateWindInputVisibility() {
+    const showWind = this.currentEvent && eventConfigLoader.supportsWind(this.currentEvent);
+
+    if (showWind) {
+      this.windContainer.style.display = 'flex';
+    } else {
+      this.windContainer.style.display = 'none';
+      this.windInput.value = '';
+      this.windInput.classList.remove('input-error');
+    }
+  }
+
+  /**
+   * Parse the optional wind reading
+   * @returns {number|null|undefined} Wind in m/s, null if empty, undefined if invalid
+   */
+  parseWindInput() {
+    if (!this.windInput || this.windContainer.style.display === 'none') {
+      return null;
+    }
+
+    const value = this.windInput.value.trim().replace(',', '.');
+    if (!value) {
+      return null;
+    }
+
+    if (!/^[+-]?\d+(\.\d+)?$/.test(value)) {
+      return undefined;
+    }
+
+    return parseFloat(value);
+  }
+
+  handleCalculate() {
+    const inputValue = this.performanceInput.value.trim();
+
+    if (!this.currentGender || !this.currentEvent || !inputValue) {
+      if (!inputValue) {
+        this.performanceInput.classList.add('input-error');
+        this.showError('Please enter a performance value.');
+      }
+      return;
+    }
+
+    try {
+      this.hideError();
+      this.performanceInput.classList.remove('input-error');
+
+      const normalizedPerformance = parsePerformance(inputValue, this.currentEvent);
+      if (!normalizedPerformance) {
+        this.performanceInput.classList.add('input-error');
+        this.showError('Invalid performance format. Please enter a valid number (e.g., 10.5 or 1:30.5)');
+        return;
+      }
+
+      const date = this.dateInput.value;
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        this.dateInput.classList.add('input-error');
+        this.showError('Please enter the date of the mark.');
+        return;
+      }
+
+      const wind = this.parseWindInput();
+      if (wind === undefined) {
+        this.windInput.classList.add('input-error');
+        this.showError('Invalid wind reading. Please enter a value in m/s (e.g., +1.2 or -0.8)');
+        return;
+      }
+
+      const mark = {
+        id: `mark-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        gender: this.currentGender,
+        event: this.currentEvent,
+        performance: normalizedPerformance,
+        date,
+        wind
+      };
+
+      this.addMark(mark);
+      this.displayResults(mark);
+    } catch (error) {
+      console.error('Calculation error:', error);
+      this.performanceInput.classList.add('input-error');
+      this.showError('An error occurred during calculation. Please try again.');
+    }
+  }
+
+  /**
+   * Show the checks of the mark just added against each championship
+   * @param {Object} mark
+   */
+  displayResults(mark) {
+    this.resultsContent.innerHTML = '';
+
+    const checks = this.championships
+      .map(championship => checkMark(mark.gender, mark, championship))
+      .filter(Boolean);
+    const qualified = checks.filter(check => check.status === QUALIFICATION_STATUS.qualified);
+
+    const card = document.createElement('div');
+    card.className = 'result-card';
+
+    const title = document.createElement('div');
+    title.className = 'result-card__title';
+    title.textContent = `${getEventName(mark.event)} - ${this.capitalizeFirst(mark.gender)}: ${formatMark(mark)}`;
+
+    const summary = document.createElement('div');
+    summary.className = 'result-card__points';
+    summary.textContent = `Qualified for ${qualified.length} of ${checks.length} ${checks.length === 1 ? 'championship' : 'championships'}`;
+
+    const grid = document.createElement('div');
+    grid.className = 'equivalencies-grid';
+
+    for (const check of checks) {
+      const item = document.createElement('div');
+      item.className = `equivalency-item qualification-item ${getStatusClass(check.status)}`;
+
+      const name = document.createElement('div');
+      name.className = 'equivalency-item__event';
+      name.textContent = check.championship.name;
+
+      const standard = document.createElement('div');
+      standard.className = 'equivalency-item__performance';
+      standard.textContent = `Standard ${formatPerformance(check.standard, mark.event)}`;
+
+      const detail = document.createElement('div');
+      detail.className = 'form-help';
+      detail.textContent = `${check.status}: ${formatGap(check.gap, mark.event)}${formatPointsGap(check.pointsGap)}`;
+
+      item.appendChild(name);
+      item.appendChild(standard);
+      item.appendChild(detail);
+
+      if (!check.inWindow) {
+        const windowLine = document.createElement('div');
+        windowLine.className = 'form-help';
+        windowLine.textContent = `Window: ${formatWindow(check.window)}`;
+        item.appendChild(windowLine);
+      }
+
+      grid.appendChild(item);
+    }
+
+    card.appendChild(title);
+    card.appendChild(summary);
+    card.appendChild(grid);
+    this.resultsContent.appendChild(card);
+
+    this.showResults();
+  }
+
+  addMark(mark) {
+    this.marks.push(mark);
+    saveMarks(this.marks);
+    this.renderMarks();
+  }
+
+  removeMark(id) {
+    this.marks = this.marks.filter(mark => mark.id !== id);
+    saveMarks(this.marks);
+    this.hideResults();
+    this.renderMarks();
+  }
+
+  clearMarks() {
+    this.marks = this.marks.filter(mark => mark.gender !== this.currentGender);
+    saveMarks(this.marks);
+    this.hideResults();
+    this.renderMarks();
+  }
+
+  /**
+   * List the marks for the current gender and check them against every championship
+   */
+  renderMarks() {
+    if (!this.marksTableBody || !this.checksTableBody) return;
+
+    const marks = this.marks.filter(mark => mark.gender === this.currentGender);
+
+    this.marksContent?.classList.toggle('hidden', marks.length === 0);
+    this.marksEmpty?.classList.toggle('hidden', marks.length > 0);
+
+    this.marksTableBody.innerHTML = '';
+    for (const mark of marks) {
+      this.marksTableBody.appendChild(this.createMarkRow(mark));
+    }
+
+    this.checksTableBody.innerHTML = '';
+    for (const check of checkMarks(this.currentGender, marks, this.championships)) {
+      this.checksTableBody.appendChild(this.createCheckRow(check));
+    }
+  }
+
+  createMarkRow(mark) {
+    const row = document.createElement('tr');
+    row.className = 'history-row';
+
+    const dateCell = document.createElement('td');
+    dateCell.className = 'history-row__date';
+    dateCell.textContent = mark.date;
+
+    const eventCell = document.createElement('td');
+    eventCell.className = 'history-row__event';
+    eventCell.textContent = getEventName(mark.event);
+
+    const markCell = document.createElement('td');
+    markCell.textContent = formatMark(mark);
+
+    const actionsCell = document.createElement('td');
+    actionsCell.className = 'history-row__actions';
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'history-delete-btn';
+    deleteBtn.setAttribute('aria-label', `Delete ${getEventName(mark.event)} ${formatMark(mark)}`);
+    deleteBtn.dataset.markId = mark.id;
+    deleteBtn.appendChild(createIcon('x', 'icon--sm'));
+    actionsCell.appendChild(deleteBtn);
+
+    row.appendChild(dateCell);
+    row.appendChild(eventCell);
+    row.appendChild(markCell);
+    row.appendChild(actionsCell);
+    return row;
+  }
+
+  createCheckRow(check) {
+    const row = document.createElement('tr');
+    row.className = `history-row ${getStatusClass(check.status)}`;
+
+    const cells = [
+      check.championship.name,
+      getEventName(check.mark.event),
+      `${formatMark(check.mark)} (${check.mark.date})`,
+      formatPerformance(check.standard, check.mark.event),
+      formatGap(check.gap, check.mark.event),
+      check.pointsGap === null ? '—' : formatPointsChange(check.pointsGap),
+      check.status
+    ];
+
+    cells.forEach((text, index) => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      if (index === 0) {
+        cell.className = 'history-row__event';
+      } else if (index === cells.length - 1) {
+        cell.className = 'qualification-status';
+        if (!check.inWindow) {
+          cell.title = `Qualification window: ${formatWindow(check.window)}`;
+        }
+      }
+      row.appendChild(cell);
+    });
+
+    return row;
+  }
+}
+
+/**
+ * Load the marks entered this session
+ * @returns {Array<Object>}
+ */
+function loadMarks() {
+  try {
+    const marks = JSON.parse(sessionStorage.getItem(MARKS_STORAGE_KEY) || '[]');
+    return Array.isArray(marks) ? marks : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Save the marks for this session
+ * @param {Array<Object>} marks
+ */
+function saveMarks(marks) {
+  sessionStorage.setItem(MARKS_STORAGE_KEY, JSON.stringify(marks));
+}
+
+/**
+ * Today's date in local time
+ * @returns {string} YYYY-MM-DD
+ */
+function getToday() {
+  const now = new Date();
+  now.setMinutes(now.getMinutes() - now.getTimezoneOffset());
+  return now.toISOString().slice(0, 10);
+}
+
+/**
+ * Display name of an event
+ * @param {string} event - Event key
+ * @returns {string}
+ */
+function getEventName(event) {
+  return eventConfigLoader.getEventInfo(event)?.displayName || event;
+}
+
+/**
+ * Format a mark with its wind reading
+ * @param {Object} mark
+ * @returns {string}
+ */
+function formatMark(mark) {
+  const performance = formatPerformance(mark.performance, mark.event);
+  if (mark.wind === null || mark.wind === undefined) {
+    return performance;
+  }
+  return `${performance} (${mark.wind > 0 ? '+' : ''}${mark.wind.toFixed(1)})`;
+}
+
+/**
+ * Format a points difference with its sign
+ * @param {number} points
+ * @returns {string} e.g. "+12 pts"
+ */
+function formatPointsChange(points) {
+  return `${points > 0 ? '+' : ''}${points} pts`;
+}
+
+/**
+ * Format the points gap for a summary line
+ * @param {number|null} pointsGap
+ * @returns {string}
+ */
+function formatPointsGap(pointsGap) {
+  return pointsGap === null ? '' : ` (${formatPointsChange(pointsGap)})`;
+}
+
+/**
+ * Class for a qualification status
+ * @param {string} status - One of QUALIFICATION_STATUS
+ * @returns {string}
+ */
+function getStatusClass(status) {
+  return status === QUALIFICATION_STATUS.qualified
+    ? 'qualification--qualified'
+    : status === QUALIFICATION_STATUS.notMet ? 'qualification--not-met' : 'qualification--warning';
+}
+
+// Initialize when DOM is ready
+const checker = new QualificationChecker({
+  eventInput: '#event-input',
+  eventDropdown: '#event-dropdown',
+  performanceInput: '#performance-input',
+  calculateBtn: '#calculate-btn',
+  resultsContainer: '#results-container',
+  resultsContent: '#results-content',
+  loadingIndicator: '#loading-indicator',
+  errorMessage: '#error-message'
+});
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => checker.initialize());
+} else {
+  checker.initialize();
+}
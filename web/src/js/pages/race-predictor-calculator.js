@@ -0,0 +1,291 @@
+/**
+ * Race Time Predictor Page
+ */
+
+import { Navigation } from '../components/navigation.js';
+import { BaseCalculator } from '../components/calculator-base.js';
+import {
+  predictRaceTimes,
+  DEFAULT_RIEGEL_EXPONENT,
+  RIEGEL_EXPONENT_RANGE
+} from '../calculators/race-predictor.js';
+import { parsePerformance } from '../utils/performance-parser.js';
+import { formatTotalTime } from '../utils/pace-formatter.js';
+import { scoringDataLoader } from '../data/scoring-data-loader.js';
+import { eventConfigLoader } from '../data/event-config-loader.js';
+
+class RacePredictorCalculator extends BaseCalculator {
+  setupDOMElements() {
+    super.setupDOMElements();
+    this.exponentInput = document.querySelector('#exponent-input');
+  }
+
+  setupEventListeners() {
+    super.setupEventListeners();
+
+    this.exponentInput?.addEventListener('input', () => this.handleExponentInput());
+    this.exponentInput?.addEventListener('keypress', (e) => this.handleKeyPress(e));
+  }
+
+  async initialize() {
+    await super.initialize();
+    Navigation.initialize();
+
+    // Restore exponent from session storage
+    const savedExponent = sessionStorage.getItem('racePredictorExponent');
+    if (savedExponent) {
+      this.exponentInput.value = savedExponent;
+    }
+  }
+
+  async loadScoringData() {
+    try {
+      this.showLoading(true);
+      this.hideError();
+      await Promise.all([
+        scoringDataLoader.load(),
+        eventConfigLoader.load()
+      ]);
+      this.allEvents = eventConfigLoader.getAllEvents();
+      this.initializeGenderToggle();
+      this.showLoading(false);
+    } catch (error) {
+      console.error('Error loading scoring data:', error);
+      this.showError('Failed to load scoring data. Please refresh the page.');
+      this.showLoading(false);
+    }
+  }
+
+  initializeGenderToggle() {
+    // Table equivalence needs a single gender's tables
+    const savedGender = sessionStorage.getItem('selectedGender');
+    this.handleGenderToggle(savedGender === 'women' ? 'women' : 'men');
+  }
+
+  filterAvailableEvents(gender) {
+    super.filterAvailableEvents(gender);
+
+    // Only include the pace calculator distances
+    const distances = eventConfigLoader.data?.paceCalculatorDistances || [];
+    this.availableEvents = this.availableEvents.filter(event => distances.includes(event.key));
+  }
+
+  handleExponentInput() {
+    this.exponentInput.classList.remove('input-error');
+    this.hideError();
+    sessionStorage.setItem('racePredictorExponent', this.exponentInput.value.trim());
+
+    // Keep visible predictions in step with the exponent
+    if (!this.resultsContainer.classList.contains('hidden') && this.parseExponent() !== null) {
+      this.handleCalculate();
+    }
+  }
+
+  /**
+   * Parse and validate the fatigue exponent input
+   * @returns {number|null} Exponent, or null if invalid
+   */
+  parseExponent() {
+    const value = this.exponentInput.value.trim();
+    if (!value) {
+      return DEFAULT_RIEGEL_EXPONENT;
+    }
+
+    const exponent = parseFloat(value);
+    if (isNaN(exponent) || exponent < RIEGEL_EXPONENT_RANGE.min || exponent > RIEGEL_EXPONENT_RANGE.max) {
+      return null;
+    }
+
+    return exponent;
+  }
+
+  handleCalculate() {
+    const inputValue = this.performanceInput.value.trim();
+
+    if (!this.currentGender || !this.currentEvent || !inputValue) {
+      if (!inputValue) {
+        this.performanceInput.classList.add('input-error');
+        this.showError('Please enter a race time.');
+      }
+      return;
+    }
+
+    try {
+      this.hideError();
+      this.performanceInput.classList.remove('input-error');
+
+      const exponent = this.parseExponent();
+      if (exponent === null) {
+        this.exponentInput.classList.add('input-error');
+        this.showError(
+          `Invalid fatigue exponent. Please enter a number between ${RIEGEL_EXPONENT_RANGE.min.toFixed(2)} and ${RIEGEL_EXPONENT_RANGE.max.toFixed(2)}.`
+        );
+        return;
+      }
+
+      const normalizedPerformance = parsePerformance(inputValue, this.currentEvent);
+
+      if (!normalizedPerformance) {
+        this.performanceInput.classList.add('input-error');
+        this.showError('Invalid time format. Please enter a valid time (e.g., 42:30 or 1:32:10)');
+        return;
+      }
+
+      const timeSeconds = parseFloat(normalizedPerformance);
+      const result = predictRaceTimes(this.currentGender, this.currentEvent, timeSeconds, exponent);
+
+      this.displayResults(result, timeSeconds, exponent);
+    } catch (error) {
+      console.error('Calculation error:', error);
+      this.performanceInput.classList.add('input-error');
+      this.showError('An error occurred during calculation. Please try again.');
+    }
+  }
+
+  displayResults(result, timeSeconds, exponent) {
+    this.resultsContent.innerHTML = '';
+
+    const eventDisplayName = eventConfigLoader.getEventInfo(this.currentEvent)?.displayName || this.currentEvent;
+
+    // Summary card for the entered result
+    const mainCard = document.createElement('div');
+    mainCard.className = 'result-card';
+
+    const title = document.createElement('div');
+    title.className = 'result-card__title';
+    title.textContent = `${eventDisplayName} - ${this.capitalizeFirst(this.currentGender)}`;
+
+    const performance = document.createElement('div');
+    performance.className = 'result-card__points';
+    performance.textContent = formatTotalTime(timeSeconds);
+
+    const content = document.createElement('div');
+    content.className = 'result-card__content';
+    content.innerHTML = `
+      ${result.points !== null ? `${result.points} points` : 'Outside the scoring tables'}<br>
+      Fatigue exponent: ${exponent.toFixed(2)}
+    `;
+
+    mainCard.appendChild(title);
+    mainCard.appendChild(performance);
+    mainCard.appendChild(content);
+    this.resultsContent.appendChild(mainCard);
+
+    // Predictions table
+    const predictionsCard = document.createElement('div');
+    predictionsCard.className = 'result-card';
+
+    const predictionsTitle = document.createElement('div');
+    predictionsTitle.className = 'result-card__title';
+    predictionsTitle.textContent = 'Predicted Times';
+
+    const tableContainer = document.createElement('div');
+    tableContainer.className = 'history-table-container';
+
+    const table = document.createElement('table');
+    table.className = 'history-table history-table--splits race-predictor-table';
+    table.innerHTML = `
+      <thead>
+        <tr>
+          <th>Distance</th>
+          <th>Riegel</th>
+          <th>WA Tables</th>
+          <th>Difference</th>
+        </tr>
+      </thead>
+    `;
+
+    const tbody = document.createElement('tbody');
+    for (const prediction of result.predictions) {
+      tbody.appendChild(this.createPredictionRow(prediction));
+    }
+    table.appendChild(tbody);
+
+    tableContainer.appendChild(table);
+    predictionsCard.appendChild(predictionsTitle);
+    predictionsCard.appendChild(tableContainer);
+
+    if (result.points === null) {
+      const note = document.createElement('p');
+      note.className = 'form-help';
+      note.textContent = 'This time is outside the World Athletics scoring tables, so only Riegel predictions are shown.';
+      predictionsCard.appendChild(note);
+    }
+
+    this.resultsContent.appendChild(predictionsCard);
+
+    this.showResults();
+  }
+
+  createPredictionRow(prediction) {
+    const row = document.createElement('tr');
+    if (prediction.event === this.currentEvent) {
+      row.className = 'race-predictor-table__row--current';
+    }
+
+    const distanceCell = document.createElement('td');
+    distanceCell.textContent = prediction.displayName;
+
+    const riegelCell = document.createElement('td');
+    riegelCell.textContent = formatTotalTime(prediction.riegelTime);
+
+    const tableCell = document.createElement('td');
+    const differenceCell = document.createElement('td');
+
+    if (prediction.tableTime !== null) {
+      tableCell.textContent = formatTotalTime(prediction.tableTime);
+
+      const points = document.createElement('span');
+      points.className = 'race-predictor-table__points';
+      points.textContent = ` (${prediction.tablePoints})`;
+      tableCell.appendChild(points);
+
+      differenceCell.textContent = this.formatDifference(prediction.difference);
+      if (Math.abs(prediction.difference) >= 0.005) {
+        differenceCell.className = prediction.difference > 0
+          ? 'race-predictor-difference--slower'
+          : 'race-predictor-difference--faster';
+      }
+    } else {
+      tableCell.textContent = '-';
+      differenceCell.textContent = '-';
+    }
+
+    row.appendChild(distanceCell);
+    row.appendChild(riegelCell);
+    row.appendChild(tableCell);
+    row.appendChild(differenceCell);
+    return row;
+  }
+
+  /**
+   * Format the Riegel minus table difference with a sign
+   * @param {number} seconds - Difference in seconds
+   * @returns {string}
+   */
+  formatDifference(seconds) {
+    if (Math.abs(seconds) < 0.005) {
+      return '0s';
+    }
+    const sign = seconds > 0 ? '+' : '-';
+    return `${sign}${formatTotalTime(Math.abs(seconds))}`;
+  }
+}
+
+// Initialize when DOM is ready
+const calculator = new RacePredictorCalculator({
+  eventInput: '#event-input',
+  eventDropdown: '#event-dropdown',
+  performanceInput: '#performance-input',
+  calculateBtn: '#calculate-btn',
+  resultsContainer: '#results-container',
+  resultsContent: '#results-content',
+  loadingIndicator: '#loading-indicator',
+  errorMessage: '#error-message'
+});
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => calculator.initialize());
+} else {
+  calculator.initialize();
+}
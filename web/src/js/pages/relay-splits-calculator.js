@@ -0,0 +1,345 @@
+/**
+ * Relay Split Analyser Page
+ */
+
+import { Navigation } from '../components/navigation.js';
+import { BaseCalculator } from '../components/calculator-base.js';
+import {
+  analyseRelay,
+  isSupportedRelay,
+  RELAY_LEGS,
+  LEG_COUNT,
+  FLYING_START_RANGE
+} from '../calculators/relay-splits.js';
+import { parsePerformance, formatPerformance, getPerformancePlaceholder } from '../utils/performance-parser.js';
+import { eventConfigLoader } from '../data/event-config-loader.js';
+
+// Usual running order for mixed relays
+const DEFAULT_MIXED_LEG_GENDERS = ['men', 'women', 'women', 'men'];
+
+class RelaySplitsCalculator extends BaseCalculator {
+  setupDOMElements() {
+    super.setupDOMElements();
+    this.inputHelp = document.querySelector('#input-help');
+    this.mixedHelp = document.querySelector('#mixed-help');
+    this.flyingStartInput = document.querySelector('#flying-start-input');
+    this.splitInputs = [];
+    this.legGenderSelects = [];
+    for (let leg = 1; leg <= LEG_COUNT; leg++) {
+      this.splitInputs.push(document.querySelector(`#leg-split-${leg}`));
+      this.legGenderSelects.push(document.querySelector(`#leg-gender-${leg}`));
+    }
+  }
+
+  setupEventListeners() {
+    super.setupEventListeners();
+
+    for (const input of this.splitInputs) {
+      input?.addEventListener('input', () => {
+        input.classList.remove('input-error');
+        this.hideError();
+        this.updateCalculateState();
+      });
+      input?.addEventListener('keypress', (e) => this.handleKeyPress(e));
+    }
+
+    this.flyingStartInput?.addEventListener('input', () => {
+      this.flyingStartInput.classList.remove('input-error');
+      this.hideError();
+    });
+    this.flyingStartInput?.addEventListener('keypress', (e) => this.handleKeyPress(e));
+  }
+
+  async initialize() {
+    await super.initialize();
+    Navigation.initialize();
+  }
+
+  filterAvailableEvents(gender) {
+    super.filterAvailableEvents(gender);
+
+    // Only relays with an individual event for the legs
+    this.availableEvents = this.availableEvents.filter(event => isSupportedRelay(event.key));
+  }
+
+  handleGenderToggle(gender) {
+    const isChange = this.currentGender !== gender;
+    super.handleGenderToggle(gender);
+    if (!isChange) return;
+
+    // Mixed relays need the runner's gender for each leg's individual table
+    const isMixed = gender === 'mixed';
+    this.mixedHelp.classList.toggle('hidden', !isMixed);
+    this.legGenderSelects.forEach((select, index) => {
+      select.classList.toggle('hidden', !isMixed);
+      select.value = isMixed ? DEFAULT_MIXED_LEG_GENDERS[index] : gender;
+    });
+
+    for (const input of this.splitInputs) {
+      input.value = '';
+      input.disabled = true;
+      input.classList.remove('input-error');
+    }
+    this.flyingStartInput.value = '';
+    this.flyingStartInput.disabled = true;
+  }
+
+  selectEvent(eventKey, displayName) {
+    super.selectEvent(eventKey, displayName);
+
+    this.performanceInput.placeholder = getPerformancePlaceholder(eventKey);
+    this.inputHelp.textContent = 'Optional when all four splits are entered';
+
+    const { legEvent, flyingStart } = RELAY_LEGS[eventKey];
+    for (const input of this.splitInputs) {
+      input.disabled = false;
+      input.placeholder = getPerformancePlaceholder(legEvent);
+    }
+
+    // Start from the relay's typical allowance
+    this.flyingStartInput.disabled = false;
+    this.flyingStartInput.value = flyingStart.toFixed(1);
+    this.flyingStartInput.classList.remove('input-error');
+  }
+
+  handlePerformanceInput(e) {
+    super.handlePerformanceInput(e);
+    this.updateCalculateState();
+  }
+
+  /**
+   * Enable Analyse once the team time or a split has been entered
+   */
+  updateCalculateState() {
+    const hasTime = Boolean(this.performanceInput.value.trim())
+      || this.splitInputs.some(input => input.value.trim());
+    this.calculateBtn.disabled = !this.currentEvent || !hasTime;
+  }
+
+  /**
+   * Parse a time input
+   * @param {HTMLInputElement} input
+   * @param {string} eventKey - Event used to interpret the time
+   * @returns {number|null|undefined} Seconds, null if empty, undefined if invalid
+   */
+  parseTime(input, eventKey) {
+    const value = input.value.trim();
+    if (!value) {
+      return null;
+    }
+
+    const normalized = parsePerformance(value, eventKey);
+    return normalized ? parseFloat(normalized) : undefined;
+  }
+
+  /**
+   * Parse and validate the flying start allowance input
+   * @returns {number|null} Seconds (the relay's default if empty), or null if invalid
+   */
+  parseFlyingStart() {
+    const value = this.flyingStartInput.value.trim();
+    if (!value) {
+      return RELAY_LEGS[this.currentEvent].flyingStart;
+    }
+
+    const allowance = parseFloat(value);
+    if (isNaN(allowance) || allowance < FLYING_START_RANGE.min || allowance > FLYING_START_RANGE.max) {
+      return null;
+    }
+
+    return allowance;
+  }
+
+  handleCalculate() {
+    if (!this.currentGender || !this.currentEvent) {
+      return;
+    }
+
+    const legEvent = RELAY_LEGS[this.currentEvent].legEvent;
+    const total = this.parseTime(this.performanceInput, this.currentEvent);
+    const splits = this.splitInputs.map(input => this.parseTime(input, legEvent));
+
+    const invalidInputs = [
+      ...(total === undefined ? [this.performanceInput] : []),
+      ...this.splitInputs.filter((input, index) => splits[index] === undefined)
+    ];
+    if (invalidInputs.length > 0) {
+      invalidInputs.forEach(input => input.classList.add('input-error'));
+      this.showError('Invalid time format. Please enter a valid time (e.g., 10.25 or 46.80)');
+      return;
+    }
+
+    const flyingStart = this.parseFlyingStart();
+    if (flyingStart === null) {
+      this.flyingStartInput.classList.add('input-error');
+      this.showError(`Invalid flying start allowance. Please enter a number of seconds between ${FLYING_START_RANGE.min} and ${FLYING_START_RANGE.max}.`);
+      return;
+    }
+
+    try {
+      this.hideError();
+      const result = analyseRelay(this.currentGender, this.currentEvent, {
+        total,
+        splits,
+        legGenders: this.legGenderSelects.map(select => select.value),
+        flyingStart
+      });
+      this.displayResults(result);
+    } catch (error) {
+      console.error('Calculation error:', error);
+      this.showError(`${error.message}.`);
+    }
+  }
+
+  displayResults(result) {
+    this.resultsContent.innerHTML = '';
+
+    const eventDisplayName = eventConfigLoader.getEventInfo(this.currentEvent)?.displayName || this.currentEvent;
+
+    // Team result card
+    const mainCard = document.createElement('div');
+    mainCard.className = 'result-card';
+
+    const title = document.createElement('div');
+    title.className = 'result-card__title';
+    title.textContent = `${eventDisplayName} - ${this.capitalizeFirst(this.currentGender)}`;
+
+    const points = document.createElement('div');
+    points.className = 'result-card__points';
+    points.textContent = result.teamPoints !== null ? `${result.teamPoints} points` : 'Outside the scoring tables';
+
+    const content = document.createElement('div');
+    content.className = 'result-card__content';
+    content.textContent = `Team time: ${this.formatTime(result.total, this.currentEvent)}`;
+
+    mainCard.appendChild(title);
+    mainCard.appendChild(points);
+    mainCard.appendChild(content);
+
+    if (this.currentGender === 'mixed') {
+      const note = document.createElement('p');
+      note.className = 'form-help';
+      note.textContent = 'Scored with the mixed relay tables. Leg points use the individual table for the gender of each runner.';
+      mainCard.appendChild(note);
+    }
+
+    if (result.derivedLeg !== null) {
+      const note = document.createElement('p');
+      note.className = 'form-help';
+      note.textContent = `Leg ${result.derivedLeg + 1} is worked out from the team time and the other splits.`;
+      mainCard.appendChild(note);
+    }
+
+    if (result.hasSplitMismatch) {
+      const note = document.createElement('p');
+      note.className = 'form-help relay-splits__warning';
+      const difference = result.splitSumDifference;
+      note.textContent = `The splits add up to ${this.formatTime(result.total - difference, this.currentEvent)}, `
+        + `${Math.abs(difference).toFixed(2)}s ${difference > 0 ? 'faster' : 'slower'} than the team time. The team time is used for the team score.`;
+      mainCard.appendChild(note);
+    }
+
+    this.resultsContent.appendChild(mainCard);
+
+    // Legs table
+    const legsCard = document.createElement('div');
+    legsCard.className = 'result-card';
+
+    const legsTitle = document.createElement('div');
+    legsTitle.className = 'result-card__title';
+    legsTitle.textContent = `Legs (${eventConfigLoader.getEventInfo(result.legEvent)?.displayName || result.legEvent} equivalents)`;
+
+    const tableContainer = document.createElement('div');
+    tableContainer.className = 'history-table-container';
+
+    const table = document.createElement('table');
+    table.className = 'history-table history-table--splits relay-splits-table';
+    table.innerHTML = `
+      <thead>
+        <tr>
+          <th>Leg</th>
+          <th>Split</th>
+          <th>Start</th>
+          <th>Open Equivalent</th>
+          <th>Points</th>
+        </tr>
+      </thead>
+    `;
+
+    const bestPoints = Math.max(...result.legs.map(leg => leg.points ?? -1));
+    const tbody = document.createElement('tbody');
+    for (const leg of result.legs) {
+      tbody.appendChild(this.createLegRow(leg, result, leg.points === bestPoints && bestPoints >= 0));
+    }
+    table.appendChild(tbody);
+
+    tableContainer.appendChild(table);
+    legsCard.appendChild(legsTitle);
+    legsCard.appendChild(tableContainer);
+    this.resultsContent.appendChild(legsCard);
+
+    this.showResults();
+  }
+
+  createLegRow(leg, result, isBest) {
+    const row = document.createElement('tr');
+    if (isBest) {
+      row.className = 'relay-splits-table__row--best';
+    }
+
+    const legCell = document.createElement('td');
+    legCell.textContent = this.currentGender === 'mixed'
+      ? `${leg.leg} (${leg.gender === 'men' ? 'M' : 'W'})`
+      : String(leg.leg);
+
+    const splitCell = document.createElement('td');
+    splitCell.textContent = this.formatTime(leg.split, result.legEvent);
+    if (result.derivedLeg === leg.leg - 1) {
+      splitCell.textContent += '*';
+      splitCell.title = 'Worked out from the team time';
+    }
+
+    const startCell = document.createElement('td');
+    if (leg.isFlyingStart) {
+      startCell.className = 'relay-splits-table__flying';
+      startCell.textContent = `Flying (+${leg.flyingStart.toFixed(2)}s)`;
+    } else {
+      startCell.textContent = 'Blocks';
+    }
+
+    const equivalentCell = document.createElement('td');
+    equivalentCell.textContent = this.formatTime(leg.openEquivalent, result.legEvent);
+
+    const pointsCell = document.createElement('td');
+    pointsCell.textContent = leg.points !== null ? leg.points : '-';
+
+    row.appendChild(legCell);
+    row.appendChild(splitCell);
+    row.appendChild(startCell);
+    row.appendChild(equivalentCell);
+    row.appendChild(pointsCell);
+    return row;
+  }
+
+  formatTime(seconds, eventKey) {
+    return formatPerformance(seconds.toFixed(2), eventKey);
+  }
+}
+
+// Initialize when DOM is ready
+const calculator = new RelaySplitsCalculator({
+  eventInput: '#event-input',
+  eventDropdown: '#event-dropdown',
+  performanceInput: '#performance-input',
+  calculateBtn: '#calculate-btn',
+  resultsContainer: '#results-container',
+  resultsContent: '#results-content',
+  loadingIndicator: '#loading-indicator',
+  errorMessage: '#error-message'
+});
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => calculator.initialize());
+} else {
+  calculator.initialize();
+}
@@ -4,30 +4,71 @@
 
 import { Navigation } from '../components/navigation.js';
 import { BaseCalculator } from '../components/calculator-base.js';
-import { lookupPoints, lookupPerformance, findEquivalentPerformances } from '../calculators/performance-lookup.js';
-import { parsePerformance, formatPerformance } from '../utils/performance-parser.js';
+import { lookupPoints, lookupPerformance, findEquivalentPerformances, interpolatePoints } from '../calculators/performance-lookup.js';
+import { parsePerformance, formatPerformance, matchesPerformanceFormat } from '../utils/performance-parser.js';
 import { eventConfigLoader } from '../data/event-config-loader.js';
-import { HistoryManager } from '../utils/history-manager.js';
+import { resolveEventKey } from '../data/event-registry.js';
+import { worldRankingsLoader } from '../data/world-rankings-loader.js';
+import {
+  calculateResultScore,
+  formatPlace,
+  buildPlacingScoresCsv,
+  parsePlacingScoresCsv
+} from '../calculators/world-rankings.js';
+import { supportsHandTiming, toHandTime, TIME_PRECISION } from '../utils/timing-rules.js';
+import {
+  TRACK_CONVERSION_TYPES,
+  DEFAULT_TRACK_TYPE,
+  getMetricEvent,
+  supportsTrackType,
+  getConversion,
+  convertFromMetric,
+  prepareForScoring
+} from '../calculators/track-conversions.js';
 import { makeCollapsible } from '../utils/collapsible-section.js';
-import { createIcon } from '../components/icon.js';
+import { BatchScorer } from '../components/batch-scorer.js';
+import { HistoryPanel } from '../components/history-panel.js';
+import { RankingPanel } from '../components/ranking-panel.js';
+import { DataImportPanel } from '../components/data-import-panel.js';
+import { setupCopyLinkButton } from '../components/copy-link-button.js';
+import { readShareState, updateShareUrl } from '../utils/share-link.js';
+import { IndexedDbStore } from '../utils/indexed-db-store.js';
+
+// Imported placing scores, which replace bundled ones for the same table, category and round
+const placingStore = new IndexedDbStore('athleticsUtils.placingScores', 'tables', 'key');
 
 class PerformanceCalculator extends BaseCalculator {
   constructor(selectors) {
     super(selectors);
     this.isHandTimed = false;
-    this.calculationMode = 'performance'; // 'performance' or 'score'
+    this.trackType = DEFAULT_TRACK_TYPE;
+    this.showInterpolated = sessionStorage.getItem('scoreCalculator.showInterpolated') === 'true';
+    this.calculationMode = 'performance'; // 'performance', 'score' or 'rankings'
   }
 
   setupDOMElements() {
     super.setupDOMElements();
     this.handTimingContainer = document.querySelector('#hand-timing-container');
     this.handTimingCheckbox = document.querySelector('#hand-timing-checkbox');
+    this.trackTypeContainer = document.querySelector('#track-type-container');
+    this.trackTypeSelect = document.querySelector('#track-type-select');
+    this.windContainer = document.querySelector('#wind-container');
+    this.windInput = document.querySelector('#wind-input');
+    this.interpolationContainer = document.querySelector('#interpolation-container');
+    this.interpolationCheckbox = document.querySelector('#interpolation-checkbox');
     this.modeTogglePerformance = document.querySelector('#mode-toggle-performance');
     this.modeToggleScore = document.querySelector('#mode-toggle-score');
+    this.modeToggleRankings = document.querySelector('#mode-toggle-rankings');
+    this.rankingsContainer = document.querySelector('#rankings-container');
+    this.rankingsCategorySelect = document.querySelector('#rankings-category-select');
+    this.rankingsRoundSelect = document.querySelector('#rankings-round-select');
+    this.rankingsPlaceInput = document.querySelector('#rankings-place-input');
+    this.rankingsCompetitionInput = document.querySelector('#rankings-competition-input');
+    this.rankingsPlannedCheckbox = document.querySelector('#rankings-planned-checkbox');
+    this.rankingsSection = document.querySelector('#rankings-section');
     this.inputLabel = document.querySelector('#input-label');
     this.inputHelp = document.querySelector('#input-help');
-    this.historySection = document.querySelector('#history-section');
-    this.historyTableBody = document.querySelector('#history-table-body');
+    this.copyLinkBtn = document.querySelector('#copy-link-btn');
   }
 
   setupEventListeners() {
@@ -36,6 +77,24 @@ class PerformanceCalculator extends BaseCalculator {
       this.isHandTimed = e.target.checked;
     });
 
+    this.trackTypeSelect?.addEventListener('change', (e) => {
+      this.trackType = e.target.value;
+    });
+
+    this.windInput?.addEventListener('input', () => {
+      this.windInput.classList.remove('input-error');
+      this.hideError();
+    });
+    this.windInput?.addEventListener('keypress', (e) => this.handleKeyPress(e));
+
+    if (this.interpolationCheckbox) {
+      this.interpolationCheckbox.checked = this.showInterpolated;
+      this.interpolationCheckbox.addEventListener('change', (e) => {
+        this.showInterpolated = e.target.checked;
+        sessionStorage.setItem('scoreCalculator.showInterpolated', String(this.showInterpolated));
+      });
+    }
+
     // Mode toggle event listeners
     this.modeTogglePerformance?.addEventListener('click', () => {
       this.switchMode('performance');
@@ -44,13 +103,226 @@ class PerformanceCalculator extends BaseCalculator {
     this.modeToggleScore?.addEventListener('click', () => {
       this.switchMode('score');
     });
+
+    this.modeToggleRankings?.addEventListener('click', () => {
+      this.switchMode('rankings');
+    });
+
+    this.rankingsCategorySelect?.addEventListener('change', () => this.populateRounds());
+
+    this.rankingsPlaceInput?.addEventListener('input', () => {
+      this.rankingsPlaceInput.classList.remove('input-error');
+      this.hideError();
+    });
+    this.rankingsPlaceInput?.addEventListener('keypress', (e) => this.handleKeyPress(e));
   }
 
   async initialize() {
+    this.populateTrackTypes();
     await super.initialize();
     Navigation.initialize();
-    this.renderHistory();
-    this.setupHistoryEventListeners();
+
+    this.historyPanel = new HistoryPanel({ calculator: 'score' });
+    this.historyPanel.initialize();
+
+    this.batchScorer = new BatchScorer();
+    this.batchScorer.initialize();
+
+    await this.initializeRankings();
+
+    setupCopyLinkButton(this.copyLinkBtn, () => this.getShareState());
+    this.restoreShareState();
+  }
+
+  /**
+   * Load the World Rankings data and imported placing scores, and show the World Rankings mode and results
+   * The mode stays hidden if the data cannot be loaded.
+   */
+  async initializeRankings() {
+    try {
+      await worldRankingsLoader.load();
+    } catch (error) {
+      console.error('World Rankings are not available:', error);
+      this.modeToggleRankings?.remove();
+      return;
+    }
+
+    this.placingScoresPanel = new DataImportPanel({
+      store: placingStore,
+      parseCsv: parsePlacingScoresCsv,
+      buildCsv: buildPlacingScoresCsv,
+      setImported: records => worldRankingsLoader.setImported(records),
+      describe: imported => this.describePlacingScores(imported),
+      idPrefix: 'placing',
+      fileName: 'placing-scores.csv',
+      wording: { data: 'placing scores', record: ['round', 'rounds'], problem: ['problem', 'problems'] },
+      onChange: () => {
+        this.populateRounds();
+        this.rankingPanel?.render();
+      }
+    });
+    await this.placingScoresPanel.initialize();
+
+    this.populateCategories();
+
+    this.rankingPanel = new RankingPanel();
+    this.rankingPanel.gender = this.currentGender;
+    await this.rankingPanel.initialize();
+    this.rankingsSection?.classList.remove('hidden');
+  }
+
+  /**
+   * Summarise the placing tables with bundled or imported placing scores
+   * @param {Array<Object>} imported - Imported placing score records
+   * @returns {string}
+   */
+  describePlacingScores(imported) {
+    const tables = worldRankingsLoader.getPlacingTables();
+    const loaded = new Set(worldRankingsLoader.getPlacingScoreRecords().map(record => record.table));
+    const missing = tables.filter(table => !loaded.has(table.key)).map(table => table.name);
+    const editions = worldRankingsLoader.getEditions();
+
+    if (loaded.size === 0) {
+      return 'No placing scores are loaded. Import the placing score tables of the World Athletics Rankings Rules to calculate result scores.';
+    }
+
+    const source = editions.length > 0 ? ` from ${editions.join(', ')}` : ' (edition not given)';
+    const importedNote = imported.length > 0
+      ? ` Imported scores are used for ${imported.length} ${imported.length === 1 ? 'round' : 'rounds'}.`
+      : '';
+    const gaps = missing.length > 0 ? ` No placing scores for: ${missing.join(', ')}.` : '';
+    return `Placing scores loaded for ${loaded.size} of ${tables.length} placing tables${source}.${importedNote}${gaps}`;
+  }
+
+  /**
+   * Fill the competition category select
+   */
+  populateCategories() {
+    if (!this.rankingsCategorySelect) return;
+
+    for (const category of worldRankingsLoader.getCategories()) {
+      const option = document.createElement('option');
+      option.value = category.key;
+      option.textContent = `${category.key} - ${category.name}`;
+      this.rankingsCategorySelect.appendChild(option);
+    }
+    this.populateRounds();
+  }
+
+  /**
+   * Fill the round select with the rounds the selected category has placing scores for in the event's placing table
+   */
+  populateRounds() {
+    if (!this.rankingsRoundSelect) return;
+
+    const previousRound = this.rankingsRoundSelect.value;
+    const rounds = worldRankingsLoader.getRounds(this.rankingsCategorySelect.value, getMetricEvent(this.currentEvent));
+
+    this.rankingsRoundSelect.innerHTML = '';
+    for (const round of rounds) {
+      const option = document.createElement('option');
+      option.value = round.key;
+      option.textContent = round.name;
+      this.rankingsRoundSelect.appendChild(option);
+    }
+
+    if (rounds.some(round => round.key === previousRound)) {
+      this.rankingsRoundSelect.value = previousRound;
+    }
+  }
+
+  handleGenderToggle(gender) {
+    super.handleGenderToggle(gender);
+    this.rankingPanel?.setGender(this.currentGender);
+  }
+
+  /**
+   * Inputs and mode of the current calculation for a share link
+   * @returns {Object}
+   */
+  getShareState() {
+    return {
+      gender: this.currentGender,
+      event: this.currentEvent,
+      mode: this.calculationMode,
+      value: this.performanceInput.value.trim(),
+      hand: this.isHandTimed ? '1' : '',
+      track: this.trackType !== DEFAULT_TRACK_TYPE ? this.trackType : '',
+      wind: this.windInput?.value.trim(),
+      interpolated: this.showInterpolated && this.calculationMode === 'performance' ? '1' : '',
+      cat: this.calculationMode === 'rankings' ? this.rankingsCategorySelect.value : '',
+      round: this.calculationMode === 'rankings' ? this.rankingsRoundSelect.value : '',
+      place: this.calculationMode === 'rankings' ? this.rankingsPlaceInput.value.trim() : ''
+    };
+  }
+
+  /**
+   * Restore a calculation from a share link and show its results
+   */
+  restoreShareState() {
+    const state = readShareState();
+    if (!state || !this.allEvents.length) return;
+
+    if (['men', 'women', 'mixed'].includes(state.gender)) {
+      this.handleGenderToggle(state.gender);
+    }
+    if (state.mode === 'performance' || state.mode === 'score'
+      || (state.mode === 'rankings' && this.modeToggleRankings?.isConnected)) {
+      this.switchMode(state.mode);
+    }
+
+    const eventKey = resolveEventKey(state.event) || state.event;
+    const event = this.availableEvents.find(e => e.key === eventKey);
+    if (!event) return;
+    this.selectEvent(event.key, event.displayName);
+
+    if (state.interpolated === '1' && this.interpolationCheckbox) {
+      this.showInterpolated = true;
+      this.interpolationCheckbox.checked = true;
+    }
+
+    if (this.handTimingContainer.style.display !== 'none') {
+      this.isHandTimed = state.hand === '1';
+      this.handTimingCheckbox.checked = this.isHandTimed;
+    }
+
+    if (TRACK_CONVERSION_TYPES[state.track] && this.trackTypeContainer.style.display !== 'none') {
+      this.trackType = state.track;
+      this.trackTypeSelect.value = state.track;
+    }
+
+    if (state.wind && this.windContainer.style.display !== 'none') {
+      this.windInput.value = state.wind;
+    }
+
+    if (this.calculationMode === 'rankings') {
+      if (worldRankingsLoader.getCategory(state.cat)) {
+        this.rankingsCategorySelect.value = state.cat;
+        this.populateRounds();
+      }
+      if (worldRankingsLoader.getRounds(state.cat, getMetricEvent(this.currentEvent)).some(round => round.key === state.round)) {
+        this.rankingsRoundSelect.value = state.round;
+      }
+      if (state.place) {
+        this.rankingsPlaceInput.value = state.place;
+      }
+    }
+
+    // Only values in the input's format are restored, so a link cannot inject other text
+    const isValidValue = this.calculationMode === 'score'
+      ? /^\d+(?:\.\d+)?$/.test(state.value || '')
+      : matchesPerformanceFormat(state.value, this.currentEvent);
+
+    if (isValidValue) {
+      this.performanceInput.value = state.value;
+      this.calculateBtn.disabled = false;
+      this.handleCalculate();
+    }
+  }
+
+  showResults() {
+    super.showResults();
+    updateShareUrl(this.getShareState());
   }
 
   switchMode(mode) {
@@ -59,15 +331,11 @@ class PerformanceCalculator extends BaseCalculator {
     this.calculationMode = mode;
 
     // Update toggle button states
-    if (mode === 'performance') {
-      this.modeTogglePerformance.classList.add('mode-toggle__option--active');
-      this.modeToggleScore.classList.remove('mode-toggle__option--active');
-      this.inputLabel.textContent = 'Performance';
-    } else {
-      this.modeToggleScore.classList.add('mode-toggle__option--active');
-      this.modeTogglePerformance.classList.remove('mode-toggle__option--active');
-      this.inputLabel.textContent = 'Score';
-    }
+    this.modeTogglePerformance.classList.toggle('mode-toggle__option--active', mode === 'performance');
+    this.modeToggleScore.classList.toggle('mode-toggle__option--active', mode === 'score');
+    this.modeToggleRankings?.classList.toggle('mode-toggle__option--active', mode === 'rankings');
+    this.inputLabel.textContent = mode === 'score' ? 'Score' : 'Performance';
+    this.rankingsContainer.style.display = mode === 'rankings' ? 'block' : 'none';
 
     // Clear input and hide results
     this.performanceInput.value = '';
@@ -75,8 +343,50 @@ class PerformanceCalculator extends BaseCalculator {
     this.hideResults();
     this.hideError();
 
+    // Interpolated points only apply to Performance → Score
+    this.interpolationContainer.style.display = mode === 'performance' ? 'block' : 'none';
+
     // Update placeholder and help text based on current event
     this.updateInputPlaceholder();
+    this.updateWindInputVisibility();
+  }
+
+  /**
+   * Show the wind input for wind affected events when scoring a performance
+   */
+  updateWindInputVisibility() {
+    const showWind = this.calculationMode !== 'score'
+      && this.currentEvent
+      && eventConfigLoader.supportsWind(this.currentEvent);
+
+    if (showWind) {
+      this.windContainer.style.display = 'flex';
+    } else {
+      this.windContainer.style.display = 'none';
+      this.windInput.value = '';
+      this.windInput.classList.remove('input-error');
+    }
+  }
+
+  /**
+   * Parse the optional wind reading
+   * @returns {number|null|undefined} Wind in m/s, null if empty, undefined if invalid
+   */
+  parseWindInput() {
+    if (!this.windInput || this.windContainer.style.display === 'none') {
+      return null;
+    }
+
+    const value = this.windInput.value.trim().replace(',', '.');
+    if (!value) {
+      return null;
+    }
+
+    if (!/^[+-]?\d+(\.\d+)?$/.test(value)) {
+      return undefined;
+    }
+
+    return parseFloat(value);
   }
 
   updateInputPlaceholder() {
@@ -86,7 +396,7 @@ class PerformanceCalculator extends BaseCalculator {
       return;
     }
 
-    if (this.calculationMode === 'performance') {
+    if (this.calculationMode !== 'score') {
       const eventInfo = eventConfigLoader.getEventInfo(this.currentEvent);
       if (eventInfo) {
         this.performanceInput.placeholder = eventInfo.placeholder || 'e.g., 10.5';
@@ -101,6 +411,30 @@ class PerformanceCalculator extends BaseCalculator {
     }
   }
 
+  /**
+   * Fill the track type select
+   */
+  populateTrackTypes() {
+    if (!this.trackTypeSelect) return;
+
+    for (const [key, trackType] of Object.entries(TRACK_CONVERSION_TYPES)) {
+      const option = document.createElement('option');
+      option.value = key;
+      option.textContent = trackType.label;
+      this.trackTypeSelect.appendChild(option);
+    }
+    this.trackTypeSelect.value = this.trackType;
+  }
+
+  filterAvailableEvents(gender) {
+    super.filterAvailableEvents(gender);
+
+    // Yard events are scored with the table of their metric equivalent
+    const scoredEvents = new Set(this.availableEvents.map(event => event.key));
+    const yardEvents = this.allEvents.filter(event => event.convertsTo && scoredEvents.has(event.convertsTo));
+    this.availableEvents = [...this.availableEvents, ...yardEvents];
+  }
+
   selectEvent(eventKey, displayName) {
     // Store previous hand timing state
     const previousHandTimingState = this.isHandTimed;
@@ -109,7 +443,7 @@ class PerformanceCalculator extends BaseCalculator {
     super.selectEvent(eventKey, displayName);
 
     // Show/hide hand timing checkbox based on event support
-    if (eventConfigLoader.supportsHandTiming(eventKey)) {
+    if (supportsHandTiming(eventKey)) {
       this.handTimingContainer.style.display = 'block';
       // Maintain checkbox state if switching between hand-timing events
       this.handTimingCheckbox.checked = previousHandTimingState;
@@ -120,8 +454,21 @@ class PerformanceCalculator extends BaseCalculator {
       this.isHandTimed = false;
     }
 
+    // Show the track type for short track races, keeping the choice between them
+    if (supportsTrackType(eventKey)) {
+      this.trackTypeContainer.style.display = 'block';
+    } else {
+      this.trackTypeContainer.style.display = 'none';
+      this.trackType = DEFAULT_TRACK_TYPE;
+      this.trackTypeSelect.value = DEFAULT_TRACK_TYPE;
+    }
+
+    // Rounds depend on the placing table of the event's group
+    this.populateRounds();
+
     // Update placeholder based on mode
     this.updateInputPlaceholder();
+    this.updateWindInputVisibility();
   }
 
   handleCalculate() {
@@ -131,9 +478,9 @@ class PerformanceCalculator extends BaseCalculator {
     if (!this.currentGender || !this.currentEvent || !inputValue) {
       if (!inputValue) {
         this.performanceInput.classList.add('input-error');
-        const errorMsg = this.calculationMode === 'performance'
-          ? 'Please enter a performance value.'
-          : 'Please enter a score.';
+        const errorMsg = this.calculationMode === 'score'
+          ? 'Please enter a score.'
+          : 'Please enter a performance value.';
         this.showError(errorMsg);
       }
       return;
@@ -143,8 +490,8 @@ class PerformanceCalculator extends BaseCalculator {
       this.hideError();
       this.performanceInput.classList.remove('input-error');
 
-      if (this.calculationMode === 'performance') {
-        // Performance → Score mode
+      if (this.calculationMode !== 'score') {
+        // Performance → Score and World Rankings modes
         this.handlePerformanceToScore(inputValue);
       } else {
         // Score → Performance mode
@@ -167,7 +514,23 @@ class PerformanceCalculator extends BaseCalculator {
       return;
     }
 
-    const result = lookupPoints(this.currentGender, this.currentEvent, normalizedPerformance, this.isHandTimed);
+    const wind = this.parseWindInput();
+
+    if (wind === undefined) {
+      this.windInput.classList.add('input-error');
+      this.showError('Invalid wind reading. Please enter a value in m/s (e.g., +1.2 or -0.8)');
+      return;
+    }
+
+    // Yard and flat or oversized track times are scored as their metric, banked track equivalent
+    const scoring = prepareForScoring(this.currentEvent, normalizedPerformance, this.trackType, this.isHandTimed);
+
+    if (this.calculationMode === 'rankings') {
+      this.handleResultScore(scoring, normalizedPerformance, wind);
+      return;
+    }
+
+    const result = lookupPoints(this.currentGender, scoring.event, scoring.performance, scoring.isHandTimed, wind);
 
     if (!result) {
       this.performanceInput.classList.add('input-error');
@@ -175,6 +538,12 @@ class PerformanceCalculator extends BaseCalculator {
       return;
     }
 
+    this.addConversionToResult(result, scoring);
+
+    if (this.showInterpolated) {
+      result.interpolation = interpolatePoints(this.currentGender, scoring.event, scoring.performance, scoring.isHandTimed);
+    }
+
     const equivalents = findEquivalentPerformances(this.currentGender, result.points);
     this.displayPerformanceResults(result, equivalents, performanceValue);
   }
@@ -188,7 +557,14 @@ class PerformanceCalculator extends BaseCalculator {
       return;
     }
 
-    const result = lookupPerformance(this.currentGender, this.currentEvent, score, this.isHandTimed);
+    // Converted times are found from the automatic time, as hand timing applies to the time as run
+    const isConverted = getConversion(this.currentEvent, this.trackType).steps.length > 0;
+    const result = lookupPerformance(
+      this.currentGender,
+      getMetricEvent(this.currentEvent),
+      score,
+      this.isHandTimed && !isConverted
+    );
 
     if (!result) {
       this.performanceInput.classList.add('input-error');
@@ -196,6 +572,10 @@ class PerformanceCalculator extends BaseCalculator {
       return;
     }
 
+    if (isConverted) {
+      this.addReverseConversionToResult(result);
+    }
+
     const equivalents = findEquivalentPerformances(this.currentGender, Math.round(score));
     this.displayScoreResults(result, equivalents, Math.round(score));
   }
@@ -214,29 +594,28 @@ class PerformanceCalculator extends BaseCalculator {
 
     const points = document.createElement('div');
     points.className = 'result-card__points';
-    points.textContent = `${result.points} points`;
+    // Converted times are scored through approximate factors
+    points.textContent = result.conversion ? `${result.points} points (estimate)` : `${result.points} points`;
 
-    const content = document.createElement('div');
-    content.className = 'result-card__content';
+    mainCard.appendChild(title);
+    mainCard.appendChild(points);
+    if (result.conversion) {
+      mainCard.appendChild(this.createConversionContent(result.conversion));
+    }
+    mainCard.appendChild(this.createPerformanceContent(result, originalInput));
 
-    if (result.appliedOffset) {
-      // Hand timing offset was applied
-      const finalTime = formatPerformance(String(result.originalPerformance + result.appliedOffset), this.currentEvent);
-      const originalTime = formatPerformance(String(result.originalPerformance), this.currentEvent);
-      const offset = formatPerformance(String(result.appliedOffset), this.currentEvent);
-      content.textContent = `Adjusted Performance: ${finalTime} = ${originalTime} + ${offset} offset for hand timing`;
-    } else if (result.exactMatch) {
-      content.textContent = `Performance: ${formatPerformance(result.closestPerformance, this.currentEvent)}`;
-    } else {
-      content.innerHTML = `
-        Your input: ${originalInput}<br>
-        Closest match: ${formatPerformance(result.closestPerformance, this.currentEvent)}
-      `;
+    if (result.timingWarning) {
+      mainCard.appendChild(this.createTimingWarningContent(result.timingWarning));
+    }
+
+    if (result.interpolation) {
+      mainCard.appendChild(this.createInterpolationContent(result.interpolation));
+    }
+
+    if (result.wind !== undefined) {
+      mainCard.appendChild(this.createWindContent(result));
     }
 
-    mainCard.appendChild(title);
-    mainCard.appendChild(points);
-    mainCard.appendChild(content);
     this.resultsContent.appendChild(mainCard);
 
     // Equivalent performances card
@@ -279,16 +658,393 @@ class PerformanceCalculator extends BaseCalculator {
 
     this.showResults();
 
-    // Save to history
+    // Save to history (converted times are saved as entered)
     this.saveToHistory({
       gender: this.currentGender,
-      event: this.currentEvent,
-      eventDisplayName: eventConfigLoader.getEventInfo(this.currentEvent)?.displayName || this.currentEvent,
-      performance: formatPerformance(result.closestPerformance, this.currentEvent),
+      eventKey: this.currentEvent,
+      eventDisplayName: this.getHistoryEventName(result.conversion),
+      performance: this.getHistoryPerformance(result),
       score: result.points
     });
   }
 
+  /**
+   * Add the conversion of a converted time, and the timing rules applied before it, to a lookup result
+   * @param {Object} result - lookupPoints result
+   * @param {Object} scoring - prepareForScoring result
+   */
+  addConversionToResult(result, scoring) {
+    if (!scoring.conversion) {
+      return;
+    }
+
+    result.conversion = scoring.conversion;
+    if (scoring.timing.offset !== null) {
+      result.appliedOffset = scoring.timing.offset;
+      result.originalPerformance = scoring.timing.time;
+    }
+    if (scoring.timing.warning) {
+      result.timingWarning = scoring.timing.warning;
+    }
+  }
+
+  /**
+   * Convert a metric, banked track table performance back to the selected event and track
+   * The time is rounded down so it still scores the points, and hand times are then found
+   * from the converted automatic time.
+   * @param {Object} result - lookupPerformance result for the automatic time
+   */
+  addReverseConversionToResult(result) {
+    const conversion = convertFromMetric(this.currentEvent, parseFloat(result.performance), this.trackType);
+    const factor = Math.pow(10, TIME_PRECISION.hundredths);
+    const performance = (Math.floor(conversion.performance * factor + 1e-9) / factor).toFixed(TIME_PRECISION.hundredths);
+    result.conversion = { ...conversion, input: result.performance, performance };
+    result.performance = performance;
+
+    const handTime = this.isHandTimed ? toHandTime(parseFloat(performance), this.currentEvent) : null;
+    if (handTime) {
+      result.originalPerformance = performance;
+      result.performance = handTime.time.toFixed(1);
+      result.appliedOffset = -handTime.offset;
+    }
+  }
+
+  /**
+   * World Rankings mode: score a performance with the placing score for the round reached
+   * @param {Object} scoring - prepareForScoring result
+   * @param {string} normalizedPerformance - Performance as entered
+   * @param {number|null} wind - Wind reading in m/s
+   */
+  handleResultScore(scoring, normalizedPerformance, wind) {
+    const placeValue = this.rankingsPlaceInput.value.trim();
+    const place = parseInt(placeValue, 10);
+
+    if (!/^\d+$/.test(placeValue) || place < 1) {
+      this.rankingsPlaceInput.classList.add('input-error');
+      this.showError('Invalid place. Please enter a whole number of 1 or more.');
+      return;
+    }
+
+    const group = worldRankingsLoader.getEventGroup(scoring.event);
+    if (!group) {
+      this.showError('This event does not count towards a World Rankings event group.');
+      return;
+    }
+
+    if (!this.rankingsRoundSelect.value) {
+      const table = worldRankingsLoader.getPlacingTables().find(placingTable => placingTable.key === group.placingTable);
+      this.showError(`No placing scores are loaded for ${this.rankingsCategorySelect.value} in the ${table?.name || group.placingTable} placing table. Import them under World Rankings below.`);
+      return;
+    }
+
+    const placing = {
+      category: this.rankingsCategorySelect.value,
+      round: this.rankingsRoundSelect.value,
+      place
+    };
+    const scoredResult = {
+      event: scoring.event,
+      performance: scoring.performance,
+      isHandTimed: scoring.isHandTimed,
+      wind,
+      ...placing
+    };
+    const score = calculateResultScore(this.currentGender, scoredResult);
+
+    if (!score) {
+      this.performanceInput.classList.add('input-error');
+      this.showError('Could not find points for this performance. Please check your input.');
+      return;
+    }
+
+    this.addConversionToResult(score.lookup, scoring);
+
+    this.displayResultScore(scoredResult, score, normalizedPerformance);
+  }
+
+  /**
+   * Show a World Rankings result score with its performance and placing scores
+   * @param {Object} scoredResult - Result passed to calculateResultScore
+   * @param {Object} score - calculateResultScore result
+   * @param {string} originalInput - Performance as entered
+   */
+  displayResultScore(scoredResult, score, originalInput) {
+    const result = score.lookup;
+    this.resultsContent.innerHTML = '';
+
+    const mainCard = document.createElement('div');
+    mainCard.className = 'result-card';
+
+    const title = document.createElement('div');
+    title.className = 'result-card__title';
+    const eventDisplayName = eventConfigLoader.getEventInfo(this.currentEvent)?.displayName || this.currentEvent;
+    title.textContent = `${eventDisplayName} - ${this.capitalizeFirst(this.currentGender)}`;
+
+    const points = document.createElement('div');
+    points.className = 'result-card__points';
+    points.textContent = score.resultScore === null
+      ? 'No result score'
+      : `${score.resultScore} points${result.conversion ? ' (estimate)' : ''}`;
+
+    const placingName = `${scoredResult.category} ${worldRankingsLoader.getRoundName(scoredResult.round)}, `
+      + formatPlace(scoredResult.place);
+
+    const breakdown = document.createElement('div');
+    breakdown.className = 'result-card__content';
+    const performanceLine = document.createElement('div');
+    performanceLine.textContent = score.performanceScore === null
+      ? 'Performance score: not eligible (wind above +4.0 m/s)'
+      : `Performance score: ${score.performanceScore} points${result.wind !== undefined ? ' (wind modified)' : ''}`;
+    const placingLine = document.createElement('div');
+    placingLine.textContent = `Placing score: ${score.placingScore} points (${placingName})`;
+    breakdown.appendChild(performanceLine);
+    breakdown.appendChild(placingLine);
+
+    mainCard.appendChild(title);
+    mainCard.appendChild(points);
+    mainCard.appendChild(breakdown);
+    if (result.conversion) {
+      mainCard.appendChild(this.createConversionContent(result.conversion));
+    }
+    mainCard.appendChild(this.createPerformanceContent(result, originalInput));
+
+    if (result.timingWarning) {
+      mainCard.appendChild(this.createTimingWarningContent(result.timingWarning));
+    }
+
+    if (result.wind !== undefined) {
+      mainCard.appendChild(this.createWindContent(result));
+    }
+
+    mainCard.appendChild(this.createRankingContent(scoredResult, score, result));
+    this.resultsContent.appendChild(mainCard);
+
+    this.showResults();
+
+    // Marks with too much wind have no result score to save
+    if (score.resultScore !== null) {
+      this.saveToHistory({
+        gender: this.currentGender,
+        eventKey: this.currentEvent,
+        eventDisplayName: this.getHistoryEventName(result.conversion),
+        performance: `${this.getHistoryPerformance(result)}, ${placingName}`,
+        score: score.resultScore
+      });
+    }
+  }
+
+  /**
+   * Build the event group section of a World Rankings result, with a button to add the result
+   * @param {Object} scoredResult - Result passed to calculateResultScore
+   * @param {Object} score - calculateResultScore result
+   * @param {Object} result - lookupPoints result
+   * @returns {HTMLElement}
+   */
+  createRankingContent(scoredResult, score, result) {
+    const rankingContent = document.createElement('div');
+    rankingContent.className = 'result-card__content rankings-result';
+
+    const group = worldRankingsLoader.getEventGroup(scoredResult.event);
+    const groupLine = document.createElement('div');
+
+    if (!group) {
+      groupLine.textContent = 'This event does not count towards a World Rankings event group.';
+      rankingContent.appendChild(groupLine);
+      return rankingContent;
+    }
+
+    groupLine.textContent = `Counts towards the ${group.name} ranking (average of the best ${group.resultsCount} results)`;
+    rankingContent.appendChild(groupLine);
+
+    if (!this.rankingPanel || score.resultScore === null) {
+      return rankingContent;
+    }
+
+    const addBtn = document.createElement('button');
+    addBtn.type = 'button';
+    addBtn.className = 'btn btn-secondary';
+    addBtn.textContent = 'Add to World Rankings results';
+    addBtn.addEventListener('click', async () => {
+      addBtn.disabled = true;
+      await this.rankingPanel.addResult({
+        ...scoredResult,
+        gender: this.currentGender,
+        eventDisplayName: this.getHistoryEventName(result.conversion),
+        displayPerformance: this.getHistoryPerformance(result),
+        competition: this.rankingsCompetitionInput.value.trim(),
+        planned: this.rankingsPlannedCheckbox.checked
+      });
+      addBtn.textContent = 'Added';
+    });
+    rankingContent.appendChild(addBtn);
+
+    return rankingContent;
+  }
+
+  /**
+   * Build the performance section of the main result card
+   * @param {Object} result - lookupPoints result
+   * @param {string} originalInput - Performance as entered
+   * @returns {HTMLElement}
+   */
+  createPerformanceContent(result, originalInput) {
+    const content = document.createElement('div');
+    content.className = 'result-card__content';
+
+    if (result.appliedOffset) {
+      // Hand timing offset was applied
+      const finalTime = formatPerformance((result.originalPerformance + result.appliedOffset).toFixed(2), this.currentEvent);
+      const originalTime = formatPerformance(String(result.originalPerformance), this.currentEvent);
+      const offset = formatPerformance(String(result.appliedOffset), this.currentEvent);
+      content.textContent = `Adjusted Performance: ${finalTime} = ${originalTime} + ${offset} offset for hand timing`;
+    } else if (result.exactMatch) {
+      content.textContent = `Performance: ${formatPerformance(result.closestPerformance, this.currentEvent, { imperial: true })}`;
+    } else {
+      // The input is shown as text, as it can come from a share link
+      content.appendChild(document.createTextNode(`Your input: ${originalInput}`));
+      content.appendChild(document.createElement('br'));
+      content.appendChild(document.createTextNode(
+        `Closest match: ${formatPerformance(result.closestPerformance, this.currentEvent, { imperial: true })}`
+      ));
+    }
+
+    return content;
+  }
+
+  /**
+   * Build the timing warning section of the main result card
+   * @param {string} timingWarning
+   * @returns {HTMLElement}
+   */
+  createTimingWarningContent(timingWarning) {
+    const warning = document.createElement('div');
+    warning.className = 'result-card__content';
+    warning.textContent = timingWarning;
+    return warning;
+  }
+
+  /**
+   * Performance for a history entry: converted times as entered, with the wind reading
+   * @param {Object} result - lookupPoints result
+   * @returns {string}
+   */
+  getHistoryPerformance(result) {
+    const performance = formatPerformance(
+      result.conversion ? String(result.originalPerformance ?? result.conversion.input) : result.closestPerformance,
+      this.currentEvent
+    );
+    return result.wind !== undefined ? `${performance} (${this.formatWind(result.wind)})` : performance;
+  }
+
+  /**
+   * Build the conversion section of the main result card
+   * @param {Object} conversion - Conversion with the time converted (input) and the result (performance)
+   * @param {boolean} fromMetric - Whether the conversion is from the metric, banked track time
+   * @returns {HTMLElement}
+   */
+  createConversionContent(conversion, fromMetric = false) {
+    const conversionContent = document.createElement('div');
+    conversionContent.className = 'result-card__content';
+
+    const metricEventName = eventConfigLoader.getEventInfo(conversion.event)?.displayName || conversion.event;
+    const summaryLine = document.createElement('div');
+    summaryLine.textContent = fromMetric
+      ? `Converted: ${formatPerformance(conversion.input, conversion.event)} (${metricEventName}, 200m banked track) `
+        + `÷ ${conversion.factor.toFixed(4)} = ${formatPerformance(conversion.performance, this.currentEvent)}`
+      : `Converted: ${formatPerformance(conversion.input, this.currentEvent)} × ${conversion.factor.toFixed(4)} `
+        + `= ${formatPerformance(conversion.performance, conversion.event)} (${metricEventName}, 200m banked track equivalent)`;
+    conversionContent.appendChild(summaryLine);
+
+    for (const step of conversion.steps) {
+      const stepLine = document.createElement('div');
+      stepLine.className = 'form-help';
+      stepLine.textContent = `${step.description}: × ${step.factor.toFixed(4)}`;
+      conversionContent.appendChild(stepLine);
+    }
+
+    const estimateLine = document.createElement('div');
+    estimateLine.className = 'form-help';
+    estimateLine.textContent = 'Estimate: yard times are scaled by distance and the track factors are approximate, '
+      + 'not taken from an official conversion table.';
+    conversionContent.appendChild(estimateLine);
+
+    return conversionContent;
+  }
+
+  /**
+   * Event name for a history entry, including the track type of converted times
+   * @param {Object|undefined} conversion
+   * @returns {string}
+   */
+  getHistoryEventName(conversion) {
+    const eventDisplayName = eventConfigLoader.getEventInfo(this.currentEvent)?.displayName || this.currentEvent;
+    return conversion && this.trackType !== DEFAULT_TRACK_TYPE
+      ? `${eventDisplayName} (${TRACK_CONVERSION_TYPES[this.trackType].label} track)`
+      : eventDisplayName;
+  }
+
+  /**
+   * Build the interpolated points section of the main result card
+   * @param {Object} interpolation - interpolatePoints result
+   * @returns {HTMLElement}
+   */
+  createInterpolationContent(interpolation) {
+    const interpolationContent = document.createElement('div');
+    interpolationContent.className = 'result-card__content';
+
+    if (interpolation.outOfRange) {
+      interpolationContent.textContent = `Interpolated: ${interpolation.points} points (outside the scoring table range)`;
+    } else if (interpolation.lowerEntry[0] === interpolation.upperEntry[0]) {
+      interpolationContent.textContent = `Interpolated: ${interpolation.points} points (exact table entry)`;
+    } else {
+      interpolationContent.textContent = `Interpolated: ${interpolation.points.toFixed(2)} points ` +
+        `(between ${interpolation.lowerEntry[0]} and ${interpolation.upperEntry[0]}, analysis only)`;
+    }
+
+    return interpolationContent;
+  }
+
+  /**
+   * Build the wind modification section of the main result card
+   * @param {Object} result - lookupPoints result with wind fields
+   * @returns {HTMLElement}
+   */
+  createWindContent(result) {
+    const windContent = document.createElement('div');
+    windContent.className = 'result-card__content';
+
+    const windLine = document.createElement('div');
+    windLine.textContent = `Wind: ${this.formatWind(result.wind)} m/s`;
+
+    if (result.isWindAssisted) {
+      const flag = document.createElement('span');
+      flag.className = 'wind-assisted-flag';
+      flag.textContent = 'Wind assisted';
+      windLine.appendChild(flag);
+    }
+
+    const modifiedLine = document.createElement('div');
+    if (result.windModifiedPoints === null) {
+      modifiedLine.textContent = 'Wind modified score: not eligible (wind above +4.0 m/s)';
+    } else {
+      const sign = result.windModification > 0 ? '+' : '';
+      modifiedLine.textContent = `Wind modified score: ${result.windModifiedPoints} points (${sign}${result.windModification} wind modification)`;
+    }
+
+    windContent.appendChild(windLine);
+    windContent.appendChild(modifiedLine);
+    return windContent;
+  }
+
+  /**
+   * Format a wind reading with an explicit sign (e.g., +1.2, -0.8)
+   * @param {number} wind
+   * @returns {string}
+   */
+  formatWind(wind) {
+    return `${wind > 0 ? '+' : ''}${wind.toFixed(1)}`;
+  }
+
   displayScoreResults(result, equivalents, submittedScore) {
     this.resultsContent.innerHTML = '';
 
@@ -309,19 +1065,29 @@ class PerformanceCalculator extends BaseCalculator {
     scoreElement.textContent = `Score: ${submittedScore} points`;
 
     if (result.appliedOffset) {
-      // Hand timing adjustment was applied (offset is negative for HT)
+      // Slowest hand time that scores as well as the table performance (offset is negative for HT)
       const htPerformance = formatPerformance(result.performance, this.currentEvent);
       const fatPerformance = formatPerformance(result.originalPerformance, this.currentEvent);
       const offset = formatPerformance(String(Math.abs(result.appliedOffset)), this.currentEvent);
-      performanceElement.textContent = `${htPerformance} (hand timed)`;
-      scoreElement.innerHTML = `${htPerformance} = ${fatPerformance} - ${offset} offset for hand timing<br>Score: ${submittedScore} points`;
+      const adjustedPerformance = formatPerformance(
+        (parseFloat(result.performance) - result.appliedOffset).toFixed(2),
+        this.currentEvent
+      );
+      performanceElement.textContent = `${htPerformance} (hand timed${result.conversion ? ', estimate' : ''})`;
+      scoreElement.textContent = `${htPerformance} + ${offset} offset for hand timing = ${adjustedPerformance} `
+        + `(${result.conversion ? 'converted' : 'table'} performance ${fatPerformance})`;
+      scoreElement.appendChild(document.createElement('br'));
+      scoreElement.appendChild(document.createTextNode(`Score: ${submittedScore} points`));
     } else {
-      const performance = formatPerformance(result.performance, this.currentEvent);
-      performanceElement.textContent = performance;
+      const performance = formatPerformance(result.performance, this.currentEvent, { imperial: true });
+      performanceElement.textContent = result.conversion ? `${performance} (estimate)` : performance;
     }
 
     mainCard.appendChild(title);
     mainCard.appendChild(performanceElement);
+    if (result.conversion) {
+      mainCard.appendChild(this.createConversionContent(result.conversion, true));
+    }
     mainCard.appendChild(scoreElement);
     this.resultsContent.appendChild(mainCard);
 
@@ -368,151 +1134,15 @@ class PerformanceCalculator extends BaseCalculator {
     // Save to history
     this.saveToHistory({
       gender: this.currentGender,
-      event: this.currentEvent,
-      eventDisplayName: eventConfigLoader.getEventInfo(this.currentEvent)?.displayName || this.currentEvent,
+      eventKey: this.currentEvent,
+      eventDisplayName: this.getHistoryEventName(result.conversion),
       performance: formatPerformance(result.performance, this.currentEvent),
       score: submittedScore
     });
   }
 
   saveToHistory(entry) {
-    HistoryManager.addEntry(entry);
-    this.renderHistory();
-  }
-
-  renderHistory() {
-    const history = HistoryManager.load();
-
-    if (history.length === 0) {
-      this.historySection.classList.add('hidden');
-      return;
-    }
-
-    this.historySection.classList.remove('hidden');
-    this.historyTableBody.innerHTML = '';
-
-    for (const entry of history) {
-      const row = this.createHistoryRow(entry);
-      this.historyTableBody.appendChild(row);
-    }
-  }
-
-  createHistoryRow(entry) {
-    const row = document.createElement('tr');
-    row.className = 'history-row history-row--adding';
-    row.draggable = true;
-    row.dataset.historyId = entry.id;
-
-    row.innerHTML = `
-      <td class="history-row__gender">${this.capitalizeFirst(entry.gender)}</td>
-      <td class="history-row__event">${entry.eventDisplayName}</td>
-      <td class="history-row__performance">${entry.performance}</td>
-      <td class="history-row__score">${entry.score}</td>
-      <td class="history-row__actions">
-        <button class="history-delete-btn" aria-label="Delete" data-history-id="${entry.id}"></button>
-      </td>
-    `;
-
-    // Add delete icon to button
-    const deleteBtn = row.querySelector('.history-delete-btn');
-    if (deleteBtn) {
-      const deleteIcon = createIcon('x', 'icon--sm');
-      deleteBtn.appendChild(deleteIcon);
-    }
-
-    // Remove animation class after animation completes
-    setTimeout(() => row.classList.remove('history-row--adding'), 200);
-
-    return row;
-  }
-
-  setupHistoryEventListeners() {
-    // Delete button clicks
-    this.historyTableBody?.addEventListener('click', (e) => {
-      if (e.target.classList.contains('history-delete-btn')) {
-        const id = e.target.dataset.historyId;
-        const row = e.target.closest('tr');
-
-        // Animate removal
-        row.classList.add('history-row--removing');
-        setTimeout(() => {
-          HistoryManager.removeEntry(id);
-          this.renderHistory();
-        }, 200);
-      }
-    });
-
-    // Drag and drop
-    let draggedElement = null;
-
-    this.historyTableBody?.addEventListener('dragstart', (e) => {
-      if (e.target.classList.contains('history-row')) {
-        draggedElement = e.target;
-        e.target.classList.add('dragging');
-      }
-    });
-
-    this.historyTableBody?.addEventListener('dragend', (e) => {
-      if (e.target.classList.contains('history-row')) {
-        e.target.classList.remove('dragging');
-        draggedElement = null;
-      }
-    });
-
-    this.historyTableBody?.addEventListener('dragover', (e) => {
-      e.preventDefault();
-      const currentRow = e.target.closest('.history-row');
-
-      if (currentRow && draggedElement && currentRow !== draggedElement) {
-        // Remove all drag-over classes
-        this.historyTableBody.querySelectorAll('.drag-over').forEach(el => {
-          el.classList.remove('drag-over');
-        });
-        currentRow.classList.add('drag-over');
-      }
-    });
-
-    this.historyTableBody?.addEventListener('drop', (e) => {
-      e.preventDefault();
-      const dropTarget = e.target.closest('.history-row');
-
-      // Remove drag-over class
-      this.historyTableBody.querySelectorAll('.drag-over').forEach(el => {
-        el.classList.remove('drag-over');
-      });
-
-      if (dropTarget && draggedElement && dropTarget !== draggedElement) {
-        // Reorder in DOM
-        const allRows = [...this.historyTableBody.querySelectorAll('.history-row')];
-        const draggedIndex = allRows.indexOf(draggedElement);
-        const dropIndex = allRows.indexOf(dropTarget);
-
-        if (draggedIndex < dropIndex) {
-          dropTarget.after(draggedElement);
-        } else {
-          dropTarget.before(draggedElement);
-        }
-
-        // Save new order to localStorage
-        this.saveHistoryOrder();
-      }
-    });
-  }
-
-  saveHistoryOrder() {
-    const rows = this.historyTableBody.querySelectorAll('.history-row');
-    const history = HistoryManager.load();
-    const newOrder = [];
-
-    rows.forEach(row => {
-      const id = row.dataset.historyId;
-      const entry = history.find(h => h.id === id);
-      if (entry) {
-        newOrder.push(entry);
-      }
-    });
-
-    HistoryManager.reorder(newOrder);
+    this.historyPanel.addEntry(entry);
   }
 }
 
@@ -0,0 +1,421 @@
+/**
+ * Scoring Table Explorer Page
+ */
+
+import { Navigation } from '../components/navigation.js';
+import { BaseCalculator } from '../components/calculator-base.js';
+import { createIcon } from '../components/icon.js';
+import {
+  resolvePointsBounds,
+  getTableBounds,
+  getTableRows,
+  findRowIndex
+} from '../calculators/scoring-table-explorer.js';
+import { lookupPoints } from '../calculators/performance-lookup.js';
+import { parsePerformance, formatPerformance } from '../utils/performance-parser.js';
+import { toCsv, downloadCsv } from '../utils/csv.js';
+import { buildPrintableTable, openPrintableTable } from '../utils/printable-table.js';
+import { eventConfigLoader } from '../data/event-config-loader.js';
+
+const MAX_COMPARE_EVENTS = 4;
+
+class ScoringTablesExplorer extends BaseCalculator {
+  constructor(selectors) {
+    super(selectors);
+    this.compareEvents = [];
+    this.bounds = null;
+    this.rows = [];
+  }
+
+  setupDOMElements() {
+    super.setupDOMElements();
+    this.compareSelect = document.querySelector('#compare-event-select');
+    this.compareList = document.querySelector('#compare-events');
+    this.rangeModeSelect = document.querySelector('#range-mode-select');
+    this.rangeFromInput = document.querySelector('#range-from-input');
+    this.rangeToInput = document.querySelector('#range-to-input');
+    this.rangeHelp = document.querySelector('#range-help');
+    this.rangeApplyBtn = document.querySelector('#range-apply-btn');
+    this.tableTitle = document.querySelector('#table-title');
+    this.tableSummary = document.querySelector('#table-summary');
+    this.exportCsvBtn = document.querySelector('#export-csv-btn');
+    this.printBtn = document.querySelector('#print-btn');
+  }
+
+  setupEventListeners() {
+    super.setupEventListeners();
+
+    this.compareSelect?.addEventListener('change', () => this.handleAddCompareEvent());
+    this.compareList?.addEventListener('click', (e) => {
+      const removeBtn = e.target.closest('.scoring-tables__compare-remove');
+      if (removeBtn) this.handleRemoveCompareEvent(removeBtn.dataset.eventKey);
+    });
+
+    this.rangeModeSelect?.addEventListener('change', () => this.handleRangeModeChange());
+    this.rangeApplyBtn?.addEventListener('click', () => this.handleApplyRange());
+    for (const input of [this.rangeFromInput, this.rangeToInput]) {
+      input?.addEventListener('input', () => {
+        input.classList.remove('input-error');
+        this.hideError();
+      });
+      input?.addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') this.handleApplyRange();
+      });
+    }
+
+    this.exportCsvBtn?.addEventListener('click', () => this.handleExportCsv());
+    this.printBtn?.addEventListener('click', () => this.handlePrint());
+  }
+
+  async initialize() {
+    await super.initialize();
+    Navigation.initialize();
+  }
+
+  handleGenderToggle(gender) {
+    const isChange = this.currentGender !== gender;
+    super.handleGenderToggle(gender);
+    if (!isChange) return;
+
+    // Compared events and ranges belong to the previous gender's tables
+    this.currentEvent = '';
+    this.compareEvents = [];
+    this.renderCompareEvents();
+    this.compareSelect.disabled = true;
+    this.rangeFromInput.value = '';
+    this.rangeToInput.value = '';
+    this.rangeFromInput.disabled = true;
+    this.rangeToInput.disabled = true;
+    this.rangeApplyBtn.disabled = true;
+    this.rangeHelp.textContent = 'Select an event to see the table range';
+  }
+
+  selectEvent(eventKey, displayName) {
+    super.selectEvent(eventKey, displayName);
+
+    this.compareEvents = this.compareEvents.filter(event => event !== eventKey);
+    this.populateCompareOptions();
+    this.renderCompareEvents();
+
+    this.rangeFromInput.value = '';
+    this.rangeToInput.value = '';
+    this.rangeFromInput.disabled = false;
+    this.rangeToInput.disabled = false;
+    this.rangeApplyBtn.disabled = false;
+    this.updateRangeHints();
+
+    this.bounds = resolvePointsBounds(this.currentGender, this.currentEvent, { mode: 'points' });
+    this.renderTable();
+  }
+
+  /**
+   * Fill the compare select with the other events in this gender's tables
+   */
+  populateCompareOptions() {
+    this.compareSelect.innerHTML = '<option value="">Add an event...</option>';
+
+    const byCategory = {};
+    for (const event of this.availableEvents) {
+      if (event.key === this.currentEvent) continue;
+
+      const category = event.category || 'other';
+      if (!byCategory[category]) {
+        byCategory[category] = [];
+      }
+      byCategory[category].push(event);
+    }
+
+    for (const [category, events] of Object.entries(byCategory)) {
+      const optgroup = document.createElement('optgroup');
+      optgroup.label = this.formatCategoryName(category);
+
+      for (const event of eventConfigLoader.sortEventsByDistance(events)) {
+        const option = document.createElement('option');
+        option.value = event.key;
+        option.textContent = event.displayName;
+        optgroup.appendChild(option);
+      }
+
+      this.compareSelect.appendChild(optgroup);
+    }
+
+    this.updateCompareSelectState();
+  }
+
+  updateCompareSelectState() {
+    this.compareSelect.value = '';
+    this.compareSelect.disabled = !this.currentEvent || this.compareEvents.length >= MAX_COMPARE_EVENTS;
+
+    for (const option of this.compareSelect.querySelectorAll('option')) {
+      option.disabled = this.compareEvents.includes(option.value);
+    }
+  }
+
+  renderCompareEvents() {
+    this.compareList.innerHTML = '';
+
+    for (const eventKey of this.compareEvents) {
+      const chip = document.createElement('span');
+      chip.className = 'scoring-tables__compare-chip';
+      chip.textContent = this.getEventName(eventKey);
+
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'scoring-tables__compare-remove';
+      removeBtn.setAttribute('aria-label', `Remove ${this.getEventName(eventKey)}`);
+      removeBtn.dataset.eventKey = eventKey;
+      removeBtn.appendChild(createIcon('x', 'icon--sm'));
+
+      chip.appendChild(removeBtn);
+      this.compareList.appendChild(chip);
+    }
+  }
+
+  handleAddCompareEvent() {
+    const eventKey = this.compareSelect.value;
+    if (!eventKey || this.compareEvents.includes(eventKey)) return;
+
+    this.compareEvents.push(eventKey);
+    this.renderCompareEvents();
+    this.updateCompareSelectState();
+    this.renderTable();
+  }
+
+  handleRemoveCompareEvent(eventKey) {
+    this.compareEvents = this.compareEvents.filter(event => event !== eventKey);
+    this.renderCompareEvents();
+    this.updateCompareSelectState();
+    this.renderTable();
+  }
+
+  handleRangeModeChange() {
+    this.rangeFromInput.value = '';
+    this.rangeToInput.value = '';
+    this.rangeFromInput.classList.remove('input-error');
+    this.rangeToInput.classList.remove('input-error');
+    this.hideError();
+    this.updateRangeHints();
+  }
+
+  /**
+   * Show the table's bounds for the range mode and update the placeholders
+   */
+  updateRangeHints() {
+    const tableBounds = getTableBounds(this.currentGender, this.currentEvent);
+    if (!tableBounds) return;
+
+    if (this.rangeModeSelect.value === 'performance') {
+      const best = this.formatValue(tableBounds.bestPerformance, this.currentEvent);
+      const worst = this.formatValue(tableBounds.worstPerformance, this.currentEvent);
+      this.rangeFromInput.placeholder = best;
+      this.rangeToInput.placeholder = worst;
+      this.rangeHelp.textContent = `Performances from ${best} to ${worst}`;
+      this.performanceInput.placeholder = `e.g., ${best}`;
+    } else {
+      this.rangeFromInput.placeholder = String(tableBounds.maxPoints);
+      this.rangeToInput.placeholder = String(tableBounds.minPoints);
+      this.rangeHelp.textContent = `Points from ${tableBounds.maxPoints} to ${tableBounds.minPoints}`;
+      this.performanceInput.placeholder = 'e.g., 1000';
+    }
+  }
+
+  /**
+   * Parse a range or jump value for the current range mode
+   * @param {string} value - Input text
+   * @returns {number|string|null|undefined} Points or normalized performance, null if empty, undefined if invalid
+   */
+  parseRangeValue(value) {
+    const trimmed = value.trim();
+    if (!trimmed) {
+      return null;
+    }
+
+    if (this.rangeModeSelect.value === 'performance') {
+      return parsePerformance(trimmed, this.currentEvent) || undefined;
+    }
+
+    return /^\d+$/.test(trimmed) ? parseInt(trimmed, 10) : undefined;
+  }
+
+  getInvalidValueMessage() {
+    return this.rangeModeSelect.value === 'performance'
+      ? 'Invalid performance format. Please enter a valid number (e.g., 10.5 or 1:30.5)'
+      : 'Invalid points. Please enter a whole number.';
+  }
+
+  handleApplyRange() {
+    if (!this.currentEvent) return;
+
+    const from = this.parseRangeValue(this.rangeFromInput.value);
+    const to = this.parseRangeValue(this.rangeToInput.value);
+
+    if (from === undefined || to === undefined) {
+      (from === undefined ? this.rangeFromInput : this.rangeToInput).classList.add('input-error');
+      this.showError(this.getInvalidValueMessage());
+      return;
+    }
+
+    this.hideError();
+    this.bounds = resolvePointsBounds(this.currentGender, this.currentEvent, {
+      mode: this.rangeModeSelect.value,
+      from,
+      to
+    });
+    this.renderTable();
+  }
+
+  /**
+   * Jump to a score or performance in the table
+   */
+  handleCalculate() {
+    const value = this.parseRangeValue(this.performanceInput.value);
+
+    if (value === null || value === undefined) {
+      this.performanceInput.classList.add('input-error');
+      this.showError(this.getInvalidValueMessage());
+      return;
+    }
+
+    const points = this.rangeModeSelect.value === 'performance'
+      ? lookupPoints(this.currentGender, this.currentEvent, value)?.points
+      : value;
+
+    const index = points === undefined ? -1 : findRowIndex(this.rows, points);
+    if (index === -1) {
+      this.showError('That value is outside the range shown. Widen the range to find it.');
+      return;
+    }
+
+    this.hideError();
+    this.tableBody.querySelector('.scoring-tables__row--found')?.classList.remove('scoring-tables__row--found');
+
+    const row = this.tableBody.rows[index];
+    row.classList.add('scoring-tables__row--found');
+    row.scrollIntoView({ block: 'center' });
+  }
+
+  getHeadings() {
+    return ['Points', this.getEventName(this.currentEvent), ...this.compareEvents.map(event => this.getEventName(event))];
+  }
+
+  renderTable() {
+    if (!this.currentEvent || !this.bounds) return;
+
+    this.rows = getTableRows(this.currentGender, this.currentEvent, this.compareEvents, this.bounds);
+
+    this.tableTitle.textContent = `${this.getEventName(this.currentEvent)} - ${this.capitalizeFirst(this.currentGender)}`;
+    this.tableSummary.textContent = `${this.rows.length} ${this.rows.length === 1 ? 'row' : 'rows'}, `
+      + `${this.bounds.maxPoints} to ${this.bounds.minPoints} points`;
+
+    const table = document.createElement('table');
+    table.className = 'history-table history-table--splits scoring-tables__table';
+
+    const thead = document.createElement('thead');
+    const headerRow = document.createElement('tr');
+    for (const heading of this.getHeadings()) {
+      const th = document.createElement('th');
+      th.textContent = heading;
+      headerRow.appendChild(th);
+    }
+    thead.appendChild(headerRow);
+
+    this.tableBody = document.createElement('tbody');
+    for (const row of this.rows) {
+      const tr = document.createElement('tr');
+
+      const pointsCell = document.createElement('td');
+      pointsCell.textContent = row.points;
+      tr.appendChild(pointsCell);
+
+      const performanceCell = document.createElement('td');
+      performanceCell.textContent = this.formatValue(row.performance, this.currentEvent);
+      tr.appendChild(performanceCell);
+
+      for (const comparison of row.comparisons) {
+        const cell = document.createElement('td');
+        cell.textContent = this.formatValue(comparison.performance, comparison.event);
+        if (!comparison.exactMatch) {
+          cell.className = 'scoring-tables__cell--lower';
+        }
+        tr.appendChild(cell);
+      }
+
+      this.tableBody.appendChild(tr);
+    }
+
+    table.appendChild(thead);
+    table.appendChild(this.tableBody);
+
+    this.resultsContent.innerHTML = '';
+    this.resultsContent.appendChild(table);
+    this.resultsContent.scrollTop = 0;
+
+    this.performanceInput.disabled = false;
+    this.showResults();
+  }
+
+  /**
+   * Rows of formatted values for export
+   * @returns {Array<Array<string|number>>}
+   */
+  getExportRows() {
+    return this.rows.map(row => [
+      row.points,
+      this.formatValue(row.performance, this.currentEvent),
+      ...row.comparisons.map(comparison => this.formatValue(comparison.performance, comparison.event))
+    ]);
+  }
+
+  getExportFilename(extension) {
+    const slug = `${this.currentGender}-${this.currentEvent}`.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    return `scoring-table-${slug}-${this.bounds.maxPoints}-${this.bounds.minPoints}.${extension}`;
+  }
+
+  handleExportCsv() {
+    if (this.rows.length === 0) return;
+    downloadCsv(toCsv([this.getHeadings(), ...this.getExportRows()]), this.getExportFilename('csv'));
+  }
+
+  handlePrint() {
+    if (this.rows.length === 0) return;
+
+    const compared = this.compareEvents.length > 0
+      ? `, compared with ${this.compareEvents.map(event => this.getEventName(event)).join(', ')}`
+      : '';
+
+    const html = buildPrintableTable({
+      title: `World Athletics Scoring Table: ${this.capitalizeFirst(this.currentGender)} ${this.getEventName(this.currentEvent)}`,
+      subtitle: `${this.bounds.maxPoints} to ${this.bounds.minPoints} points${compared}`,
+      headings: this.getHeadings(),
+      rows: this.getExportRows()
+    });
+
+    openPrintableTable(html, this.getExportFilename('html'));
+  }
+
+  formatValue(performance, eventKey) {
+    return performance === null ? '-' : formatPerformance(performance, eventKey);
+  }
+
+  getEventName(eventKey) {
+    return eventConfigLoader.getEventInfo(eventKey)?.displayName || eventKey;
+  }
+}
+
+// Initialize when DOM is ready
+const explorer = new ScoringTablesExplorer({
+  eventInput: '#event-input',
+  eventDropdown: '#event-dropdown',
+  performanceInput: '#find-input',
+  calculateBtn: '#find-btn',
+  resultsContainer: '#results-container',
+  resultsContent: '#results-content',
+  loadingIndicator: '#loading-indicator',
+  errorMessage: '#error-message'
+});
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => explorer.initialize());
+} else {
+  explorer.initialize();
+}
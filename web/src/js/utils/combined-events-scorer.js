@@ -9,6 +9,9 @@
  * Points (P) are always rounded down (floored) to the nearest whole number.
  */
 
+import { applyTimingRules } from './timing-rules.js';
+import { parseFieldMeasurement } from './field-measurement.js';
+
 /**
  * Calculate score for an event based on performance
  * @param {number} performance - The performance value (time in seconds, distance in meters, or height in cm)
@@ -55,13 +58,63 @@ export function calculateEventScore(performance, parameters, measurementType) {
 }
 
 /**
- * Apply hand timing offset to a time performance
- * @param {number} time - Time in seconds
- * @param {number} offset - Offset to add in seconds
- * @returns {number} Adjusted time in seconds
+ * Calculate the exact performance that scores a number of points (inverse of calculateEventScore)
+ * - Track events: T = b - (P / a)^(1/c)
+ * - Field events: M = b + (P / a)^(1/c)
+ * @param {number} points - Points to score
+ * @param {Object} parameters - Scoring parameters {a, b, c}
+ * @param {string} measurementType - 'time', 'distance', or 'height'
+ * @returns {number|null} Performance value in the formula's units, or null if unreachable
+ */
+export function calculatePerformanceForScore(points, parameters, measurementType) {
+    const { a, b, c } = parameters;
+
+    if (points <= 0) {
+        // Any performance at or beyond the base value scores zero
+        return b;
+    }
+
+    const diff = Math.pow(points / a, 1 / c);
+
+    if (measurementType === 'time') {
+        const time = b - diff;
+        // A time of zero or less cannot be run
+        return time > 0 ? time : null;
+    } else if (measurementType === 'height' || measurementType === 'distance') {
+        return b + diff;
+    }
+
+    return null;
+}
+
+/**
+ * Convert and score a performance as entered by the user
+ * Times are rounded and converted by the timing rules (see timing-rules.js).
+ * @param {string} performanceStr - Performance as entered by user
+ * @param {string} eventKey - Event identifier
+ * @param {Object} eventParams - Event parameters {measurement, parameters}
+ * @param {boolean} isHandTimed - Whether the time was hand timed
+ * @returns {Object|null} {value, score, warning} or null if the performance is invalid
  */
-export function applyHandTimingOffset(time, offset) {
-    return time + offset;
+export function scorePerformance(performanceStr, eventKey, eventParams, isHandTimed = false) {
+    let value = convertPerformanceToValue(performanceStr, eventParams.measurement, eventKey);
+    let warning = null;
+
+    if (value === null || !validatePerformance(value)) {
+        return null;
+    }
+
+    if (eventParams.measurement === 'time') {
+        const timing = applyTimingRules(value, eventKey, isHandTimed);
+        value = timing.value;
+        warning = timing.warning;
+    }
+
+    return {
+        value,
+        score: calculateEventScore(value, eventParams.parameters, eventParams.measurement),
+        warning
+    };
 }
 
 /**
@@ -96,9 +149,9 @@ export function convertPerformanceToValue(performanceStr, measurementType, event
         return parseTimeToSeconds(trimmed);
     } else if (measurementType === 'distance') {
         // Distance in meters (for throws) or centimeters (for long jump)
-        // User enters in meters, convert as needed
-        const value = parseFloat(trimmed.replace(/[^\d.]/g, ''));
-        if (isNaN(value)) {
+        // User enters in meters, centimeters or feet and inches, convert as needed
+        const value = parseFieldMeasurement(trimmed);
+        if (value === null) {
             return null;
         }
         // Long jump uses centimeters in formula, others use meters
@@ -108,9 +161,9 @@ export function convertPerformanceToValue(performanceStr, measurementType, event
         return value; // Meters for throws
     } else if (measurementType === 'height') {
         // Height in centimeters
-        // User enters in meters, convert to centimeters
-        const value = parseFloat(trimmed.replace(/[^\d.]/g, ''));
-        if (isNaN(value)) {
+        // User enters in meters, centimeters or feet and inches, convert to centimeters
+        const value = parseFieldMeasurement(trimmed);
+        if (value === null) {
             return null;
         }
         return value * 100; // Convert meters to centimeters
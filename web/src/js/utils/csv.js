@@ -0,0 +1,128 @@
+/**
+ * CSV Utilities
+ * Parse and build delimited text (CSV and TSV)
+ */
+
+// Text starting with these characters is read as a formula by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+// Quote mark written before such text so it is shown as text, and removed again on import
+const FORMULA_GUARD = "'";
+
+/**
+ * Detect the delimiter used by delimited text from its first line
+ * @param {string} text
+ * @returns {string} Tab, semicolon or comma
+ */
+export function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+
+  if (firstLine.includes('\t')) {
+    return '\t';
+  }
+
+  if (firstLine.includes(';') && !firstLine.includes(',')) {
+    return ';';
+  }
+
+  return ',';
+}
+
+/**
+ * Parse delimited text into rows of fields
+ * Supports quoted fields containing delimiters, newlines and escaped quotes ("").
+ * Blank lines are skipped, and the quote mark toCsv writes before formula-like text is removed.
+ * @param {string} text - Raw CSV or TSV text
+ * @param {string} delimiter - Field delimiter (detected if not provided)
+ * @returns {string[][]} Array of rows, each an array of trimmed fields
+ */
+export function parseDelimited(text, delimiter = detectDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  const endField = () => {
+    const value = field.trim();
+    row.push(value.startsWith(FORMULA_GUARD) && FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value);
+    field = '';
+  };
+
+  const endRow = () => {
+    endField();
+    if (row.some(value => value !== '')) {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      inQuotes = true;
+      field = '';
+    } else if (char === delimiter) {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  endRow();
+
+  return rows;
+}
+
+/**
+ * Build CSV text from rows of values
+ * Fields containing commas, quotes or newlines are quoted. Text starting with =, +, - or @
+ * is prefixed with a quote mark so spreadsheet apps do not run it as a formula; numbers
+ * are written as they are.
+ * @param {Array<Array<string|number|null>>} rows
+ * @returns {string}
+ */
+export function toCsv(rows) {
+  return rows.map(row =>
+    row.map(value => {
+      let text = value === null || value === undefined ? '' : String(value);
+      if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+        text = FORMULA_GUARD + text;
+      }
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')
+  ).join('\r\n');
+}
+
+/**
+ * Trigger a browser download of CSV text
+ * @param {string} csv - CSV text
+ * @param {string} filename
+ */
+export function downloadCsv(csv, filename) {
+  const blob = new Blob([csv], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  URL.revokeObjectURL(url);
+}
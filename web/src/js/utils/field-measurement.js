@@ -0,0 +1,134 @@
+/**
+ * Field Measurement Utilities
+ * Parse jumps and throws entered in metres, centimetres or feet and inches,
+ * and show metric marks in feet and inches
+ */
+
+const METRES_PER_INCH = 0.0254;
+const INCHES_PER_FOOT = 12;
+
+// Imperial marks are shown to the quarter inch
+const INCH_FRACTION = 4;
+
+// Tolerance for floating point noise when rounding
+const EPSILON = 1e-9;
+
+// Fractions of an inch as written in US results (e.g., 24' 3½")
+const INCH_FRACTIONS = { '¼': 0.25, '½': 0.5, '¾': 0.75 };
+
+/**
+ * Parse a field event mark to metres
+ * Accepts metres ("7.50", "7.50m", "7.5 metres"), centimetres ("750cm") and feet and
+ * inches ("24' 3.5\"", "24' 3½\"", "24-03.50", "24ft 3.5in", "291.5in"). Converted marks are rounded
+ * down to the whole centimetre, as marks are measured.
+ * @param {string} input - Mark as entered
+ * @returns {number|null} Metres, or null if the mark is not valid
+ */
+export function parseFieldMeasurement(input) {
+  if (!input || typeof input !== 'string') {
+    return null;
+  }
+
+  const cleaned = input.trim().toLowerCase()
+    .replace(/[’′]/g, '\'')
+    .replace(/[”″]/g, '"')
+    .replace(/(\d*)\s*([¼½¾])/g, (match, whole, fraction) => String((parseInt(whole, 10) || 0) + INCH_FRACTIONS[fraction]));
+
+  const metres = cleaned.match(/^(\d+(?:\.\d+)?|\.\d+)\s*(?:m|metres?|meters?)?$/);
+  if (metres) {
+    return toPositive(parseFloat(metres[1]));
+  }
+
+  const centimetres = cleaned.match(/^(\d+(?:\.\d+)?)\s*(?:cm|centimetres?|centimeters?)$/);
+  if (centimetres) {
+    return toPositive(floorToCentimetre(parseFloat(centimetres[1]) / 100));
+  }
+
+  const inches = parseImperial(cleaned);
+  if (inches !== null) {
+    return toPositive(floorToCentimetre(inches * METRES_PER_INCH));
+  }
+
+  return null;
+}
+
+/**
+ * Parse a feet and inches mark to inches
+ * @param {string} value - Lowercase mark
+ * @returns {number|null} Inches, or null if the mark is not in feet and inches
+ */
+function parseImperial(value) {
+  // US results style: feet-inches (e.g., "24-03.50", "6-8")
+  const dashed = value.match(/^(\d+)-(\d{1,2}(?:\.\d+)?)$/);
+  if (dashed) {
+    return toInches(dashed[1], dashed[2]);
+  }
+
+  // Feet with optional inches (e.g., "24' 3.5\"", "24ft 3.5in", "24 feet 3 inches", "24'")
+  const feetAndInches = value.match(
+    /^(\d+)\s*(?:'|ft|feet|foot)\s*(?:(\d{1,2}(?:\.\d+)?)\s*(?:"|''|in|inch|inches)?)?$/
+  );
+  if (feetAndInches) {
+    return toInches(feetAndInches[1], feetAndInches[2] || '0');
+  }
+
+  // Inches only (e.g., "291.5in", "80\"")
+  const inchesOnly = value.match(/^(\d+(?:\.\d+)?)\s*(?:"|''|in|inch|inches)$/);
+  if (inchesOnly) {
+    return parseFloat(inchesOnly[1]);
+  }
+
+  return null;
+}
+
+/**
+ * Combine feet and inches
+ * @param {string} feet
+ * @param {string} inches
+ * @returns {number|null} Inches, or null if the inches are 12 or more
+ */
+function toInches(feet, inches) {
+  const inchValue = parseFloat(inches);
+  if (inchValue >= INCHES_PER_FOOT) {
+    return null;
+  }
+  return parseInt(feet, 10) * INCHES_PER_FOOT + inchValue;
+}
+
+function floorToCentimetre(metres) {
+  return Math.floor(metres * 100 + EPSILON) / 100;
+}
+
+function toPositive(metres) {
+  return isNaN(metres) || metres <= 0 ? null : metres;
+}
+
+/**
+ * Convert metres to feet and inches
+ * Rounded down to the quarter inch, as in official conversion tables.
+ * @param {number} metres
+ * @returns {Object} { feet, inches }
+ */
+export function metresToFeetAndInches(metres) {
+  const totalInches = Math.floor((metres / METRES_PER_INCH) * INCH_FRACTION + EPSILON) / INCH_FRACTION;
+  return {
+    feet: Math.floor(totalInches / INCHES_PER_FOOT),
+    inches: totalInches % INCHES_PER_FOOT
+  };
+}
+
+/**
+ * Format metres as feet and inches (e.g., 24' 3.25")
+ * @param {number|string} metres
+ * @returns {string} Formatted mark, or an empty string if not a number
+ */
+export function formatImperial(metres) {
+  const value = parseFloat(metres);
+  if (isNaN(value)) {
+    return '';
+  }
+
+  const { feet, inches } = metresToFeetAndInches(value);
+  const inchText = Number.isInteger(inches) ? String(inches) : inches.toFixed(2).replace(/0$/, '');
+  return `${feet}' ${inchText}"`;
+}
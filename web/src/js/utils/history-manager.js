@@ -1,96 +1,350 @@
 /**
  * Calculation History Manager
- * Handles localStorage operations for calculation history
+ * One IndexedDB backed history for the score, pace and combined events calculators,
+ * with athlete tags, search and JSON/CSV import and export
  */
 
-const STORAGE_KEY = 'athleticsUtils.calculationHistory';
-const MAX_ENTRIES = 10;
+import { IndexedDbStore } from './indexed-db-store.js';
+import { parseDelimited, toCsv } from './csv.js';
+
+const historyStore = new IndexedDbStore('athleticsUtils.history', 'entries');
+
+// Stores used before the history moved to IndexedDB
+const LEGACY_STORAGE_KEYS = {
+  score: 'athleticsUtils.calculationHistory',
+  pace: 'athleticsUtils.paceHistory'
+};
+
+const EXPORT_FORMAT = 'athleticsUtils.history';
+const EXPORT_VERSION = 1;
+
+/**
+ * Calculators that record history
+ */
+export const HISTORY_CALCULATORS = {
+  score: 'Score',
+  pace: 'Pace',
+  combined: 'Combined Events'
+};
+
+// Columns shared by every calculator in CSV exports; other fields go in the details column
+const CSV_COLUMNS = ['id', 'calculator', 'timestamp', 'athlete', 'event', 'performance', 'result'];
+
+let migration = null;
 
 export class HistoryManager {
   /**
-   * Load history from localStorage
-   * @returns {Array} Array of history entries
+   * Move entries from the old localStorage histories into IndexedDB (once)
+   * @returns {Promise<void>}
    */
-  static load() {
-    try {
-      const data = localStorage.getItem(STORAGE_KEY);
-      if (!data) return [];
-      const parsed = JSON.parse(data);
-      return Array.isArray(parsed) ? parsed : [];
-    } catch (error) {
-      console.error('Error loading history:', error);
-      return [];
+  static migrateLegacyHistory() {
+    if (!migration) {
+      migration = (async () => {
+        for (const [calculator, key] of Object.entries(LEGACY_STORAGE_KEYS)) {
+          let entries;
+          try {
+            entries = JSON.parse(localStorage.getItem(key));
+          } catch (error) {
+            entries = null;
+          }
+
+          if (Array.isArray(entries)) {
+            // Legacy lists are newest first, so keep that order through the positions
+            for (let i = 0; i < entries.length; i++) {
+              await historyStore.put(this.normalizeEntry({ ...entries[i], calculator }, i - entries.length));
+            }
+          }
+
+          localStorage.removeItem(key);
+        }
+      })().catch(error => {
+        console.error('Error migrating history:', error);
+      });
     }
+
+    return migration;
   }
 
   /**
-   * Save history to localStorage
-   * @param {Array} history - Array of history entries
+   * Fill in the fields every history entry needs
+   * @param {Object} entry - Entry from a calculator, an import or a legacy store
+   * @param {number} position - Sort position (lower is shown first)
+   * @returns {Object} Entry
    */
-  static save(history) {
-    try {
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(history));
-    } catch (error) {
-      console.error('Error saving history:', error);
-      // Handle quota exceeded error
-      if (error.name === 'QuotaExceededError') {
-        console.warn('localStorage quota exceeded, clearing old entries');
-        // Keep only last 5 entries
-        const trimmed = history.slice(0, 5);
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(trimmed));
-      }
-    }
+  static normalizeEntry(entry, position) {
+    const normalized = {
+      ...entry,
+      id: entry.id || `hist-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+      calculator: HISTORY_CALCULATORS[entry.calculator] ? entry.calculator : 'score',
+      timestamp: Number(entry.timestamp) || Date.now(),
+      athlete: (entry.athlete || '').trim(),
+      position: Number.isFinite(entry.position) ? entry.position : position
+    };
+
+    // Summary fields used by the shared history table, search and CSV export
+    return { ...normalized, ...this.describeEntry(normalized) };
   }
 
   /**
-   * Add a new entry to history
-   * @param {Object} entry - History entry object
-   * @returns {Array} Updated history
+   * Summarise an entry as event, performance and result text
+   * @param {Object} entry
+   * @returns {Object} { event, performance, result }
    */
-  static addEntry(entry) {
-    const history = this.load();
+  static describeEntry(entry) {
+    if (entry.calculator === 'pace') {
+      const paceOrSpeed = entry.measurementMode === 'speed' && entry.speed ? entry.speed : entry.pace;
+      return {
+        event: entry.distance || entry.event || '',
+        performance: entry.totalTime || entry.performance || '',
+        result: paceOrSpeed || entry.result || ''
+      };
+    }
 
-    // Add ID if not present
-    if (!entry.id) {
-      entry.id = `hist-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    if (entry.calculator === 'combined') {
+      return {
+        event: entry.event || '',
+        performance: entry.performance || '',
+        result: entry.total !== undefined ? `${entry.total} pts` : (entry.result || '')
+      };
     }
 
-    // Add to beginning of array
-    history.unshift(entry);
+    const gender = entry.gender ? ` (${entry.gender.charAt(0).toUpperCase()}${entry.gender.slice(1)})` : '';
+    return {
+      event: entry.eventDisplayName ? `${entry.eventDisplayName}${gender}` : (entry.event || ''),
+      performance: entry.performance || '',
+      result: entry.score !== undefined ? `${entry.score} pts` : (entry.result || '')
+    };
+  }
 
-    // Trim to max entries
-    if (history.length > MAX_ENTRIES) {
-      history.splice(MAX_ENTRIES);
-    }
+  /**
+   * Load history, optionally filtered
+   * @param {Object} filters
+   * @param {string} [filters.calculator] - Only entries from this calculator
+   * @param {string} [filters.athlete] - Only entries tagged with this athlete ('' for untagged)
+   * @param {string} [filters.query] - Text that must appear in the entry
+   * @returns {Promise<Array>} Entries, in display order
+   */
+  static async load({ calculator = null, athlete = null, query = '' } = {}) {
+    await this.migrateLegacyHistory();
+
+    const entries = await historyStore.getAll();
+    const terms = query.toLowerCase().split(/\s+/).filter(term => term);
+
+    return entries
+      .filter(entry => !calculator || entry.calculator === calculator)
+      .filter(entry => athlete === null || entry.athlete === athlete)
+      .filter(entry => terms.every(term => this.getSearchText(entry).includes(term)))
+      .sort((a, b) => a.position - b.position || b.timestamp - a.timestamp);
+  }
+
+  /**
+   * Text searched for an entry
+   * @param {Object} entry
+   * @returns {string} Lower case text
+   */
+  static getSearchText(entry) {
+    return [
+      entry.athlete,
+      entry.event,
+      entry.performance,
+      entry.result,
+      HISTORY_CALCULATORS[entry.calculator],
+      entry.gender,
+      entry.ageGroup,
+      new Date(entry.timestamp).toLocaleDateString()
+    ].filter(Boolean).join(' ').toLowerCase();
+  }
+
+  /**
+   * Athlete names used as tags
+   * @returns {Promise<Array<string>>} Sorted names
+   */
+  static async getAthletes() {
+    const entries = await this.load();
+    const names = new Set(entries.map(entry => entry.athlete).filter(Boolean));
+    return [...names].sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Add a new entry at the top of the history
+   * @param {Object} entry - History entry object (must include calculator)
+   * @returns {Promise<Object>} The stored entry
+   */
+  static async addEntry(entry) {
+    const entries = await this.load();
+    const firstPosition = entries.length > 0 ? entries[0].position : 0;
 
-    this.save(history);
-    return history;
+    const stored = this.normalizeEntry({ ...entry, position: firstPosition - 1 });
+    await historyStore.put(stored);
+    return stored;
+  }
+
+  /**
+   * Update fields of an entry (such as its athlete tag)
+   * @param {string} id - Entry ID
+   * @param {Object} changes - Fields to update
+   * @returns {Promise<Object|null>} The updated entry, or null if not found
+   */
+  static async updateEntry(id, changes) {
+    const entry = await historyStore.get(id);
+    if (!entry) return null;
+
+    const updated = this.normalizeEntry({ ...entry, ...changes });
+    await historyStore.put(updated);
+    return updated;
   }
 
   /**
    * Remove an entry by ID
    * @param {string} id - Entry ID
-   * @returns {Array} Updated history
+   * @returns {Promise<void>}
+   */
+  static async removeEntry(id) {
+    await this.migrateLegacyHistory();
+    await historyStore.delete(id);
+  }
+
+  /**
+   * Reorder entries (for drag-and-drop)
+   * The entries keep the positions they held between them, so reordering a filtered list
+   * leaves other entries where they were.
+   * @param {Array<string>} ids - Entry IDs in their new order
+   * @returns {Promise<void>}
+   */
+  static async reorder(ids) {
+    const entries = await this.load();
+    const byId = new Map(entries.map(entry => [entry.id, entry]));
+    const moved = ids.map(id => byId.get(id)).filter(Boolean);
+    const positions = moved.map(entry => entry.position).sort((a, b) => a - b);
+
+    for (let i = 0; i < moved.length; i++) {
+      if (moved[i].position !== positions[i]) {
+        await historyStore.put({ ...moved[i], position: positions[i] });
+      }
+    }
+  }
+
+  /**
+   * Export entries as JSON
+   * @param {Array} entries
+   * @returns {string}
+   */
+  static exportJson(entries) {
+    return JSON.stringify({
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      entries
+    }, null, 2);
+  }
+
+  /**
+   * Export entries as CSV
+   * Calculator specific fields are kept as JSON in the details column so an import restores them.
+   * @param {Array} entries
+   * @returns {string}
+   */
+  static exportCsv(entries) {
+    const rows = entries.map(entry => {
+      const details = { ...entry };
+      for (const column of [...CSV_COLUMNS, 'position']) {
+        delete details[column];
+      }
+
+      return [
+        ...CSV_COLUMNS.map(column => column === 'timestamp'
+          ? new Date(entry.timestamp).toISOString()
+          : entry[column]),
+        JSON.stringify(details)
+      ];
+    });
+
+    return toCsv([[...CSV_COLUMNS, 'details'], ...rows]);
+  }
+
+  /**
+   * Import entries from a JSON or CSV export
+   * Entries already in the history (same ID) are updated rather than duplicated.
+   * @param {string} text - File contents
+   * @returns {Promise<number>} Number of entries imported
+   * @throws {Error} If the file is not a history export
    */
-  static removeEntry(id) {
-    const history = this.load();
-    const filtered = history.filter(entry => entry.id !== id);
-    this.save(filtered);
-    return filtered;
+  static async importText(text) {
+    const trimmed = text.trim();
+    const entries = trimmed.startsWith('{') || trimmed.startsWith('[')
+      ? this.parseJsonExport(trimmed)
+      : this.parseCsvExport(trimmed);
+
+    const existing = await this.load();
+    let position = existing.length > 0 ? existing[existing.length - 1].position : 0;
+
+    for (const entry of entries) {
+      position += 1;
+      await historyStore.put(this.normalizeEntry({ ...entry, position }));
+    }
+
+    return entries.length;
   }
 
   /**
-   * Reorder history (for drag-and-drop)
-   * @param {Array} newOrder - New array order
+   * Parse a JSON export
+   * @param {string} text
+   * @returns {Array} Entries
+   * @throws {Error} If the JSON is not a history export
    */
-  static reorder(newOrder) {
-    this.save(newOrder);
+  static parseJsonExport(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('The file is not valid JSON.');
+    }
+
+    const entries = Array.isArray(data) ? data : data?.entries;
+    if (!Array.isArray(entries) || (!Array.isArray(data) && data.format !== EXPORT_FORMAT)) {
+      throw new Error('The file is not an Athletics Utilities history export.');
+    }
+
+    // Imported entries are placed after the current history in their exported order
+    return entries
+      .filter(entry => entry && typeof entry === 'object')
+      .map(({ position, ...entry }) => entry);
   }
 
   /**
-   * Clear all history
+   * Parse a CSV export
+   * @param {string} text
+   * @returns {Array} Entries
+   * @throws {Error} If the CSV does not have the export columns
    */
-  static clear() {
-    localStorage.removeItem(STORAGE_KEY);
+  static parseCsvExport(text) {
+    const [header, ...rows] = parseDelimited(text);
+    const columns = (header || []).map(column => column.toLowerCase());
+
+    if (!CSV_COLUMNS.every(column => columns.includes(column.toLowerCase()))) {
+      throw new Error(`The CSV must have the columns: ${[...CSV_COLUMNS, 'details'].join(', ')}.`);
+    }
+
+    return rows.map(row => {
+      const values = Object.fromEntries(columns.map((column, i) => [column, row[i] || '']));
+
+      let details = {};
+      try {
+        details = values.details ? JSON.parse(values.details) : {};
+      } catch (error) {
+        // Keep the shared columns when the details were edited by hand
+      }
+
+      return {
+        ...details,
+        id: values.id,
+        calculator: values.calculator,
+        timestamp: Date.parse(values.timestamp) || Date.now(),
+        athlete: values.athlete,
+        event: values.event,
+        performance: values.performance,
+        result: values.result
+      };
+    });
   }
 }
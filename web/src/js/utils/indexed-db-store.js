@@ -0,0 +1,115 @@
+/**
+ * IndexedDB Store Utility
+ * Minimal promise-based wrapper around a single IndexedDB object store
+ */
+
+export class IndexedDbStore {
+  /**
+   * @param {string} dbName - Database name
+   * @param {string} storeName - Object store name
+   * @param {string} keyPath - Property used as the record key
+   */
+  constructor(dbName, storeName, keyPath = 'id') {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.keyPath = keyPath;
+    this.dbPromise = null;
+  }
+
+  /**
+   * Check if IndexedDB is available in this browser
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  /**
+   * Open the database, creating the object store on first use
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (this.dbPromise) {
+      return this.dbPromise;
+    }
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      if (!IndexedDbStore.isSupported()) {
+        reject(new Error('IndexedDB is not supported in this browser'));
+        return;
+      }
+
+      const request = indexedDB.open(this.dbName, 1);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          db.createObjectStore(this.storeName, { keyPath: this.keyPath });
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      // Allow a later call to retry
+      this.dbPromise = null;
+      throw error;
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a request against the object store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} callback - Receives the object store and returns an IDBRequest
+   * @returns {Promise<*>} The request result
+   */
+  async run(mode, callback) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = callback(transaction.objectStore(this.storeName));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Get a record by key
+   * @param {string} key
+   * @returns {Promise<Object|undefined>}
+   */
+  get(key) {
+    return this.run('readonly', store => store.get(key));
+  }
+
+  /**
+   * Get all records
+   * @returns {Promise<Array<Object>>}
+   */
+  getAll() {
+    return this.run('readonly', store => store.getAll());
+  }
+
+  /**
+   * Insert or update a record
+   * @param {Object} record - Record containing the key property
+   * @returns {Promise<string>} The record key
+   */
+  put(record) {
+    return this.run('readwrite', store => store.put(record));
+  }
+
+  /**
+   * Delete a record by key
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  delete(key) {
+    return this.run('readwrite', store => store.delete(key));
+  }
+}
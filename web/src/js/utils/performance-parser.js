@@ -4,11 +4,13 @@
  */
 
 import { eventConfigLoader } from '../data/event-config-loader.js';
+import { parseFieldMeasurement, formatImperial } from './field-measurement.js';
 
 /**
  * Parse a performance string and normalize it to match data format
  * For times: converts to seconds (to match minified JSON format)
- * @param {string} input - Raw input (e.g., "10.5", "10.50", "1:30.5", "7.50m")
+ * For distances: converts to metres (feet and inches and centimetres are accepted)
+ * @param {string} input - Raw input (e.g., "10.5", "10.50", "1:30.5", "7.50m", "24' 3.5\"")
  * @param {string} eventKey - Event key to determine measurement format
  * @returns {string|null} Normalized performance string or null if invalid
  */
@@ -28,8 +30,8 @@ export function parsePerformance(input, eventKey) {
   const measurementFormat = eventInfo?.measurementFormat || 'time';
 
   if (measurementFormat === 'distance') {
-    // Distance event - parse as decimal number
-    return parseDistance(withoutUnits);
+    // Distance event - parse with its units
+    return parseDistance(cleaned);
   } else if (measurementFormat === 'points') {
     // Points event - parse as integer
     return parsePoints(withoutUnits);
@@ -40,14 +42,39 @@ export function parsePerformance(input, eventKey) {
 }
 
 /**
- * Parse a distance value
+ * Check that a performance is written entirely in the event's format
+ * parsePerformance reads the leading number of a time, so use this for values from
+ * outside the page (e.g., share links) before they are shown.
+ * @param {string} input - Raw input
+ * @param {string} eventKey - Event key to determine measurement format
+ * @returns {boolean}
+ */
+export function matchesPerformanceFormat(input, eventKey) {
+  if (!input || typeof input !== 'string') {
+    return false;
+  }
+
+  const cleaned = input.trim().toLowerCase();
+  const measurementFormat = eventConfigLoader.getEventInfo(eventKey)?.measurementFormat || 'time';
+
+  if (measurementFormat === 'distance') {
+    return parseFieldMeasurement(cleaned) !== null;
+  } else if (measurementFormat === 'points') {
+    return /^\d+$/.test(cleaned) && parsePoints(cleaned) !== null;
+  } else {
+    return /^(?:\d+:){0,2}\d+(?:\.\d+)?\s*(?:s|sec|seconds?)?$/.test(cleaned) && parsePerformance(cleaned, eventKey) !== null;
+  }
+}
+
+/**
+ * Parse a distance value in metres, centimetres or feet and inches
  * @param {string} value
- * @returns {string|null}
+ * @returns {string|null} Metres
  */
 function parseDistance(value) {
-  const num = parseFloat(value);
+  const num = parseFieldMeasurement(value);
 
-  if (isNaN(num) || num <= 0) {
+  if (num === null) {
     return null;
   }
 
@@ -147,9 +174,11 @@ function isDistanceEvent(event) {
  * Converts seconds back to human-readable time format
  * @param {string} performance - Performance value from data (in seconds for time events)
  * @param {string} eventKey - Event key
+ * @param {Object} options
+ * @param {boolean} options.imperial - Add the feet and inches equivalent to distances
  * @returns {string} Formatted performance with units
  */
-export function formatPerformance(performance, eventKey) {
+export function formatPerformance(performance, eventKey, { imperial = false } = {}) {
   if (!performance) {
     return '';
   }
@@ -159,7 +188,7 @@ export function formatPerformance(performance, eventKey) {
 
   if (measurementFormat === 'distance') {
     // Distance - add 'm' suffix
-    return `${performance}m`;
+    return imperial ? `${performance}m (${formatImperial(performance)})` : `${performance}m`;
   } else if (measurementFormat === 'points') {
     // Points - just the number
     return performance;
@@ -249,7 +278,7 @@ export function getPerformancePlaceholder(eventKey) {
   const measurementFormat = eventInfo?.measurementFormat || 'time';
 
   if (measurementFormat === 'distance') {
-    return 'e.g., 7.50 or 7.50m';
+    return 'e.g., 7.50m or 24-07.25';
   } else if (measurementFormat === 'points') {
     return 'e.g., 8500';
   } else {
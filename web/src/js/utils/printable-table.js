@@ -0,0 +1,98 @@
+/**
+ * Printable Table Utilities
+ * Standalone HTML documents for printing tables or saving them as PDF
+ */
+
+/**
+ * Escape text for use in HTML
+ * @param {string|number|null} value
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build a print ready HTML document for a table
+ * The header row repeats on every printed page.
+ * @param {Object} options
+ * @param {string} options.title - Document title and heading
+ * @param {string} options.subtitle - Line shown under the heading
+ * @param {Array<string>} options.headings - Column headings
+ * @param {Array<Array<string|number|null>>} options.rows - Table rows
+ * @returns {string} HTML document
+ */
+export function buildPrintableTable({ title, subtitle = '', headings, rows }) {
+  const head = headings.map(heading => `<th>${escapeHtml(heading)}</th>`).join('');
+  const body = rows
+    .map(row => `<tr>${row.map(value => `<td>${escapeHtml(value)}</td>`).join('')}</tr>`)
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(title)}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #202124; margin: 1.5rem; }
+  h1 { font-size: 1.25rem; margin: 0 0 0.25rem; }
+  p { font-size: 0.875rem; color: #5f6368; margin: 0 0 1rem; }
+  table { border-collapse: collapse; width: 100%; font-size: 0.8125rem; }
+  thead { display: table-header-group; }
+  th, td { border: 1px solid #dadce0; padding: 0.2rem 0.5rem; text-align: right; }
+  th { background: #f1f3f4; }
+  th:first-child, td:first-child { text-align: left; }
+  tr { break-inside: avoid; }
+  @page { margin: 1.5cm; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${subtitle ? `<p>${escapeHtml(subtitle)}</p>` : ''}
+<table>
+<thead><tr>${head}</tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * Open a printable document in a new window and show the print dialog
+ * Downloads the document instead when the browser blocks the new window.
+ * @param {string} html - Document from buildPrintableTable
+ * @param {string} filename - Download filename used as the fallback
+ */
+export function openPrintableTable(html, filename) {
+  const printWindow = window.open('', '_blank');
+
+  if (printWindow) {
+    printWindow.document.open();
+    printWindow.document.write(html);
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+    return;
+  }
+
+  const blob = new Blob([html], { type: 'text/html;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  URL.revokeObjectURL(url);
+}
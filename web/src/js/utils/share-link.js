@@ -0,0 +1,74 @@
+/**
+ * Share Link Utilities
+ * Encode calculator state in the page URL so a calculation can be shared
+ */
+
+/**
+ * Read calculator state from the current URL query string
+ * @returns {Object|null} State as string values, or null if the URL has no state
+ */
+export function readShareState() {
+  const params = new URLSearchParams(window.location.search);
+  if ([...params.keys()].length === 0) {
+    return null;
+  }
+
+  return Object.fromEntries(params.entries());
+}
+
+/**
+ * Build a URL for the current page that encodes the given state
+ * Empty values are left out to keep links short.
+ * @param {Object} state - State values
+ * @returns {string} Absolute URL
+ */
+export function buildShareUrl(state) {
+  const params = new URLSearchParams();
+
+  for (const [key, value] of Object.entries(state)) {
+    if (value !== null && value !== undefined && value !== '') {
+      params.set(key, String(value));
+    }
+  }
+
+  const query = params.toString();
+  return `${window.location.origin}${window.location.pathname}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Replace the address bar URL with one that encodes the given state
+ * @param {Object} state - State values
+ */
+export function updateShareUrl(state) {
+  window.history.replaceState(null, '', buildShareUrl(state));
+}
+
+/**
+ * Copy text to the clipboard
+ * @param {string} text
+ * @returns {Promise<boolean>} Whether the text was copied
+ */
+export async function copyToClipboard(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch (error) {
+    // Fall back to a temporary text area where the Clipboard API is unavailable
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.setAttribute('readonly', '');
+    textarea.style.position = 'absolute';
+    textarea.style.left = '-9999px';
+    document.body.appendChild(textarea);
+    textarea.select();
+
+    try {
+      return document.execCommand('copy');
+    } catch (fallbackError) {
+      console.error('Error copying link:', fallbackError);
+      return false;
+    } finally {
+      textarea.remove();
+    }
+  }
+}
@@ -0,0 +1,199 @@
+/**
+ * Timing Rules
+ * World Athletics rules for recording times (precision and rounding by event and timing
+ * method) and the conversion of hand times for scoring against fully automatic tables.
+ * Shared by every calculator so a hand time scores the same everywhere.
+ */
+
+import { eventConfigLoader } from '../data/event-config-loader.js';
+import { resolveEventKey } from '../data/event-registry.js';
+
+/**
+ * Offsets added to hand times before they are scored, by event
+ * Aliases of these events (e.g. "110mh") are resolved through the event registry.
+ */
+export const HAND_TIMING_OFFSETS = [
+  {
+    offset: 0.24,
+    events: ['50m', '50m h', '55m', '55m h', '60m', '60m h', '100m', '100m h', '110m h', '200m', '200m sh', '200m h']
+  },
+  {
+    offset: 0.14,
+    events: ['300m', '300m h', '300m sh', '400m', '400m h', '400m sh']
+  }
+];
+
+/**
+ * Decimal places times are recorded to
+ */
+export const TIME_PRECISION = {
+  hundredths: 2,
+  tenths: 1,
+  seconds: 0
+};
+
+// Fully automatic times on the track are recorded to hundredths up to this distance, tenths beyond
+const HUNDREDTHS_MAX_METRES = 10000;
+
+const METRES_PER_UNIT = { metres: 1, km: 1000, miles: 1609.344, yards: 0.9144 };
+
+// Tolerance for floating point noise when rounding
+const EPSILON = 1e-9;
+
+/**
+ * Normalize an event key for the timing rules
+ * @param {string} eventKey - Event key or an alias (e.g. "110m h" or "110mh")
+ * @returns {string} Canonical key, or the key itself if the event is unknown
+ */
+function normalizeEventKey(eventKey) {
+  return resolveEventKey(eventKey) || String(eventKey);
+}
+
+/**
+ * Get the offset added to a hand time for an event
+ * Yard races take the offset of the metric event they are scored as (e.g. 100y uses 100m).
+ * @param {string} eventKey
+ * @returns {number|null} Offset in seconds, or null if hand times are not converted for the event
+ */
+export function getHandTimingOffset(eventKey) {
+  const key = normalizeEventKey(eventKey);
+  const offsetKey = eventConfigLoader.getEventInfo(key)?.convertsTo || key;
+  const group = HAND_TIMING_OFFSETS.find(offsetGroup => offsetGroup.events.includes(offsetKey));
+  return group ? group.offset : null;
+}
+
+/**
+ * Check if hand times can be scored for an event
+ * @param {string} eventKey
+ * @returns {boolean} True if the event has a hand timing offset
+ */
+export function supportsHandTiming(eventKey) {
+  return getHandTimingOffset(eventKey) !== null;
+}
+
+/**
+ * Describe how an event's times are measured
+ * Events missing from the event configuration are treated as track races, with the
+ * distance read from the key (e.g. "800m").
+ * @param {string} eventKey
+ * @returns {Object} { isTimed, isRoad, metres (null if unknown) }
+ */
+function getTimingProfile(eventKey) {
+  const eventInfo = eventConfigLoader.getEventInfo(normalizeEventKey(eventKey));
+
+  if (!eventInfo) {
+    const match = String(eventKey).match(/^(\d+)m/);
+    return { isTimed: true, isRoad: false, metres: match ? parseInt(match[1], 10) : null };
+  }
+
+  const metresPerUnit = METRES_PER_UNIT[eventInfo.unit] || 1;
+  return {
+    isTimed: (eventInfo.measurementFormat || 'time') === 'time',
+    isRoad: Boolean(eventInfo.road),
+    metres: eventInfo.distance ? eventInfo.distance * metresPerUnit : null
+  };
+}
+
+/**
+ * Get the precision a time is recorded to
+ * Races not held wholly in the stadium are recorded to whole seconds. On the track,
+ * hand times are recorded to tenths, and fully automatic times to hundredths up to
+ * 10,000m and tenths for longer races.
+ * @param {string} eventKey
+ * @param {boolean} isHandTimed
+ * @returns {number|null} Decimal places (see TIME_PRECISION), or null for events that are not timed
+ */
+export function getTimePrecision(eventKey, isHandTimed = false) {
+  const profile = getTimingProfile(eventKey);
+
+  if (!profile.isTimed) {
+    return null;
+  }
+  if (profile.isRoad) {
+    return TIME_PRECISION.seconds;
+  }
+  if (isHandTimed || (profile.metres !== null && profile.metres > HUNDREDTHS_MAX_METRES)) {
+    return TIME_PRECISION.tenths;
+  }
+  return TIME_PRECISION.hundredths;
+}
+
+/**
+ * Round a time up to a precision (times are always rounded to the next longer value)
+ * @param {number} seconds
+ * @param {number} decimals
+ * @returns {number}
+ */
+export function roundTimeUp(seconds, decimals) {
+  const factor = Math.pow(10, decimals);
+  return Math.ceil(seconds * factor - EPSILON) / factor;
+}
+
+/**
+ * Apply the timing rules to a time before it is scored
+ * The time is rounded up to the precision it should have been recorded to, and hand
+ * times then have the event's offset added.
+ * @param {number} seconds - Time as entered, in seconds
+ * @param {string} eventKey
+ * @param {boolean} isHandTimed
+ * @returns {Object} {
+ *   time: recorded time in seconds,
+ *   value: time to score (recorded time plus any offset),
+ *   offset: offset added (null if none),
+ *   warning: explanation when the entered time had more precision than the rules allow (null if none)
+ * }
+ */
+export function applyTimingRules(seconds, eventKey, isHandTimed = false) {
+  const precision = getTimePrecision(eventKey, isHandTimed);
+
+  if (precision === null || isNaN(seconds)) {
+    return { time: seconds, value: seconds, offset: null, warning: null };
+  }
+
+  const time = roundTimeUp(seconds, precision);
+  const offset = isHandTimed ? getHandTimingOffset(eventKey) : null;
+
+  return {
+    time,
+    value: offset ? Math.round((time + offset) * 100) / 100 : time,
+    offset: offset || null,
+    warning: Math.abs(time - seconds) > EPSILON ? describePrecision(eventKey, precision, isHandTimed) : null
+  };
+}
+
+/**
+ * Explain the precision a time should be recorded to
+ * @param {string} eventKey
+ * @param {number} precision - Decimal places
+ * @param {boolean} isHandTimed
+ * @returns {string}
+ */
+function describePrecision(eventKey, precision, isHandTimed) {
+  if (precision === TIME_PRECISION.seconds) {
+    return 'Road race times are rounded up to the next whole second.';
+  }
+  if (isHandTimed) {
+    return 'Hand times are recorded to a tenth of a second, so the time was rounded up to the next tenth.';
+  }
+  if (precision === TIME_PRECISION.tenths) {
+    return 'Track races longer than 10,000m are recorded to a tenth of a second, so the time was rounded up to the next tenth.';
+  }
+  return 'Fully automatic times are recorded to a hundredth of a second, so the time was rounded up to the next hundredth.';
+}
+
+/**
+ * Convert a fully automatic time to the slowest hand time that scores at least as well
+ * @param {number} seconds - Fully automatic time in seconds
+ * @param {string} eventKey
+ * @returns {Object|null} { time: hand time in seconds, offset }, or null if the event has no hand timing offset
+ */
+export function toHandTime(seconds, eventKey) {
+  const offset = getHandTimingOffset(eventKey);
+  if (offset === null) {
+    return null;
+  }
+
+  // Hand times are in tenths, so round down to stay at or under the automatic time
+  const time = Math.floor((seconds - offset) * 10 + EPSILON) / 10;
+  return { time, offset };
+}